@@ -0,0 +1,317 @@
+// Livox MID-360 emulator bridge.
+//
+// Receives point and IMU batches from the browser LidarSensor over WebSocket
+// and re-emits them as Livox SDK2 UDP packets, answering discovery and
+// parameter commands so livox_ros_driver2 (or any SDK2 client) can connect.
+//
+// Usage: node bridge/livox-bridge.js [--ws-port 8765] [--lidar-ip 127.0.0.1]
+//                                    [--host-ip 127.0.0.1] [--serial 47MDL9A0000000]
+
+import dgram from "node:dgram";
+import { parseArgs } from "node:util";
+import { WebSocketServer } from "ws";
+import {
+  BRIDGE_MESSAGE_TYPES,
+  decodeBridgeMessage,
+} from "../src/sensors/lidar/utils/BridgeMessages.js";
+import { ipToBytes, msToNs } from "../src/sensors/lidar/utils/BinaryUtils.js";
+import { POINT_FIELDS, POINT_STRIDE } from "../src/sensors/lidar/utils/PointLayout.js";
+import {
+  COMMAND_IDS,
+  DEVICE_TYPE_MID360,
+  LIVOX_PORTS,
+  PARAM_KEYS,
+  POINTS_PER_PACKET,
+  WORK_MODES,
+  buildControlFrame,
+  buildImuPacket,
+  buildPointPacket,
+  bytesToIp,
+  encodeKeyValues,
+  parseControlFrame,
+  parseKeyList,
+  parseKeyValueList,
+} from "./livox/protocol.js";
+
+const IMU_RATE_HZ = 200;
+const PUSH_INTERVAL_MS = 1000;
+const FRAME_PERIOD_MS = 100;
+// Browser IMU samples older than this fall back to a stationary synthetic IMU
+const BROWSER_IMU_TIMEOUT_MS = 500;
+const GRAVITY = 9.80665;
+
+const { values: args } = parseArgs({
+  options: {
+    "ws-port": { type: "string", default: "8765" },
+    "lidar-ip": { type: "string", default: "127.0.0.1" },
+    "host-ip": { type: "string", default: "127.0.0.1" },
+    serial: { type: "string", default: "47MDL9A0000000" },
+  },
+});
+
+const lidarIp = args["lidar-ip"];
+const state = {
+  workMode: WORK_MODES.NORMAL,
+  pclDataType: 1,
+  imuEnabled: true,
+  stateHost: { ip: args["host-ip"], port: LIVOX_PORTS.HOST_PUSH },
+  pointHost: { ip: args["host-ip"], port: LIVOX_PORTS.HOST_POINT },
+  imuHost: { ip: args["host-ip"], port: LIVOX_PORTS.HOST_IMU },
+  pointUdpCounter: 0,
+  imuUdpCounter: 0,
+  pushSeqNum: 0,
+  lastBrowserImuTime: 0,
+};
+
+function hostConfigValue(host, lidarPort) {
+  const value = Buffer.alloc(8);
+  value.set(ipToBytes(host.ip), 0);
+  value.writeUInt16LE(host.port, 4);
+  value.writeUInt16LE(lidarPort, 6);
+  return value;
+}
+
+function fixedString(text, length) {
+  const value = Buffer.alloc(length);
+  value.write(text.slice(0, length), "ascii");
+  return value;
+}
+
+/**
+ * Current value of a parameter key, or null if the emulator does not know it.
+ */
+function getParamValue(key) {
+  switch (key) {
+    case PARAM_KEYS.PCL_DATA_TYPE:
+      return Buffer.from([state.pclDataType]);
+    case PARAM_KEYS.PATTERN_MODE:
+      return Buffer.from([0]); // Non-repetitive
+    case PARAM_KEYS.LIDAR_IP_CFG:
+      return Buffer.concat([
+        ipToBytes(lidarIp),
+        ipToBytes("255.255.255.0"),
+        ipToBytes(lidarIp.replace(/\d+$/, "1")),
+      ]);
+    case PARAM_KEYS.STATE_INFO_HOST_IP_CFG:
+      return hostConfigValue(state.stateHost, LIVOX_PORTS.LIDAR_PUSH);
+    case PARAM_KEYS.POINT_DATA_HOST_IP_CFG:
+      return hostConfigValue(state.pointHost, LIVOX_PORTS.LIDAR_POINT);
+    case PARAM_KEYS.IMU_HOST_IP_CFG:
+      return hostConfigValue(state.imuHost, LIVOX_PORTS.LIDAR_IMU);
+    case PARAM_KEYS.INSTALL_ATTITUDE:
+      return Buffer.alloc(24); // roll/pitch/yaw (float deg), x/y/z (int32 mm)
+    case PARAM_KEYS.WORK_MODE:
+    case PARAM_KEYS.CUR_WORK_STATE:
+      return Buffer.from([state.workMode]);
+    case PARAM_KEYS.IMU_DATA_EN:
+      return Buffer.from([state.imuEnabled ? 1 : 0]);
+    case PARAM_KEYS.SERIAL_NUMBER:
+      return fixedString(args.serial, 16);
+    case PARAM_KEYS.PRODUCT_INFO:
+      return fixedString("MID-360 (LidarSim emulator)", 64);
+    case PARAM_KEYS.VERSION_APP:
+    case PARAM_KEYS.VERSION_LOADER:
+    case PARAM_KEYS.VERSION_HARDWARE:
+      return Buffer.from([1, 0, 0, 0]);
+    case PARAM_KEYS.MAC:
+      return Buffer.from([0x00, 0x4c, 0x49, 0x56, 0x4f, 0x58]);
+    case PARAM_KEYS.STATUS_CODE:
+      return Buffer.alloc(32);
+    case PARAM_KEYS.LIDAR_DIAG_STATUS:
+      return Buffer.alloc(2);
+    case PARAM_KEYS.FW_TYPE:
+      return Buffer.from([1]); // Application firmware
+    default:
+      return null;
+  }
+}
+
+/**
+ * Apply a SET_PARAMS entry. Returns false for keys the emulator rejects.
+ */
+function setParamValue(key, value) {
+  const readHost = () => ({ ip: bytesToIp(value), port: value.readUInt16LE(4) });
+  switch (key) {
+    case PARAM_KEYS.PCL_DATA_TYPE:
+      state.pclDataType = value[0];
+      return value[0] === 1; // Only Cartesian high precision is emulated
+    case PARAM_KEYS.STATE_INFO_HOST_IP_CFG:
+      state.stateHost = readHost();
+      return true;
+    case PARAM_KEYS.POINT_DATA_HOST_IP_CFG:
+      state.pointHost = readHost();
+      return true;
+    case PARAM_KEYS.IMU_HOST_IP_CFG:
+      state.imuHost = readHost();
+      return true;
+    case PARAM_KEYS.WORK_MODE:
+      state.workMode = value[0];
+      return true;
+    case PARAM_KEYS.IMU_DATA_EN:
+      state.imuEnabled = value[0] !== 0;
+      return true;
+    case PARAM_KEYS.PATTERN_MODE:
+    case PARAM_KEYS.LIDAR_IP_CFG:
+    case PARAM_KEYS.INSTALL_ATTITUDE:
+      return true; // Accepted, no effect on the emulation
+    default:
+      return false;
+  }
+}
+
+function handleCommand(socket, request, rinfo) {
+  let data;
+  switch (request.cmdId) {
+    case COMMAND_IDS.DISCOVERY: {
+      data = Buffer.alloc(24);
+      data[0] = 0; // ret_code
+      data[1] = DEVICE_TYPE_MID360;
+      fixedString(args.serial, 16).copy(data, 2);
+      data.set(ipToBytes(lidarIp), 18);
+      data.writeUInt16LE(LIVOX_PORTS.LIDAR_COMMAND, 22);
+      console.log(`Discovery from ${rinfo.address}:${rinfo.port}`);
+      break;
+    }
+    case COMMAND_IDS.SET_PARAMS: {
+      let errorKey = 0;
+      let retCode = 0;
+      for (const { key, value } of parseKeyValueList(request.data)) {
+        if (!setParamValue(key, value) && retCode === 0) {
+          retCode = 1;
+          errorKey = key;
+        }
+      }
+      data = Buffer.alloc(3);
+      data[0] = retCode;
+      data.writeUInt16LE(errorKey, 1);
+      break;
+    }
+    case COMMAND_IDS.GET_PARAMS: {
+      const entries = parseKeyList(request.data)
+        .map((key) => ({ key, value: getParamValue(key) }))
+        .filter((entry) => entry.value !== null);
+      const header = Buffer.alloc(3);
+      header[0] = 0;
+      header.writeUInt16LE(entries.length, 1);
+      data = Buffer.concat([header, encodeKeyValues(entries)]);
+      break;
+    }
+    default:
+      // Acknowledge everything else (reboot, logging, upgrade...) as successful
+      data = Buffer.from([0]);
+      break;
+  }
+
+  socket.send(buildControlFrame(request.cmdId, request.seqNum, data), rinfo.port, rinfo.address);
+}
+
+function createControlSocket(port, address) {
+  const socket = dgram.createSocket({ type: "udp4", reuseAddr: true });
+  socket.on("message", (message, rinfo) => {
+    const request = parseControlFrame(message);
+    if (request && request.cmdType === 0) {
+      handleCommand(socket, request, rinfo);
+    }
+  });
+  socket.on("error", (error) => console.error(`UDP ${port}: ${error.message}`));
+  socket.bind(port, address);
+  return socket;
+}
+
+function createDataSocket(port) {
+  const socket = dgram.createSocket({ type: "udp4", reuseAddr: true });
+  socket.on("error", (error) => console.error(`UDP ${port}: ${error.message}`));
+  socket.bind(port, lidarIp);
+  return socket;
+}
+
+// Discovery is broadcast, so listen on all interfaces
+createControlSocket(LIVOX_PORTS.DISCOVERY, "0.0.0.0");
+createControlSocket(LIVOX_PORTS.LIDAR_COMMAND, lidarIp);
+const pushSocket = createDataSocket(LIVOX_PORTS.LIDAR_PUSH);
+const pointSocket = createDataSocket(LIVOX_PORTS.LIDAR_POINT);
+const imuSocket = createDataSocket(LIVOX_PORTS.LIDAR_IMU);
+
+function sendPoints(message) {
+  if (state.workMode !== WORK_MODES.NORMAL) return;
+  const { points, pointCount, componentsPerPoint, timestampMs } = message;
+  if (componentsPerPoint !== POINT_STRIDE) return;
+
+  const pointTimeMs = (index) =>
+    timestampMs + points[index * POINT_STRIDE + POINT_FIELDS.TIME] / 1e6;
+
+  for (let start = 0; start < pointCount; start += POINTS_PER_PACKET) {
+    const count = Math.min(POINTS_PER_PACKET, pointCount - start);
+    const packetTimeMs = pointTimeMs(start);
+    const packet = buildPointPacket({
+      points,
+      componentsPerPoint,
+      start,
+      count,
+      udpCounter: state.pointUdpCounter++,
+      frameCounter: Math.floor(packetTimeMs / FRAME_PERIOD_MS),
+      timestampNs: msToNs(packetTimeMs),
+      timeIntervalUs: (pointTimeMs(start + count - 1) - packetTimeMs) * 1000,
+    });
+    pointSocket.send(packet, state.pointHost.port, state.pointHost.ip);
+  }
+}
+
+function sendImu(timestampMs, gyro, accel) {
+  if (!state.imuEnabled || state.workMode !== WORK_MODES.NORMAL) return;
+  const packet = buildImuPacket({
+    gyro,
+    accel,
+    udpCounter: state.imuUdpCounter++,
+    timestampNs: msToNs(timestampMs),
+  });
+  imuSocket.send(packet, state.imuHost.port, state.imuHost.ip);
+}
+
+// Stationary IMU while the browser is not streaming its own samples
+setInterval(() => {
+  const now = Date.now();
+  if (now - state.lastBrowserImuTime > BROWSER_IMU_TIMEOUT_MS) {
+    sendImu(now, [0, 0, 0], [0, 0, GRAVITY]);
+  }
+}, 1000 / IMU_RATE_HZ);
+
+// Periodic state push, as the real sensor does
+setInterval(() => {
+  const keys = [PARAM_KEYS.CUR_WORK_STATE, PARAM_KEYS.PCL_DATA_TYPE, PARAM_KEYS.LIDAR_DIAG_STATUS];
+  const entries = keys.map((key) => ({ key, value: getParamValue(key) }));
+  const header = Buffer.alloc(4);
+  header.writeUInt16LE(entries.length, 0);
+  const frame = buildControlFrame(
+    COMMAND_IDS.PUSH_MSG,
+    state.pushSeqNum++,
+    Buffer.concat([header, encodeKeyValues(entries)]),
+    0
+  );
+  pushSocket.send(frame, state.stateHost.port, state.stateHost.ip);
+}, PUSH_INTERVAL_MS);
+
+const wsPort = parseInt(args["ws-port"], 10);
+const server = new WebSocketServer({ port: wsPort });
+server.on("connection", (socket, request) => {
+  console.log(`Simulator connected from ${request.socket.remoteAddress}`);
+  socket.on("message", (data, isBinary) => {
+    if (!isBinary) return;
+    // Copy into a fresh, aligned ArrayBuffer for the typed-array views
+    const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    const message = decodeBridgeMessage(buffer);
+    if (!message) return;
+
+    if (message.type === BRIDGE_MESSAGE_TYPES.POINTS) {
+      sendPoints(message);
+    } else if (message.type === BRIDGE_MESSAGE_TYPES.IMU) {
+      state.lastBrowserImuTime = Date.now();
+      sendImu(message.timestampMs, message.gyro, message.accel);
+    }
+  });
+  socket.on("close", () => console.log("Simulator disconnected"));
+});
+
+console.log(
+  `Livox bridge: WebSocket on ws://localhost:${wsPort}, emulating MID-360 ${args.serial} at ${lidarIp}`
+);
@@ -0,0 +1,285 @@
+// Livox SDK2 wire protocol (MID-360): control frames and point/IMU data packets.
+
+import { POINT_FIELDS, getLivoxTag } from "../../src/sensors/lidar/utils/PointLayout.js";
+
+export const LIVOX_PORTS = {
+  DISCOVERY: 56000,
+  LIDAR_COMMAND: 56100,
+  LIDAR_PUSH: 56200,
+  LIDAR_POINT: 56300,
+  LIDAR_IMU: 56400,
+  HOST_COMMAND: 56101,
+  HOST_PUSH: 56201,
+  HOST_POINT: 56301,
+  HOST_IMU: 56401,
+};
+
+export const COMMAND_IDS = {
+  DISCOVERY: 0x0000,
+  SET_PARAMS: 0x0100,
+  GET_PARAMS: 0x0101,
+  PUSH_MSG: 0x0102,
+  REBOOT: 0x0200,
+};
+
+// Parameter keys used by livox_ros_driver2 and Livox Viewer 2
+export const PARAM_KEYS = {
+  PCL_DATA_TYPE: 0x0000,
+  PATTERN_MODE: 0x0001,
+  LIDAR_IP_CFG: 0x0004,
+  STATE_INFO_HOST_IP_CFG: 0x0005,
+  POINT_DATA_HOST_IP_CFG: 0x0006,
+  IMU_HOST_IP_CFG: 0x0007,
+  INSTALL_ATTITUDE: 0x0012,
+  WORK_MODE: 0x001a,
+  IMU_DATA_EN: 0x001c,
+  SERIAL_NUMBER: 0x8000,
+  PRODUCT_INFO: 0x8001,
+  VERSION_APP: 0x8002,
+  VERSION_LOADER: 0x8003,
+  VERSION_HARDWARE: 0x8004,
+  MAC: 0x8005,
+  CUR_WORK_STATE: 0x8006,
+  STATUS_CODE: 0x800d,
+  LIDAR_DIAG_STATUS: 0x800e,
+  FW_TYPE: 0x8010,
+};
+
+export const DEVICE_TYPE_MID360 = 9;
+
+export const DATA_TYPES = {
+  IMU: 0,
+  CARTESIAN_HIGH: 1,
+};
+
+export const WORK_MODES = {
+  NORMAL: 0x01,
+  WAKE_UP: 0x02,
+  SLEEP: 0x03,
+};
+
+const CONTROL_SOF = 0xaa;
+const CONTROL_HEADER_SIZE = 24;
+const CMD_TYPE_ACK = 1;
+const SENDER_LIDAR = 1;
+
+const DATA_HEADER_SIZE = 36;
+export const POINTS_PER_PACKET = 96;
+const CARTESIAN_HIGH_POINT_SIZE = 14;
+const IMU_DATA_SIZE = 24;
+const GRAVITY = 9.80665;
+
+// CRC-16/CCITT-FALSE: poly 0x1021, init 0xFFFF, no reflection
+const CRC16_TABLE = new Uint16Array(256);
+// CRC-32 (IEEE 802.3, reflected): poly 0xEDB88320, init 0xFFFFFFFF
+const CRC32_TABLE = new Uint32Array(256);
+
+for (let i = 0; i < 256; i++) {
+  let crc16 = i << 8;
+  let crc32 = i;
+  for (let bit = 0; bit < 8; bit++) {
+    crc16 = crc16 & 0x8000 ? (crc16 << 1) ^ 0x1021 : crc16 << 1;
+    crc32 = crc32 & 1 ? (crc32 >>> 1) ^ 0xedb88320 : crc32 >>> 1;
+  }
+  CRC16_TABLE[i] = crc16 & 0xffff;
+  CRC32_TABLE[i] = crc32 >>> 0;
+}
+
+export function crc16(bytes) {
+  let crc = 0xffff;
+  for (const byte of bytes) {
+    crc = ((crc << 8) ^ CRC16_TABLE[((crc >> 8) ^ byte) & 0xff]) & 0xffff;
+  }
+  return crc;
+}
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Parse a control frame. Returns null when the frame or its header CRC is invalid.
+ * @param {Buffer} message
+ * @returns {{seqNum: Number, cmdId: Number, cmdType: Number, data: Buffer}|null}
+ */
+export function parseControlFrame(message) {
+  if (message.length < CONTROL_HEADER_SIZE || message[0] !== CONTROL_SOF) {
+    return null;
+  }
+  const length = message.readUInt16LE(2);
+  if (length > message.length) return null;
+  if (crc16(message.subarray(0, 18)) !== message.readUInt16LE(18)) return null;
+
+  return {
+    seqNum: message.readUInt32LE(4),
+    cmdId: message.readUInt16LE(8),
+    cmdType: message[10],
+    data: message.subarray(CONTROL_HEADER_SIZE, length),
+  };
+}
+
+/**
+ * Build a control frame sent by the (emulated) LiDAR.
+ * @param {Number} cmdId
+ * @param {Number} seqNum - Sequence number of the request being acknowledged
+ * @param {Buffer} data
+ * @param {Number} cmdType - 0 for a request/push, 1 for an ACK
+ * @returns {Buffer}
+ */
+export function buildControlFrame(cmdId, seqNum, data, cmdType = CMD_TYPE_ACK) {
+  const frame = Buffer.alloc(CONTROL_HEADER_SIZE + data.length);
+  frame[0] = CONTROL_SOF;
+  frame[1] = 0; // Protocol version
+  frame.writeUInt16LE(frame.length, 2);
+  frame.writeUInt32LE(seqNum >>> 0, 4);
+  frame.writeUInt16LE(cmdId, 8);
+  frame[10] = cmdType;
+  frame[11] = SENDER_LIDAR;
+  frame.writeUInt16LE(crc16(frame.subarray(0, 18)), 18);
+  frame.writeUInt32LE(crc32(data), 20);
+  data.copy(frame, CONTROL_HEADER_SIZE);
+  return frame;
+}
+
+/**
+ * Parse the key/value list of a SET_PARAMS request.
+ * @param {Buffer} data
+ * @returns {Array<{key: Number, value: Buffer}>}
+ */
+export function parseKeyValueList(data) {
+  const entries = [];
+  if (data.length < 4) return entries;
+  const keyCount = data.readUInt16LE(0);
+  let offset = 4; // key_num (2) + reserved (2)
+  for (let i = 0; i < keyCount && offset + 4 <= data.length; i++) {
+    const key = data.readUInt16LE(offset);
+    const length = data.readUInt16LE(offset + 2);
+    entries.push({ key, value: data.subarray(offset + 4, offset + 4 + length) });
+    offset += 4 + length;
+  }
+  return entries;
+}
+
+/**
+ * Parse the key list of a GET_PARAMS request.
+ * @param {Buffer} data
+ * @returns {Number[]}
+ */
+export function parseKeyList(data) {
+  const keys = [];
+  if (data.length < 4) return keys;
+  const keyCount = data.readUInt16LE(0);
+  for (let i = 0; i < keyCount && 4 + i * 2 + 2 <= data.length; i++) {
+    keys.push(data.readUInt16LE(4 + i * 2));
+  }
+  return keys;
+}
+
+/**
+ * Encode key/value entries as [key u16][length u16][value].
+ * @param {Array<{key: Number, value: Buffer}>} entries
+ * @returns {Buffer}
+ */
+export function encodeKeyValues(entries) {
+  return Buffer.concat(
+    entries.map(({ key, value }) => {
+      const header = Buffer.alloc(4);
+      header.writeUInt16LE(key, 0);
+      header.writeUInt16LE(value.length, 2);
+      return Buffer.concat([header, value]);
+    })
+  );
+}
+
+/**
+ * Write the 36-byte point/IMU data header. The CRC covers timestamp and data.
+ * @private
+ */
+function writeDataHeader(packet, { dotNum, udpCounter, frameCounter, dataType, timeIntervalUs, timestampNs }) {
+  packet[0] = 0; // Version
+  packet.writeUInt16LE(packet.length, 1);
+  packet.writeUInt16LE(Math.min(0xffff, Math.round(timeIntervalUs * 10)), 3); // 0.1 us units
+  packet.writeUInt16LE(dotNum, 5);
+  packet.writeUInt16LE(udpCounter & 0xffff, 7);
+  packet[9] = frameCounter & 0xff;
+  packet[10] = dataType;
+  packet[11] = 0; // Time type: no synchronisation
+  // Bytes 12-23 reserved
+  packet.writeBigUInt64LE(BigInt(timestampNs), 28);
+  packet.writeUInt32LE(crc32(packet.subarray(28)), 24);
+}
+
+/**
+ * Build a Cartesian high-precision point packet.
+ * @param {Object} packet
+ * @param {Float32Array} packet.points - Sensor-frame points, see POINT_FIELDS
+ * @param {Number} packet.componentsPerPoint - Components per point
+ * @param {Number} packet.start - First point index
+ * @param {Number} packet.count - Number of points, at most POINTS_PER_PACKET
+ * @param {Number} packet.udpCounter
+ * @param {Number} packet.frameCounter
+ * @param {BigInt} packet.timestampNs - Time of the first point
+ * @param {Number} packet.timeIntervalUs - Time span of the packet
+ * @returns {Buffer}
+ */
+export function buildPointPacket({ points, componentsPerPoint, start, count, udpCounter, frameCounter, timestampNs, timeIntervalUs }) {
+  const packet = Buffer.alloc(DATA_HEADER_SIZE + count * CARTESIAN_HIGH_POINT_SIZE);
+  let offset = DATA_HEADER_SIZE;
+  for (let i = start; i < start + count; i++) {
+    const base = i * componentsPerPoint;
+    packet.writeInt32LE(Math.round(points[base] * 1000), offset);
+    packet.writeInt32LE(Math.round(points[base + 1] * 1000), offset + 4);
+    packet.writeInt32LE(Math.round(points[base + 2] * 1000), offset + 8);
+    packet[offset + 12] = Math.round(Math.max(0, Math.min(1, points[base + POINT_FIELDS.INTENSITY])) * 255);
+    packet[offset + 13] = getLivoxTag(points, base);
+    offset += CARTESIAN_HIGH_POINT_SIZE;
+  }
+  writeDataHeader(packet, {
+    dotNum: count,
+    udpCounter,
+    frameCounter,
+    dataType: DATA_TYPES.CARTESIAN_HIGH,
+    timeIntervalUs,
+    timestampNs,
+  });
+  return packet;
+}
+
+/**
+ * Build an IMU packet.
+ * @param {Object} sample
+ * @param {Number[]} sample.gyro - Angular velocity (rad/s)
+ * @param {Number[]} sample.accel - Specific force (m/s^2), sent in g as the MID-360 does
+ * @param {Number} sample.udpCounter
+ * @param {BigInt} sample.timestampNs
+ * @returns {Buffer}
+ */
+export function buildImuPacket({ gyro, accel, udpCounter, timestampNs }) {
+  const packet = Buffer.alloc(DATA_HEADER_SIZE + IMU_DATA_SIZE);
+  for (let i = 0; i < 3; i++) {
+    packet.writeFloatLE(gyro[i], DATA_HEADER_SIZE + i * 4);
+    packet.writeFloatLE(accel[i] / GRAVITY, DATA_HEADER_SIZE + 12 + i * 4);
+  }
+  writeDataHeader(packet, {
+    dotNum: 1,
+    udpCounter,
+    frameCounter: 0,
+    dataType: DATA_TYPES.IMU,
+    timeIntervalUs: 0,
+    timestampNs,
+  });
+  return packet;
+}
+
+/**
+ * Unpack 4 bytes into a dotted IPv4 address.
+ * @param {Buffer} bytes
+ * @returns {String}
+ */
+export function bytesToIp(bytes) {
+  return Array.from(bytes.subarray(0, 4)).join(".");
+}
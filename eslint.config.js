@@ -30,4 +30,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['bridge/**/*.js', 'cli/**/*.js', 'test/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
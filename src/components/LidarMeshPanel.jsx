@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react';
+import { useLidarConfig } from '../sensors/lidar/context/LidarConfigContext';
+import { LIDAR_LAYERS } from '../sensors/lidar/logic/LidarMeshRegistry';
+
+// Debug view of the LiDAR mesh registry: what the sensors can see, and what
+// the last scan culled
+const LidarMeshPanel = () =>
+{
+    const { meshRegistry } = useLidarConfig();
+    const [ isOpen, setIsOpen ] = useState( false );
+    const [ , setRevision ] = useState( 0 );
+
+    // Redraw on registry changes, and regularly for the culling state
+    useEffect( () =>
+    {
+        if ( !isOpen ) return;
+
+        const redraw = () => setRevision( revision => revision + 1 );
+        const unsubscribe = meshRegistry.subscribe( redraw );
+        const interval = setInterval( redraw, 500 );
+        return () =>
+        {
+            unsubscribe();
+            clearInterval( interval );
+        };
+    }, [ meshRegistry, isOpen ] );
+
+    const records = meshRegistry.getRecords();
+    const { lastCulling } = meshRegistry;
+    const usedLayers = Object.values( LIDAR_LAYERS ).filter( layer => records.some( record => record.layer === layer ) );
+
+    const getStatus = ( { mesh, layer, enabled } ) =>
+    {
+        if ( !enabled || !meshRegistry.isLayerEnabled( layer ) ) return 'off';
+        if ( !mesh.visible ) return 'hidden';
+        if ( !lastCulling ) return '-';
+        if ( !lastCulling.visibleMeshes.has( mesh ) ) return 'culled';
+
+        // Instanced meshes are culled instance by instance
+        const culledCount = lastCulling.culledInstances.get( mesh )?.size ?? 0;
+        return culledCount > 0 ? `${ mesh.instancesCount - culledCount }/${ mesh.instancesCount }` : 'scanned';
+    };
+
+    return (
+        <div className="absolute bottom-6 left-6 w-72 bg-gray-900 bg-opacity-90 backdrop-blur-sm border border-gray-800 rounded-lg shadow-lg text-white text-sm overflow-hidden">
+            <button
+                onClick={() => setIsOpen( open => !open )}
+                className="w-full flex items-center justify-between bg-gray-800 px-4 py-2 text-xs font-semibold text-gray-300 uppercase tracking-wider"
+            >
+                LiDAR Meshes
+                <span className="text-indigo-400">{records.length}</span>
+            </button>
+
+            {isOpen && (
+                <div className="p-4 space-y-3">
+                    <div className="space-y-1">
+                        {usedLayers.map( layer => (
+                            <div key={layer} className="flex items-center justify-between">
+                                <label htmlFor={`lidar-layer-${ layer }`} className="block text-gray-400 text-xs font-medium capitalize">{layer}</label>
+                                <input
+                                    id={`lidar-layer-${ layer }`}
+                                    type="checkbox"
+                                    checked={meshRegistry.isLayerEnabled( layer )}
+                                    onChange={e => meshRegistry.setLayerEnabled( layer, e.target.checked )}
+                                    className="accent-indigo-500"
+                                />
+                            </div>
+                        ) )}
+                    </div>
+
+                    <div className="max-h-48 overflow-y-auto space-y-1">
+                        {records.map( record => (
+                            <div key={record.mesh.uuid} className="flex items-center gap-2 text-xs">
+                                <input
+                                    type="checkbox"
+                                    checked={record.enabled}
+                                    onChange={e => meshRegistry.setMeshEnabled( record.mesh, e.target.checked )}
+                                    className="accent-indigo-500"
+                                />
+                                <span className="flex-1 text-gray-300 truncate">
+                                    {record.mesh.name || record.mesh.userData.objectClass || record.mesh.type}
+                                    {record.mesh.isInstancedMesh2 && ` ×${ record.mesh.instancesCount }`}
+                                </span>
+                                <span className="text-gray-500">{record.tags.join( ', ' )}</span>
+                                <span className="w-14 text-right text-indigo-300">{getStatus( record )}</span>
+                            </div>
+                        ) )}
+                    </div>
+
+                    {lastCulling && (
+                        <div className="grid grid-cols-2 gap-x-3 gap-y-1 text-xs">
+                            <span className="text-gray-500">Objects scanned:</span>
+                            <span className="text-indigo-300 font-semibold">{lastCulling.statistics.visibleMeshes} / {lastCulling.statistics.totalMeshes}</span>
+
+                            <span className="text-gray-500">Too close / far:</span>
+                            <span className="text-indigo-300 font-semibold">{lastCulling.statistics.tooClose} / {lastCulling.statistics.tooFar}</span>
+
+                            <span className="text-gray-500">Outside FOV:</span>
+                            <span className="text-indigo-300 font-semibold">{lastCulling.statistics.outsideFov}</span>
+
+                            <span className="text-gray-500">Occluded:</span>
+                            <span className="text-indigo-300 font-semibold">{lastCulling.statistics.occluded}</span>
+
+                            <span className="text-gray-500">Culling time:</span>
+                            <span className="text-indigo-300 font-semibold">{lastCulling.statistics.processingTime.toFixed( 2 )} ms</span>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default LidarMeshPanel;
\ No newline at end of file
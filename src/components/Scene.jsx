@@ -1,9 +1,19 @@
 import React from 'react';
+import { useFrame } from '@react-three/fiber';
 import Environment from './Environment';
 import LidarSensor from '../sensors/lidar/components/LidarSensor';
+import { useLidarConfig } from '../sensors/lidar/context/LidarConfigContext';
 
 const Scene = () =>
 {
+    const { clock } = useLidarConfig();
+
+    // Rendering only drives the simulation clock; actors and sensors run on its steps
+    useFrame( ( state, delta ) =>
+    {
+        clock.tick( delta );
+    } );
+
     return (
         <>
             <Environment />
@@ -12,4 +22,4 @@ const Scene = () =>
     );
 };
 
-export default Scene; 
\ No newline at end of file
+export default Scene;
@@ -1,11 +1,52 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useLidarConfig } from '../sensors/lidar/context/LidarConfigContext';
+import { DEFAULT_MCAP_OPTIONS, EXPORT_FORMATS, PCD_ENCODINGS, downloadBlob } from '../sensors/lidar/utils/ExportLogic';
+import { LAS_POINT_FORMATS } from '../sensors/lidar/utils/LasWriter';
+import { DEFAULT_BRIDGE_URL } from '../sensors/lidar/utils/LivoxBridgeClient';
+import { VELODYNE_MODELS } from '../sensors/lidar/config/VelodyneProfiles';
+import { POINT_COLOR_MODES } from '../sensors/lidar/logic/VisualizationLogic';
+import { Trajectory } from '../sensors/lidar/logic/Trajectory';
+import { ROAD_LOOP_WAYPOINTS } from '../sensors/lidar/config/Trajectories';
+import { SCAN_PATTERNS } from '../sensors/lidar/config/ScanPatterns';
+import { RETURN_MODES } from '../sensors/lidar/config/ReturnConfig';
+import { lidarConfigToPreset, parseSensorPreset } from '../sensors/lidar/config/SensorPresets';
+import { TableScanPattern } from '../sensors/lidar/logic/ScanPattern';
 import { PlayIcon, PauseIcon, TrashIcon, DocumentArrowDownIcon } from '@heroicons/react/24/outline';
 
 const UIControls = () =>
 {
-    const { config, updateConfig } = useLidarConfig();
+    const {
+        config,
+        updateConfig,
+        updateMultipleConfig,
+        presets,
+        activePresetId,
+        selectPreset,
+        importPreset,
+        colorMode,
+        setColorMode,
+        setTrajectory,
+        imuConfig,
+        updateImuConfig,
+        showScanPattern,
+        setShowScanPattern,
+        clock,
+        clockPaused,
+        toggleClockPaused,
+        stepClock,
+        clockTimeScale,
+        setClockTimeScale
+    } = useLidarConfig();
     const [ captureStatus, setCaptureStatus ] = useState( 'idle' );
+    const [ exportOptions, setExportOptions ] = useState( {
+        format: EXPORT_FORMATS.PCD,
+        pcdEncoding: 'binary',
+        pointFormat: 6,
+        merge: false,
+        velodyneModel: VELODYNE_MODELS.VLP_16,
+        velodyneReturnMode: RETURN_MODES.STRONGEST,
+        ...DEFAULT_MCAP_OPTIONS,
+    } );
     const [ frameStats, setFrameStats ] = useState( {
         frameCount: 0,
         totalPoints: 0,
@@ -13,8 +54,24 @@ const UIControls = () =>
         avgFrameRate: 0,
         pointsPerSecond: 0,
     } );
+    const [ bridgeUrl, setBridgeUrl ] = useState( DEFAULT_BRIDGE_URL );
+    const [ bridgeStatus, setBridgeStatus ] = useState( 'disconnected' );
+    const [ bridgeError, setBridgeError ] = useState( null );
+    const [ trajectoryMode, setTrajectoryMode ] = useState( 'static' );
+    const [ trajectoryError, setTrajectoryError ] = useState( null );
+    const [ presetError, setPresetError ] = useState( null );
+    // Table pattern picked but no CSV loaded yet
+    const [ scanPatternTablePending, setScanPatternTablePending ] = useState( false );
+    const [ scanPatternError, setScanPatternError ] = useState( null );
+    const [ simulationTime, setSimulationTime ] = useState( 0 );
     const intervalRef = useRef( null );
 
+    useEffect( () =>
+    {
+        const interval = setInterval( () => setSimulationTime( clock.timeMs ), 250 );
+        return () => clearInterval( interval );
+    }, [ clock ] );
+
     useEffect( () =>
     {
         if ( captureStatus === 'capturing' && window.lidarFrameManager )
@@ -76,6 +133,120 @@ const UIControls = () =>
         updateConfig( 'maxRange', parseInt( e.target.value, 10 ) );
     }, [ updateConfig ] );
 
+    const handlePresetChange = useCallback( e =>
+    {
+        selectPreset( e.target.value );
+        setPresetError( null );
+        setScanPatternTablePending( false );
+        setScanPatternError( null );
+    }, [ selectPreset ] );
+
+    const handlePresetFileChange = useCallback( async e =>
+    {
+        const file = e.target.files[ 0 ];
+        if ( !file ) return;
+        try
+        {
+            importPreset( parseSensorPreset( await file.text() ) );
+            setPresetError( null );
+            setScanPatternTablePending( false );
+        } catch ( error )
+        {
+            setPresetError( error.message );
+        }
+    }, [ importPreset ] );
+
+    const handleExportPreset = useCallback( () =>
+    {
+        const basePreset = presets[ activePresetId ];
+        const preset = lidarConfigToPreset( config, {
+            id: `${ activePresetId }-custom`,
+            name: `${ basePreset.name } (custom)`,
+            manufacturer: basePreset.manufacturer
+        } );
+        const blob = new Blob( [ JSON.stringify( preset, null, 2 ) ], { type: 'application/json' } );
+        downloadBlob( blob, `${ preset.id }.json` );
+    }, [ config, presets, activePresetId ] );
+
+    const handleSeedChange = useCallback( e =>
+    {
+        const seed = parseInt( e.target.value, 10 );
+        if ( Number.isInteger( seed ) && seed >= 0 )
+        {
+            updateConfig( 'seed', seed );
+        }
+    }, [ updateConfig ] );
+
+    const handleScanPatternChange = useCallback( e =>
+    {
+        // The sensor preset sets the field of view and channels; a table
+        // pattern takes over once its CSV is loaded
+        const pattern = e.target.value;
+        setScanPatternTablePending( pattern === SCAN_PATTERNS.TABLE );
+        setScanPatternError( null );
+        if ( pattern !== SCAN_PATTERNS.TABLE )
+        {
+            updateConfig( 'scanPattern', pattern );
+        }
+    }, [ updateConfig ] );
+
+    const handleScanPatternFileChange = useCallback( async e =>
+    {
+        const file = e.target.files[ 0 ];
+        if ( !file ) return;
+        try
+        {
+            const firings = TableScanPattern.parseCsv( await file.text() );
+            updateMultipleConfig( {
+                scanPattern: SCAN_PATTERNS.TABLE,
+                scanPatternTable: firings,
+                numChannels: Math.max( ...firings.map( firing => firing.channel ) ) + 1
+            } );
+            setScanPatternError( null );
+            setScanPatternTablePending( false );
+        } catch ( error )
+        {
+            setScanPatternError( error.message );
+        }
+    }, [ updateMultipleConfig ] );
+
+    const handleNoiseEnabledChange = useCallback( e =>
+    {
+        updateConfig( 'noise', { ...config.noise, enabled: e.target.checked } );
+    }, [ config.noise, updateConfig ] );
+
+    const handleNoiseConfigChange = useCallback( e =>
+    {
+        const value = parseFloat( e.target.value );
+        if ( Number.isFinite( value ) && value >= 0 )
+        {
+            updateConfig( 'noise', { ...config.noise, [ e.target.name ]: value } );
+        }
+    }, [ config.noise, updateConfig ] );
+
+    const handleReturnModeChange = useCallback( e =>
+    {
+        updateConfig( 'returns', { ...config.returns, mode: e.target.value } );
+    }, [ config.returns, updateConfig ] );
+
+    const handleReturnConfigChange = useCallback( e =>
+    {
+        const value = parseFloat( e.target.value );
+        if ( Number.isFinite( value ) && value >= 0 )
+        {
+            updateConfig( 'returns', { ...config.returns, [ e.target.name ]: value } );
+        }
+    }, [ config.returns, updateConfig ] );
+
+    const handleImuConfigChange = useCallback( e =>
+    {
+        const value = parseFloat( e.target.value );
+        if ( Number.isFinite( value ) && value >= 0 )
+        {
+            updateImuConfig( e.target.name, value );
+        }
+    }, [ updateImuConfig ] );
+
     const handleClearLidarFrames = useCallback( () =>
     {
         window.clearLidarFrames?.();
@@ -91,9 +262,74 @@ const UIControls = () =>
 
     const handleExportLidarFrames = useCallback( () =>
     {
-        window.exportLidarFrames?.();
+        window.exportLidarFrames?.( exportOptions );
+    }, [ exportOptions ] );
+
+    const handleExportOptionChange = useCallback( e =>
+    {
+        const { name, type, value, checked } = e.target;
+        let optionValue = value;
+        if ( type === 'checkbox' ) optionValue = checked;
+        else if ( name === 'pointFormat' ) optionValue = parseInt( value, 10 );
+
+        setExportOptions( prevOptions => ( {
+            ...prevOptions,
+            [ name ]: optionValue
+        } ) );
     }, [] );
 
+    const toggleBridge = useCallback( async () =>
+    {
+        if ( bridgeStatus !== 'disconnected' )
+        {
+            window.disconnectLivoxBridge?.();
+            setBridgeStatus( 'disconnected' );
+            return;
+        }
+
+        setBridgeStatus( 'connecting' );
+        setBridgeError( null );
+        try
+        {
+            await window.connectLivoxBridge?.( bridgeUrl, () => setBridgeStatus( 'disconnected' ) );
+            setBridgeStatus( 'connected' );
+        } catch ( error )
+        {
+            setBridgeError( error.message );
+            setBridgeStatus( 'disconnected' );
+        }
+    }, [ bridgeStatus, bridgeUrl ] );
+
+    const handleTrajectoryModeChange = useCallback( e =>
+    {
+        const mode = e.target.value;
+        setTrajectoryMode( mode );
+        setTrajectoryError( null );
+        if ( mode === 'road' )
+        {
+            setTrajectory( Trajectory.fromWaypoints( ROAD_LOOP_WAYPOINTS, { loop: true } ) );
+        } else
+        {
+            // A pose file takes over once loaded
+            setTrajectory( null );
+        }
+    }, [ setTrajectory ] );
+
+    const handlePoseFileChange = useCallback( async e =>
+    {
+        const file = e.target.files[ 0 ];
+        if ( !file ) return;
+        try
+        {
+            setTrajectory( Trajectory.fromTumFile( await file.text(), { loop: true } ) );
+            setTrajectoryError( null );
+        } catch ( error )
+        {
+            setTrajectory( null );
+            setTrajectoryError( error.message );
+        }
+    }, [ setTrajectory ] );
+
     const captureButtonIcon = captureStatus === 'capturing' ? <PauseIcon className="w-5 h-5 mr-2" /> : <PlayIcon className="w-5 h-5 mr-2" />;
     const exportButtonIcon = <DocumentArrowDownIcon className="w-4 h-4 mr-2" />;
     const clearButtonIcon = <TrashIcon className="w-4 h-4" />;
@@ -113,6 +349,43 @@ const UIControls = () =>
                         Sensor Configuration
                     </h4>
                     <div className="space-y-2">
+                        <div className="flex items-center justify-between">
+                            <label htmlFor="sensor-preset" className="block text-gray-400 text-xs font-medium">Sensor</label>
+                            <select
+                                id="sensor-preset"
+                                value={activePresetId}
+                                onChange={handlePresetChange}
+                                className="w-32 bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-200"
+                            >
+                                {Object.values( presets ).map( preset => (
+                                    <option key={preset.id} value={preset.id}>{preset.name}</option>
+                                ) )}
+                            </select>
+                        </div>
+
+                        <div className="flex items-center justify-between">
+                            <label htmlFor="sensor-preset-file" className="block text-gray-400 text-xs font-medium">Preset File</label>
+                            <div className="flex items-center space-x-2">
+                                <label className="bg-gray-800 hover:bg-gray-700 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-200 cursor-pointer">
+                                    Import
+                                    <input
+                                        id="sensor-preset-file"
+                                        type="file"
+                                        accept=".json,application/json"
+                                        onChange={handlePresetFileChange}
+                                        className="hidden"
+                                    />
+                                </label>
+                                <button
+                                    onClick={handleExportPreset}
+                                    className="bg-gray-800 hover:bg-gray-700 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-200"
+                                >
+                                    Export
+                                </button>
+                            </div>
+                        </div>
+                        {presetError && <p className="text-xs text-red-400">{presetError}</p>}
+
                         <div className="flex items-center justify-between">
                             <label htmlFor="points-per-frame" className="block text-gray-400 text-xs font-medium">Points/Frame</label>
                             <div className="flex items-center space-x-2">
@@ -162,6 +435,258 @@ const UIControls = () =>
                                 />
                             </div>
                         </div>
+
+                        <div className="flex items-center justify-between">
+                            <label htmlFor="seed" className="block text-gray-400 text-xs font-medium">Seed</label>
+                            <input
+                                id="seed"
+                                type="number"
+                                min="0"
+                                step="1"
+                                defaultValue={config.seed}
+                                onChange={handleSeedChange}
+                                className="w-32 bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-200"
+                            />
+                        </div>
+
+                        <div className="flex items-center justify-between">
+                            <label htmlFor="color-mode" className="block text-gray-400 text-xs font-medium">Color By</label>
+                            <select
+                                id="color-mode"
+                                value={colorMode}
+                                onChange={e => setColorMode( e.target.value )}
+                                className="w-32 bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-200"
+                            >
+                                <option value={POINT_COLOR_MODES.INTENSITY}>Intensity</option>
+                                <option value={POINT_COLOR_MODES.SEMANTIC}>Semantic Class</option>
+                            </select>
+                        </div>
+
+                        <div className="flex items-center justify-between">
+                            <label htmlFor="scan-pattern" className="block text-gray-400 text-xs font-medium">Scan Pattern</label>
+                            <select
+                                id="scan-pattern"
+                                value={scanPatternTablePending ? SCAN_PATTERNS.TABLE : config.scanPattern}
+                                onChange={handleScanPatternChange}
+                                className="w-32 bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-200"
+                            >
+                                <option value={SCAN_PATTERNS.MID360}>MID-360</option>
+                                <option value={SCAN_PATTERNS.SPINNING}>Spinning</option>
+                                <option value={SCAN_PATTERNS.ROSETTE}>Rosette</option>
+                                <option value={SCAN_PATTERNS.TABLE}>CSV table</option>
+                            </select>
+                        </div>
+
+                        {( scanPatternTablePending || config.scanPattern === SCAN_PATTERNS.TABLE ) && (
+                            <input
+                                id="scan-pattern-file"
+                                type="file"
+                                accept=".csv"
+                                onChange={handleScanPatternFileChange}
+                                className="w-full text-xs text-gray-400"
+                            />
+                        )}
+                        {scanPatternError && <p className="text-xs text-red-400">{scanPatternError}</p>}
+
+                        <div className="flex items-center justify-between">
+                            <label htmlFor="show-scan-pattern" className="block text-gray-400 text-xs font-medium">Preview Pattern</label>
+                            <input
+                                id="show-scan-pattern"
+                                type="checkbox"
+                                checked={showScanPattern}
+                                onChange={e => setShowScanPattern( e.target.checked )}
+                                className="accent-indigo-500"
+                            />
+                        </div>
+                    </div>
+                </div>
+
+                <div>
+                    <h4 className="mb-2 font-semibold text-gray-300 text-xs uppercase tracking-wider">
+                        Simulation
+                    </h4>
+                    <div className="space-y-2">
+                        <div className="flex items-center justify-between">
+                            <span className="block text-gray-400 text-xs font-medium">Time (s)</span>
+                            <span className="text-indigo-400 text-xs font-semibold">{( simulationTime / 1000 ).toFixed( 3 )}</span>
+                        </div>
+
+                        <div className="flex items-center justify-between">
+                            <label htmlFor="time-scale" className="block text-gray-400 text-xs font-medium">Speed</label>
+                            <select
+                                id="time-scale"
+                                value={clockTimeScale}
+                                onChange={e => setClockTimeScale( parseFloat( e.target.value ) )}
+                                className="w-32 bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-200"
+                            >
+                                {[ 0.1, 0.25, 0.5, 1, 2, 4 ].map( scale => (
+                                    <option key={scale} value={scale}>{scale}x</option>
+                                ) )}
+                            </select>
+                        </div>
+
+                        <div className="flex gap-2">
+                            <button
+                                onClick={toggleClockPaused}
+                                className="flex-1 bg-gray-800 hover:bg-gray-700 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-200"
+                            >
+                                {clockPaused ? 'Resume' : 'Pause'}
+                            </button>
+                            <button
+                                onClick={stepClock}
+                                disabled={!clockPaused}
+                                className={`flex-1 border border-gray-700 rounded-md px-2 py-1 text-xs ${ clockPaused
+                                    ? 'bg-gray-800 hover:bg-gray-700 text-gray-200'
+                                    : 'bg-gray-800 text-gray-500 cursor-not-allowed'
+                                    }`}
+                            >
+                                Step
+                            </button>
+                        </div>
+                    </div>
+                </div>
+
+                <div>
+                    <h4 className="mb-2 font-semibold text-gray-300 text-xs uppercase tracking-wider">
+                        Ego Trajectory
+                    </h4>
+                    <div className="space-y-2">
+                        <div className="flex items-center justify-between">
+                            <label htmlFor="trajectory-mode" className="block text-gray-400 text-xs font-medium">Motion</label>
+                            <select
+                                id="trajectory-mode"
+                                value={trajectoryMode}
+                                onChange={handleTrajectoryModeChange}
+                                className="w-32 bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-200"
+                            >
+                                <option value="static">Static</option>
+                                <option value="road">Road loop</option>
+                                <option value="file">TUM pose file</option>
+                            </select>
+                        </div>
+
+                        {trajectoryMode === 'file' && (
+                            <input
+                                id="trajectory-file"
+                                type="file"
+                                accept=".txt,.tum"
+                                onChange={handlePoseFileChange}
+                                className="w-full text-xs text-gray-400"
+                            />
+                        )}
+                        {trajectoryError && <p className="text-xs text-red-400">{trajectoryError}</p>}
+                    </div>
+                </div>
+
+                <div>
+                    <h4 className="mb-2 font-semibold text-gray-300 text-xs uppercase tracking-wider">
+                        LiDAR Noise
+                    </h4>
+                    <div className="space-y-2">
+                        <div className="flex items-center justify-between">
+                            <label htmlFor="noise-enabled" className="block text-gray-400 text-xs font-medium">Enabled</label>
+                            <input
+                                id="noise-enabled"
+                                type="checkbox"
+                                checked={config.noise.enabled}
+                                onChange={handleNoiseEnabledChange}
+                                className="accent-indigo-500"
+                            />
+                        </div>
+                        {config.noise.enabled && [
+                            [ 'rangeSigma', 'Range Sigma (m)' ],
+                            [ 'rangeSigmaPerMeter', 'Range Sigma / m' ],
+                            [ 'incidenceFactor', 'Incidence Factor' ],
+                            [ 'angularSigma', 'Angular Sigma (°)' ],
+                            [ 'rangeResolution', 'Range Step (m)' ],
+                            [ 'intensitySigma', 'Intensity Sigma' ],
+                            [ 'dropoutRate', 'Dropout Rate' ],
+                            [ 'dropoutRangeExponent', 'Dropout Range Exp.' ],
+                        ].map( ( [ name, label ] ) => (
+                            <div key={`${ activePresetId }-${ name }`} className="flex items-center justify-between">
+                                <label htmlFor={`noise-${ name }`} className="block text-gray-400 text-xs font-medium">{label}</label>
+                                <input
+                                    id={`noise-${ name }`}
+                                    name={name}
+                                    type="number"
+                                    min="0"
+                                    step="any"
+                                    defaultValue={config.noise[ name ]}
+                                    onChange={handleNoiseConfigChange}
+                                    className="w-24 bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-200"
+                                />
+                            </div>
+                        ) )}
+                    </div>
+                </div>
+
+                <div>
+                    <h4 className="mb-2 font-semibold text-gray-300 text-xs uppercase tracking-wider">
+                        LiDAR Returns
+                    </h4>
+                    <div className="space-y-2">
+                        <div className="flex items-center justify-between">
+                            <label htmlFor="return-mode" className="block text-gray-400 text-xs font-medium">Return Mode</label>
+                            <select
+                                id="return-mode"
+                                value={config.returns.mode}
+                                onChange={handleReturnModeChange}
+                                className="w-24 bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-200"
+                            >
+                                <option value={RETURN_MODES.FIRST}>First</option>
+                                <option value={RETURN_MODES.STRONGEST}>Strongest</option>
+                                <option value={RETURN_MODES.LAST}>Last</option>
+                                <option value={RETURN_MODES.DUAL}>Dual</option>
+                            </select>
+                        </div>
+                        {[
+                            [ 'footprintRays', 'Footprint Rays', '1' ],
+                            [ 'beamDivergence', 'Divergence (mrad)', 'any' ],
+                            [ 'minSeparation', 'Min Separation (m)', 'any' ],
+                            [ 'minEchoEnergy', 'Min Echo Energy', 'any' ],
+                        ].map( ( [ name, label, step ] ) => (
+                            <div key={`${ activePresetId }-${ name }`} className="flex items-center justify-between">
+                                <label htmlFor={`returns-${ name }`} className="block text-gray-400 text-xs font-medium">{label}</label>
+                                <input
+                                    id={`returns-${ name }`}
+                                    name={name}
+                                    type="number"
+                                    min="0"
+                                    step={step}
+                                    defaultValue={config.returns[ name ]}
+                                    onChange={handleReturnConfigChange}
+                                    className="w-24 bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-200"
+                                />
+                            </div>
+                        ) )}
+                    </div>
+                </div>
+
+                <div>
+                    <h4 className="mb-2 font-semibold text-gray-300 text-xs uppercase tracking-wider">
+                        IMU Noise
+                    </h4>
+                    <div className="space-y-2">
+                        {[
+                            [ 'gyroNoiseDensity', 'Gyro Noise (rad/s/√Hz)' ],
+                            [ 'gyroRandomWalk', 'Gyro Bias Walk (rad/s²/√Hz)' ],
+                            [ 'accelNoiseDensity', 'Accel Noise (m/s²/√Hz)' ],
+                            [ 'accelRandomWalk', 'Accel Bias Walk (m/s³/√Hz)' ],
+                        ].map( ( [ name, label ] ) => (
+                            <div key={name} className="flex items-center justify-between">
+                                <label htmlFor={`imu-${ name }`} className="block text-gray-400 text-xs font-medium">{label}</label>
+                                <input
+                                    id={`imu-${ name }`}
+                                    name={name}
+                                    type="number"
+                                    min="0"
+                                    step="any"
+                                    defaultValue={imuConfig[ name ]}
+                                    onChange={handleImuConfigChange}
+                                    className="w-24 bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-200"
+                                />
+                            </div>
+                        ) )}
                     </div>
                 </div>
 
@@ -181,6 +706,35 @@ const UIControls = () =>
                     </button>
                 </div>
 
+                <div>
+                    <h4 className="mb-2 font-semibold text-gray-300 text-xs uppercase tracking-wider">
+                        Livox Bridge
+                    </h4>
+                    <div className="flex gap-2">
+                        <input
+                            id="bridge-url"
+                            type="text"
+                            value={bridgeUrl}
+                            onChange={e => setBridgeUrl( e.target.value )}
+                            disabled={bridgeStatus !== 'disconnected'}
+                            className="flex-1 bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-200"
+                        />
+                        <button
+                            onClick={toggleBridge}
+                            disabled={bridgeStatus === 'connecting'}
+                            className={`px-3 py-1 rounded-md text-xs font-semibold transition-colors ${ bridgeStatus === 'connected'
+                                ? 'bg-red-700 hover:bg-red-800 text-white'
+                                : 'bg-indigo-600 hover:bg-indigo-700 text-white'
+                                }`}
+                        >
+                            {bridgeStatus === 'connected' ? 'Disconnect' : 'Connect'}
+                        </button>
+                    </div>
+                    <p className={`text-xs mt-1 ${ bridgeError ? 'text-red-400' : 'text-gray-500' }`}>
+                        {bridgeError || ( bridgeStatus === 'connected' ? 'Streaming as MID-360' : bridgeStatus === 'connecting' ? 'Connecting...' : 'Not connected' )}
+                    </p>
+                </div>
+
                 {frameStats.frameCount > 0 && (
                     <div className="rounded-md bg-gray-800 bg-opacity-50 border border-gray-700 p-3">
                         <h5 className="text-gray-400 font-semibold text-xs mb-2 uppercase tracking-wider">Statistics</h5>
@@ -194,6 +748,132 @@ const UIControls = () =>
                     </div>
                 )}
 
+                <div className="space-y-2">
+                    <div className="flex items-center justify-between">
+                        <label htmlFor="export-format" className="block text-gray-400 text-xs font-medium">Export Format</label>
+                        <select
+                            id="export-format"
+                            name="format"
+                            value={exportOptions.format}
+                            onChange={handleExportOptionChange}
+                            className="w-40 bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-200"
+                        >
+                            <option value={EXPORT_FORMATS.PCD}>PCD (ZIP)</option>
+                            <option value={EXPORT_FORMATS.LAS}>LAS 1.4</option>
+                            <option value={EXPORT_FORMATS.KITTI}>KITTI sequence</option>
+                            <option value={EXPORT_FORMATS.MCAP}>MCAP (ROS 2)</option>
+                            <option value={EXPORT_FORMATS.LVX2}>Livox LVX2</option>
+                            <option value={EXPORT_FORMATS.VELODYNE_PCAP}>Velodyne PCAP</option>
+                            <option value={EXPORT_FORMATS.NUSCENES}>nuScenes (ZIP)</option>
+                        </select>
+                    </div>
+
+                    {exportOptions.format === EXPORT_FORMATS.VELODYNE_PCAP && (
+                        <div className="flex items-center justify-between">
+                            <label htmlFor="velodyne-model" className="block text-gray-400 text-xs font-medium">Sensor Model</label>
+                            <select
+                                id="velodyne-model"
+                                name="velodyneModel"
+                                value={exportOptions.velodyneModel}
+                                onChange={handleExportOptionChange}
+                                className="w-40 bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-200"
+                            >
+                                {Object.values( VELODYNE_MODELS ).map( model => (
+                                    <option key={model} value={model}>{model}</option>
+                                ) )}
+                            </select>
+                        </div>
+                    )}
+
+                    {exportOptions.format === EXPORT_FORMATS.VELODYNE_PCAP && (
+                        <div className="flex items-center justify-between">
+                            <label htmlFor="velodyne-return-mode" className="block text-gray-400 text-xs font-medium">Return Mode</label>
+                            <select
+                                id="velodyne-return-mode"
+                                name="velodyneReturnMode"
+                                value={exportOptions.velodyneReturnMode}
+                                onChange={handleExportOptionChange}
+                                className="w-40 bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-200"
+                            >
+                                <option value={RETURN_MODES.STRONGEST}>Strongest</option>
+                                <option value={RETURN_MODES.LAST}>Last</option>
+                                <option value={RETURN_MODES.DUAL}>Dual</option>
+                            </select>
+                        </div>
+                    )}
+
+                    {exportOptions.format === EXPORT_FORMATS.PCD && (
+                        <div className="flex items-center justify-between">
+                            <label htmlFor="pcd-encoding" className="block text-gray-400 text-xs font-medium">PCD Encoding</label>
+                            <select
+                                id="pcd-encoding"
+                                name="pcdEncoding"
+                                value={exportOptions.pcdEncoding}
+                                onChange={handleExportOptionChange}
+                                className="w-40 bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-200"
+                            >
+                                {PCD_ENCODINGS.map( encoding => (
+                                    <option key={encoding} value={encoding}>{encoding}</option>
+                                ) )}
+                            </select>
+                        </div>
+                    )}
+
+                    {exportOptions.format === EXPORT_FORMATS.LAS && (
+                        <>
+                            <div className="flex items-center justify-between">
+                                <label htmlFor="las-point-format" className="block text-gray-400 text-xs font-medium">Point Format</label>
+                                <select
+                                    id="las-point-format"
+                                    name="pointFormat"
+                                    value={exportOptions.pointFormat}
+                                    onChange={handleExportOptionChange}
+                                    className="w-40 bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-200"
+                                >
+                                    {LAS_POINT_FORMATS.map( pointFormat => (
+                                        <option key={pointFormat} value={pointFormat}>PDRF {pointFormat}</option>
+                                    ) )}
+                                </select>
+                            </div>
+                            <div className="flex items-center justify-between">
+                                <label htmlFor="las-merge" className="block text-gray-400 text-xs font-medium">Single merged file</label>
+                                <input
+                                    id="las-merge"
+                                    name="merge"
+                                    type="checkbox"
+                                    checked={exportOptions.merge}
+                                    onChange={handleExportOptionChange}
+                                    className="accent-indigo-500"
+                                />
+                            </div>
+                        </>
+                    )}
+
+                    {exportOptions.format === EXPORT_FORMATS.MCAP && (
+                        <>
+                            {[
+                                [ 'pointCloudTopic', 'Cloud Topic' ],
+                                [ 'tfTopic', 'TF Topic' ],
+                                [ 'imuTopic', 'IMU Topic' ],
+                                [ 'frameId', 'Frame ID' ],
+                                [ 'parentFrameId', 'Parent Frame ID' ],
+                            ].map( ( [ name, label ] ) => (
+                                <div key={name} className="flex items-center justify-between">
+                                    <label htmlFor={`mcap-${ name }`} className="block text-gray-400 text-xs font-medium">{label}</label>
+                                    <input
+                                        id={`mcap-${ name }`}
+                                        name={name}
+                                        type="text"
+                                        value={exportOptions[ name ]}
+                                        onChange={handleExportOptionChange}
+                                        className="w-40 bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-200"
+                                    />
+                                </div>
+                            ) )}
+                        </>
+                    )}
+                </div>
+
                 <div className="flex gap-2">
                     <button
                         onClick={handleExportLidarFrames}
@@ -0,0 +1,14 @@
+import * as THREE from "three";
+import { MeshBVH, acceleratedRaycast } from "three-mesh-bvh";
+
+/**
+ * Patch three.js so meshes can build a BVH with `geometry.computeBoundsTree()`
+ * and raycasts use it. Done once at startup, by the app and by the headless
+ * dataset generator alike.
+ */
+export function installMeshBvh() {
+  THREE.BufferGeometry.prototype.computeBoundsTree = function () {
+    this.boundsTree = new MeshBVH(this);
+  };
+  THREE.Mesh.prototype.raycast = acceleratedRaycast;
+}
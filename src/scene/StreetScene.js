@@ -0,0 +1,357 @@
+import * as THREE from "three";
+import { InstancedMesh2 } from "@three.ez/instanced-mesh";
+import { mergeGeometries } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import { SEMANTIC_CLASSES } from "../sensors/lidar/config/SemanticClasses.js";
+import { OBJECT_CLASSES } from "../sensors/lidar/config/ObjectClasses.js";
+import { RANDOM_STREAMS, createRandom } from "../sensors/lidar/utils/SeededRandom.js";
+import {
+  LIDAR_LAYERS,
+  LidarMeshRegistry,
+} from "../sensors/lidar/logic/LidarMeshRegistry.js";
+
+// The street scene is plain three.js so the app and the headless dataset
+// generator scan exactly the same world.
+
+export const STATIC_BUILDINGS_COUNT = 20;
+export const STATIC_TREES_COUNT = 30;
+export const STATIC_STREETLIGHTS_COUNT = 30;
+export const FIXED_CARS_COUNT = 30;
+export const DYNAMIC_CARS_COUNT = 3;
+
+// Track ids of each object family, stored per point and in bounding box labels (0 = no object)
+const BUILDING_TRACK_ID_BASE = 1;
+const CAR_TRACK_ID_BASE = BUILDING_TRACK_ID_BASE + STATIC_BUILDINGS_COUNT;
+const TREE_TRACK_ID_BASE = CAR_TRACK_ID_BASE + FIXED_CARS_COUNT + DYNAMIC_CARS_COUNT;
+const STREETLIGHT_TRACK_ID_BASE = TREE_TRACK_ID_BASE + STATIC_TREES_COUNT;
+
+const INSTANCE_BVH_OPTIONS = { margin: 1 };
+
+/**
+ * Geometries and materials shared by the instanced objects.
+ * @returns {Object}
+ */
+export function createStreetAssets() {
+  // Building assets
+  const buildingGeometry = new THREE.BoxGeometry(10, 30, 10);
+  const buildingMaterial = new THREE.MeshStandardMaterial({
+    color: "#000000",
+    roughness: 0.7,
+    metalness: 0.1,
+  });
+
+  // Car assets
+  const carGeometry = new THREE.BoxGeometry(1.8, 0.8, 4);
+  const carMaterial = new THREE.MeshStandardMaterial({
+    color: "#a39696",
+    roughness: 0.5,
+    metalness: 0.2,
+  });
+
+  // Tree assets
+  const treeTrunkGeometry = new THREE.CylinderGeometry(0.5, 0.5, 5, 8);
+  const treeFoliageGeometry = new THREE.ConeGeometry(3, 8, 8);
+  const treeGeometry = mergeGeometries([
+    treeTrunkGeometry,
+    treeFoliageGeometry.translate(0, 6.5, 0),
+  ]);
+  treeGeometry.computeBoundingBox();
+  // Trunk triangles come first in the merged index, then the foliage
+  const trunkTriangles = treeTrunkGeometry.index.count / 3;
+  treeGeometry.userData.semanticRanges = [
+    { start: 0, count: trunkTriangles, semanticClass: SEMANTIC_CLASSES.TRUNK },
+    {
+      start: trunkTriangles,
+      count: treeFoliageGeometry.index.count / 3,
+      semanticClass: SEMANTIC_CLASSES.VEGETATION,
+      transmittance: 0.5, // Half a beam passes through the gaps between leaves
+    },
+  ];
+  const treeMaterial = new THREE.MeshStandardMaterial({
+    color: "#3d5537",
+    roughness: 0.8,
+    metalness: 0.1,
+  });
+
+  // Streetlight assets
+  const lightPoleGeometry = new THREE.CylinderGeometry(0.2, 0.2, 10, 8);
+  const lightFixtureGeometry = new THREE.BoxGeometry(1, 0.5, 1.5);
+  const streetlightGeometry = mergeGeometries([
+    lightPoleGeometry,
+    lightFixtureGeometry.translate(0, 5, 0),
+  ]);
+  streetlightGeometry.computeBoundingBox();
+  const streetlightMaterial = new THREE.MeshStandardMaterial({
+    color: "#444444",
+    roughness: 0.7,
+    metalness: 0.8,
+  });
+
+  return {
+    buildingGeometry,
+    buildingMaterial,
+    carGeometry,
+    carMaterial,
+    treeGeometry,
+    treeMaterial,
+    streetlightGeometry,
+    streetlightMaterial,
+  };
+}
+
+/**
+ * Ground plane, with its BVH.
+ * @returns {THREE.Mesh}
+ */
+export function createGround() {
+  const ground = new THREE.Mesh(
+    new THREE.PlaneGeometry(800, 800),
+    new THREE.MeshStandardMaterial({
+      color: "#18181b",
+      roughness: 0.7,
+      metalness: 0.08,
+    })
+  );
+  ground.name = "ground";
+  ground.userData.semanticClass = SEMANTIC_CLASSES.TERRAIN;
+  ground.rotation.set(-Math.PI / 2, 0, 0);
+  ground.receiveShadow = true;
+  ground.geometry.computeBoundsTree();
+  return ground;
+}
+
+/**
+ * Main road with its lane line, with BVHs.
+ * @returns {THREE.Mesh}
+ */
+export function createRoad() {
+  const road = new THREE.Mesh(
+    new THREE.BoxGeometry(15, 0.1, 800),
+    new THREE.MeshStandardMaterial({
+      color: "#444",
+      roughness: 0.5,
+      metalness: 0.3,
+      opacity: 0.98,
+      transparent: true,
+    })
+  );
+  road.name = "road";
+  road.userData.semanticClass = SEMANTIC_CLASSES.ROAD;
+  road.position.set(0, 0.05, 0);
+  road.receiveShadow = true;
+  road.castShadow = true;
+  road.geometry.computeBoundsTree();
+
+  const laneLines = new THREE.Mesh(
+    new THREE.BoxGeometry(0.3, 0.01, 800),
+    new THREE.MeshStandardMaterial({
+      color: "#fff",
+      roughness: 0.3,
+      metalness: 0.1,
+      opacity: 0.7,
+      transparent: true,
+    })
+  );
+  laneLines.name = "lane-lines";
+  laneLines.userData.semanticClass = SEMANTIC_CLASSES.LANE_MARKING;
+  laneLines.position.set(0, 0.07, 0);
+  road.add(laneLines);
+
+  return road;
+}
+
+/**
+ * Instanced mesh with `count` instances placed by `placeInstance(object, i)`,
+ * and the BVH used for per-instance frustum culling.
+ * @private
+ */
+function createInstances(geometry, material, count, placeInstance) {
+  const instancedMesh = new InstancedMesh2(geometry, material, {
+    capacity: count,
+    createEntities: true,
+    perObjectFrustumCulled: true,
+  });
+  instancedMesh.addInstances(count, (object, i) => {
+    placeInstance(object, i);
+    object.updateMatrix();
+  });
+  instancedMesh.instanceMatrix.needsUpdate = true;
+  if (instancedMesh.instanceColor) instancedMesh.instanceColor.needsUpdate = true;
+  instancedMesh.computeBVH(INSTANCE_BVH_OPTIONS);
+  return instancedMesh;
+}
+
+/**
+ * Buildings in two rows along the road.
+ * @param {Object} assets - See createStreetAssets
+ * @returns {InstancedMesh2}
+ */
+export function createBuildings({ buildingGeometry, buildingMaterial }) {
+  const buildings = createInstances(
+    buildingGeometry,
+    buildingMaterial,
+    STATIC_BUILDINGS_COUNT,
+    (object, i) => {
+      const streetWidth = 40;
+      const buildingSpacing = 50;
+      const streetIndex = Math.floor(i / (STATIC_BUILDINGS_COUNT / 2));
+      const x = streetIndex === 0 ? -streetWidth : streetWidth;
+      const z =
+        (i % (STATIC_BUILDINGS_COUNT / 2)) * buildingSpacing -
+        ((STATIC_BUILDINGS_COUNT / 2) * buildingSpacing) / 2;
+      const y = buildingGeometry.parameters.height / 2;
+      object.position.set(x, y, z);
+    }
+  );
+  buildings.userData.semanticClass = SEMANTIC_CLASSES.BUILDING;
+  buildings.userData.objectClass = OBJECT_CLASSES.BUILDING;
+  buildings.userData.trackIdBase = BUILDING_TRACK_ID_BASE;
+  return buildings;
+}
+
+/**
+ * Parked cars along the road and moving cars in its lanes. The moving cars
+ * pick their lane from the seeded actor stream.
+ * @param {Object} assets - See createStreetAssets
+ * @param {Number} seed - Global seed, see LidarConfig `seed`
+ * @returns {InstancedMesh2}
+ */
+export function createCars({ carGeometry, carMaterial }, seed) {
+  const totalCars = FIXED_CARS_COUNT + DYNAMIC_CARS_COUNT;
+  const random = createRandom(seed, RANDOM_STREAMS.ACTORS);
+  const initialPositions = [];
+  const cars = createInstances(carGeometry, carMaterial, totalCars, (object, i) => {
+    const y = carGeometry.parameters.height / 2 + 0.1;
+    if (i < FIXED_CARS_COUNT) {
+      const x = i % 2 === 0 ? -10 : 10;
+      const z = -250 + i * 150;
+      object.position.set(x, y, z);
+    } else {
+      const z = -200 + (i - FIXED_CARS_COUNT) * (800 / DYNAMIC_CARS_COUNT);
+      const x = random.next() > 0.5 ? 4 : -4;
+      object.position.set(x, y, z);
+    }
+    initialPositions.push(new THREE.Vector3().copy(object.position));
+  });
+
+  // Parked cars are static, the animated ones are labelled as moving
+  cars.userData.instanceSemanticClasses = Array.from({ length: totalCars }, (_, i) =>
+    i < FIXED_CARS_COUNT ? SEMANTIC_CLASSES.CAR : SEMANTIC_CLASSES.MOVING_CAR
+  );
+  cars.userData.objectClass = OBJECT_CLASSES.CAR;
+  cars.userData.trackIdBase = CAR_TRACK_ID_BASE;
+  cars.userData.initialPositions = initialPositions;
+  return cars;
+}
+
+/**
+ * Trees in two rows along the road.
+ * @param {Object} assets - See createStreetAssets
+ * @returns {InstancedMesh2}
+ */
+export function createTrees({ treeGeometry, treeMaterial }) {
+  const trees = createInstances(
+    treeGeometry,
+    treeMaterial,
+    STATIC_TREES_COUNT,
+    (object, i) => {
+      const streetWidth = 20;
+      const treeSpacing = 20;
+      const streetIndex = Math.floor(i / (STATIC_TREES_COUNT / 2));
+      const x = streetIndex === 0 ? -streetWidth : streetWidth;
+      const z =
+        (i % (STATIC_TREES_COUNT / 2)) * treeSpacing -
+        ((STATIC_TREES_COUNT / 2) * treeSpacing) / 2;
+      const y = -treeGeometry.boundingBox.min.y;
+      object.position.set(x, y, z);
+    }
+  );
+  trees.userData.objectClass = OBJECT_CLASSES.TREE;
+  trees.userData.trackIdBase = TREE_TRACK_ID_BASE;
+  return trees;
+}
+
+/**
+ * Streetlights in two rows along the road.
+ * @param {Object} assets - See createStreetAssets
+ * @returns {InstancedMesh2}
+ */
+export function createStreetlights({ streetlightGeometry, streetlightMaterial }) {
+  const streetlights = createInstances(
+    streetlightGeometry,
+    streetlightMaterial,
+    STATIC_STREETLIGHTS_COUNT,
+    (object, i) => {
+      const streetWidth = 15;
+      const lightSpacing = 40;
+      const streetIndex = Math.floor(i / (STATIC_STREETLIGHTS_COUNT / 2));
+      const x = streetIndex === 0 ? -streetWidth : streetWidth;
+      const z =
+        (i % (STATIC_STREETLIGHTS_COUNT / 2)) * lightSpacing -
+        ((STATIC_STREETLIGHTS_COUNT / 2) * lightSpacing) / 2;
+      const y = -streetlightGeometry.boundingBox.min.y;
+      object.position.set(x, y, z);
+    }
+  );
+  streetlights.userData.semanticClass = SEMANTIC_CLASSES.POLE;
+  streetlights.userData.objectClass = OBJECT_CLASSES.STREETLIGHT;
+  streetlights.userData.trackIdBase = STREETLIGHT_TRACK_ID_BASE;
+  return streetlights;
+}
+
+/**
+ * Move the cars to where they are `timeMs` into the simulation. Moving cars
+ * drive up their lane and wrap around at the end of the road.
+ * @param {InstancedMesh2} cars - See createCars
+ * @param {Number} timeMs - Simulation time in milliseconds
+ */
+export function updateCars(cars, timeMs) {
+  const { initialPositions } = cars.userData;
+  let anyCarMoved = false;
+
+  for (let i = FIXED_CARS_COUNT; i < FIXED_CARS_COUNT + DYNAMIC_CARS_COUNT; i++) {
+    const object = cars.instances[i];
+    const initialPos = initialPositions[i];
+
+    const speed = 5 + i * 0.5;
+    const newZ = (initialPos.z + (timeMs / 1000) * speed) % 400;
+    const z = newZ > 200 ? newZ - 800 : newZ;
+    if (object.position.z !== z) {
+      // Also refits the car in the instance BVH
+      object.position.set(initialPos.x, initialPos.y, z);
+      object.updateMatrixPosition();
+      anyCarMoved = true;
+    }
+  }
+
+  if (anyCarMoved) {
+    cars.instanceMatrix.needsUpdate = true;
+  }
+}
+
+/**
+ * The whole street scene in a THREE.Scene, for scanning without a renderer,
+ * registered on the same LiDAR layers as in the app. Lights are left out:
+ * they do not affect the LiDAR.
+ * @param {Object} options
+ * @param {Number} options.seed - Global seed, see LidarConfig `seed`
+ * @returns {{scene: THREE.Scene, cars: InstancedMesh2, meshRegistry: LidarMeshRegistry}}
+ */
+export function buildStreetScene({ seed } = {}) {
+  const assets = createStreetAssets();
+  const scene = new THREE.Scene();
+  const meshRegistry = new LidarMeshRegistry();
+  const add = (object, layer, tags, occluder = false) => {
+    scene.add(object);
+    meshRegistry.register(object, { layer, tags, occluder });
+    return object;
+  };
+
+  add(createGround(), LIDAR_LAYERS.GROUND, ["static"]);
+  add(createRoad(), LIDAR_LAYERS.GROUND, ["static"]);
+  add(createBuildings(assets), LIDAR_LAYERS.STRUCTURES, ["static"], true);
+  const cars = add(createCars(assets, seed), LIDAR_LAYERS.VEHICLES, ["dynamic"]);
+  add(createTrees(assets), LIDAR_LAYERS.VEGETATION, ["static"]);
+  add(createStreetlights(assets), LIDAR_LAYERS.STRUCTURES, ["static"]);
+  scene.updateMatrixWorld();
+  return { scene, cars, meshRegistry };
+}
@@ -0,0 +1,19 @@
+// Defaults match the ICM-40609 built into the Livox MID-360, which reports at
+// 200 Hz. Noise densities come from the datasheet; random walks are typical
+// values for this class of MEMS IMU.
+export const DEFAULT_IMU_CONFIG = {
+  rate: 200, // Hz
+  gyroBias: [0, 0, 0], // rad/s, initial bias per axis
+  accelBias: [0, 0, 0], // m/s^2, initial bias per axis
+  gyroNoiseDensity: 6.98e-5, // rad/s/sqrt(Hz), 0.004 dps/sqrt(Hz)
+  accelNoiseDensity: 9.81e-4, // m/s^2/sqrt(Hz), 100 ug/sqrt(Hz)
+  gyroRandomWalk: 1e-5, // rad/s^2/sqrt(Hz)
+  accelRandomWalk: 1e-4, // m/s^3/sqrt(Hz)
+};
+
+export function createImuConfig(overrides = {}) {
+  return {
+    ...DEFAULT_IMU_CONFIG,
+    ...overrides,
+  };
+}
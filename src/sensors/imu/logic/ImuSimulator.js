@@ -0,0 +1,143 @@
+import * as THREE from "three";
+import { createImuConfig } from "../config/ImuConfig.js";
+import {
+  DEFAULT_SEED,
+  RANDOM_STREAMS,
+  createRandom,
+} from "../../lidar/utils/SeededRandom.js";
+
+const GRAVITY = 9.80665;
+// Specific force of a body at rest: the reaction to gravity, along three.js +Y
+const GRAVITY_REACTION = new THREE.Vector3(0, GRAVITY, 0);
+// After a longer gap (e.g. a hidden browser tab) sampling restarts instead of catching up
+const MAX_CATCH_UP_MS = 1000;
+
+/**
+ * Express a vector given along the sensor's three.js body axes in the
+ * IMU frame (x forward, y left, z up).
+ * @private
+ */
+function toFlu(vector) {
+  return [vector.z, vector.x, vector.y];
+}
+
+/**
+ * Simulated IMU rigidly attached to the sensor. Angular velocity and specific
+ * force (acceleration minus gravity) are differentiated from the sensor's
+ * poses over time, then corrupted with a per-axis bias that follows a random
+ * walk plus white noise, as in the usual continuous-time IMU noise model.
+ */
+export class ImuSimulator {
+  /**
+   * @param {Object} config - See DEFAULT_IMU_CONFIG
+   * @param {Number} seed - Seed of the noise stream, see LidarConfig `seed`
+   */
+  constructor(config = {}, seed = DEFAULT_SEED) {
+    this.config = createImuConfig(config);
+    this.random = createRandom(seed, RANDOM_STREAMS.IMU);
+    this.periodMs = 1000 / this.config.rate;
+    this.gyroBias = [...this.config.gyroBias];
+    this.accelBias = [...this.config.accelBias];
+    this.nextSampleTime = null;
+  }
+
+  /**
+   * Generate every sample due up to `timeMs`.
+   * @param {Number} timeMs - Unix time in milliseconds, on the lidar point clock
+   * @param {Function} getPoseAt - (timeMs) => sensor world pose ({position, quaternion} arrays)
+   * @returns {Array<{timestampMs: Number, gyro: Number[], accel: Number[]}>} - Samples in
+   *   the IMU frame (x forward, y left, z up): angular velocity (rad/s) and specific force (m/s^2)
+   */
+  update(timeMs, getPoseAt) {
+    if (
+      this.nextSampleTime === null ||
+      timeMs - this.nextSampleTime > MAX_CATCH_UP_MS
+    ) {
+      this.nextSampleTime = Math.ceil(timeMs / this.periodMs) * this.periodMs;
+    }
+
+    const samples = [];
+    while (this.nextSampleTime <= timeMs) {
+      samples.push(this.sample(this.nextSampleTime, getPoseAt));
+      this.nextSampleTime += this.periodMs;
+    }
+    return samples;
+  }
+
+  /**
+   * Measure one sample at `timeMs`, differentiating the poses half a period
+   * on either side.
+   * @param {Number} timeMs - Unix time in milliseconds
+   * @param {Function} getPoseAt - (timeMs) => sensor world pose
+   * @returns {{timestampMs: Number, gyro: Number[], accel: Number[]}}
+   */
+  sample(timeMs, getPoseAt) {
+    const halfStepMs = this.periodMs / 2;
+    const halfStep = halfStepMs / 1000;
+    const before = getPoseAt(timeMs - halfStepMs);
+    const current = getPoseAt(timeMs);
+    const after = getPoseAt(timeMs + halfStepMs);
+
+    const rotation = new THREE.Quaternion().fromArray(current.quaternion);
+    const inverseRotation = rotation.clone().invert();
+
+    // Body-frame rotation between the neighbouring poses, as a rotation vector
+    const delta = new THREE.Quaternion()
+      .fromArray(before.quaternion)
+      .invert()
+      .multiply(new THREE.Quaternion().fromArray(after.quaternion));
+    if (delta.w < 0) {
+      delta.set(-delta.x, -delta.y, -delta.z, -delta.w);
+    }
+    const angle = 2 * Math.acos(Math.min(delta.w, 1));
+    const sinHalfAngle = Math.sqrt(Math.max(1 - delta.w * delta.w, 0));
+    const angularVelocity =
+      sinHalfAngle > 1e-12
+        ? new THREE.Vector3(delta.x, delta.y, delta.z).multiplyScalar(
+            angle / sinHalfAngle / (2 * halfStep)
+          )
+        : new THREE.Vector3();
+
+    // Second central difference of the position, minus gravity, in the body frame
+    const acceleration = new THREE.Vector3()
+      .fromArray(after.position)
+      .add(new THREE.Vector3().fromArray(before.position))
+      .sub(new THREE.Vector3().fromArray(current.position).multiplyScalar(2))
+      .divideScalar(halfStep * halfStep);
+    const specificForce = acceleration
+      .add(GRAVITY_REACTION)
+      .applyQuaternion(inverseRotation);
+
+    return {
+      timestampMs: timeMs,
+      gyro: this._corrupt(
+        toFlu(angularVelocity),
+        this.gyroBias,
+        this.config.gyroNoiseDensity,
+        this.config.gyroRandomWalk
+      ),
+      accel: this._corrupt(
+        toFlu(specificForce),
+        this.accelBias,
+        this.config.accelNoiseDensity,
+        this.config.accelRandomWalk
+      ),
+    };
+  }
+
+  /**
+   * Advance the bias random walk by one period and add bias and white noise.
+   * @private
+   */
+  _corrupt(values, bias, noiseDensity, randomWalk) {
+    const dt = this.periodMs / 1000;
+    return values.map((value, axis) => {
+      bias[axis] += randomWalk * Math.sqrt(dt) * this.random.gaussian();
+      return (
+        value +
+        bias[axis] +
+        (noiseDensity / Math.sqrt(dt)) * this.random.gaussian()
+      );
+    });
+  }
+}
@@ -0,0 +1,18 @@
+import { msToNs } from "../../lidar/utils/BinaryUtils.js";
+
+const CSV_HEADER =
+  "#timestamp [ns],w_RS_S_x [rad s^-1],w_RS_S_y [rad s^-1],w_RS_S_z [rad s^-1]," +
+  "a_RS_S_x [m s^-2],a_RS_S_y [m s^-2],a_RS_S_z [m s^-2]";
+
+/**
+ * Write IMU samples as a EuRoC-style imu0/data.csv: Unix timestamp in
+ * nanoseconds, angular velocity and specific force in the sensor frame.
+ * @param {Array<{timestampMs: Number, gyro: Number[], accel: Number[]}>} samples
+ * @returns {String}
+ */
+export function writeImuCsv(samples) {
+  const lines = samples.map(({ timestampMs, gyro, accel }) =>
+    [msToNs(timestampMs), ...gyro, ...accel].join(",")
+  );
+  return [CSV_HEADER, ...lines].join("\n") + "\n";
+}
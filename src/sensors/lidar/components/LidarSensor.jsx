@@ -1,18 +1,20 @@
 import React, { useRef, useMemo, useState, useEffect, useCallback } from 'react';
-import { useFrame, useThree } from '@react-three/fiber';
+import { useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
 import { Sphere } from '@react-three/drei';
-import
-{
-    initializeVerticalAngles,
-    updateScanAngle,
-    getSensorPosition,
-    castRaysForFrame,
-} from '../logic/ScanningLogic';
+import { LidarScanner } from '../logic/LidarScanner';
+import { RaycastWorkerPool } from '../logic/RaycastWorkerPool';
 import { LidarFrameManager } from '../utils/ExportLogic';
-import { createLidarConfig } from '../config/LidarConfig';
+import { createLidarConfig, getEpochMs } from '../config/LidarConfig';
 import { useLidarConfig } from '../context/LidarConfigContext';
 import { CircularPointBuffer } from '../utils/CircularPointBuffer';
+import { LivoxBridgeClient } from '../utils/LivoxBridgeClient';
+import { POINT_FIELDS, POINT_STRIDE } from '../utils/PointLayout';
+import { POINT_COLOR_MODES, mapSemanticClassToColor, visualizeScanPattern, clearScanPattern } from '../logic/VisualizationLogic';
+import { collectObjectAnnotations } from '../logic/ObjectAnnotations';
+import { distortPoints } from '../utils/SensorMotion';
+import { getObjectPose } from '../utils/CoordinateFrames';
+import { CLOCK_PRIORITIES } from '../logic/SimulationClock';
 
 const MAX_POINTS = 10000;
 
@@ -32,12 +34,12 @@ const LidarSensor = ( {
 {
     const sensorRef = useRef();
     const pointsRef = useRef();
-    const { scene } = useThree();
-    const startTime = useRef( Date.now() );
     const frameCounter = useRef( 0 );
 
-    const { config: contextConfig } = useLidarConfig();
+    const { config: contextConfig, colorMode, trajectory, imuConfig, showScanPattern, clock, meshRegistry } = useLidarConfig();
+    const [ mountX, mountY, mountZ ] = position;
     const frameManager = useRef( null );
+    const bridgeClient = useRef( new LivoxBridgeClient() );
     const [ isCapturing, setIsCapturing ] = useState( false );
 
     const lidarConfig = useMemo( () =>
@@ -47,32 +49,63 @@ const LidarSensor = ( {
             ...config
         } );
     }, [ contextConfig, config ] );
+    const { startTime } = lidarConfig;
 
-    const pointBuffer = useRef( new CircularPointBuffer( MAX_POINTS, 4 ) );
-
-    const scanState = useRef( {
-        horizontalAngle: 0,
-        verticalAngles: initializeVerticalAngles(
-            lidarConfig.numChannels,
-            lidarConfig.verticalFOV,
-            lidarConfig.verticalFOVMin,
-            lidarConfig.verticalFOVMax
-        ),
-        scanPhase: 0,
-        frameCount: 0,
-        patternOffset: Math.random() * 1000
-    } );
+    const pointBuffer = useRef( new CircularPointBuffer( MAX_POINTS, POINT_STRIDE ) );
+
+    // Scans the scene on every simulation step, configured by the effects below
+    const scanner = useMemo( () => new LidarScanner( { meshRegistry, sensorRef } ), [ meshRegistry ] );
+
+    useEffect( () =>
+    {
+        scanner.setLidarConfig( lidarConfig );
+    }, [ scanner, lidarConfig ] );
+
+    useEffect( () =>
+    {
+        scanner.setImuConfig( imuConfig, lidarConfig.seed );
+    }, [ scanner, imuConfig, lidarConfig.seed ] );
+
+    // Rays are cast in a pool of workers so scanning never blocks rendering.
+    // The clock waits while the workers are behind instead of queueing batches.
+    useEffect( () =>
+    {
+        const workerPool = new RaycastWorkerPool();
+        scanner.setWorkerPool( workerPool );
+        const removeGate = clock.addGate( () => !workerPool.isBusy );
+
+        return () =>
+        {
+            removeGate();
+            scanner.setWorkerPool( null );
+            workerPool.dispose();
+        };
+    }, [ scanner, clock ] );
 
+    // Each simulation step scans exactly one batch of firings
     useEffect( () =>
     {
-        scanState.current.verticalAngles = initializeVerticalAngles(
-            lidarConfig.numChannels,
-            lidarConfig.verticalFOV,
-            lidarConfig.verticalFOVMin,
-            lidarConfig.verticalFOVMax );
-    }, [ lidarConfig.numChannels, lidarConfig.verticalFOV, lidarConfig.verticalFOVMin, lidarConfig.verticalFOVMax ] );
+        clock.setStepMs( lidarConfig.pointsPerFrame * 1000 / lidarConfig.pointRate );
+    }, [ clock, lidarConfig.pointsPerFrame, lidarConfig.pointRate ] );
+
+    // Preview the active scan pattern around the sensor
+    useEffect( () =>
+    {
+        const sensor = sensorRef.current;
+        if ( !sensor ) return;
+        if ( showScanPattern )
+        {
+            visualizeScanPattern( sensor, scanner.scanState.scanPattern );
+        }
+        return () => clearScanPattern( sensor );
+    }, [ scanner, showScanPattern, lidarConfig ] );
 
-    const raycaster = useMemo( () => new THREE.Raycaster(), [] );
+    // Restart the ego vehicle at the beginning of a new trajectory, or put the
+    // sensor back on its fixed mount when there is none
+    useEffect( () =>
+    {
+        scanner.setTrajectory( trajectory, clock.unixTimeMs, [ mountX, mountY, mountZ ] );
+    }, [ scanner, trajectory, mountX, mountY, mountZ, clock ] );
 
     const { pointCloudGeometry, pointCloudMaterial } = useMemo( () =>
     {
@@ -118,14 +151,14 @@ const LidarSensor = ( {
         const positionAttribute = pointCloudGeometry.attributes.position;
         const colorAttribute = pointCloudGeometry.attributes.color;
 
-        // Transform 4-component buffer data to separate 3-component position and color arrays
+        // Transform interleaved buffer data to separate 3-component position and color arrays
         const numPoints = newPoints.length / pointBuffer.current.componentsPerPoint;
         const newPositions = new Float32Array( numPoints * 3 );
         const newColors = new Float32Array( numPoints * 3 );
 
         for ( let i = 0; i < numPoints; i++ )
         {
-            const sourceIndex = i * 4;
+            const sourceIndex = i * POINT_STRIDE;
             const destIndex = i * 3;
 
             // Copy position (x, y, z)
@@ -133,9 +166,10 @@ const LidarSensor = ( {
             newPositions[ destIndex + 1 ] = newPoints[ sourceIndex + 1 ];
             newPositions[ destIndex + 2 ] = newPoints[ sourceIndex + 2 ];
 
-            // Map intensity to color
-            const intensity = newPoints[ sourceIndex + 3 ];
-            const color = mapIntensityToColor( intensity );
+            // Map intensity or semantic class to color
+            const color = colorMode === POINT_COLOR_MODES.SEMANTIC
+                ? mapSemanticClassToColor( newPoints[ sourceIndex + POINT_FIELDS.LABEL ] )
+                : mapIntensityToColor( newPoints[ sourceIndex + POINT_FIELDS.INTENSITY ] );
             newColors[ destIndex ] = color[ 0 ];
             newColors[ destIndex + 1 ] = color[ 1 ];
             newColors[ destIndex + 2 ] = color[ 2 ];
@@ -184,7 +218,7 @@ const LidarSensor = ( {
         colorAttribute.needsUpdate = true;
         pointCloudGeometry.computeBoundingSphere();
 
-    }, [ pointCloudGeometry, pointBuffer ] );
+    }, [ pointCloudGeometry, pointBuffer, colorMode ] );
 
     useEffect( () =>
     {
@@ -198,13 +232,23 @@ const LidarSensor = ( {
         };
     }, [ lidarConfig.scanRate ] );
 
+    useEffect( () =>
+    {
+        frameManager.current.objectSnapshotProvider = () =>
+            sensorRef.current ? collectObjectAnnotations( meshRegistry, sensorRef.current, scanner.raycaster, lidarConfig ) : null;
+    }, [ meshRegistry, scanner, lidarConfig ] );
+
+    // A capture restarts the simulation at time 0 from the configured start
+    // time, so the same seed and config capture the same data on every run
     useEffect( () =>
     {
         window.startLidarCapture = () =>
         {
             if ( frameManager.current )
             {
-                frameManager.current.startCapture();
+                clock.reset( getEpochMs( { startTime } ) );
+                scanner.restart( clock.unixTimeMs );
+                frameManager.current.startCapture( clock.unixTimeMs );
                 setIsCapturing( true );
             }
         };
@@ -218,11 +262,20 @@ const LidarSensor = ( {
             }
         };
 
-        window.exportLidarFrames = async () =>
+        return () =>
+        {
+            delete window.startLidarCapture;
+            delete window.stopLidarCapture;
+        };
+    }, [ clock, scanner, startTime ] );
+
+    useEffect( () =>
+    {
+        window.exportLidarFrames = async ( options = {} ) =>
         {
             if ( frameManager.current )
             {
-                await frameManager.current.exportFramesAsZip();
+                await frameManager.current.exportFrames( options );
             }
         };
 
@@ -234,51 +287,68 @@ const LidarSensor = ( {
             }
         };
 
+        window.connectLivoxBridge = async ( url, onClose ) =>
+        {
+            bridgeClient.current.disconnect();
+            bridgeClient.current = new LivoxBridgeClient( url );
+            await bridgeClient.current.connect( onClose );
+        };
+
+        window.disconnectLivoxBridge = () =>
+        {
+            bridgeClient.current.disconnect();
+        };
+
+        const client = bridgeClient.current;
+
         return () =>
         {
-            delete window.startLidarCapture;
-            delete window.stopLidarCapture;
             delete window.exportLidarFrames;
             delete window.clearLidarFrames;
+            delete window.connectLivoxBridge;
+            delete window.disconnectLivoxBridge;
+            client.disconnect();
         };
     }, [] );
 
-    const lastUpdateTime = useRef( 0 );
-    useFrame( ( state, delta ) =>
+    // Scan one batch per simulation step, after the actors have moved. Results
+    // arrive from the workers in step order.
+    useEffect( () => clock.subscribe( ( step ) =>
     {
-        if ( !sensorRef.current ) return;
-
-        const now = state.clock.elapsedTime;
-        if ( now - lastUpdateTime.current < ( 1 / 30 ) ) return;
-        lastUpdateTime.current = now;
-
-        updateScanAngle( delta, scanState.current, lidarConfig.scanRate );
-        const sensorPosition = getSensorPosition( sensorRef );
-
-        const currentTime = Date.now() - startTime.current;
-
-        const scanResult = castRaysForFrame(
-            sensorPosition,
-            scene,
-            scanState.current,
-            raycaster,
-            lidarConfig,
-            currentTime,
-            sensorRef,
-            true
-        );
+        if ( !sensorRef.current || !scanner.workerPool ) return;
 
-        const newPoints = scanResult.points;
-        pointBuffer.current.addBatch( newPoints );
-
-        updateVisualization();
+        const scanned = scanner.scanInWorkers( step );
+        // Boxes of a new frame are taken now, while the scene is as scanned
+        const objects = isCapturing && frameManager.current
+            ? frameManager.current.snapshotObjectsForBatch( step.unixTimeMs, getObjectPose( sensorRef.current ) )
+            : null;
 
-        if ( isCapturing && frameManager.current )
+        scanned.then( ( { points: newPoints, cleanPoints, sensorPose, motion, imuSamples } ) =>
         {
-            frameManager.current.addPointsToFrame( newPoints );
-        }
+            pointBuffer.current.addBatch( newPoints );
+
+            if ( isCapturing && frameManager.current )
+            {
+                frameManager.current.addPointsToFrame( newPoints, sensorPose, step.unixTimeMs, motion, cleanPoints, objects );
+                frameManager.current.addImuSamples( imuSamples );
+            }
+
+            if ( bridgeClient.current.isConnected )
+            {
+                // Stream what the moving sensor would report, relative to its batch start pose
+                const reportedPoints = motion ? distortPoints( newPoints, motion, motion.startPose ) : newPoints;
+                bridgeClient.current.sendPoints( reportedPoints, sensorPose, step.unixTimeMs );
+                bridgeClient.current.sendImu( imuSamples );
+            }
 
-        frameCounter.current++;
+            frameCounter.current++;
+        } ).catch( ( error ) => console.error( error ) );
+    }, CLOCK_PRIORITIES.SENSORS ), [ clock, scanner, isCapturing ] );
+
+    // Points scanned since the last render are uploaded once per frame
+    useFrame( () =>
+    {
+        updateVisualization();
     } );
 
     return (
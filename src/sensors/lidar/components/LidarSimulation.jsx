@@ -3,6 +3,7 @@ import { Canvas } from '@react-three/fiber';
 import { OrbitControls, Stats } from '@react-three/drei';
 import Scene from '../../../components/Scene';
 import UIControls from '../../../components/UIControls';
+import LidarMeshPanel from '../../../components/LidarMeshPanel';
 import { LidarConfigProvider } from '../context/LidarConfigContext';
 import * as THREE from 'three';
 
@@ -40,6 +41,7 @@ const LidarSimulation = () =>
                     <Stats />
                 </Canvas>
                 <UIControls />
+                <LidarMeshPanel />
             </div>
         </LidarConfigProvider>
     );
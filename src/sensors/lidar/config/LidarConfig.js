@@ -1,18 +1,47 @@
-export const DEFAULT_LIDAR_CONFIG = {
-  horizontalFOV: 360,
-  verticalFOVMin: -7,
-  verticalFOVMax: 52,
-  numChannels: 40,
-  maxRange: 70,
-  minRange: 1, // Reset to realistic minimum range
-  scanRate: 2 * Math.PI * 10,
-  pointsPerFrame: 3000,
-  pointRate: 200000,
-};
+import { DEFAULT_SEED } from "../utils/SeededRandom.js";
+import {
+  DEFAULT_SENSOR_PRESET_ID,
+  SENSOR_PRESETS,
+  presetToLidarConfig,
+} from "./SensorPresets.js";
 
-export function createLidarConfig(overrides = {}) {
+// Unix time of simulation time 0 unless the config says otherwise
+export const DEFAULT_START_TIME = "2024-01-01T00:00:00Z";
+
+/**
+ * Build a LidarConfig from a sensor preset (see SensorPresets), with any
+ * overrides applied on top. `seed` drives every random stream of the run
+ * (scan pattern, noise, IMU, actors), see SeededRandom. `startTime` (ISO 8601)
+ * is the Unix time of simulation time 0, so point times, timestamps and file
+ * names are the same from run to run.
+ * @param {Object} overrides - LidarConfig fields to replace
+ * @param {Object} preset - Sensor preset, the MID-360 by default
+ * @returns {Object}
+ */
+export function createLidarConfig(
+  overrides = {},
+  preset = SENSOR_PRESETS[DEFAULT_SENSOR_PRESET_ID]
+) {
   return {
-    ...DEFAULT_LIDAR_CONFIG,
+    ...presetToLidarConfig(preset),
+    pointsPerFrame: 3000,
+    seed: DEFAULT_SEED,
+    startTime: DEFAULT_START_TIME,
     ...overrides,
   };
 }
+
+/**
+ * Unix time in milliseconds of simulation time 0, the config's `startTime`.
+ * @param {Object} lidarConfig - See createLidarConfig
+ * @returns {Number}
+ */
+export function getEpochMs(lidarConfig) {
+  const epochMs = new Date(lidarConfig.startTime ?? DEFAULT_START_TIME).getTime();
+  if (!Number.isFinite(epochMs)) {
+    throw new Error(`Invalid startTime: ${lidarConfig.startTime}`);
+  }
+  return epochMs;
+}
+
+export const DEFAULT_LIDAR_CONFIG = createLidarConfig();
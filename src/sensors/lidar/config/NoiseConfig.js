@@ -0,0 +1,21 @@
+// Measurement noise applied to every return after the raycast, see NoiseModel.
+// Defaults match the Livox MID-360; sensor presets override the sigmas and
+// range resolution of their datasheets.
+export const DEFAULT_NOISE_CONFIG = {
+  enabled: true,
+  rangeSigma: 0.02, // m, 1 sigma at close range and normal incidence
+  rangeSigmaPerMeter: 0.0002, // m of extra range sigma per m of distance
+  incidenceFactor: 0.5, // Range sigma grows by this times (1 / cos(incidence) - 1)
+  angularSigma: 0.15, // degrees, azimuth and elevation jitter
+  rangeResolution: 0.001, // m, reported range step, 0 to disable quantization
+  intensitySigma: 0.02, // Intensity is reported in [0, 1]
+  dropoutRate: 0.001, // Probability of losing a return at close range
+  dropoutRangeExponent: 4, // Dropouts rise to 1 at the max range for the surface reflectivity
+};
+
+export function createNoiseConfig(overrides = {}) {
+  return {
+    ...DEFAULT_NOISE_CONFIG,
+    ...overrides,
+  };
+}
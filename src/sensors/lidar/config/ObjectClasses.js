@@ -0,0 +1,26 @@
+// Classes of the objects annotated with 3D bounding boxes, and their names in
+// the KITTI object and nuScenes label formats. Scene objects opt in to
+// annotation through `userData.objectClass`.
+
+export const OBJECT_CLASSES = {
+  CAR: "car",
+  BUILDING: "building",
+  TREE: "tree",
+  STREETLIGHT: "streetlight",
+};
+
+// KITTI `type` column; classes KITTI has no type for keep a custom name
+export const KITTI_OBJECT_TYPES = {
+  [OBJECT_CLASSES.CAR]: "Car",
+  [OBJECT_CLASSES.BUILDING]: "Building",
+  [OBJECT_CLASSES.TREE]: "Tree",
+  [OBJECT_CLASSES.STREETLIGHT]: "Streetlight",
+};
+
+// nuScenes `category.name`, following its dotted naming scheme
+export const NUSCENES_CATEGORIES = {
+  [OBJECT_CLASSES.CAR]: "vehicle.car",
+  [OBJECT_CLASSES.BUILDING]: "static_object.building",
+  [OBJECT_CLASSES.TREE]: "static_object.tree",
+  [OBJECT_CLASSES.STREETLIGHT]: "static_object.streetlight",
+};
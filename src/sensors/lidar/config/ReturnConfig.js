@@ -0,0 +1,24 @@
+// Echoes reported per firing, see castBeam. A firing's beam footprint is
+// sampled by sub-rays; every surface they reach returns an echo, and surfaces
+// closer together than the sensor can resolve merge into one.
+export const RETURN_MODES = {
+  FIRST: "first",
+  STRONGEST: "strongest",
+  LAST: "last",
+  DUAL: "dual", // Strongest and last, or the second strongest if they are the same echo
+};
+
+export const DEFAULT_RETURN_CONFIG = {
+  mode: RETURN_MODES.FIRST,
+  beamDivergence: 3, // mrad, full angle of the beam footprint
+  footprintRays: 1, // Sub-rays sampling the footprint, 1 casts the beam axis only
+  minSeparation: 1, // m, echoes closer together than this merge into one
+  minEchoEnergy: 0.1, // Fraction of the beam energy an echo needs to be detected
+};
+
+export function createReturnConfig(overrides = {}) {
+  return {
+    ...DEFAULT_RETURN_CONFIG,
+    ...overrides,
+  };
+}
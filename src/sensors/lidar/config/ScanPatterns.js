@@ -0,0 +1,16 @@
+// Scan patterns the ray generator can follow, see createScanPattern.
+
+export const SCAN_PATTERNS = {
+  MID360: "mid360", // Livox MID-360 non-repetitive pattern
+  SPINNING: "spinning", // Mechanical spinning lidar
+  ROSETTE: "rosette", // Livox Avia-style rosette
+  TABLE: "table", // Firing angles loaded from a CSV file
+};
+
+// Livox Avia rosette: two Risley prisms spinning in opposite directions at
+// non-commensurate rates, so the pattern never repeats exactly. Lasers are
+// stacked vertically, a fraction of a degree apart, and fire together.
+export const ROSETTE_PROFILE = {
+  prismRpm: [7294, -4664],
+  laserElevationOffsets: [-0.75, -0.45, -0.15, 0.15, 0.45, 0.75], // degrees
+};
@@ -0,0 +1,55 @@
+// SemanticKITTI label ids and colours (semantic-kitti.yaml) for the classes
+// present in the scene. Colours are RGB; the upstream yaml stores them as BGR.
+
+export const SEMANTIC_CLASSES = {
+  UNLABELED: 0,
+  CAR: 10,
+  ROAD: 40,
+  LANE_MARKING: 60,
+  BUILDING: 50,
+  VEGETATION: 70,
+  TRUNK: 71,
+  TERRAIN: 72,
+  POLE: 80,
+  MOVING_CAR: 252,
+};
+
+export const SEMANTIC_CLASS_NAMES = {
+  [SEMANTIC_CLASSES.UNLABELED]: "unlabeled",
+  [SEMANTIC_CLASSES.CAR]: "car",
+  [SEMANTIC_CLASSES.ROAD]: "road",
+  [SEMANTIC_CLASSES.LANE_MARKING]: "lane-marking",
+  [SEMANTIC_CLASSES.BUILDING]: "building",
+  [SEMANTIC_CLASSES.VEGETATION]: "vegetation",
+  [SEMANTIC_CLASSES.TRUNK]: "trunk",
+  [SEMANTIC_CLASSES.TERRAIN]: "terrain",
+  [SEMANTIC_CLASSES.POLE]: "pole",
+  [SEMANTIC_CLASSES.MOVING_CAR]: "moving-car",
+};
+
+export const SEMANTIC_COLORS = {
+  [SEMANTIC_CLASSES.UNLABELED]: [0, 0, 0],
+  [SEMANTIC_CLASSES.CAR]: [100, 150, 245],
+  [SEMANTIC_CLASSES.ROAD]: [255, 0, 255],
+  [SEMANTIC_CLASSES.LANE_MARKING]: [170, 255, 150],
+  [SEMANTIC_CLASSES.BUILDING]: [255, 200, 0],
+  [SEMANTIC_CLASSES.VEGETATION]: [0, 175, 0],
+  [SEMANTIC_CLASSES.TRUNK]: [135, 60, 0],
+  [SEMANTIC_CLASSES.TERRAIN]: [150, 240, 80],
+  [SEMANTIC_CLASSES.POLE]: [255, 240, 150],
+  [SEMANTIC_CLASSES.MOVING_CAR]: [100, 150, 245],
+};
+
+// ASPRS LAS 1.4 classification codes for each semantic class
+export const SEMANTIC_TO_LAS_CLASSIFICATION = {
+  [SEMANTIC_CLASSES.UNLABELED]: 1, // Unclassified
+  [SEMANTIC_CLASSES.CAR]: 1,
+  [SEMANTIC_CLASSES.ROAD]: 11, // Road surface
+  [SEMANTIC_CLASSES.LANE_MARKING]: 11,
+  [SEMANTIC_CLASSES.BUILDING]: 6, // Building
+  [SEMANTIC_CLASSES.VEGETATION]: 5, // High vegetation
+  [SEMANTIC_CLASSES.TRUNK]: 5,
+  [SEMANTIC_CLASSES.TERRAIN]: 2, // Ground
+  [SEMANTIC_CLASSES.POLE]: 1,
+  [SEMANTIC_CLASSES.MOVING_CAR]: 1,
+};
@@ -0,0 +1,197 @@
+import livoxMid360 from "./presets/livox-mid360.json" with { type: "json" };
+import livoxAvia from "./presets/livox-avia.json" with { type: "json" };
+import velodyneVlp16 from "./presets/velodyne-vlp16.json" with { type: "json" };
+import velodyneHdl32e from "./presets/velodyne-hdl32e.json" with { type: "json" };
+import velodyneHdl64e from "./presets/velodyne-hdl64e.json" with { type: "json" };
+import ousterOs1_64 from "./presets/ouster-os1-64.json" with { type: "json" };
+import { SCAN_PATTERNS } from "./ScanPatterns.js";
+import { createNoiseConfig } from "./NoiseConfig.js";
+import { RETURN_MODES, createReturnConfig } from "./ReturnConfig.js";
+
+// Sensor presets are plain JSON sensor definitions:
+//   id, name, manufacturer
+//   scanPattern            one of SCAN_PATTERNS
+//   horizontalFOV          degrees
+//   verticalFOVMin/Max     degrees, with numChannels evenly spaced channels, or
+//   channelElevations      degrees per channel in firing order
+//   channelAzimuthOffsets  optional degrees per channel
+//   frameRate              Hz, pointRate points/s
+//   range                  blindZone and max ranges (m) at low / high reflectivity
+//   wavelength             nm
+//   noise                  rangeSigma (m), angularSigma (degrees) and the other
+//                          DEFAULT_NOISE_CONFIG fields
+//   returns                optional return mode, beamDivergence (mrad) and the
+//                          other DEFAULT_RETURN_CONFIG fields
+
+export const DEFAULT_SENSOR_PRESET_ID = livoxMid360.id;
+
+export const SENSOR_PRESETS = Object.fromEntries(
+  [
+    livoxMid360,
+    livoxAvia,
+    velodyneVlp16,
+    velodyneHdl32e,
+    velodyneHdl64e,
+    ousterOs1_64,
+  ].map((preset) => [preset.id, preset])
+);
+
+const REQUIRED_FIELDS = [
+  "id",
+  "name",
+  "scanPattern",
+  "horizontalFOV",
+  "frameRate",
+  "pointRate",
+  "range",
+];
+const REQUIRED_RANGE_FIELDS = [
+  "blindZone",
+  "maxAtLowReflectivity",
+  "maxAtHighReflectivity",
+  "lowReflectivity",
+  "highReflectivity",
+];
+
+/**
+ * Check a preset definition, throwing a descriptive error if it is unusable.
+ * @param {Object} preset
+ * @returns {Object} - `preset`
+ */
+export function validateSensorPreset(preset) {
+  if (!preset || typeof preset !== "object") {
+    throw new Error("Sensor preset must be a JSON object");
+  }
+  const missing = REQUIRED_FIELDS.filter((field) => preset[field] === undefined);
+  if (preset.range) {
+    missing.push(
+      ...REQUIRED_RANGE_FIELDS.filter(
+        (field) => preset.range[field] === undefined
+      ).map((field) => `range.${field}`)
+    );
+  }
+  if (missing.length > 0) {
+    throw new Error(`Sensor preset is missing ${missing.join(", ")}`);
+  }
+  if (!Object.values(SCAN_PATTERNS).includes(preset.scanPattern)) {
+    throw new Error(`Unknown scan pattern in sensor preset: ${preset.scanPattern}`);
+  }
+  const hasChannelTable = Array.isArray(preset.channelElevations);
+  const hasChannelRange =
+    preset.verticalFOVMin !== undefined &&
+    preset.verticalFOVMax !== undefined &&
+    preset.numChannels > 0;
+  if (!hasChannelTable && !hasChannelRange) {
+    throw new Error(
+      "Sensor preset needs channelElevations or verticalFOVMin, verticalFOVMax and numChannels"
+    );
+  }
+  if (preset.scanPattern === SCAN_PATTERNS.TABLE && !preset.scanPatternTable) {
+    throw new Error("Sensor preset with a table scan pattern needs scanPatternTable");
+  }
+  if (
+    preset.returns?.mode !== undefined &&
+    !Object.values(RETURN_MODES).includes(preset.returns.mode)
+  ) {
+    throw new Error(`Unknown return mode in sensor preset: ${preset.returns.mode}`);
+  }
+  return preset;
+}
+
+/**
+ * Parse and validate a preset file.
+ * @param {String} text - JSON file content
+ * @returns {Object} - Sensor preset
+ */
+export function parseSensorPreset(text) {
+  let preset;
+  try {
+    preset = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Sensor preset is not valid JSON: ${error.message}`);
+  }
+  return validateSensorPreset(preset);
+}
+
+/**
+ * Look up a built-in preset by id.
+ * @param {String} id
+ * @returns {Object}
+ */
+export function getSensorPreset(id) {
+  const preset = SENSOR_PRESETS[id];
+  if (!preset) {
+    throw new Error(`Unknown sensor preset: ${id}`);
+  }
+  return preset;
+}
+
+/**
+ * LidarConfig fields described by a preset.
+ * @param {Object} preset - Sensor preset
+ * @returns {Object}
+ */
+export function presetToLidarConfig(preset) {
+  const elevations = preset.channelElevations;
+  return {
+    preset: preset.id,
+    scanPattern: preset.scanPattern,
+    scanPatternTable: preset.scanPatternTable,
+    horizontalFOV: preset.horizontalFOV,
+    verticalFOVMin: elevations ? Math.min(...elevations) : preset.verticalFOVMin,
+    verticalFOVMax: elevations ? Math.max(...elevations) : preset.verticalFOVMax,
+    numChannels: elevations ? elevations.length : preset.numChannels,
+    channelElevations: elevations,
+    channelAzimuthOffsets: preset.channelAzimuthOffsets,
+    scanRate: 2 * Math.PI * preset.frameRate,
+    pointRate: preset.pointRate,
+    minRange: preset.range.blindZone,
+    maxRange: preset.range.maxAtHighReflectivity,
+    maxRangeLowReflectivity: preset.range.maxAtLowReflectivity,
+    lowReflectivity: preset.range.lowReflectivity,
+    highReflectivity: preset.range.highReflectivity,
+    wavelength: preset.wavelength,
+    noise: createNoiseConfig(preset.noise),
+    returns: createReturnConfig(preset.returns),
+  };
+}
+
+/**
+ * Describe a LidarConfig as a preset, e.g. to save a tuned sensor to a file.
+ * @param {Object} lidarConfig - See createLidarConfig
+ * @param {Object} details - `id`, `name` and `manufacturer` of the new preset
+ * @returns {Object} - Sensor preset
+ */
+export function lidarConfigToPreset(lidarConfig, details) {
+  const preset = {
+    ...details,
+    scanPattern: lidarConfig.scanPattern,
+    horizontalFOV: lidarConfig.horizontalFOV,
+    frameRate: lidarConfig.scanRate / (2 * Math.PI),
+    pointRate: lidarConfig.pointRate,
+    range: {
+      blindZone: lidarConfig.minRange,
+      maxAtLowReflectivity: lidarConfig.maxRangeLowReflectivity,
+      maxAtHighReflectivity: lidarConfig.maxRange,
+      lowReflectivity: lidarConfig.lowReflectivity,
+      highReflectivity: lidarConfig.highReflectivity,
+    },
+    wavelength: lidarConfig.wavelength,
+    noise: lidarConfig.noise,
+    returns: lidarConfig.returns,
+  };
+  if (lidarConfig.channelElevations) {
+    preset.channelElevations = lidarConfig.channelElevations;
+  } else {
+    preset.verticalFOVMin = lidarConfig.verticalFOVMin;
+    preset.verticalFOVMax = lidarConfig.verticalFOVMax;
+    preset.numChannels = lidarConfig.numChannels;
+  }
+  if (lidarConfig.channelAzimuthOffsets) {
+    preset.channelAzimuthOffsets = lidarConfig.channelAzimuthOffsets;
+  }
+  if (lidarConfig.scanPattern === SCAN_PATTERNS.TABLE) {
+    preset.scanPatternTable = lidarConfig.scanPatternTable;
+  }
+  return preset;
+}
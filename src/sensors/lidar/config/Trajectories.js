@@ -0,0 +1,11 @@
+// Built-in ego vehicle routes, as waypoints in the three.js world frame with
+// the speed (m/s) reached at each one.
+
+// Up the left lane of the main road, across, and back down the right lane
+export const ROAD_LOOP_WAYPOINTS = [
+  { position: [-3.5, 0, -300], speed: 10 },
+  { position: [-3.5, 0, 300], speed: 10 },
+  { position: [3.5, 0, 310], speed: 4 },
+  { position: [3.5, 0, -300], speed: 10 },
+  { position: [-3.5, 0, -310], speed: 4 },
+];
@@ -0,0 +1,51 @@
+import { SENSOR_PRESETS } from "./SensorPresets.js";
+
+// Mechanical spinning sensor profiles for the Velodyne packet encoder.
+// Laser elevations, spin rate and range limits come from the model's sensor preset, whose
+// channelElevations are in firing order, which is also the order of the
+// channel data inside each packet data block.
+
+export const VELODYNE_MODELS = {
+  VLP_16: "VLP-16",
+  HDL_32E: "HDL-32E",
+};
+
+const VLP_16_PRESET = SENSOR_PRESETS["velodyne-vlp16"];
+const HDL_32E_PRESET = SENSOR_PRESETS["velodyne-hdl32e"];
+
+export const VELODYNE_PROFILES = {
+  [VELODYNE_MODELS.VLP_16]: {
+    model: VELODYNE_MODELS.VLP_16,
+    productId: 0x22,
+    laserElevations: VLP_16_PRESET.channelElevations,
+    // Two firing sequences of 16 lasers share each 32-channel data block
+    firingsPerBlock: 2,
+    firingSequenceUs: 55.296,
+    rpm: VLP_16_PRESET.frameRate * 60,
+    minRange: VLP_16_PRESET.range.blindZone,
+    maxRange: VLP_16_PRESET.range.maxAtHighReflectivity,
+  },
+  [VELODYNE_MODELS.HDL_32E]: {
+    model: VELODYNE_MODELS.HDL_32E,
+    productId: 0x21,
+    laserElevations: HDL_32E_PRESET.channelElevations,
+    firingsPerBlock: 1,
+    firingSequenceUs: 46.08,
+    rpm: HDL_32E_PRESET.frameRate * 60,
+    minRange: HDL_32E_PRESET.range.blindZone,
+    maxRange: HDL_32E_PRESET.range.maxAtHighReflectivity,
+  },
+};
+
+/**
+ * Look up a Velodyne profile by model name.
+ * @param {String} model - One of VELODYNE_MODELS
+ * @returns {Object}
+ */
+export function getVelodyneProfile(model) {
+  const profile = VELODYNE_PROFILES[model];
+  if (!profile) {
+    throw new Error(`Unknown Velodyne model: ${model}`);
+  }
+  return profile;
+}
@@ -1,5 +1,10 @@
-import React, { createContext, useContext, useState, useCallback } from 'react';
-import { DEFAULT_LIDAR_CONFIG } from '../config/LidarConfig';
+import React, { createContext, useContext, useState, useCallback, useMemo } from 'react';
+import { DEFAULT_LIDAR_CONFIG, createLidarConfig, getEpochMs } from '../config/LidarConfig';
+import { DEFAULT_SENSOR_PRESET_ID, SENSOR_PRESETS } from '../config/SensorPresets';
+import { POINT_COLOR_MODES } from '../logic/VisualizationLogic';
+import { DEFAULT_IMU_CONFIG } from '../../imu/config/ImuConfig';
+import { SimulationClock } from '../logic/SimulationClock';
+import { LidarMeshRegistry } from '../logic/LidarMeshRegistry';
 
 const LidarConfigContext = createContext();
 
@@ -16,6 +21,20 @@ export const useLidarConfig = () =>
 export const LidarConfigProvider = ( { children } ) =>
 {
     const [ config, setConfig ] = useState( DEFAULT_LIDAR_CONFIG );
+    // Built-in sensor presets plus any imported from files, keyed by id
+    const [ presets, setPresets ] = useState( SENSOR_PRESETS );
+    const [ activePresetId, setActivePresetId ] = useState( DEFAULT_SENSOR_PRESET_ID );
+    const [ colorMode, setColorMode ] = useState( POINT_COLOR_MODES.INTENSITY );
+    // Ego vehicle trajectory the sensor is mounted on, null for a static sensor
+    const [ trajectory, setTrajectory ] = useState( null );
+    const [ imuConfig, setImuConfig ] = useState( DEFAULT_IMU_CONFIG );
+    const [ showScanPattern, setShowScanPattern ] = useState( false );
+    // Simulation clock shared by the sensors, actors and capture
+    const clock = useMemo( () => new SimulationClock( { epochMs: getEpochMs( DEFAULT_LIDAR_CONFIG ) } ), [] );
+    const [ clockPaused, setClockPaused ] = useState( false );
+    const [ clockTimeScale, setClockTimeScaleState ] = useState( 1 );
+    // Meshes the sensors can see, registered by the scene components
+    const meshRegistry = useMemo( () => new LidarMeshRegistry(), [] );
 
     const updateConfig = useCallback( ( key, value ) =>
     {
@@ -33,16 +52,89 @@ export const LidarConfigProvider = ( { children } ) =>
         } ) );
     }, [] );
 
+    const updateImuConfig = useCallback( ( key, value ) =>
+    {
+        setImuConfig( prevConfig => ( {
+            ...prevConfig,
+            [ key ]: value
+        } ) );
+    }, [] );
+
     const resetConfig = useCallback( () =>
     {
         setConfig( DEFAULT_LIDAR_CONFIG );
+        setActivePresetId( DEFAULT_SENSOR_PRESET_ID );
+    }, [] );
+
+    const selectPreset = useCallback( ( id ) =>
+    {
+        const preset = presets[ id ];
+        if ( !preset )
+        {
+            throw new Error( `Unknown sensor preset: ${ id }` );
+        }
+        // Keep the batch size, seed and start time of the run, the sensor comes from the preset
+        setConfig( prevConfig => createLidarConfig( { pointsPerFrame: prevConfig.pointsPerFrame, seed: prevConfig.seed, startTime: prevConfig.startTime }, preset ) );
+        setActivePresetId( id );
+    }, [ presets ] );
+
+    const importPreset = useCallback( ( preset ) =>
+    {
+        setPresets( prevPresets => ( {
+            ...prevPresets,
+            [ preset.id ]: preset
+        } ) );
+        setConfig( prevConfig => createLidarConfig( { pointsPerFrame: prevConfig.pointsPerFrame, seed: prevConfig.seed, startTime: prevConfig.startTime }, preset ) );
+        setActivePresetId( preset.id );
     }, [] );
 
+    const toggleClockPaused = useCallback( () =>
+    {
+        if ( clock.paused )
+        {
+            clock.resume();
+        } else
+        {
+            clock.pause();
+        }
+        setClockPaused( clock.paused );
+    }, [ clock ] );
+
+    const stepClock = useCallback( () =>
+    {
+        clock.requestSteps( 1 );
+    }, [ clock ] );
+
+    const setClockTimeScale = useCallback( ( timeScale ) =>
+    {
+        clock.setTimeScale( timeScale );
+        setClockTimeScaleState( timeScale );
+    }, [ clock ] );
+
     const value = {
         config,
         updateConfig,
         updateMultipleConfig,
-        resetConfig
+        resetConfig,
+        presets,
+        activePresetId,
+        selectPreset,
+        importPreset,
+        colorMode,
+        setColorMode,
+        trajectory,
+        setTrajectory,
+        imuConfig,
+        updateImuConfig,
+        showScanPattern,
+        setShowScanPattern,
+        clock,
+        clockPaused,
+        toggleClockPaused,
+        stepClock,
+        clockTimeScale,
+        setClockTimeScale,
+        meshRegistry
     };
 
     return (
@@ -0,0 +1,154 @@
+import { DistanceBasedCulling } from "../utils/DistanceBasedCulling.js";
+import { SceneBvh } from "./SceneBvh.js";
+
+/**
+ * Layers of the meshes a LiDAR sees; a layer can be hidden from the sensors
+ * as a whole.
+ */
+export const LIDAR_LAYERS = {
+  DEFAULT: "default",
+  GROUND: "ground", // Terrain, road and lane markings
+  STRUCTURES: "structures", // Buildings and street furniture
+  VEGETATION: "vegetation",
+  VEHICLES: "vehicles",
+};
+
+/**
+ * The meshes LiDAR rays can hit. Scene components opt their meshes in with
+ * register(), so helpers, the sensor itself and its point cloud are never
+ * scanned, and nothing has to traverse the scene on every scan. Meshes and
+ * layers can be switched off without removing them from the scene.
+ *
+ * The registry also keeps what scans reuse from one step to the next: the
+ * distance culling and the two-level BVH the rays query.
+ */
+export class LidarMeshRegistry {
+  constructor() {
+    this.records = new Map(); // mesh -> {mesh, layer, tags, occluder, enabled}
+    this.disabledLayers = new Set();
+    this.listeners = [];
+    this.enabledMeshes = null; // Cache, cleared on every change
+    this.culling = new DistanceBasedCulling();
+    this.sceneBvh = new SceneBvh();
+    this.lastCulling = null; // {visibleMeshes: Set, statistics} of the last scan
+  }
+
+  /**
+   * Make `object` and every mesh below it visible to the LiDAR.
+   * @param {THREE.Object3D} object
+   * @param {Object} options
+   * @param {String} options.layer - One of LIDAR_LAYERS
+   * @param {Array<String>} options.tags - Free-form labels, e.g. "dynamic"
+   * @param {Boolean} options.occluder - The meshes are solid boxes (each
+   *   instance's geometry fills its bounding box), like buildings, and culling
+   *   may skip whatever they hide
+   * @returns {Function} - Unregisters the meshes again
+   */
+  register(object, { layer = LIDAR_LAYERS.DEFAULT, tags = [], occluder = false } = {}) {
+    const meshes = [];
+    object.traverse((child) => {
+      if (child.isMesh) meshes.push(child);
+    });
+    meshes.forEach((mesh) => {
+      this.records.set(mesh, { mesh, layer, tags, occluder, enabled: true });
+    });
+    this._changed();
+    return () => {
+      meshes.forEach((mesh) => this.records.delete(mesh));
+      this._changed();
+    };
+  }
+
+  /**
+   * @param {THREE.Mesh} mesh - A registered mesh
+   * @param {Boolean} enabled - False hides it from the LiDAR
+   */
+  setMeshEnabled(mesh, enabled) {
+    const record = this.records.get(mesh);
+    if (!record || record.enabled === enabled) return;
+    record.enabled = enabled;
+    this._changed();
+  }
+
+  /**
+   * @param {String} layer - One of LIDAR_LAYERS
+   * @param {Boolean} enabled - False hides all of its meshes from the LiDAR
+   */
+  setLayerEnabled(layer, enabled) {
+    if (enabled === this.isLayerEnabled(layer)) return;
+    if (enabled) {
+      this.disabledLayers.delete(layer);
+    } else {
+      this.disabledLayers.add(layer);
+    }
+    this._changed();
+  }
+
+  /**
+   * @param {String} layer
+   * @returns {Boolean}
+   */
+  isLayerEnabled(layer) {
+    return !this.disabledLayers.has(layer);
+  }
+
+  /**
+   * Meshes the LiDAR can hit now: registered, enabled, on an enabled layer
+   * and visible.
+   * @returns {Array<THREE.Mesh>}
+   */
+  getMeshes() {
+    if (!this.enabledMeshes) {
+      this.enabledMeshes = [];
+      this.records.forEach(({ mesh, layer, enabled }) => {
+        if (enabled && this.isLayerEnabled(layer)) this.enabledMeshes.push(mesh);
+      });
+    }
+    return this.enabledMeshes.filter((mesh) => mesh.visible);
+  }
+
+  /**
+   * Meshes from getMeshes registered as occluders.
+   * @returns {Array<THREE.Mesh>}
+   */
+  getOccluders() {
+    return this.getMeshes().filter((mesh) => this.records.get(mesh).occluder);
+  }
+
+  /**
+   * Every registered mesh, enabled or not, for listing.
+   * @returns {Array<{mesh: THREE.Mesh, layer: String, tags: Array<String>,
+   *   occluder: Boolean, enabled: Boolean}>}
+   */
+  getRecords() {
+    return Array.from(this.records.values());
+  }
+
+  /**
+   * @param {THREE.Mesh} mesh
+   * @returns {Object|undefined} - The mesh's record, see getRecords
+   */
+  getRecord(mesh) {
+    return this.records.get(mesh);
+  }
+
+  /**
+   * Call `listener` whenever meshes are registered, removed or switched.
+   * @param {Function} listener
+   * @returns {Function} - Unsubscribes
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter((other) => other !== listener);
+    };
+  }
+
+  /**
+   * @private
+   */
+  _changed() {
+    this.enabledMeshes = null;
+    this.listeners.forEach((listener) => listener());
+  }
+}
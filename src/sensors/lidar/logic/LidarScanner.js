@@ -0,0 +1,224 @@
+import * as THREE from "three";
+import {
+  getSensorPosition,
+  castRaysForFrame,
+} from "./ScanningLogic.js";
+import { createScanPattern } from "./ScanPattern.js";
+import { getObjectPose } from "../utils/CoordinateFrames.js";
+import { mountSensorPose } from "../utils/SensorMotion.js";
+import { ImuSimulator } from "../../imu/logic/ImuSimulator.js";
+
+/**
+ * One LiDAR and its IMU scanning a scene, one batch of firings per simulation
+ * step. It holds everything a scan depends on (scan pattern position, IMU
+ * state, trajectory), so the app and the headless dataset generator produce
+ * the same data from the same steps.
+ */
+export class LidarScanner {
+  /**
+   * Configure with setLidarConfig, setImuConfig and setTrajectory before scanning.
+   * @param {Object} options
+   * @param {LidarMeshRegistry} options.meshRegistry - Meshes the rays can hit
+   * @param {{current: THREE.Object3D}} options.sensorRef - Ref to the object
+   *   carrying the sensor pose
+   */
+  constructor({ meshRegistry, sensorRef }) {
+    this.meshRegistry = meshRegistry;
+    this.sensorRef = sensorRef;
+    this.raycaster = new THREE.Raycaster();
+    this.scanState = {
+      scanPattern: null, // Built from the config in setLidarConfig
+      firingIndex: 0,
+    };
+    this.lidarConfig = null;
+    this.imu = null;
+    this.imuConfig = null;
+    this.imuSeed = undefined;
+    this.trajectory = null;
+    this.trajectoryStartTime = 0;
+    this.mount = [0, 0, 0];
+    this.workerPool = null;
+  }
+
+  /**
+   * Simulated milliseconds it takes to fire one batch of `pointsPerFrame`
+   * rays; the length of a simulation step.
+   * @returns {Number}
+   */
+  get batchDurationMs() {
+    return (this.lidarConfig.pointsPerFrame * 1000) / this.lidarConfig.pointRate;
+  }
+
+  /**
+   * @param {Object} lidarConfig - See createLidarConfig. The scan pattern
+   *   keeps its position, so scanning carries on where it was.
+   */
+  setLidarConfig(lidarConfig) {
+    this.lidarConfig = lidarConfig;
+    this.scanState.scanPattern = createScanPattern(lidarConfig);
+    this.workerPool?.setLidarConfig(lidarConfig);
+  }
+
+  /**
+   * @param {RaycastWorkerPool|null} workerPool - Pool casting the rays of
+   *   scanInWorkers
+   */
+  setWorkerPool(workerPool) {
+    this.workerPool = workerPool;
+    if (workerPool && this.lidarConfig) {
+      workerPool.setLidarConfig(this.lidarConfig);
+    }
+  }
+
+  /**
+   * Restart the IMU.
+   * @param {Object} imuConfig - See DEFAULT_IMU_CONFIG
+   * @param {Number} seed - Seed of its noise, see LidarConfig `seed`
+   */
+  setImuConfig(imuConfig, seed) {
+    this.imuConfig = imuConfig;
+    this.imuSeed = seed;
+    this.imu = new ImuSimulator(imuConfig, seed);
+  }
+
+  /**
+   * Mount the sensor on an ego vehicle following `trajectory` from
+   * `startTime`, or put it back on its fixed mount when there is none.
+   * @param {Trajectory|null} trajectory
+   * @param {Number} startTime - Unix time in milliseconds of the trajectory start
+   * @param {Number[]} mount - Sensor position on the vehicle, or its fixed position
+   */
+  setTrajectory(trajectory, startTime, mount) {
+    this.trajectory = trajectory;
+    this.trajectoryStartTime = startTime;
+    this.mount = mount;
+    if (!trajectory) {
+      this.sensorRef.current.position.fromArray(mount);
+      this.sensorRef.current.quaternion.identity();
+    }
+  }
+
+  /**
+   * Start over as a newly configured scanner would: from the first firing of
+   * the scan pattern, with a fresh IMU and the trajectory starting now. Used
+   * with SimulationClock.reset so a capture gives the same data on every run.
+   * @param {Number} unixTimeMs - Unix time in milliseconds of the restart
+   */
+  restart(unixTimeMs) {
+    this.scanState.firingIndex = 0;
+    this.setLidarConfig(this.lidarConfig);
+    this.setImuConfig(this.imuConfig, this.imuSeed);
+    this.setTrajectory(this.trajectory, unixTimeMs, this.mount);
+  }
+
+  /**
+   * Vehicle-mounted sensor pose at `time` along the trajectory.
+   * @private
+   */
+  _getTrajectoryPose(time) {
+    return mountSensorPose(
+      this.trajectory.getPoseAt((time - this.trajectoryStartTime) / 1000),
+      this.mount
+    );
+  }
+
+  /**
+   * Move the sensor to the batch start.
+   * @private
+   * @returns {{motion: SensorMotion|null, sensorPosition: THREE.Vector3}}
+   */
+  _beginBatch({ unixTimeMs }) {
+    const { trajectory } = this;
+    const sensor = this.sensorRef.current;
+
+    // On a trajectory, rays are cast from the sensor pose at their own time within the batch
+    let motion = null;
+    if (trajectory) {
+      const batchDurationMs = this.batchDurationMs;
+      motion = {
+        startPose: this._getTrajectoryPose(unixTimeMs),
+        endPose: this._getTrajectoryPose(unixTimeMs + batchDurationMs),
+        durationNs: batchDurationMs * 1e6,
+      };
+      sensor.position.fromArray(motion.startPose.position);
+      sensor.quaternion.fromArray(motion.startPose.quaternion);
+    }
+    return { motion, sensorPosition: getSensorPosition(this.sensorRef) };
+  }
+
+  /**
+   * Sensor pose of the batch and the IMU samples due by its start.
+   * @private
+   */
+  _sampleImu({ unixTimeMs }) {
+    // The IMU samples the sensor's motion on the same clock as the points
+    const sensorPose = getObjectPose(this.sensorRef.current);
+    const imuSamples = this.imu.update(
+      unixTimeMs,
+      this.trajectory ? (time) => this._getTrajectoryPose(time) : () => sensorPose
+    );
+    return { sensorPose, imuSamples };
+  }
+
+  /**
+   * Scan one batch.
+   * @param {Object} step - Simulation step, see SimulationClock
+   * @param {Number} step.unixTimeMs - Unix time in milliseconds the batch starts at
+   * @returns {{points: Float32Array, cleanPoints: Float32Array|null,
+   *   sensorPose: Object, motion: SensorMotion|null, imuSamples: Array<Object>}}
+   */
+  scan(step) {
+    const { motion, sensorPosition } = this._beginBatch(step);
+
+    const scanResult = castRaysForFrame(
+      sensorPosition,
+      this.meshRegistry,
+      this.scanState,
+      this.raycaster,
+      this.lidarConfig,
+      true,
+      motion
+    );
+
+    return {
+      points: scanResult.points,
+      cleanPoints: scanResult.cleanPoints,
+      motion,
+      ...this._sampleImu(step),
+    };
+  }
+
+  /**
+   * Scan one batch, casting its rays in the worker pool. Everything else
+   * (scan pattern position, sensor pose, scene state, IMU) is taken on this
+   * step, so the result is the same as scan() would give now.
+   * @param {Object} step - See scan
+   * @returns {Promise<Object>} - Same result as scan, resolved in step order
+   */
+  async scanInWorkers(step) {
+    const { motion, sensorPosition } = this._beginBatch(step);
+    const { sensorPose, imuSamples } = this._sampleImu(step);
+
+    // The workers see the scene as it is on this step and cull it themselves
+    const meshes = this.meshRegistry.getMeshes();
+    this.workerPool.syncScene(meshes, this.meshRegistry);
+
+    const firingIndex = this.scanState.firingIndex || 0;
+    this.scanState.firingIndex = firingIndex + this.lidarConfig.pointsPerFrame;
+    const { points, cleanPoints, culling } = await this.workerPool.scan({
+      firingIndex,
+      sensorPosition: sensorPosition.toArray(),
+      motion,
+    });
+
+    // Report the worker's culling as if it had run here
+    this.meshRegistry.lastCulling = {
+      visibleMeshes: new Set(culling.visibleMeshes.map((index) => meshes[index])),
+      culledInstances: new Map(
+        culling.culledInstances.map(([index, instances]) => [meshes[index], new Set(instances)])
+      ),
+      statistics: culling.statistics,
+    };
+    return { points, cleanPoints, sensorPose, motion, imuSamples };
+  }
+}
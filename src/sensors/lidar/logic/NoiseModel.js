@@ -0,0 +1,101 @@
+import * as THREE from "three";
+import { createNoiseConfig } from "../config/NoiseConfig.js";
+import { RangeCalculator } from "../utils/RangeCalculator.js";
+import { RANDOM_STREAMS, createRandom } from "../utils/SeededRandom.js";
+
+// Grazing hits are treated as 84 degrees so the range sigma stays bounded
+const MIN_INCIDENCE_COS = 0.1;
+
+/**
+ * Turns perfect raycast hits into sensor measurements: jitters the beam
+ * direction, adds Gaussian range noise that grows with distance and incidence
+ * angle, quantizes the range, perturbs the intensity and drops returns with a
+ * probability that rises towards the max range for the surface reflectivity.
+ */
+export class NoiseModel {
+  /**
+   * @param {Object} lidarConfig - See createLidarConfig; `noise` holds the
+   *   DEFAULT_NOISE_CONFIG parameters
+   * @param {Number} firstFiringIndex - First firing of the batch being scanned.
+   *   Noise is drawn from a stream seeded by it and the config seed, so a
+   *   batch's noise does not depend on what was scanned before it.
+   */
+  constructor(lidarConfig, firstFiringIndex = 0) {
+    this.config = createNoiseConfig(lidarConfig.noise);
+    this.random = createRandom(
+      lidarConfig.seed,
+      RANDOM_STREAMS.NOISE,
+      firstFiringIndex
+    );
+    this.maxRange = lidarConfig.maxRange;
+    this.rangeSpecs = RangeCalculator.getRangeSpecs(lidarConfig);
+    this.angularSigmaRad = THREE.MathUtils.degToRad(this.config.angularSigma);
+  }
+
+  /**
+   * Apply measurement noise to a hit in place.
+   * @param {Object} point - Echo from castBeam: x, y, z, intensity,
+   *   reflectivity and incidenceCos
+   * @param {THREE.Vector3} origin - Ray origin
+   * @returns {Boolean} - False if the return is dropped
+   */
+  apply(point, origin) {
+    const {
+      rangeSigma,
+      rangeSigmaPerMeter,
+      incidenceFactor,
+      rangeResolution,
+      intensitySigma,
+      dropoutRate,
+      dropoutRangeExponent,
+    } = this.config;
+
+    const dx = point.x - origin.x;
+    const dy = point.y - origin.y;
+    const dz = point.z - origin.z;
+    const range = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (range === 0) {
+      return false;
+    }
+
+    const maxRange = RangeCalculator.calculateMaxRange(
+      point.reflectivity,
+      this.maxRange,
+      this.rangeSpecs
+    );
+    const dropoutProbability =
+      dropoutRate +
+      (1 - dropoutRate) * Math.pow(Math.min(range / maxRange, 1), dropoutRangeExponent);
+    if (this.random.next() < dropoutProbability) {
+      return false;
+    }
+
+    const incidenceCos = Math.max(point.incidenceCos ?? 1, MIN_INCIDENCE_COS);
+    const sigma =
+      (rangeSigma + rangeSigmaPerMeter * range) *
+      (1 + incidenceFactor * (1 / incidenceCos - 1));
+    let noisyRange = range + sigma * this.random.gaussian();
+    if (rangeResolution > 0) {
+      noisyRange = Math.round(noisyRange / rangeResolution) * rangeResolution;
+    }
+    if (noisyRange <= 0) {
+      return false;
+    }
+
+    const azimuth =
+      Math.atan2(dx, dz) + this.angularSigmaRad * this.random.gaussian();
+    const elevation =
+      Math.asin(dy / range) + this.angularSigmaRad * this.random.gaussian();
+    const cosElevation = Math.cos(elevation);
+    point.x = origin.x + noisyRange * Math.sin(azimuth) * cosElevation;
+    point.y = origin.y + noisyRange * Math.sin(elevation);
+    point.z = origin.z + noisyRange * Math.cos(azimuth) * cosElevation;
+
+    point.intensity = THREE.MathUtils.clamp(
+      point.intensity + intensitySigma * this.random.gaussian(),
+      0,
+      1
+    );
+    return true;
+  }
+}
@@ -0,0 +1,139 @@
+import * as THREE from "three";
+import { SEMANTIC_CLASSES } from "../config/SemanticClasses.js";
+
+// Box samples pulled toward the centre so their rays end inside the box
+const VISIBILITY_SAMPLE_SCALE = 0.8;
+const VISIBILITY_SAMPLES = [
+  [0, 0, 0],
+  [-1, -1, -1],
+  [-1, -1, 1],
+  [-1, 1, -1],
+  [-1, 1, 1],
+  [1, -1, -1],
+  [1, -1, 1],
+  [1, 1, -1],
+  [1, 1, 1],
+];
+
+/**
+ * Fraction of box samples in line of sight of the sensor: a sample is hidden
+ * when the ray towards it first hits something other than the object itself.
+ * @private
+ */
+function estimateVisibility(
+  origin,
+  mesh,
+  instanceId,
+  box,
+  matrix,
+  sceneBvh,
+  visibleMeshes,
+  raycaster
+) {
+  const center = box.getCenter(new THREE.Vector3());
+  const halfSize = box
+    .getSize(new THREE.Vector3())
+    .multiplyScalar(VISIBILITY_SAMPLE_SCALE / 2);
+  const sample = new THREE.Vector3();
+  const direction = new THREE.Vector3();
+  let visible = 0;
+
+  for (const [sx, sy, sz] of VISIBILITY_SAMPLES) {
+    sample
+      .set(sx * halfSize.x, sy * halfSize.y, sz * halfSize.z)
+      .add(center)
+      .applyMatrix4(matrix);
+    direction.subVectors(sample, origin);
+    const distance = direction.length();
+    raycaster.set(origin, direction.normalize());
+    const hit = sceneBvh.raycastFirst(raycaster.ray, 0, distance, visibleMeshes, null);
+    if (!hit || (hit.object === mesh && hit.instanceId === instanceId)) {
+      visible++;
+    }
+  }
+
+  return visible / VISIBILITY_SAMPLES.length;
+}
+
+/**
+ * Snapshot the oriented bounding boxes of every annotated object within range
+ * of the sensor. Registered instanced meshes opt in with `userData.objectClass` and
+ * `userData.trackIdBase`; each instance becomes one object whose track id
+ * matches the instance id recorded on its points.
+ *
+ * Boxes are the geometry's bounding box in the instance frame, so length runs
+ * along the object's local +Z, width along +X and height along +Y.
+ *
+ * @param {LidarMeshRegistry} meshRegistry - Meshes to search for annotated objects,
+ *   and the occluders
+ * @param {THREE.Object3D} sensor - Sensor object
+ * @param {THREE.Raycaster} raycaster - Raycaster reused for occlusion tests
+ * @param {Object} lidarConfig - Sensor configuration (maxRange)
+ * @returns {Array<Object>} - Objects with trackId, objectClass, semanticClass,
+ *   center and quaternion (three.js world frame), size ([length, width, height], m)
+ *   and visibility (0-1 fraction of the box in line of sight)
+ */
+export function collectObjectAnnotations(meshRegistry, sensor, raycaster, lidarConfig) {
+  const origin = sensor.getWorldPosition(new THREE.Vector3());
+  const maxRange = lidarConfig.maxRange || 70;
+
+  // Every mesh may hide an object, whatever the scans culled, and the
+  // scans' culling state is left as it is
+  const meshes = meshRegistry.getMeshes();
+  const visibleMeshes = new Set(meshes);
+  const { sceneBvh } = meshRegistry;
+  sceneBvh.updateTree(meshes);
+
+  const objects = [];
+  const matrix = new THREE.Matrix4();
+  const center = new THREE.Vector3();
+  const size = new THREE.Vector3();
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  const scale = new THREE.Vector3();
+
+  meshes.forEach((mesh) => {
+    const { objectClass, trackIdBase, instanceSemanticClasses, semanticClass } =
+      mesh.userData;
+    if (objectClass === undefined || trackIdBase === undefined) {
+      return;
+    }
+
+    if (!mesh.geometry.boundingBox) {
+      mesh.geometry.computeBoundingBox();
+    }
+    const box = mesh.geometry.boundingBox;
+    box.getSize(size);
+
+    for (let i = 0; i < mesh.capacity; i++) {
+      if (!mesh.getActiveAndVisibilityAt(i)) continue;
+
+      mesh.getMatrixAt(i, matrix).premultiply(mesh.matrixWorld);
+      box.getCenter(center).applyMatrix4(matrix);
+      if (center.distanceTo(origin) > maxRange) continue;
+
+      matrix.decompose(position, quaternion, scale);
+      objects.push({
+        trackId: trackIdBase + i,
+        objectClass,
+        semanticClass:
+          instanceSemanticClasses?.[i] ?? semanticClass ?? SEMANTIC_CLASSES.UNLABELED,
+        center: center.toArray(),
+        quaternion: quaternion.toArray(),
+        size: [size.z * scale.z, size.x * scale.x, size.y * scale.y],
+        visibility: estimateVisibility(
+          origin,
+          mesh,
+          i,
+          box,
+          matrix,
+          sceneBvh,
+          visibleMeshes,
+          raycaster
+        ),
+      });
+    }
+  });
+
+  return objects;
+}
@@ -0,0 +1,178 @@
+import {
+  collectTransformUpdates,
+  getSceneSignature,
+  serializeScene,
+} from "../utils/SceneSnapshot.js";
+
+/**
+ * Messages between RaycastWorkerPool and its workers (RaycastWorker.js).
+ */
+export const RAYCAST_MESSAGE_TYPES = {
+  SCENE: "scene", // {snapshot}: replace the scene, see serializeScene
+  TRANSFORMS: "transforms", // {updates}: see collectTransformUpdates
+  CONFIG: "config", // {lidarConfig}
+  SCAN: "scan", // {jobId, firingIndex, sensorPosition, motion}
+  RESULT: "result", // {jobId, points, cleanPoints, culling} or {jobId, error}
+};
+
+// Scans queued per worker before the pool reports itself busy
+const MAX_JOBS_PER_WORKER = 2;
+const MAX_WORKERS = 4;
+
+/**
+ * Workers to start: one core is left to rendering.
+ * @returns {Number}
+ */
+export function getDefaultPoolSize() {
+  const cores = globalThis.navigator?.hardwareConcurrency || 2;
+  return Math.max(1, Math.min(MAX_WORKERS, cores - 1));
+}
+
+function createRaycastWorker() {
+  return new Worker(new URL("../workers/RaycastWorker.js", import.meta.url), {
+    type: "module",
+  });
+}
+
+/**
+ * Casts the rays of scan batches in Web Workers, so scanning never blocks
+ * the render loop. Every worker holds a copy of the intersectable meshes,
+ * sent once with their serialized BVHs and then kept up to date with the
+ * transforms that changed on each step. Batches go to the least loaded
+ * worker and their results come back, as transferred arrays, in the order
+ * they were submitted.
+ */
+export class RaycastWorkerPool {
+  /**
+   * @param {Number} size - Number of workers
+   * @param {Function} createWorker - () => Worker running RaycastWorker.js
+   */
+  constructor(size = getDefaultPoolSize(), createWorker = createRaycastWorker) {
+    this.workers = Array.from({ length: size }, () => {
+      const entry = { worker: createWorker(), jobs: 0 };
+      entry.worker.onmessage = ({ data }) => this._onResult(data);
+      entry.worker.onerror = (event) =>
+        this._failAll(new Error(`Raycast worker failed: ${event.message}`));
+      return entry;
+    });
+    this.queue = []; // Pending scans in submission order
+    this.nextJobId = 0;
+    this.sceneSignature = null;
+    this.sentTransforms = [];
+  }
+
+  /**
+   * True while every worker has a full queue; hold back new scans until it
+   * clears, see SimulationClock.addGate.
+   * @returns {Boolean}
+   */
+  get isBusy() {
+    return this.queue.length >= this.workers.length * MAX_JOBS_PER_WORKER;
+  }
+
+  /**
+   * @private
+   */
+  _broadcast(message) {
+    this.workers.forEach(({ worker }) => worker.postMessage(message));
+  }
+
+  /**
+   * @param {Object} lidarConfig - See createLidarConfig; applies to the scans
+   *   submitted after it
+   */
+  setLidarConfig(lidarConfig) {
+    this._broadcast({ type: RAYCAST_MESSAGE_TYPES.CONFIG, lidarConfig });
+  }
+
+  /**
+   * Bring the workers' scenes up to date with `meshes` before a scan: the
+   * whole scene when the set of meshes changed, otherwise only the
+   * transforms that moved.
+   * @param {Array<THREE.Mesh>} meshes - Intersectable meshes, see LidarMeshRegistry.getMeshes
+   * @param {LidarMeshRegistry|null} meshRegistry - Where `meshes` are registered,
+   *   so the workers register their copies the same way
+   */
+  syncScene(meshes, meshRegistry = null) {
+    const signature = getSceneSignature(meshes);
+    if (signature !== this.sceneSignature) {
+      this.sceneSignature = signature;
+      this.sentTransforms = [];
+      collectTransformUpdates(meshes, this.sentTransforms);
+      this._broadcast({
+        type: RAYCAST_MESSAGE_TYPES.SCENE,
+        snapshot: serializeScene(meshes, meshRegistry),
+      });
+      return;
+    }
+
+    const updates = collectTransformUpdates(meshes, this.sentTransforms);
+    if (updates.length > 0) {
+      this._broadcast({ type: RAYCAST_MESSAGE_TYPES.TRANSFORMS, updates });
+    }
+  }
+
+  /**
+   * Cast one batch of rays.
+   * @param {Object} job
+   * @param {Number} job.firingIndex - First firing of the batch
+   * @param {Number[]} job.sensorPosition - Ray origin for a static sensor
+   * @param {SensorMotion|null} job.motion - Sensor motion during the batch
+   * @returns {Promise<{points: Float32Array, cleanPoints: Float32Array|null,
+   *   culling: Object}>} - Resolves after every earlier scan. The worker's
+   *   culling refers to meshes by their index in the last syncScene
+   *   `meshes`: {visibleMeshes: Array<Number>, culledInstances:
+   *   Array<[Number, Array<Number>]>, statistics}
+   */
+  scan(job) {
+    const entry = this.workers.reduce((best, candidate) =>
+      candidate.jobs < best.jobs ? candidate : best
+    );
+    const jobId = this.nextJobId++;
+    entry.jobs++;
+    return new Promise((resolve, reject) => {
+      this.queue.push({ jobId, entry, resolve, reject, result: null });
+      entry.worker.postMessage({ type: RAYCAST_MESSAGE_TYPES.SCAN, jobId, ...job });
+    });
+  }
+
+  /**
+   * @private
+   */
+  _onResult({ jobId, error, points, cleanPoints, culling }) {
+    const job = this.queue.find((pending) => pending.jobId === jobId);
+    if (!job) return;
+    if (error) {
+      this._failAll(new Error(error));
+      return;
+    }
+    job.entry.jobs--;
+    job.result = { points, cleanPoints, culling };
+
+    // Results are handed out in submission order
+    while (this.queue.length > 0 && this.queue[0].result) {
+      const done = this.queue.shift();
+      done.resolve(done.result);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _failAll(error) {
+    this.queue.forEach((job) => job.reject(error));
+    this.queue = [];
+    this.workers.forEach((entry) => {
+      entry.jobs = 0;
+    });
+  }
+
+  /**
+   * Stop the workers. Pending scans are rejected.
+   */
+  dispose() {
+    this.workers.forEach(({ worker }) => worker.terminate());
+    this._failAll(new Error("Worker pool disposed"));
+    this.workers = [];
+  }
+}
@@ -0,0 +1,359 @@
+import * as THREE from "three";
+import { ROSETTE_PROFILE, SCAN_PATTERNS } from "../config/ScanPatterns.js";
+import { RANDOM_STREAMS, createRandom } from "../utils/SeededRandom.js";
+
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+const TWO_PI = Math.PI * 2;
+
+// Resolution of the precomputed MID-360 elevation table
+const VERTICAL_TABLE_SIZE = 2048;
+
+/**
+ * One laser firing of a scan pattern.
+ * @typedef {Object} Firing
+ * @property {Number} azimuth - Radians about the sensor's up axis, 0 straight ahead, positive to the left
+ * @property {Number} elevation - Radians above the sensor's horizontal plane
+ * @property {Number} channel - Laser / scan line index, written to POINT_FIELDS.LINE
+ * @property {Number} timeOffsetNs - Time of the firing since the pattern started
+ */
+
+/**
+ * Elevation of each channel, evenly spread over the configured vertical FOV.
+ * @param {Number} numChannels
+ * @param {Number} verticalFOV - Symmetric vertical FOV in degrees, used if min/max are not set
+ * @param {Number} verticalFOVMin - Degrees
+ * @param {Number} verticalFOVMax - Degrees
+ * @returns {Number[]} - Degrees, lowest first
+ */
+export function initializeVerticalAngles(
+  numChannels,
+  verticalFOV,
+  verticalFOVMin,
+  verticalFOVMax
+) {
+  if (verticalFOVMin !== undefined && verticalFOVMax !== undefined) {
+    return Array(numChannels)
+      .fill(0)
+      .map(
+        (_, i) =>
+          verticalFOVMin +
+          (i * (verticalFOVMax - verticalFOVMin)) / Math.max(numChannels - 1, 1)
+      );
+  }
+
+  return Array(numChannels)
+    .fill(0)
+    .map(
+      (_, i) =>
+        -verticalFOV / 2 + (i * verticalFOV) / Math.max(numChannels - 1, 1)
+    );
+}
+
+/**
+ * Base class of scan patterns. A pattern is a deterministic sequence of
+ * firings: subclasses implement `getFiring(index, target)`, which writes the
+ * direction, channel and time of the index-th firing since the sensor
+ * started into `target` (a Firing) and returns it, so batches of rays can be
+ * generated from any point of the sequence.
+ */
+export class ScanPattern {
+  /**
+   * @param {Object} lidarConfig - See DEFAULT_LIDAR_CONFIG
+   */
+  constructor(lidarConfig) {
+    this.firingIntervalNs = 1e9 / lidarConfig.pointRate;
+  }
+}
+
+/**
+ * The MID-360's non-repetitive pattern: azimuths advance by the golden angle
+ * and elevations are drawn from a hash of the firing index, denser towards
+ * the bottom of the vertical FOV where the sensor concentrates its returns.
+ * A limited horizontal FOV is centred on the sensor's forward axis.
+ */
+export class Mid360ScanPattern extends ScanPattern {
+  /**
+   * @param {Object} lidarConfig - See DEFAULT_LIDAR_CONFIG
+   * @param {Object} options
+   * @param {Number} options.indexOffset - Shifts the pattern so separate sensors
+   *   differ, drawn from the config seed by default
+   */
+  constructor(
+    lidarConfig,
+    {
+      indexOffset = createRandom(
+        lidarConfig.seed,
+        RANDOM_STREAMS.SCAN_PATTERN
+      ).next() * 1000,
+    } = {}
+  ) {
+    super(lidarConfig);
+    const { numChannels, verticalFOV, horizontalFOV } = lidarConfig;
+    this.indexOffset = indexOffset;
+    this.radiansPerFiring = lidarConfig.scanRate / lidarConfig.pointRate;
+
+    const verticalAngles = initializeVerticalAngles(
+      numChannels,
+      verticalFOV,
+      lidarConfig.verticalFOVMin,
+      lidarConfig.verticalFOVMax
+    );
+    const verticalMin = verticalAngles[0];
+    const verticalRange = verticalAngles[verticalAngles.length - 1] - verticalMin;
+    const channelSpacing =
+      numChannels > 1 ? verticalRange / (numChannels - 1) : 1;
+
+    // Elevation table sampled by the hash, with the nearest channel of each entry
+    this.elevations = new Float32Array(VERTICAL_TABLE_SIZE);
+    this.channels = new Uint16Array(VERTICAL_TABLE_SIZE);
+    for (let i = 0; i < VERTICAL_TABLE_SIZE; i++) {
+      const position = (i + 0.5) / VERTICAL_TABLE_SIZE;
+      const adjustedPosition = position * Math.sqrt(Math.sqrt(position));
+      const angle = verticalMin + adjustedPosition * verticalRange;
+      this.elevations[i] = THREE.MathUtils.degToRad(angle);
+      this.channels[i] = THREE.MathUtils.clamp(
+        Math.round((angle - verticalMin) / channelSpacing),
+        0,
+        numChannels - 1
+      );
+    }
+
+    this.horizontalFOVRad = THREE.MathUtils.degToRad(
+      Math.min(horizontalFOV ?? 360, 360)
+    );
+  }
+
+  getFiring(index, target = {}) {
+    const baseIndex = index + this.indexOffset;
+    const normalizedIndex = (baseIndex % 1000) * 0.001;
+
+    // Fraction of the horizontal FOV swept by this firing
+    const hFraction =
+      ((index * this.radiansPerFiring +
+        normalizedIndex * TWO_PI +
+        GOLDEN_ANGLE * baseIndex) %
+        TWO_PI) /
+      TWO_PI;
+
+    const simpleHash = ((baseIndex * 1664525 + 1013904223) >>> 0) / 4294967296;
+    const verticalIndex = Math.floor(simpleHash * VERTICAL_TABLE_SIZE);
+
+    target.azimuth = (hFraction - 0.5) * this.horizontalFOVRad;
+    target.elevation = this.elevations[verticalIndex];
+    target.channel = this.channels[verticalIndex];
+    target.timeOffsetNs = index * this.firingIntervalNs;
+    return target;
+  }
+}
+
+/**
+ * Mechanical spinning lidar: the lasers of a fixed elevation table fire one
+ * after another in firing order while the head turns at the scan rate, each
+ * laser optionally offset in azimuth from the head's angle.
+ */
+export class SpinningScanPattern extends ScanPattern {
+  /**
+   * @param {Object} lidarConfig - See DEFAULT_LIDAR_CONFIG. `channelElevations`
+   *   and `channelAzimuthOffsets` (degrees, firing order) override the evenly
+   *   spaced channels and zero offsets.
+   */
+  constructor(lidarConfig) {
+    super(lidarConfig);
+    const elevations =
+      lidarConfig.channelElevations ||
+      initializeVerticalAngles(
+        lidarConfig.numChannels,
+        lidarConfig.verticalFOV,
+        lidarConfig.verticalFOVMin,
+        lidarConfig.verticalFOVMax
+      );
+    const azimuthOffsets =
+      lidarConfig.channelAzimuthOffsets || elevations.map(() => 0);
+
+    this.elevations = Float32Array.from(elevations, THREE.MathUtils.degToRad);
+    this.azimuthOffsets = Float32Array.from(
+      azimuthOffsets,
+      THREE.MathUtils.degToRad
+    );
+    this.radiansPerFiring = lidarConfig.scanRate / lidarConfig.pointRate;
+  }
+
+  getFiring(index, target = {}) {
+    const channel = index % this.elevations.length;
+    const headAngle = (index * this.radiansPerFiring) % TWO_PI;
+
+    target.azimuth = headAngle + this.azimuthOffsets[channel];
+    target.elevation = this.elevations[channel];
+    target.channel = channel;
+    target.timeOffsetNs = index * this.firingIntervalNs;
+    return target;
+  }
+}
+
+/**
+ * Livox Avia-style rosette: two counter-rotating prisms deflect all lasers
+ * together along a rosette that fills the FOV, the lasers stacked slightly
+ * apart in elevation and firing simultaneously.
+ */
+export class RosetteScanPattern extends ScanPattern {
+  /**
+   * @param {Object} lidarConfig - See DEFAULT_LIDAR_CONFIG; the rosette spans
+   *   the horizontal and vertical FOV
+   * @param {Object} profile - See ROSETTE_PROFILE
+   */
+  constructor(lidarConfig, profile = ROSETTE_PROFILE) {
+    super(lidarConfig);
+    const verticalFOVMin =
+      lidarConfig.verticalFOVMin ?? -lidarConfig.verticalFOV / 2;
+    const verticalFOVMax =
+      lidarConfig.verticalFOVMax ?? lidarConfig.verticalFOV / 2;
+
+    this.laserOffsets = Float32Array.from(
+      profile.laserElevationOffsets,
+      THREE.MathUtils.degToRad
+    );
+    this.prismRates = profile.prismRpm.map((rpm) => (rpm * TWO_PI) / 60); // rad/s
+    this.azimuthRadius = THREE.MathUtils.degToRad(
+      Math.min(lidarConfig.horizontalFOV, 180) / 2
+    );
+    this.elevationRadius = THREE.MathUtils.degToRad(
+      (verticalFOVMax - verticalFOVMin) / 2
+    );
+    this.elevationCentre = THREE.MathUtils.degToRad(
+      (verticalFOVMax + verticalFOVMin) / 2
+    );
+  }
+
+  getFiring(index, target = {}) {
+    const numLasers = this.laserOffsets.length;
+    const channel = index % numLasers;
+    const timeOffsetNs = (index - channel) * this.firingIntervalNs;
+    const time = timeOffsetNs / 1e9;
+    const [rate1, rate2] = this.prismRates;
+
+    target.azimuth =
+      (this.azimuthRadius * (Math.cos(rate1 * time) + Math.cos(rate2 * time))) / 2;
+    target.elevation =
+      this.elevationCentre +
+      (this.elevationRadius * (Math.sin(rate1 * time) + Math.sin(rate2 * time))) / 2 +
+      this.laserOffsets[channel];
+    target.channel = channel;
+    target.timeOffsetNs = timeOffsetNs;
+    return target;
+  }
+}
+
+/**
+ * Pattern replaying a table of firings, such as the recorded firing angles of
+ * a real sensor, over and over.
+ */
+export class TableScanPattern extends ScanPattern {
+  /**
+   * @param {Object} lidarConfig - See DEFAULT_LIDAR_CONFIG
+   * @param {Array<{azimuth: Number, elevation: Number, channel: Number, timeOffsetNs: Number}>} firings -
+   *   One cycle of the pattern, angles in degrees. Without time offsets the
+   *   firings are spaced at the configured point rate.
+   */
+  constructor(lidarConfig, firings) {
+    super(lidarConfig);
+    if (!firings || firings.length === 0) {
+      throw new Error("Scan pattern table has no firings");
+    }
+    const hasTimes = firings.every((firing) =>
+      Number.isFinite(firing.timeOffsetNs)
+    );
+
+    this.azimuths = Float32Array.from(firings, (firing) =>
+      THREE.MathUtils.degToRad(firing.azimuth)
+    );
+    this.elevations = Float32Array.from(firings, (firing) =>
+      THREE.MathUtils.degToRad(firing.elevation)
+    );
+    this.channels = Uint16Array.from(firings, (firing) => firing.channel || 0);
+    this.timeOffsets = Float64Array.from(firings, (firing, i) =>
+      hasTimes ? firing.timeOffsetNs - firings[0].timeOffsetNs : i * this.firingIntervalNs
+    );
+
+    // The next cycle starts one average firing interval after the last firing
+    const lastTime = this.timeOffsets[firings.length - 1];
+    this.cycleNs =
+      firings.length > 1
+        ? (lastTime * firings.length) / (firings.length - 1)
+        : this.firingIntervalNs;
+  }
+
+  getFiring(index, target = {}) {
+    const row = index % this.azimuths.length;
+    const cycle = (index - row) / this.azimuths.length;
+
+    target.azimuth = this.azimuths[row];
+    target.elevation = this.elevations[row];
+    target.channel = this.channels[row];
+    target.timeOffsetNs = cycle * this.cycleNs + this.timeOffsets[row];
+    return target;
+  }
+
+  /**
+   * Parse a CSV of firings with a header row naming the columns `azimuth` and
+   * `elevation` (degrees), and optionally `channel` and `time` (ns since the
+   * first firing). Columns may come in any order; extra columns are ignored.
+   * @param {String} text - File content
+   * @returns {Array<Object>} - Firings for TableScanPattern / `scanPatternTable`
+   */
+  static parseCsv(text) {
+    const lines = text
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line !== "" && !line.startsWith("#"));
+    if (lines.length < 2) {
+      throw new Error("Scan pattern CSV needs a header and at least one firing");
+    }
+
+    const columns = lines[0]
+      .split(",")
+      .map((name) => name.trim().toLowerCase());
+    const column = (name) => columns.findIndex((c) => c.startsWith(name));
+    const azimuthColumn = column("azimuth");
+    const elevationColumn = column("elevation");
+    const channelColumn = column("channel");
+    const timeColumn = column("time");
+    if (azimuthColumn < 0 || elevationColumn < 0) {
+      throw new Error("Scan pattern CSV needs azimuth and elevation columns");
+    }
+
+    return lines.slice(1).map((line) => {
+      const values = line.split(",").map(Number);
+      const firing = {
+        azimuth: values[azimuthColumn],
+        elevation: values[elevationColumn],
+        channel: channelColumn >= 0 ? values[channelColumn] : 0,
+        timeOffsetNs: timeColumn >= 0 ? values[timeColumn] : undefined,
+      };
+      if (!Number.isFinite(firing.azimuth) || !Number.isFinite(firing.elevation)) {
+        throw new Error(`Invalid scan pattern line: ${line}`);
+      }
+      return firing;
+    });
+  }
+}
+
+/**
+ * Build the scan pattern selected by `lidarConfig.scanPattern`.
+ * @param {Object} lidarConfig - See DEFAULT_LIDAR_CONFIG
+ * @returns {ScanPattern}
+ */
+export function createScanPattern(lidarConfig) {
+  switch (lidarConfig.scanPattern) {
+    case SCAN_PATTERNS.SPINNING:
+      return new SpinningScanPattern(lidarConfig);
+    case SCAN_PATTERNS.ROSETTE:
+      return new RosetteScanPattern(lidarConfig);
+    case SCAN_PATTERNS.TABLE:
+      return new TableScanPattern(lidarConfig, lidarConfig.scanPatternTable);
+    case SCAN_PATTERNS.MID360:
+    case undefined:
+      return new Mid360ScanPattern(lidarConfig);
+    default:
+      throw new Error(`Unknown scan pattern: ${lidarConfig.scanPattern}`);
+  }
+}
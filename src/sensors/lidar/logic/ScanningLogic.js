@@ -1,90 +1,32 @@
 import * as THREE from "three";
-import { IntensityCalculator } from "../utils/IntensityCalculator";
-import { DistanceBasedCulling } from "../utils/DistanceBasedCulling";
+import { IntensityCalculator } from "../utils/IntensityCalculator.js";
+import { RangeCalculator } from "../utils/RangeCalculator.js";
+import { RaySector } from "../utils/DistanceBasedCulling.js";
+import { POINT_FIELDS, POINT_STRIDE } from "../utils/PointLayout.js";
+import {
+  getInstanceId,
+  getSemanticClass,
+  getTransmittance,
+} from "../utils/SemanticLabels.js";
+import { interpolateSensorPose } from "../utils/SensorMotion.js";
+import { RETURN_MODES, createReturnConfig } from "../config/ReturnConfig.js";
+import { createScanPattern } from "./ScanPattern.js";
+import { NoiseModel } from "./NoiseModel.js";
 
 // TRULY CONSTANT VALUES
-const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
 const TWO_PI = Math.PI * 2;
 
-// LIDAR CONFIG-DEPENDENT CONSTANTS 
-const STATIC_VERTICAL_FOV_MIN_DEG = -7;
-const STATIC_VERTICAL_FOV_MAX_DEG = 52;
-const STATIC_NUM_CHANNELS = 40;
-const STATIC_VERTICAL_RANGE =
-  STATIC_VERTICAL_FOV_MAX_DEG - STATIC_VERTICAL_FOV_MIN_DEG;
-const STATIC_VERTICAL_RANGE_RAD = THREE.MathUtils.degToRad(
-  STATIC_VERTICAL_RANGE
-);
-const STATIC_VERTICAL_FOV_MIN_RAD = THREE.MathUtils.degToRad(
-  STATIC_VERTICAL_FOV_MIN_DEG
-);
-const STATIC_NUM_CHANNELS_MINUS_ONE = STATIC_NUM_CHANNELS - 1;
-const STATIC_INV_VERTICAL_RANGE = 1.0 / STATIC_VERTICAL_RANGE;
-
-
-const TRIG_TABLE_SIZE = 4096; // Resolution of the lookup table. Higher = more accurate, more memory.
-const TRIG_FACTOR = TRIG_TABLE_SIZE / TWO_PI; // Factor to map radians to table index
-
-const _sinTable = new Float32Array(TRIG_TABLE_SIZE);
-const _cosTable = new Float32Array(TRIG_TABLE_SIZE);
-
-// Populate lookup tables once when the module loads
-for (let i = 0; i < TRIG_TABLE_SIZE; i++) {
-  const angle = (i / TRIG_TABLE_SIZE) * TWO_PI;
-  _sinTable[i] = Math.sin(angle);
-  _cosTable[i] = Math.cos(angle);
-}
+// Scratch vectors for castBeam
+const _worldNormal = new THREE.Vector3();
+const _subRayDirection = new THREE.Vector3();
+const _footprintU = new THREE.Vector3();
+const _footprintV = new THREE.Vector3();
+const _echoPoint = new THREE.Vector3();
+const _up = new THREE.Vector3(0, 1, 0);
+const _right = new THREE.Vector3(1, 0, 0);
 
-/**
- * Fast approximation of Math.sin using a lookup table.
- * @param {number} angleRad Angle in radians.
- * @returns {number} Sine value.
- */
-function fastSin(angleRad) {
-  // Normalize angle to 0 to 2PI range
-  let index = angleRad * TRIG_FACTOR;
-  index = index % TRIG_TABLE_SIZE;
-  if (index < 0) {
-    index += TRIG_TABLE_SIZE;
-  }
-  return _sinTable[Math.floor(index)]; // Using Math.floor for direct lookup
-}
-
-/**
- * Fast approximation of Math.cos using a lookup table.
- * @param {number} angleRad Angle in radians.
- * @returns {number} Cosine value.
- */
-function fastCos(angleRad) {
-  // Normalize angle to 0 to 2PI range
-  let index = angleRad * TRIG_FACTOR;
-  index = index % TRIG_TABLE_SIZE;
-  if (index < 0) {
-    index += TRIG_TABLE_SIZE;
-  }
-  return _cosTable[Math.floor(index)]; // Using Math.floor for direct lookup
-}
-
-export function initializeVerticalAngles(
-  numChannels,
-  verticalFOV,
-  verticalFOVMin,
-  verticalFOVMax
-) {
-  if (verticalFOVMin !== undefined && verticalFOVMax !== undefined) {
-    return Array(numChannels)
-      .fill(0)
-      .map(
-        (_, i) =>
-          verticalFOVMin +
-          (i * (verticalFOVMax - verticalFOVMin)) / (numChannels - 1)
-      );
-  }
-
-  return Array(numChannels)
-    .fill(0)
-    .map((_, i) => -verticalFOV / 2 + (i * verticalFOV) / (numChannels - 1));
-}
+const MAX_PASS_THROUGHS = 4; // Semi-transparent surfaces a sub-ray goes on through
+const PASS_THROUGH_OFFSET = 0.001; // m, restarts a sub-ray past the surface it went through
 
 export function calculateRayDirection(hAngleRad, vAngleRad) {
   return new THREE.Vector3(
@@ -94,108 +36,285 @@ export function calculateRayDirection(hAngleRad, vAngleRad) {
   );
 }
 
-export function updateScanAngle(delta, scanState, scanRate) {
-  scanState.horizontalAngle += delta * scanRate;
-  if (scanState.horizontalAngle >= TWO_PI) {
-    scanState.horizontalAngle -= TWO_PI;
+// PRIVATE FUNCTION - Wrap an azimuth to [-PI, PI)
+function wrapAzimuth(azimuth) {
+  return azimuth - TWO_PI * Math.floor((azimuth + Math.PI) / TWO_PI);
+}
+
+/**
+ * Culling options for one batch: the range of the sensor, the directions of
+ * the rays it is about to fire and how far the sensor moves meanwhile.
+ * @param {Object} scanState - Scan pattern and the batch's first firing
+ * @param {Object} lidarConfig - See createLidarConfig
+ * @param {SensorMotion|null} motion - Sensor motion during the batch
+ * @returns {Object} - cullingOptions for collectIntersectableMeshes
+ */
+export function getBatchCullingOptions(scanState, lidarConfig, motion = null) {
+  if (!scanState.scanPattern) {
+    scanState.scanPattern = createScanPattern(lidarConfig);
+  }
+  const { scanPattern } = scanState;
+  const firstFiringIndex = scanState.firingIndex || 0;
+  const halfHorizontalFOV = THREE.MathUtils.degToRad(lidarConfig.horizontalFOV ?? 360) / 2;
+
+  // Angles are in the frame of the batch start; rays fired later are turned
+  // by at most the rotation over the batch, and footprint sub-rays spread by
+  // half the beam divergence around them.
+  const { beamDivergence, footprintRays } = createReturnConfig(lidarConfig.returns);
+  let rotation = null;
+  let margin = footprintRays > 1 ? beamDivergence / 2000 : 0;
+  let originRadius = 0;
+  if (motion) {
+    rotation = new THREE.Quaternion().fromArray(motion.startPose.quaternion);
+    margin += rotation.angleTo(new THREE.Quaternion().fromArray(motion.endPose.quaternion));
+    originRadius = new THREE.Vector3()
+      .fromArray(motion.startPose.position)
+      .distanceTo(new THREE.Vector3().fromArray(motion.endPose.position));
   }
 
-  scanState.scanPhase += delta * 0.5;
-  if (scanState.scanPhase > 1) {
-    scanState.scanPhase = 0;
+  const sector = new RaySector(rotation, margin);
+  const firing = {};
+  for (let i = 0; i < lidarConfig.pointsPerFrame; i++) {
+    scanPattern.getFiring(firstFiringIndex + i, firing);
+    const azimuth = wrapAzimuth(firing.azimuth);
+    if (Math.abs(azimuth) > halfHorizontalFOV) continue;
+    sector.addRay(azimuth, firing.elevation);
   }
 
-  scanState.frameCount++;
+  return {
+    minRange: lidarConfig.minRange || 0.2,
+    maxRange: lidarConfig.maxRange || 70,
+    bufferDistance: 10,
+    sector,
+    originRadius,
+    occlusion: true,
+  };
 }
 
 export function getSensorPosition(sensorRef) {
   return sensorRef.current.position.clone();
 }
 
-function collectIntersectableMeshes(
-  scene,
+/**
+ * Registered meshes within reach of the sensor. The culling lives in the
+ * registry, so its state carries over from one scan to the next, and its
+ * result is kept there as `lastCulling`.
+ * @param {LidarMeshRegistry} meshRegistry - Meshes the LiDAR can see
+ * @param {THREE.Vector3} sensorPosition
+ * @param {Boolean} enableCulling - False keeps every registered mesh
+ * @param {Object} cullingOptions - minRange, maxRange and bufferDistance in
+ *   metres; for a scan batch also its sector, originRadius and occlusion (by
+ *   the registry's occluders), see getBatchCullingOptions
+ * @returns {{meshes: Array<THREE.Mesh>, intersectableMeshes: Array<THREE.Mesh>,
+ *   culledInstances: Map<THREE.Mesh, Set<Number>>, statistics: Object}} -
+ *   Culling counts objects, i.e. meshes or single instances
+ */
+export function collectIntersectableMeshes(
+  meshRegistry,
   sensorPosition,
-  sensorRef,
   enableCulling = true,
   cullingOptions = {}
 ) {
   const startTime = performance.now();
 
-  const culling = new DistanceBasedCulling(
-    cullingOptions.maxRange || 70,
-    cullingOptions.bufferDistance || 10,
-    cullingOptions.minRange || 0.2
-  );
+  const { culling } = meshRegistry;
+  culling.bufferDistance = cullingOptions.bufferDistance || 10;
+  culling.updateMaxRange(cullingOptions.maxRange || 70);
+  culling.updateMinRange(cullingOptions.minRange || 0.2);
 
-  const allMeshes = [];
-  scene.traverse((child) => {
-    if (
-      child.isMesh &&
-      child.isMesh &&
-      child.visible &&
-      child !== sensorRef.current
-    ) {
-      allMeshes.push(child);
-    }
-  });
+  const allMeshes = meshRegistry.getMeshes();
 
   let visibleMeshes = allMeshes;
+  let culledInstances = new Map();
   let cullingStats = {
     totalMeshes: allMeshes.length,
     visibleMeshes: allMeshes.length,
     culledMeshes: 0,
     tooClose: 0,
     tooFar: 0,
+    outsideFov: 0,
+    occluded: 0,
     cullingEnabled: enableCulling,
     processingTime: 0,
   };
 
   if (enableCulling && allMeshes.length > 0) {
-    const cullingResult = culling.cullMeshes(allMeshes, sensorPosition);
+    const cullingResult = culling.cullMeshes(allMeshes, sensorPosition, {
+      sector: cullingOptions.sector || null,
+      occluders: cullingOptions.occlusion ? meshRegistry.getOccluders() : [],
+      originRadius: cullingOptions.originRadius || 0,
+    });
     visibleMeshes = cullingResult.visibleMeshes;
+    culledInstances = cullingResult.culledInstances;
 
     cullingStats = {
       ...cullingStats,
+      totalMeshes: cullingResult.statistics.total,
       visibleMeshes: cullingResult.statistics.visible,
       culledMeshes: cullingResult.statistics.culled,
       tooClose: cullingResult.statistics.tooClose,
       tooFar: cullingResult.statistics.tooFar,
+      outsideFov: cullingResult.statistics.outsideFov,
+      occluded: cullingResult.statistics.occluded,
     };
   }
 
   const endTime = performance.now();
   cullingStats.processingTime = endTime - startTime;
+  meshRegistry.lastCulling = {
+    visibleMeshes: new Set(visibleMeshes),
+    culledInstances,
+    statistics: cullingStats,
+  };
 
   return {
     meshes: visibleMeshes,
+    intersectableMeshes: allMeshes, // Before culling
+    culledInstances,
     statistics: cullingStats,
   };
 }
 
-export function castSingleRay(
+// PRIVATE FUNCTION - Direction of the index-th of `count` sub-rays on the
+// edge of the beam footprint around `direction`
+function getFootprintDirection(direction, index, count, halfDivergence, target) {
+  // Any axis not parallel to the beam spans the footprint plane with it
+  const axis = Math.abs(direction.y) < 0.9 ? _up : _right;
+  _footprintU.crossVectors(direction, axis).normalize();
+  _footprintV.crossVectors(direction, _footprintU);
+
+  const angle = (index / count) * TWO_PI;
+  const offset = Math.tan(halfDivergence);
+  return target
+    .copy(direction)
+    .addScaledVector(_footprintU, offset * Math.cos(angle))
+    .addScaledVector(_footprintV, offset * Math.sin(angle))
+    .normalize();
+}
+
+// PRIVATE FUNCTION - Follow a sub-ray through semi-transparent surfaces,
+// collecting every surface it reaches with the energy reflected there
+function traceSubRay(origin, direction, energy, isAxis, sceneBvh, raycaster, hits) {
+  raycaster.set(origin, direction);
+  let near = raycaster.near;
+  for (let i = 0; i <= MAX_PASS_THROUGHS && energy > 0; i++) {
+    const intersection = sceneBvh.raycastFirst(raycaster.ray, near, raycaster.far);
+    if (!intersection) return;
+
+    const transmittance = getTransmittance(intersection);
+    hits.push({ intersection, energy: energy * (1 - transmittance), isAxis });
+    energy *= transmittance;
+    near = intersection.distance + PASS_THROUGH_OFFSET;
+  }
+}
+
+// PRIVATE FUNCTION - Merge hits closer together than the sensor can resolve
+// into echoes, each at its strongest hit
+function groupEchoes(hits, minSeparation) {
+  hits.sort((a, b) => a.intersection.distance - b.intersection.distance);
+  const echoes = [];
+  let echo = null;
+  for (const hit of hits) {
+    if (!echo || hit.intersection.distance - echo.start >= minSeparation) {
+      echo = { start: hit.intersection.distance, energy: 0, hit };
+      echoes.push(echo);
+    }
+    echo.energy += hit.energy;
+    if (hit.energy > echo.hit.energy) echo.hit = hit;
+  }
+  return echoes;
+}
+
+/**
+ * Echoes a sensor in `mode` reports out of all the echoes of a firing.
+ * @param {Array<Object>} points - Echoes in range order, see castBeam
+ * @param {String} mode - One of RETURN_MODES
+ * @returns {Array<Object>} - Reported echoes, in range order
+ */
+export function selectReturns(points, mode) {
+  if (points.length <= 1) return points;
+
+  const last = points.length - 1;
+  const strongestBefore = (end) => {
+    let strongest = 0;
+    for (let i = 1; i < end; i++) {
+      if (points[i].intensity > points[strongest].intensity) strongest = i;
+    }
+    return strongest;
+  };
+
+  switch (mode) {
+    case RETURN_MODES.STRONGEST:
+      return [points[strongestBefore(points.length)]];
+    case RETURN_MODES.LAST:
+      return [points[last]];
+    case RETURN_MODES.DUAL:
+      // The strongest other than the last: the second strongest if the last is the strongest
+      return [points[strongestBefore(last)], points[last]];
+    default:
+      return [points[0]];
+  }
+}
+
+/**
+ * Cast one firing and return the echoes the sensor reports. The beam
+ * footprint is sampled by `footprintRays` sub-rays sharing its energy: the
+ * beam axis and a ring on the footprint edge. Semi-transparent surfaces (see
+ * getTransmittance) reflect part of a sub-ray and pass the rest on, so foliage,
+ * fences and object edges give several echoes.
+ * @param {THREE.Vector3} origin
+ * @param {THREE.Vector3} direction - Beam axis, normalized
+ * @param {SceneBvh} sceneBvh - Scene to cast against
+ * @param {Number} channelIndex
+ * @param {THREE.Raycaster} raycaster - Holds the near and far limits
+ * @param {Object} returnConfig - See DEFAULT_RETURN_CONFIG
+ * @param {IntensityCalculator} intensityCalculator
+ * @returns {Array<Object>} - Reported echoes in range order, as points: x, y,
+ *   z, intensity, label, instance, reflectivity, incidenceCos, returnIndex
+ *   and returnCount
+ */
+export function castBeam(
   origin,
   direction,
-  meshesToIntersect,
+  sceneBvh,
   channelIndex,
-  timestamp,
   raycaster,
-  lidarConfig,
-  scene,
-  intensityCalculator 
+  returnConfig,
+  intensityCalculator
 ) {
-  raycaster.set(origin, direction);
-  const intersects = raycaster.intersectObjects(meshesToIntersect, true);
-
-  if (intersects.length > 0) {
-    const point = intersects[0].point;
-    const intensity = intensityCalculator.calculateIntensity(
-     
+  const { mode, beamDivergence, footprintRays, minSeparation, minEchoEnergy } =
+    returnConfig;
+
+  const hits = [];
+  const subRayCount = Math.max(1, Math.floor(footprintRays));
+  const halfDivergence = beamDivergence / 2000; // mrad full angle to rad half angle
+  for (let i = 0; i < subRayCount; i++) {
+    const subRayDirection =
+      i === 0
+        ? direction
+        : getFootprintDirection(direction, i - 1, subRayCount - 1, halfDivergence, _subRayDirection);
+    traceSubRay(origin, subRayDirection, 1 / subRayCount, i === 0, sceneBvh, raycaster, hits);
+  }
+  if (hits.length === 0) return [];
+
+  const points = [];
+  for (const echo of groupEchoes(hits, minSeparation)) {
+    if (echo.energy < minEchoEnergy) continue;
+
+    // Echoes are reported along the beam axis
+    const { intersection, isAxis } = echo.hit;
+    const point = isAxis
+      ? intersection.point
+      : _echoPoint.copy(origin).addScaledVector(direction, intersection.distance);
+    const surfaceIntensity = intensityCalculator.calculateIntensity(
       origin,
       point,
       direction,
-      intersects[0],
+      intersection,
       channelIndex
     );
+    if (surfaceIntensity === null) continue; // Out of range for the surface
+    const intensity = surfaceIntensity * echo.energy;
 
     // Validate all components are finite numbers
     if (
@@ -204,137 +323,206 @@ export function castSingleRay(
       !Number.isFinite(point.z) ||
       !Number.isFinite(intensity)
     ) {
-      return null; // Discard invalid point
+      continue; // Discard invalid echo
     }
 
-    return {
+    // Cosine of the angle between the beam and the surface normal, for the noise model
+    const { face, object } = intersection;
+    const incidenceCos = face
+      ? Math.abs(
+          _worldNormal
+            .copy(face.normal)
+            .transformDirection(object.matrixWorld)
+            .dot(direction)
+        )
+      : 1;
+
+    points.push({
       x: point.x,
       y: point.y,
       z: point.z,
-      intensity: intensity,
-      timestamp: timestamp,
-    };
+      intensity,
+      label: getSemanticClass(intersection),
+      instance: getInstanceId(intersection),
+      reflectivity: RangeCalculator.calculateMaterialReflectivity(
+        object.material
+      ),
+      incidenceCos,
+      returnIndex: points.length,
+      returnCount: 0, // Set once every echo is known
+    });
+  }
+  for (const point of points) {
+    point.returnCount = points.length;
   }
 
-  return null;
+  return selectReturns(points, mode);
+}
+
+/**
+ * Renumber the echoes of a firing that survived the noise model's dropouts in
+ * place, as the sensor never saw the dropped ones.
+ * @param {Array<Object>} points - Reported echoes before the dropouts
+ * @param {Array<Object>} survivors - The echoes of `points` that were kept
+ */
+export function renumberReturns(points, survivors) {
+  if (survivors.length === points.length) return;
+  const dropped = points.filter((point) => !survivors.includes(point));
+  for (const point of survivors) {
+    point.returnIndex -= dropped.filter((echo) => echo.returnIndex < point.returnIndex).length;
+    point.returnCount -= dropped.length;
+  }
+}
+
+// PRIVATE FUNCTION - Store a hit as the index-th point of an interleaved buffer
+function writePoint(buffer, index, point, timeOffsetNs, channelIndex) {
+  const bufferWriteIndex = index * POINT_STRIDE;
+  buffer[bufferWriteIndex + POINT_FIELDS.X] = point.x;
+  buffer[bufferWriteIndex + POINT_FIELDS.Y] = point.y;
+  buffer[bufferWriteIndex + POINT_FIELDS.Z] = point.z;
+  buffer[bufferWriteIndex + POINT_FIELDS.INTENSITY] = point.intensity;
+  buffer[bufferWriteIndex + POINT_FIELDS.TIME] = timeOffsetNs;
+  buffer[bufferWriteIndex + POINT_FIELDS.LINE] = channelIndex;
+  buffer[bufferWriteIndex + POINT_FIELDS.TAG] = 0; // Normal return
+  buffer[bufferWriteIndex + POINT_FIELDS.LABEL] = point.label;
+  buffer[bufferWriteIndex + POINT_FIELDS.INSTANCE] = point.instance;
+  buffer[bufferWriteIndex + POINT_FIELDS.RETURN_INDEX] = point.returnIndex;
+  buffer[bufferWriteIndex + POINT_FIELDS.RETURN_COUNT] = point.returnCount;
 }
 
 // PRIVATE FUNCTION - Ray casting engine
 function castRaysInternal(
   sensorPosition,
-  meshesToIntersect,
+  sceneBvh,
   scanState,
   raycaster,
   lidarConfig,
-  scene,
-  currentTime
+  motion
 ) {
-  const componentsPerPoint = 4; // X, Y, Z, Intensity
-  const bufferSize = lidarConfig.pointsPerFrame * componentsPerPoint;
+  // Dual return reports up to two points per firing
+  const returnConfig = createReturnConfig(lidarConfig.returns);
+  const returnsPerFiring = returnConfig.mode === RETURN_MODES.DUAL ? 2 : 1;
+  const bufferSize = lidarConfig.pointsPerFrame * returnsPerFiring * POINT_STRIDE;
   const newPointsBuffer = new Float32Array(bufferSize);
   let pointsAddedCount = 0; // Track actual number of valid points added
 
-  
-  const frameBaseIndex = scanState.frameCount * lidarConfig.pointsPerFrame;
+  const rayDirection = new THREE.Vector3();
+  const rayOrigin = new THREE.Vector3().copy(sensorPosition);
+  const rayRotation = new THREE.Quaternion();
+  const firing = {};
 
+  const frameIntensityCalculator = new IntensityCalculator(lidarConfig);
+  if (!scanState.scanPattern) {
+    scanState.scanPattern = createScanPattern(lidarConfig);
+  }
+  const { scanPattern } = scanState;
 
-  const rayDirection = new THREE.Vector3();
+  // Limited horizontal FOVs are centred on the sensor's forward axis
+  const halfHorizontalFOV = THREE.MathUtils.degToRad(lidarConfig.horizontalFOV ?? 360) / 2;
+  const limitHorizontalFOV = halfHorizontalFOV < Math.PI;
 
+  // Point times are relative to the batch's first firing
+  const firstFiringIndex = scanState.firingIndex || 0;
+  const batchStartNs = scanPattern.getFiring(firstFiringIndex, firing).timeOffsetNs;
 
-  const frameIntensityCalculator = new IntensityCalculator(lidarConfig);
+  // With noise enabled the perfect hits are kept alongside as the clean cloud
+  const noiseModel = lidarConfig.noise?.enabled
+    ? new NoiseModel(lidarConfig, firstFiringIndex)
+    : null;
+  const cleanPointsBuffer = noiseModel ? new Float32Array(bufferSize) : null;
+  let cleanPointsCount = 0;
 
   for (let i = 0; i < lidarConfig.pointsPerFrame; i++) {
-    const baseIndex = frameBaseIndex + i + scanState.patternOffset;
-    const normalizedIndex = (baseIndex % 1000) * 0.001;
-
-    const hAngleRad =
-      (scanState.horizontalAngle +
-        normalizedIndex * TWO_PI +
-        GOLDEN_ANGLE * baseIndex) %
-      TWO_PI;
-
-    
-    const simpleHash = ((baseIndex * 1664525 + 1013904223) >>> 0) / 4294967296;
-    const verticalPos = simpleHash;
-
-   
-    const verticalPosAdjusted = verticalPos * Math.sqrt(Math.sqrt(verticalPos));
-
-   
-    const verticalAngle =
-      STATIC_VERTICAL_FOV_MIN_DEG + verticalPosAdjusted * STATIC_VERTICAL_RANGE;
-    const vAngleRad = THREE.MathUtils.degToRad(verticalAngle);
-
-
-    const cosV = fastCos(vAngleRad);
-    const sinV = fastSin(vAngleRad);
-    const cosH = fastCos(hAngleRad);
-    const sinH = fastSin(hAngleRad);
-    const direction = rayDirection.set(sinH * cosV, sinV, cosH * cosV); 
-
-    
-    const channelIndex = Math.floor(
-      (vAngleRad - STATIC_VERTICAL_FOV_MIN_RAD) *
-        STATIC_INV_VERTICAL_RANGE *
-        STATIC_NUM_CHANNELS_MINUS_ONE
-    );
+    scanPattern.getFiring(firstFiringIndex + i, firing);
+    const timeOffsetNs = firing.timeOffsetNs - batchStartNs;
+
+    // Wrap the azimuth to [-PI, PI) before checking it against the FOV
+    const hAngleRad = wrapAzimuth(firing.azimuth);
+    if (limitHorizontalFOV && Math.abs(hAngleRad) > halfHorizontalFOV) continue;
+    const vAngleRad = firing.elevation;
+
+    const cosV = Math.cos(vAngleRad);
+    const sinV = Math.sin(vAngleRad);
+    const cosH = Math.cos(hAngleRad);
+    const sinH = Math.sin(hAngleRad);
+    const direction = rayDirection.set(sinH * cosV, sinV, cosH * cosV);
+
+    // A moving sensor fires each ray from its pose at the ray's own time
+    if (motion) {
+      interpolateSensorPose(motion, timeOffsetNs, rayOrigin, rayRotation);
+      direction.applyQuaternion(rayRotation);
+    }
+
+    const channelIndex = firing.channel;
 
-    const point = castSingleRay(
-      sensorPosition,
+    const beamPoints = castBeam(
+      rayOrigin,
       direction,
-      meshesToIntersect,
+      sceneBvh,
       channelIndex,
-      currentTime * 1000,
       raycaster,
-      lidarConfig,
-      scene,
-      frameIntensityCalculator 
+      returnConfig,
+      frameIntensityCalculator
     );
 
-    if (point) {
-      const bufferWriteIndex = pointsAddedCount * componentsPerPoint;
-      newPointsBuffer[bufferWriteIndex] = point.x;
-      newPointsBuffer[bufferWriteIndex + 1] = point.y;
-      newPointsBuffer[bufferWriteIndex + 2] = point.z;
-      newPointsBuffer[bufferWriteIndex + 3] = point.intensity;
+    let reportedPoints = beamPoints;
+    if (noiseModel) {
+      reportedPoints = [];
+      for (const point of beamPoints) {
+        writePoint(cleanPointsBuffer, cleanPointsCount, point, timeOffsetNs, channelIndex);
+        cleanPointsCount++;
+        if (noiseModel.apply(point, rayOrigin)) reportedPoints.push(point);
+      }
+      renumberReturns(beamPoints, reportedPoints);
+    }
+
+    for (const point of reportedPoints) {
+      writePoint(newPointsBuffer, pointsAddedCount, point, timeOffsetNs, channelIndex);
       pointsAddedCount++;
     }
   }
-  return newPointsBuffer.subarray(0, pointsAddedCount * componentsPerPoint);
+  scanState.firingIndex = firstFiringIndex + lidarConfig.pointsPerFrame;
+  return {
+    points: newPointsBuffer.subarray(0, pointsAddedCount * POINT_STRIDE),
+    cleanPoints: cleanPointsBuffer
+      ? cleanPointsBuffer.subarray(0, cleanPointsCount * POINT_STRIDE)
+      : null,
+  };
 }
 
 export function castRaysForFrame(
   sensorPosition,
-  scene,
+  meshRegistry,
   scanState,
   raycaster,
   lidarConfig,
-  currentTime,
-  sensorRef,
-  enableCulling = true
+  enableCulling = true,
+  motion = null
 ) {
   const frameStartTime = performance.now();
 
   const meshCollection = collectIntersectableMeshes(
-    scene,
+    meshRegistry,
     sensorPosition,
-    sensorRef,
     enableCulling,
-    {
-      minRange: lidarConfig.minRange || 0.2,
-      maxRange: lidarConfig.maxRange || 70,
-      bufferDistance: 10,
-    }
+    getBatchCullingOptions(scanState, lidarConfig, motion)
   );
 
-  const newPoints = castRaysInternal(
-    sensorPosition,
+  // Rays query the scene's two-level BVH, limited to what is left by culling
+  const { sceneBvh } = meshRegistry;
+  sceneBvh.update(
+    meshCollection.intersectableMeshes,
     meshCollection.meshes,
+    meshCollection.culledInstances
+  );
+
+  const { points: newPoints, cleanPoints } = castRaysInternal(
+    sensorPosition,
+    sceneBvh,
     scanState,
     raycaster,
     lidarConfig,
-    scene,
-    currentTime
+    motion
   );
 
   const frameEndTime = performance.now();
@@ -342,10 +530,11 @@ export function castRaysForFrame(
 
   return {
     points: newPoints,
+    cleanPoints, // Noise-free hits, null when the noise model is disabled
     cullingStats: meshCollection.statistics,
     frameStats: {
       processingTime: frameProcessingTime,
-      pointsGenerated: newPoints.length / 4,
+      pointsGenerated: newPoints.length / POINT_STRIDE,
       meshesProcessed: meshCollection.meshes.length,
     },
   };
@@ -0,0 +1,354 @@
+import * as THREE from "three";
+import { MeshBVH } from "three-mesh-bvh";
+import { getSceneSignature } from "../utils/SceneSnapshot.js";
+
+// Two-level acceleration structure for scan rays. The bottom level is the
+// geometry BVH of three-mesh-bvh, built once per geometry and shared by every
+// mesh and instance using it. The top level is a tree over the world bounds
+// of every mesh and every instance of an instanced mesh. When objects move
+// (the dynamic cars) only their bounds change, and the tree is refit rather
+// than rebuilt. Each LidarMeshRegistry keeps one over its meshes.
+
+// Entries per leaf of the top-level tree
+const MAX_LEAF_SIZE = 4;
+
+const _worldMatrix = new THREE.Matrix4();
+const _instanceMatrix = new THREE.Matrix4();
+const _localRay = new THREE.Ray();
+const _rayEnd = new THREE.Vector3();
+const _center = new THREE.Vector3();
+const _origin = [0, 0, 0];
+const _inverseDirection = [0, 0, 0];
+
+/**
+ * Distance along the ray set up by raycastFirst to the box at `index` of
+ * `bounds` (min x, y, z then max x, y, z per box).
+ * @private
+ * @returns {Number} - Infinity if the ray misses it
+ */
+function intersectBounds(bounds, index) {
+  const offset = index * 6;
+  let tMin = 0;
+  let tMax = Infinity;
+  for (let axis = 0; axis < 3; axis++) {
+    const t1 = (bounds[offset + axis] - _origin[axis]) * _inverseDirection[axis];
+    const t2 = (bounds[offset + 3 + axis] - _origin[axis]) * _inverseDirection[axis];
+    // NaN (a ray in the slab's plane) leaves the interval as it is
+    if (t1 < t2) {
+      if (t1 > tMin) tMin = t1;
+      if (t2 < tMax) tMax = t2;
+    } else {
+      if (t2 > tMin) tMin = t2;
+      if (t1 < tMax) tMax = t1;
+    }
+  }
+  return tMax >= tMin ? tMin : Infinity;
+}
+
+/**
+ * Two-level BVH over the meshes scan rays can hit.
+ */
+export class SceneBvh {
+  constructor() {
+    this.signature = null; // Meshes the tree was built for, see getSceneSignature
+    this.entries = []; // {mesh, instanceId, matrixWorld, inverseMatrix, box}
+    this.entryBounds = new Float64Array(0); // Entry boxes, laid out as nodeBounds
+    this.visibleMeshes = new Set();
+    this.culledInstances = null;
+
+    // Top-level tree in depth-first order: a node's left child follows it
+    this.nodeCount = 0;
+    this.nodeBounds = new Float64Array(0); // min x, y, z then max x, y, z per node
+    this.nodeOffsets = new Int32Array(0); // Leaves: first of their entries in `order`
+    this.nodeSizes = new Int32Array(0); // Leaves: number of entries, 0 for inner nodes
+    this.nodeRights = new Int32Array(0); // Inner nodes: right child
+    this.order = new Int32Array(0); // Entry indices, grouped by leaf
+    this.stack = new Int32Array(0);
+  }
+
+  /**
+   * Bring the tree up to date before a scan: rebuilt when the set of meshes
+   * changed, otherwise refit around the meshes and instances that moved.
+   * @param {Array<THREE.Mesh>} meshes - Every intersectable mesh, see LidarMeshRegistry.getMeshes
+   * @param {Array<THREE.Mesh>} visibleMeshes - The ones rays may hit in this scan,
+   *   e.g. after culling
+   * @param {Map<THREE.Mesh, Set<Number>>|null} culledInstances - Instances of
+   *   visible instanced meshes that rays may not hit
+   */
+  update(meshes, visibleMeshes = meshes, culledInstances = null) {
+    this.visibleMeshes = new Set(visibleMeshes);
+    this.culledInstances = culledInstances;
+    this.updateTree(meshes);
+  }
+
+  /**
+   * Bring the tree up to date with `meshes` as update does, leaving the
+   * visible meshes of the last scan as they are.
+   * @param {Array<THREE.Mesh>} meshes - Every intersectable mesh, see LidarMeshRegistry.getMeshes
+   */
+  updateTree(meshes) {
+    const signature = getSceneSignature(meshes);
+    if (signature !== this.signature) {
+      this.signature = signature;
+      this.entries = meshes.flatMap((mesh) => this._createEntries(mesh));
+      this.entryBounds = new Float64Array(this.entries.length * 6);
+      this.entries.forEach((entry, i) => this._storeEntryBounds(entry, i));
+      this._build();
+      return;
+    }
+
+    let moved = false;
+    this.entries.forEach((entry, i) => {
+      this._getWorldMatrix(entry, _worldMatrix);
+      if (!_worldMatrix.equals(entry.matrixWorld)) {
+        this._placeEntry(entry, _worldMatrix);
+        this._storeEntryBounds(entry, i);
+        moved = true;
+      }
+    });
+    if (moved) this._refit();
+  }
+
+  /**
+   * Nearest hit of `ray` on the visible meshes.
+   * @param {THREE.Ray} ray - World ray, with a normalized direction
+   * @param {Number} near - Minimum hit distance
+   * @param {Number} far - Maximum hit distance
+   * @param {Set<THREE.Mesh>} visibleMeshes - Meshes the ray may hit, those of
+   *   the last update by default
+   * @param {Map<THREE.Mesh, Set<Number>>|null} culledInstances - Instances it
+   *   may not hit
+   * @returns {THREE.Intersection|null} - Like Raycaster.intersectObjects' first hit,
+   *   with `instanceId` for instanced meshes
+   */
+  raycastFirst(
+    ray,
+    near = 0,
+    far = Infinity,
+    visibleMeshes = this.visibleMeshes,
+    culledInstances = this.culledInstances
+  ) {
+    if (this.nodeCount === 0) return null;
+
+    ray.origin.toArray(_origin);
+    _inverseDirection[0] = 1 / ray.direction.x;
+    _inverseDirection[1] = 1 / ray.direction.y;
+    _inverseDirection[2] = 1 / ray.direction.z;
+
+    const { stack, nodeBounds, entryBounds, nodeSizes, nodeOffsets, nodeRights, order, entries } =
+      this;
+    let closest = null;
+    let closestDistance = far;
+    let stackSize = 0;
+    stack[stackSize++] = 0;
+
+    while (stackSize > 0) {
+      const node = stack[--stackSize];
+      if (intersectBounds(nodeBounds, node) >= closestDistance) continue;
+
+      const size = nodeSizes[node];
+      if (size > 0) {
+        for (let i = nodeOffsets[node]; i < nodeOffsets[node] + size; i++) {
+          const entry = order[i];
+          if (intersectBounds(entryBounds, entry) >= closestDistance) continue;
+          const hit = this._raycastEntry(
+            entries[entry],
+            ray,
+            near,
+            closestDistance,
+            visibleMeshes,
+            culledInstances
+          );
+          if (hit && hit.distance < closestDistance) {
+            closest = hit;
+            closestDistance = hit.distance;
+          }
+        }
+        continue;
+      }
+
+      // Visit the nearer child first, so the other can be skipped once hit
+      const left = node + 1;
+      const right = nodeRights[node];
+      const leftDistance = intersectBounds(nodeBounds, left);
+      const rightDistance = intersectBounds(nodeBounds, right);
+      if (leftDistance <= rightDistance) {
+        if (rightDistance < closestDistance) stack[stackSize++] = right;
+        if (leftDistance < closestDistance) stack[stackSize++] = left;
+      } else {
+        if (leftDistance < closestDistance) stack[stackSize++] = left;
+        if (rightDistance < closestDistance) stack[stackSize++] = right;
+      }
+    }
+
+    return closest;
+  }
+
+  /**
+   * One entry per mesh, or per instance of an instanced mesh, all sharing
+   * the geometry's BVH.
+   * @private
+   */
+  _createEntries(mesh) {
+    const { geometry } = mesh;
+    if (!geometry.boundsTree) geometry.boundsTree = new MeshBVH(geometry);
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+
+    const instanceIds = mesh.isInstancedMesh2
+      ? Array.from({ length: mesh.instancesCount }, (_, i) => i)
+      : [null];
+    return instanceIds.map((instanceId) => {
+      const entry = {
+        mesh,
+        instanceId,
+        matrixWorld: new THREE.Matrix4(),
+        inverseMatrix: new THREE.Matrix4(),
+        box: new THREE.Box3(),
+      };
+      this._placeEntry(entry, this._getWorldMatrix(entry, _worldMatrix));
+      return entry;
+    });
+  }
+
+  /**
+   * @private
+   */
+  _getWorldMatrix({ mesh, instanceId }, target) {
+    if (instanceId === null) return target.copy(mesh.matrixWorld);
+    mesh.getMatrixAt(instanceId, _instanceMatrix);
+    return target.multiplyMatrices(mesh.matrixWorld, _instanceMatrix);
+  }
+
+  /**
+   * @private
+   */
+  _placeEntry(entry, matrixWorld) {
+    entry.matrixWorld.copy(matrixWorld);
+    entry.inverseMatrix.copy(matrixWorld).invert();
+    entry.box.copy(entry.mesh.geometry.boundingBox).applyMatrix4(matrixWorld);
+  }
+
+  /**
+   * @private
+   */
+  _storeEntryBounds({ box }, index) {
+    box.min.toArray(this.entryBounds, index * 6);
+    box.max.toArray(this.entryBounds, index * 6 + 3);
+  }
+
+  /**
+   * Build the top-level tree, splitting at the median entry along the axis
+   * their centres spread the most on.
+   * @private
+   */
+  _build() {
+    const count = this.entries.length;
+    const maxNodes = Math.max(1, 2 * count - 1);
+    this.nodeCount = 0;
+    this.nodeBounds = new Float64Array(maxNodes * 6);
+    this.nodeOffsets = new Int32Array(maxNodes);
+    this.nodeSizes = new Int32Array(maxNodes);
+    this.nodeRights = new Int32Array(maxNodes);
+    this.order = Int32Array.from(this.entries.keys());
+    this.stack = new Int32Array(maxNodes);
+
+    const centers = this.entries.map(({ box }) => box.getCenter(_center).toArray());
+    if (count > 0) this._buildNode(0, count, centers);
+    this._refit();
+  }
+
+  /**
+   * @private
+   * @returns {Number} - The node built for order[start, end)
+   */
+  _buildNode(start, end, centers) {
+    const node = this.nodeCount++;
+    if (end - start <= MAX_LEAF_SIZE) {
+      this.nodeOffsets[node] = start;
+      this.nodeSizes[node] = end - start;
+      return node;
+    }
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = start; i < end; i++) {
+      const center = centers[this.order[i]];
+      for (let axis = 0; axis < 3; axis++) {
+        min[axis] = Math.min(min[axis], center[axis]);
+        max[axis] = Math.max(max[axis], center[axis]);
+      }
+    }
+    const extents = max.map((value, axis) => value - min[axis]);
+    const axis = extents.indexOf(Math.max(...extents));
+    this.order
+      .subarray(start, end)
+      .sort((a, b) => centers[a][axis] - centers[b][axis]);
+
+    const middle = (start + end) >> 1;
+    this.nodeSizes[node] = 0;
+    this._buildNode(start, middle, centers);
+    this.nodeRights[node] = this._buildNode(middle, end, centers);
+    return node;
+  }
+
+  /**
+   * Recompute node bounds from the entries' boxes, children before parents.
+   * @private
+   */
+  _refit() {
+    const { nodeBounds, nodeSizes, nodeOffsets, nodeRights, order, entries } = this;
+    for (let node = this.nodeCount - 1; node >= 0; node--) {
+      const offset = node * 6;
+      if (nodeSizes[node] > 0) {
+        const bounds = new THREE.Box3();
+        for (let i = nodeOffsets[node]; i < nodeOffsets[node] + nodeSizes[node]; i++) {
+          bounds.union(entries[order[i]].box);
+        }
+        bounds.min.toArray(nodeBounds, offset);
+        bounds.max.toArray(nodeBounds, offset + 3);
+        continue;
+      }
+      const left = (node + 1) * 6;
+      const right = nodeRights[node] * 6;
+      for (let i = 0; i < 3; i++) {
+        nodeBounds[offset + i] = Math.min(nodeBounds[left + i], nodeBounds[right + i]);
+        nodeBounds[offset + 3 + i] = Math.max(nodeBounds[left + 3 + i], nodeBounds[right + 3 + i]);
+      }
+    }
+  }
+
+  /**
+   * Nearest hit of `ray` on one entry, through its geometry's BVH.
+   * @private
+   */
+  _raycastEntry(entry, ray, near, far, visibleMeshes, culledInstances) {
+    const { mesh, instanceId, inverseMatrix } = entry;
+    if (!visibleMeshes.has(mesh)) return null;
+    if (instanceId !== null) {
+      if (!mesh.getActiveAndVisibilityAt(instanceId)) return null;
+      if (culledInstances?.get(mesh)?.has(instanceId)) return null;
+    }
+
+    // Distances along the local ray scale with the entry's transform
+    _localRay.copy(ray).applyMatrix4(inverseMatrix);
+    const scale = _rayEnd
+      .copy(ray.origin)
+      .add(ray.direction)
+      .applyMatrix4(inverseMatrix)
+      .distanceTo(_localRay.origin);
+
+    const hit = mesh.geometry.boundsTree.raycastFirst(
+      _localRay,
+      mesh.material,
+      near * scale,
+      far * scale
+    );
+    if (!hit) return null;
+
+    hit.point.applyMatrix4(entry.matrixWorld);
+    hit.distance = hit.point.distanceTo(ray.origin);
+    hit.object = mesh;
+    if (instanceId !== null) hit.instanceId = instanceId;
+    return hit;
+  }
+}
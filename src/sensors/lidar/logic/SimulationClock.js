@@ -0,0 +1,185 @@
+// Listeners run in ascending priority each step: actors move first so the
+// sensors scan the scene as it is at the step's time.
+export const CLOCK_PRIORITIES = {
+  ACTORS: 0,
+  SENSORS: 1,
+};
+
+export const DEFAULT_STEP_MS = 15; // One 3000-point batch at 200k points/s
+// Steps run per render frame at most; beyond that the simulation falls behind
+// real time instead of stalling the page trying to catch up
+export const MAX_STEPS_PER_TICK = 4;
+
+/**
+ * Simulation time shared by the sensors, actors and capture. Time advances in
+ * fixed steps, independent of how fast frames render: each step is
+ * simulated completely, so slow machines produce the same data, only later.
+ * The clock can be paused, single-stepped, or run faster or slower than
+ * real time.
+ */
+export class SimulationClock {
+  /**
+   * @param {Object} options
+   * @param {Number} options.stepMs - Simulated milliseconds per step
+   * @param {Number} options.epochMs - Unix time (ms) at simulation time 0, see
+   *   getEpochMs
+   */
+  constructor({ stepMs = DEFAULT_STEP_MS, epochMs = 0 } = {}) {
+    this.stepMs = stepMs;
+    this.epochMs = epochMs;
+    this.timeMs = 0;
+    this.stepIndex = 0;
+    this.timeScale = 1;
+    this.paused = false;
+    this.accumulatorMs = 0;
+    this.pendingSteps = 0;
+    this.listeners = [];
+    this.gates = [];
+  }
+
+  /**
+   * Unix time in milliseconds of the current simulation time.
+   * @returns {Number}
+   */
+  get unixTimeMs() {
+    return this.epochMs + this.timeMs;
+  }
+
+  /**
+   * Call `listener` on every step.
+   * @param {Function} listener - ({timeMs, unixTimeMs, stepMs, stepIndex}) => void, with
+   *   the time at the start of the step
+   * @param {Number} priority - One of CLOCK_PRIORITIES
+   * @returns {Function} - Removes the listener
+   */
+  subscribe(listener, priority = CLOCK_PRIORITIES.SENSORS) {
+    const entry = { listener, priority };
+    this.listeners.push(entry);
+    this.listeners.sort((a, b) => a.priority - b.priority);
+    return () => {
+      this.listeners = this.listeners.filter((other) => other !== entry);
+    };
+  }
+
+  /**
+   * Hold the clock while `isReady` returns false, e.g. while a sensor is
+   * still busy with earlier steps. Simulated time then falls behind real time,
+   * as on a slow machine.
+   * @param {Function} isReady - () => Boolean, checked before every step
+   * @returns {Function} - Removes the gate
+   */
+  addGate(isReady) {
+    this.gates.push(isReady);
+    return () => {
+      this.gates = this.gates.filter((other) => other !== isReady);
+    };
+  }
+
+  /**
+   * @private
+   * @returns {Boolean}
+   */
+  _canStep() {
+    return this.gates.every((isReady) => isReady());
+  }
+
+  /**
+   * Go back to simulation time 0, e.g. to start a capture as a fresh run
+   * would. Listeners see the time jump on the next step.
+   * @param {Number} epochMs - Unix time (ms) at simulation time 0
+   */
+  reset(epochMs = this.epochMs) {
+    this.epochMs = epochMs;
+    this.timeMs = 0;
+    this.stepIndex = 0;
+    this.accumulatorMs = 0;
+    this.pendingSteps = 0;
+  }
+
+  pause() {
+    this.paused = true;
+    this.accumulatorMs = 0;
+  }
+
+  resume() {
+    this.paused = false;
+    this.pendingSteps = 0;
+  }
+
+  /**
+   * Run `count` steps on the next ticks while paused.
+   * @param {Number} count
+   */
+  requestSteps(count = 1) {
+    this.pendingSteps += count;
+  }
+
+  /**
+   * @param {Number} timeScale - Simulated seconds per real second
+   */
+  setTimeScale(timeScale) {
+    this.timeScale = timeScale;
+  }
+
+  /**
+   * @param {Number} stepMs - Simulated milliseconds per step
+   */
+  setStepMs(stepMs) {
+    this.stepMs = stepMs;
+  }
+
+  /**
+   * Advance by the real time elapsed since the last tick, running every step
+   * that became due (up to MAX_STEPS_PER_TICK) while the gates are open.
+   * @param {Number} deltaSeconds - Real seconds since the last tick
+   * @returns {Number} - Steps run
+   */
+  tick(deltaSeconds) {
+    let steps = 0;
+    if (this.paused) {
+      while (
+        this.pendingSteps > 0 &&
+        steps < MAX_STEPS_PER_TICK &&
+        this._canStep()
+      ) {
+        this.step();
+        this.pendingSteps--;
+        steps++;
+      }
+      return steps;
+    }
+
+    this.accumulatorMs += deltaSeconds * 1000 * this.timeScale;
+    let blocked = false;
+    while (this.accumulatorMs >= this.stepMs && steps < MAX_STEPS_PER_TICK) {
+      if (!this._canStep()) {
+        blocked = true;
+        break;
+      }
+      this.step();
+      this.accumulatorMs -= this.stepMs;
+      steps++;
+    }
+    // Drop what could not be simulated in time rather than building a backlog
+    if (steps === MAX_STEPS_PER_TICK || blocked) {
+      this.accumulatorMs = Math.min(this.accumulatorMs, this.stepMs);
+    }
+    return steps;
+  }
+
+  /**
+   * Run one step: notify the listeners with the step's start time, then
+   * advance the clock.
+   */
+  step() {
+    const info = {
+      timeMs: this.timeMs,
+      unixTimeMs: this.unixTimeMs,
+      stepMs: this.stepMs,
+      stepIndex: this.stepIndex,
+    };
+    this.listeners.forEach(({ listener }) => listener(info));
+    this.timeMs += this.stepMs;
+    this.stepIndex++;
+  }
+}
@@ -0,0 +1,197 @@
+import * as THREE from "three";
+import { fluMatrixToPose } from "../utils/CoordinateFrames.js";
+
+// Distance before and after each waypoint over which the heading turns (m)
+const CORNER_BLEND_DISTANCE = 3;
+const MIN_SPEED = 0.1; // m/s, keeps stops from producing infinite segment times
+
+/**
+ * Heading quaternion (rotation about +Y) that points the vehicle's local +Z
+ * along `direction`, ignoring its vertical component.
+ * @private
+ */
+function headingQuaternion(direction) {
+  return new THREE.Quaternion().setFromAxisAngle(
+    new THREE.Vector3(0, 1, 0),
+    Math.atan2(direction.x, direction.z)
+  );
+}
+
+/**
+ * Time-stamped poses of an ego vehicle, interpolated linearly in position and
+ * spherically in rotation. Poses use the three.js world frame; a vehicle with
+ * identity rotation drives along +Z.
+ */
+export class Trajectory {
+  /**
+   * @param {Array<{time: Number, position: Number[], quaternion: Number[]}>} samples -
+   *   Poses sorted by time (s)
+   * @param {Object} options
+   * @param {Boolean} options.loop - Wrap around instead of holding the last pose
+   */
+  constructor(samples, { loop = false } = {}) {
+    if (samples.length === 0) {
+      throw new Error("Trajectory needs at least one pose");
+    }
+    this.samples = samples.map(({ time, position, quaternion }) => ({
+      time: time - samples[0].time,
+      position: new THREE.Vector3().fromArray(position),
+      quaternion: new THREE.Quaternion().fromArray(quaternion),
+    }));
+    this.loop = loop;
+  }
+
+  /**
+   * Trajectory length in seconds.
+   * @returns {Number}
+   */
+  get duration() {
+    return this.samples[this.samples.length - 1].time;
+  }
+
+  /**
+   * Pose at a time since the start of the trajectory.
+   * @param {Number} time - Seconds
+   * @returns {{position: Number[], quaternion: Number[]}}
+   */
+  getPoseAt(time) {
+    const { samples, duration } = this;
+    if (this.loop && duration > 0) {
+      time = ((time % duration) + duration) % duration;
+    }
+    time = Math.min(Math.max(time, 0), duration);
+
+    // Last sample at or before `time`
+    let low = 0;
+    let high = samples.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (samples[mid].time <= time) low = mid;
+      else high = mid - 1;
+    }
+
+    const from = samples[low];
+    const to = samples[Math.min(low + 1, samples.length - 1)];
+    const span = to.time - from.time;
+    const alpha = span > 0 ? (time - from.time) / span : 0;
+
+    return {
+      position: from.position.clone().lerp(to.position, alpha).toArray(),
+      quaternion: from.quaternion.clone().slerp(to.quaternion, alpha).toArray(),
+    };
+  }
+
+  /**
+   * Build a trajectory through waypoints driven at a speed profile: the speed
+   * changes linearly between waypoints and the vehicle faces along each leg,
+   * turning over CORNER_BLEND_DISTANCE around every waypoint.
+   * @param {Array<{position: Number[], speed: Number}>} waypoints - three.js world
+   *   positions and speeds (m/s) at each waypoint
+   * @param {Object} options
+   * @param {Boolean} options.loop - Drive back to the first waypoint and repeat
+   * @returns {Trajectory}
+   */
+  static fromWaypoints(waypoints, { loop = false } = {}) {
+    if (waypoints.length < 2) {
+      throw new Error("Trajectory needs at least two waypoints");
+    }
+
+    const points = waypoints.map(({ position, speed }) => ({
+      position: new THREE.Vector3().fromArray(position),
+      speed: Math.max(speed, MIN_SPEED),
+    }));
+    if (loop) points.push(points[0]);
+
+    // Each leg runs at a constant heading, shortened at both ends for the turns
+    const legs = [];
+    for (let i = 0; i < points.length - 1; i++) {
+      const start = points[i];
+      const end = points[i + 1];
+      const direction = end.position.clone().sub(start.position);
+      const length = direction.length();
+      if (length === 0) continue;
+      direction.divideScalar(length);
+
+      const blend = Math.min(CORNER_BLEND_DISTANCE, length / 2);
+      const startBlend = loop || i > 0 ? blend : 0;
+      const endBlend = loop || i < points.length - 2 ? blend : 0;
+      const speedAt = (distance) =>
+        THREE.MathUtils.lerp(start.speed, end.speed, distance / length);
+
+      legs.push({
+        quaternion: headingQuaternion(direction),
+        from: {
+          position: start.position.clone().addScaledVector(direction, startBlend),
+          speed: speedAt(startBlend),
+        },
+        to: {
+          position: end.position.clone().addScaledVector(direction, -endBlend),
+          speed: speedAt(length - endBlend),
+        },
+      });
+    }
+
+    const samples = [];
+    let time = 0;
+    const addSample = (position, quaternion, speed) => {
+      const previous = samples[samples.length - 1];
+      if (previous) {
+        const distance = previous.position.distanceTo(position);
+        time += (2 * distance) / (previous.speed + speed);
+      }
+      samples.push({ time, position, quaternion, speed });
+    };
+
+    for (const leg of legs) {
+      addSample(leg.from.position, leg.quaternion, leg.from.speed);
+      addSample(leg.to.position, leg.quaternion, leg.to.speed);
+    }
+    if (loop) {
+      // Close the last turn back onto the first leg
+      addSample(legs[0].from.position, legs[0].quaternion, legs[0].from.speed);
+    }
+
+    return new Trajectory(
+      samples.map(({ time, position, quaternion }) => ({
+        time,
+        position: position.toArray(),
+        quaternion: quaternion.toArray(),
+      })),
+      { loop }
+    );
+  }
+
+  /**
+   * Parse a TUM trajectory file: one `timestamp tx ty tz qx qy qz qw` line per
+   * pose in a world frame with x forward, y left and z up. Lines starting
+   * with `#` are ignored.
+   * @param {String} text - File content
+   * @param {Object} options
+   * @param {Boolean} options.loop - Repeat the trajectory
+   * @returns {Trajectory}
+   */
+  static fromTumFile(text, { loop = false } = {}) {
+    const matrix = new THREE.Matrix4();
+    const samples = [];
+
+    for (const line of text.split(/\r?\n/)) {
+      const trimmed = line.trim();
+      if (trimmed === "" || trimmed.startsWith("#")) continue;
+
+      const values = trimmed.split(/\s+/).map(Number);
+      if (values.length < 8 || values.some((value) => !Number.isFinite(value))) {
+        throw new Error(`Invalid TUM pose line: ${trimmed}`);
+      }
+      const [time, tx, ty, tz, qx, qy, qz, qw] = values;
+      matrix.compose(
+        new THREE.Vector3(tx, ty, tz),
+        new THREE.Quaternion(qx, qy, qz, qw).normalize(),
+        new THREE.Vector3(1, 1, 1)
+      );
+      samples.push({ time, ...fluMatrixToPose(matrix) });
+    }
+
+    samples.sort((a, b) => a.time - b.time);
+    return new Trajectory(samples, { loop });
+  }
+}
@@ -1,5 +1,24 @@
 import * as THREE from "three";
-import { calculateRayDirection } from "./ScanningLogic";
+import { calculateRayDirection } from "./ScanningLogic.js";
+import { SEMANTIC_COLORS } from "../config/SemanticClasses.js";
+
+/**
+ * Point colouring modes of the live point cloud.
+ */
+export const POINT_COLOR_MODES = {
+  INTENSITY: "intensity",
+  SEMANTIC: "semantic",
+};
+
+/**
+ * Map a SemanticKITTI label to its RGB colour (0-1 components).
+ * @param {Number} label - Semantic class id
+ * @returns {Number[]}
+ */
+export function mapSemanticClassToColor(label) {
+  const color = SEMANTIC_COLORS[label] || SEMANTIC_COLORS[0];
+  return [color[0] / 255, color[1] / 255, color[2] / 255];
+}
 
 export function updatePointCloudVisualization(
   pointsRef,
@@ -29,52 +48,54 @@ export function updatePointCloudVisualization(
   }
 }
 
-export function visualizeScanPattern(scene, lidarConfig, scanState) {
-  // Clear previous visualization
-  const oldPoints = scene.children.filter(
-    (child) => child.name === "scanPatternPoint"
-  );
-  oldPoints.forEach((point) => scene.remove(point));
-
-  // Create points for visualization
-  for (let i = 0; i < 500; i++) {
-    // Calculate pattern based on our new algorithm
-    const goldenRatio = (1 + Math.sqrt(5)) / 2;
-    const angleIncrement = Math.PI * 2 * goldenRatio;
-    const normalizedIndex = i / 500;
-
-    const currentHAngle = scanState.horizontalAngle + angleIncrement * i;
-    const verticalPosition = Math.pow(normalizedIndex, 0.5);
-    const verticalRange =
-      lidarConfig.verticalFOVMax - lidarConfig.verticalFOVMin;
-    const verticalAngle =
-      lidarConfig.verticalFOVMin + verticalPosition * verticalRange;
-
-    const hAngleRad = currentHAngle % (Math.PI * 2);
-    const vAngleRad = THREE.MathUtils.degToRad(verticalAngle);
-
-    // Create direction vector and point at unit distance
-    const direction = calculateRayDirection(hAngleRad, vAngleRad);
-
-    // Create a visual point
-    const geometry = new THREE.SphereGeometry(0.02, 4, 4);
-    const material = new THREE.MeshBasicMaterial({ color: 0xff0000 });
-    const point = new THREE.Mesh(geometry, material);
+/**
+ * Draws the directions of a scan pattern's firings as points at unit
+ * distance, replacing any previous preview.
+ * @param {THREE.Object3D} parent - Object the preview is attached to, usually the sensor
+ * @param {ScanPattern} scanPattern - Active pattern, see createScanPattern
+ * @param {Object} options
+ * @param {Number} options.count - Number of firings drawn
+ * @param {Number} options.firstIndex - Index of the first firing drawn
+ */
+export function visualizeScanPattern(
+  parent,
+  scanPattern,
+  { count = 5000, firstIndex = 0 } = {}
+) {
+  clearScanPattern(parent);
 
-    // Position at unit distance from sensor
-    point.position.copy(direction);
-    point.name = "scanPatternPoint";
-    scene.add(point);
+  const positions = new Float32Array(count * 3);
+  const firing = {};
+  for (let i = 0; i < count; i++) {
+    scanPattern.getFiring(firstIndex + i, firing);
+    calculateRayDirection(firing.azimuth, firing.elevation).toArray(
+      positions,
+      i * 3
+    );
   }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  const material = new THREE.PointsMaterial({
+    color: 0xff0000,
+    size: 0.02,
+  });
+  const points = new THREE.Points(geometry, material);
+  points.name = "scanPatternPoint";
+  parent.add(points);
 }
 
 /**
  * Clears the scan pattern visualization
- * @param {THREE.Scene} scene - The Three.js scene
+ * @param {THREE.Object3D} parent - Object the preview was attached to
  */
-export function clearScanPattern(scene) {
-  const oldPoints = scene.children.filter(
+export function clearScanPattern(parent) {
+  const oldPoints = parent.children.filter(
     (child) => child.name === "scanPatternPoint"
   );
-  oldPoints.forEach((point) => scene.remove(point));
+  oldPoints.forEach((point) => {
+    parent.remove(point);
+    point.geometry.dispose();
+    point.material.dispose();
+  });
 }
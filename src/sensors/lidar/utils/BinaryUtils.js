@@ -0,0 +1,34 @@
+// Helpers shared by the binary file and packet writers.
+
+/**
+ * Write a fixed-length ASCII string, NUL padded.
+ * @param {DataView} view
+ * @param {Number} byteOffset
+ * @param {String} text
+ * @param {Number} length
+ */
+export function writeFixedString(view, byteOffset, text, length) {
+  for (let i = 0; i < length; i++) {
+    view.setUint8(byteOffset + i, i < text.length ? text.charCodeAt(i) & 0x7f : 0);
+  }
+}
+
+/**
+ * Convert a Unix timestamp in milliseconds to integer nanoseconds.
+ * @param {Number} ms
+ * @returns {BigInt}
+ */
+export function msToNs(ms) {
+  // Split off the fractional part: ms * 1e6 exceeds float64 integer precision
+  const wholeMs = Math.floor(ms);
+  return BigInt(wholeMs) * 1000000n + BigInt(Math.round((ms - wholeMs) * 1e6));
+}
+
+/**
+ * Pack a dotted IPv4 address into 4 bytes, most significant first.
+ * @param {String} ip
+ * @returns {Uint8Array}
+ */
+export function ipToBytes(ip) {
+  return Uint8Array.from(ip.split(".").map((part) => parseInt(part, 10) & 0xff));
+}
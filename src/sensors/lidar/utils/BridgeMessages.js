@@ -0,0 +1,116 @@
+// Binary messages streamed from the browser to the Livox bridge process
+// (bridge/livox-bridge.js) over WebSocket. Shared by both sides, so this
+// module must not depend on three.js or the DOM.
+//
+// Points message (little-endian):
+//   uint8   type (BRIDGE_MESSAGE_TYPES.POINTS)
+//   uint8   componentsPerPoint
+//   uint16  reserved
+//   uint32  pointCount
+//   float64 timestampMs    Unix time the point time offsets are relative to
+//   float32 points[pointCount * componentsPerPoint]
+//           PointLayout components, with x, y, z in the sensor frame
+//           (m, x forward, y left, z up)
+//
+// IMU message:
+//   uint8   type (BRIDGE_MESSAGE_TYPES.IMU)
+//   uint8   reserved[7]
+//   float64 timestampMs
+//   float32 gyro[3]        rad/s, sensor frame
+//   float32 accel[3]       m/s^2, sensor frame
+
+import { POINT_STRIDE } from "./PointLayout.js";
+
+export const BRIDGE_MESSAGE_TYPES = {
+  POINTS: 1,
+  IMU: 2,
+};
+
+const POINTS_HEADER_SIZE = 16;
+const IMU_MESSAGE_SIZE = 40;
+
+/**
+ * Encode a batch of sensor-frame points.
+ * @param {Float32Array} points - Interleaved point components
+ * @param {Number} timestampMs - Unix time in milliseconds the point times are relative to
+ * @param {Number} componentsPerPoint - Components per point in `points`
+ * @returns {ArrayBuffer}
+ */
+export function encodePointsMessage(
+  points,
+  timestampMs,
+  componentsPerPoint = POINT_STRIDE
+) {
+  const pointCount = points.length / componentsPerPoint;
+  const buffer = new ArrayBuffer(POINTS_HEADER_SIZE + points.byteLength);
+  const view = new DataView(buffer);
+  view.setUint8(0, BRIDGE_MESSAGE_TYPES.POINTS);
+  view.setUint8(1, componentsPerPoint);
+  view.setUint32(4, pointCount, true);
+  view.setFloat64(8, timestampMs, true);
+  new Float32Array(buffer, POINTS_HEADER_SIZE).set(points);
+  return buffer;
+}
+
+/**
+ * Encode one IMU sample.
+ * @param {Number} timestampMs - Unix time in milliseconds
+ * @param {Number[]} gyro - Angular velocity (rad/s)
+ * @param {Number[]} accel - Specific force (m/s^2)
+ * @returns {ArrayBuffer}
+ */
+export function encodeImuMessage(timestampMs, gyro, accel) {
+  const buffer = new ArrayBuffer(IMU_MESSAGE_SIZE);
+  const view = new DataView(buffer);
+  view.setUint8(0, BRIDGE_MESSAGE_TYPES.IMU);
+  view.setFloat64(8, timestampMs, true);
+  for (let i = 0; i < 3; i++) {
+    view.setFloat32(16 + i * 4, gyro[i], true);
+    view.setFloat32(28 + i * 4, accel[i], true);
+  }
+  return buffer;
+}
+
+/**
+ * Decode a message produced by encodePointsMessage or encodeImuMessage.
+ * @param {ArrayBuffer} buffer - Must be 8-byte aligned (copy if in doubt)
+ * @returns {Object} - `{type, ...}` or null if the message is malformed
+ */
+export function decodeBridgeMessage(buffer) {
+  if (buffer.byteLength < 8) return null;
+  const view = new DataView(buffer);
+  const type = view.getUint8(0);
+
+  if (type === BRIDGE_MESSAGE_TYPES.POINTS) {
+    const componentsPerPoint = view.getUint8(1);
+    const pointCount = view.getUint32(4, true);
+    if (
+      componentsPerPoint === 0 ||
+      buffer.byteLength < POINTS_HEADER_SIZE + pointCount * componentsPerPoint * 4
+    ) {
+      return null;
+    }
+    return {
+      type,
+      componentsPerPoint,
+      pointCount,
+      timestampMs: view.getFloat64(8, true),
+      points: new Float32Array(
+        buffer,
+        POINTS_HEADER_SIZE,
+        pointCount * componentsPerPoint
+      ),
+    };
+  }
+
+  if (type === BRIDGE_MESSAGE_TYPES.IMU && buffer.byteLength >= IMU_MESSAGE_SIZE) {
+    return {
+      type,
+      timestampMs: view.getFloat64(8, true),
+      gyro: [0, 1, 2].map((i) => view.getFloat32(16 + i * 4, true)),
+      accel: [0, 1, 2].map((i) => view.getFloat32(28 + i * 4, true)),
+    };
+  }
+
+  return null;
+}
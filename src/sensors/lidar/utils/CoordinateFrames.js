@@ -0,0 +1,136 @@
+import * as THREE from "three";
+
+/**
+ * Conversions between the three.js world frame (y up) and the robotics
+ * sensor convention used by KITTI, ROS and Livox (x forward, y left, z up).
+ *
+ * A sensor with identity rotation looks along three.js +Z with +Y up, so its
+ * left is +X. Relabelling the axes (x, y, z)flu = (z, x, y)three is therefore a
+ * proper rotation and applies equally to world and sensor frames.
+ */
+
+// Change of basis from three.js axes to forward-left-up axes
+export const THREE_TO_FLU = new THREE.Matrix4().set(
+  0, 0, 1, 0,
+  1, 0, 0, 0,
+  0, 1, 0, 0,
+  0, 0, 0, 1
+);
+export const FLU_TO_THREE = THREE_TO_FLU.clone().invert();
+
+// KITTI velodyne (x forward, y left, z up) to camera (x right, y down, z forward)
+export const KITTI_VELO_TO_CAM = new THREE.Matrix4().set(
+  0, -1, 0, 0,
+  0, 0, -1, 0,
+  1, 0, 0, 0,
+  0, 0, 0, 1
+);
+
+export const IDENTITY_POSE = Object.freeze({
+  position: Object.freeze([0, 0, 0]),
+  quaternion: Object.freeze([0, 0, 0, 1]),
+});
+
+/**
+ * Capture an Object3D's world pose as plain arrays, suitable for storing with frames.
+ * @param {THREE.Object3D} object - Object whose world pose is read
+ * @returns {{position: Number[], quaternion: Number[]}}
+ */
+export function getObjectPose(object) {
+  object.updateWorldMatrix(true, false);
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  object.matrixWorld.decompose(position, quaternion, new THREE.Vector3());
+  return {
+    position: position.toArray(),
+    quaternion: quaternion.toArray(),
+  };
+}
+
+/**
+ * Build the three.js world matrix of a stored pose.
+ * @param {{position: Number[], quaternion: Number[]}} pose
+ * @param {THREE.Matrix4} target - Optional matrix to write into
+ * @returns {THREE.Matrix4}
+ */
+export function poseToMatrix(pose, target = new THREE.Matrix4()) {
+  return target.compose(
+    new THREE.Vector3().fromArray(pose.position),
+    new THREE.Quaternion().fromArray(pose.quaternion),
+    new THREE.Vector3(1, 1, 1)
+  );
+}
+
+/**
+ * Express a three.js world pose in the forward-left-up convention,
+ * both for the world axes and the sensor body axes.
+ * @param {{position: Number[], quaternion: Number[]}} pose
+ * @param {THREE.Matrix4} target - Optional matrix to write into
+ * @returns {THREE.Matrix4}
+ */
+export function poseToFluMatrix(pose, target = new THREE.Matrix4()) {
+  poseToMatrix(pose, target);
+  return target.premultiply(THREE_TO_FLU).multiply(FLU_TO_THREE);
+}
+
+/**
+ * Inverse of poseToFluMatrix: read a forward-left-up pose matrix back as a
+ * three.js world pose.
+ * @param {THREE.Matrix4} matrix - Pose in the forward-left-up convention
+ * @returns {{position: Number[], quaternion: Number[]}}
+ */
+export function fluMatrixToPose(matrix) {
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  matrix
+    .clone()
+    .premultiply(FLU_TO_THREE)
+    .multiply(THREE_TO_FLU)
+    .decompose(position, quaternion, new THREE.Vector3());
+  return {
+    position: position.toArray(),
+    quaternion: quaternion.toArray(),
+  };
+}
+
+/**
+ * Build a matrix that maps three.js world points into the sensor's
+ * forward-left-up frame for the given pose.
+ * @param {{position: Number[], quaternion: Number[]}} pose
+ * @param {THREE.Matrix4} target - Optional matrix to write into
+ * @returns {THREE.Matrix4}
+ */
+export function worldToSensorFluMatrix(pose, target = new THREE.Matrix4()) {
+  poseToMatrix(pose, target).invert();
+  return target.premultiply(THREE_TO_FLU);
+}
+
+/**
+ * Format a number like C's "%e" (six decimals, two-digit exponent),
+ * which is how KITTI writes its text files.
+ * @param {Number} value
+ * @returns {String}
+ */
+export function formatScientific(value) {
+  return value
+    .toExponential(6)
+    .replace(/e([+-])(\d)$/, (_, sign, digit) => `e${sign}0${digit}`);
+}
+
+/**
+ * Format the top 3x4 block of a matrix as a row-major, space-separated line,
+ * as used by KITTI poses and calibration files.
+ * @param {THREE.Matrix4} matrix
+ * @returns {String}
+ */
+export function formatMatrix3x4(matrix) {
+  // Matrix4.elements is column-major
+  const e = matrix.elements;
+  return [
+    e[0], e[4], e[8], e[12],
+    e[1], e[5], e[9], e[13],
+    e[2], e[6], e[10], e[14],
+  ]
+    .map(formatScientific)
+    .join(" ");
+}
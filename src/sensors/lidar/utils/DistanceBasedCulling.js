@@ -1,5 +1,170 @@
 import * as THREE from "three";
 
+const HALF_PI = Math.PI / 2;
+const SECTOR_BINS = 64; // Azimuth bins of a RaySector
+
+const _local = new THREE.Vector3();
+const _localOrigin = new THREE.Vector3();
+const _instanceMatrix = new THREE.Matrix4();
+const _objectBox = new THREE.Box3();
+const _corner = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+
+/**
+ * Directions of the rays scheduled in one batch, as the range of elevations
+ * fired within each azimuth bin. Azimuth and elevation follow the ray
+ * directions of ScanningLogic: azimuth from +Z towards +X, elevation towards +Y.
+ */
+export class RaySector {
+  /**
+   * @param {THREE.Quaternion|null} rotation - World rotation of the frame the
+   *   angles are given in, null for the world frame
+   * @param {Number} margin - Radians the actual rays may deviate from the
+   *   added angles, e.g. for sensor rotation within the batch
+   */
+  constructor(rotation = null, margin = 0) {
+    this.inverseRotation = rotation ? rotation.clone().invert() : null;
+    this.margin = margin;
+    this.binWidth = (Math.PI * 2) / SECTOR_BINS;
+    this.minElevations = new Float64Array(SECTOR_BINS).fill(Infinity);
+    this.maxElevations = new Float64Array(SECTOR_BINS).fill(-Infinity);
+  }
+
+  /**
+   * @param {Number} azimuth - Radians in [-PI, PI)
+   * @param {Number} elevation - Radians
+   */
+  addRay(azimuth, elevation) {
+    const bin = Math.min(
+      Math.floor((azimuth + Math.PI) / this.binWidth),
+      SECTOR_BINS - 1
+    );
+    if (elevation < this.minElevations[bin]) this.minElevations[bin] = elevation;
+    if (elevation > this.maxElevations[bin]) this.maxElevations[bin] = elevation;
+  }
+
+  /**
+   * Whether any ray may pass through a sphere.
+   * @param {THREE.Vector3} offset - Sphere centre relative to the ray origin, world frame
+   * @param {Number} radius
+   * @returns {Boolean}
+   */
+  intersectsSphere(offset, radius) {
+    _local.copy(offset);
+    if (this.inverseRotation) _local.applyQuaternion(this.inverseRotation);
+    const distance = _local.length();
+    if (radius >= distance) return true;
+
+    // The sphere covers a cap of directions; test the azimuth and elevation
+    // range around it against the bins
+    const angularRadius = Math.asin(radius / distance) + this.margin;
+    if (angularRadius >= HALF_PI) return true;
+    const elevation = Math.asin(_local.y / distance);
+    const minElevation = elevation - angularRadius;
+    const maxElevation = elevation + angularRadius;
+
+    let firstBin = 0;
+    let lastBin = SECTOR_BINS - 1;
+    // A cap over a pole spans every azimuth
+    if (minElevation > -HALF_PI && maxElevation < HALF_PI) {
+      const azimuth = Math.atan2(_local.x, _local.z);
+      const halfWidth = Math.asin(
+        Math.min(1, Math.sin(angularRadius) / Math.cos(elevation))
+      );
+      firstBin = Math.floor((azimuth - halfWidth + Math.PI) / this.binWidth);
+      lastBin = Math.floor((azimuth + halfWidth + Math.PI) / this.binWidth);
+      if (lastBin - firstBin >= SECTOR_BINS) {
+        firstBin = 0;
+        lastBin = SECTOR_BINS - 1;
+      }
+    }
+
+    for (let bin = firstBin; bin <= lastBin; bin++) {
+      const index = ((bin % SECTOR_BINS) + SECTOR_BINS) % SECTOR_BINS;
+      if (
+        this.maxElevations[index] >= minElevation &&
+        this.minElevations[index] <= maxElevation
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+}
+
+/**
+ * A box-shaped mesh or instance, e.g. a building, prepared for occlusion tests
+ * in its own frame.
+ * @private
+ */
+function createOccluder(object, originRadius) {
+  const inverseMatrix = object.matrix.clone().invert();
+  const box = object.mesh.geometry.boundingBox.clone();
+  // Shrunk by how far the ray origin moves, so it hides the same from anywhere
+  // along the way
+  for (let axis = 0; axis < 3; axis++) {
+    const scale = _axis.setFromMatrixColumn(object.matrix, axis).length();
+    const erosion = originRadius / scale;
+    box.min.setComponent(axis, box.min.getComponent(axis) + erosion);
+    box.max.setComponent(axis, box.max.getComponent(axis) - erosion);
+  }
+  return { mesh: object.mesh, instanceId: object.instanceId, inverseMatrix, box };
+}
+
+/**
+ * Whether every ray from `origin` to `objectBox` first enters the occluder
+ * through one of the faces turned towards `origin`. Works in the occluder's
+ * frame, where the box is axis-aligned; the box has to be solid.
+ * @private
+ */
+function isOccludedBy(occluder, origin, objectBox) {
+  const { box, inverseMatrix } = occluder;
+  if (box.isEmpty()) return false;
+  const localOrigin = _localOrigin.copy(origin).applyMatrix4(inverseMatrix);
+
+  for (let axis = 0; axis < 3; axis++) {
+    const originValue = localOrigin.getComponent(axis);
+    let plane;
+    if (originValue < box.min.getComponent(axis)) {
+      plane = box.min.getComponent(axis);
+    } else if (originValue > box.max.getComponent(axis)) {
+      plane = box.max.getComponent(axis);
+    } else {
+      continue; // No face on this axis turned towards the origin
+    }
+
+    // The object lies behind the face when all its corners do and every
+    // line of sight to them crosses the face
+    let hidden = true;
+    for (let i = 0; i < 8 && hidden; i++) {
+      _corner
+        .set(
+          i & 1 ? objectBox.max.x : objectBox.min.x,
+          i & 2 ? objectBox.max.y : objectBox.min.y,
+          i & 4 ? objectBox.max.z : objectBox.min.z
+        )
+        .applyMatrix4(inverseMatrix);
+      const cornerValue = _corner.getComponent(axis);
+      if ((cornerValue - plane) * (plane - originValue) <= 0) {
+        hidden = false;
+        break;
+      }
+      const t = (plane - originValue) / (cornerValue - originValue);
+      for (let other = 0; other < 3; other++) {
+        if (other === axis) continue;
+        const value =
+          localOrigin.getComponent(other) +
+          t * (_corner.getComponent(other) - localOrigin.getComponent(other));
+        if (value < box.min.getComponent(other) || value > box.max.getComponent(other)) {
+          hidden = false;
+        }
+      }
+    }
+    if (hidden) return true;
+  }
+  return false;
+}
+
 export class DistanceBasedCulling {
   constructor(maxRange = 70, bufferDistance = 10, minRange = 0.2) {
     this.maxRange = maxRange;
@@ -16,6 +181,8 @@ export class DistanceBasedCulling {
       culledMeshes: 0,
       tooCloseMeshes: 0,
       tooFarMeshes: 0,
+      outsideFovMeshes: 0,
+      occludedMeshes: 0,
       processingTime: 0,
       minDistance: Infinity,
       maxDistance: 0,
@@ -32,10 +199,10 @@ export class DistanceBasedCulling {
     }
   }
 
-  // Optimized to return culling status and distance/reason
-  _getCullingStatus(mesh) {
+  // Culling status and distance/reason of the object placed by `matrix`
+  _getCullingStatus(mesh, matrix, sector, originRadius) {
     if (!mesh || !mesh.geometry) {
-      return { culled: false, distance: 0, tooClose: false, tooFar: false };
+      return { culled: false, distance: 0, tooClose: false, tooFar: false, outsideFov: false };
     }
 
     // Ensure boundingSphere is computed. This call can be expensive if not already done.
@@ -43,28 +210,48 @@ export class DistanceBasedCulling {
       mesh.geometry.computeBoundingSphere();
     }
 
-    this.tempSphere.copy(mesh.geometry.boundingSphere);
-    this.tempSphere.center.applyMatrix4(mesh.matrixWorld);
+    this.tempSphere.copy(mesh.geometry.boundingSphere).applyMatrix4(matrix);
     const distance = this.sensorPosition.distanceTo(this.tempSphere.center);
+    // Rays may start anywhere within originRadius of the sensor position
+    const radius = this.tempSphere.radius + originRadius;
 
-    const tooClose = distance + this.tempSphere.radius < this.minRange;
-    const tooFar = distance - this.tempSphere.radius > this.cullDistance;
+    const tooClose = distance + radius < this.minRange;
+    const tooFar = distance - radius > this.cullDistance;
+    const outsideFov =
+      !tooClose &&
+      !tooFar &&
+      sector !== null &&
+      !sector.intersectsSphere(
+        this.tempVector.subVectors(this.tempSphere.center, this.sensorPosition),
+        radius
+      );
 
     return {
-      culled: tooClose || tooFar,
+      culled: tooClose || tooFar || outsideFov,
       distance: distance,
       tooClose: tooClose,
       tooFar: tooFar,
+      outsideFov: outsideFov,
       radius: this.tempSphere.radius, // Include radius for comprehensive info
     };
   }
 
-  updateStats(total, visible, processingTime, tooClose = 0, tooFar = 0) {
+  updateStats(
+    total,
+    visible,
+    processingTime,
+    tooClose = 0,
+    tooFar = 0,
+    outsideFov = 0,
+    occluded = 0
+  ) {
     this.stats.totalMeshes = total;
     this.stats.visibleMeshes = visible;
     this.stats.culledMeshes = total - visible;
     this.stats.tooCloseMeshes = tooClose;
     this.stats.tooFarMeshes = tooFar;
+    this.stats.outsideFovMeshes = outsideFov;
+    this.stats.occludedMeshes = occluded;
     this.stats.processingTime = processingTime;
   }
 
@@ -75,6 +262,8 @@ export class DistanceBasedCulling {
       culledMeshes: this.stats.culledMeshes,
       tooCloseMeshes: this.stats.tooCloseMeshes,
       tooFarMeshes: this.stats.tooFarMeshes,
+      outsideFovMeshes: this.stats.outsideFovMeshes,
+      occludedMeshes: this.stats.occludedMeshes,
       processingTime: this.stats.processingTime,
       cullRate:
         this.stats.totalMeshes > 0
@@ -92,6 +281,8 @@ export class DistanceBasedCulling {
     this.stats.maxDistance = 0;
     this.stats.tooCloseMeshes = 0;
     this.stats.tooFarMeshes = 0;
+    this.stats.outsideFovMeshes = 0;
+    this.stats.occludedMeshes = 0;
   }
 
   updateMaxRange(newMaxRange) {
@@ -103,18 +294,68 @@ export class DistanceBasedCulling {
     this.minRange = newMinRange;
   }
 
-  cullMeshes(meshes, sensorPosition) {
+  /**
+   * Objects (plain meshes, or single instances of an instanced mesh) with
+   * their world transforms.
+   * @private
+   */
+  _collectObjects(meshes) {
+    const objects = [];
+    for (const mesh of meshes) {
+      if (!mesh.isInstancedMesh2) {
+        objects.push({ mesh, instanceId: null, matrix: mesh.matrixWorld });
+        continue;
+      }
+      for (let i = 0; i < mesh.instancesCount; i++) {
+        if (!mesh.getActiveAndVisibilityAt(i)) continue;
+        mesh.getMatrixAt(i, _instanceMatrix);
+        objects.push({
+          mesh,
+          instanceId: i,
+          matrix: new THREE.Matrix4().multiplyMatrices(mesh.matrixWorld, _instanceMatrix),
+        });
+      }
+    }
+    return objects;
+  }
+
+  /**
+   * Split meshes into those rays may hit and those they cannot. Instanced
+   * meshes are culled instance by instance, so counts are of objects: a
+   * plain mesh, or one instance.
+   *
+   * An object is culled when it is out of range, when no ray of `sector`
+   * passes through its bounding sphere, or when it lies entirely behind the
+   * face of an occluder. Every test errs on the side of keeping objects, so
+   * culling never changes which surface a ray hits first.
+   * @param {Array<THREE.Mesh>} meshes
+   * @param {THREE.Vector3|Number[]} sensorPosition - Ray origin
+   * @param {Object} options
+   * @param {RaySector|null} options.sector - Directions of the rays to cast,
+   *   null to skip FOV culling
+   * @param {Array<THREE.Mesh>} options.occluders - Solid box meshes among
+   *   `meshes` (buildings) that hide what is behind them
+   * @param {Number} options.originRadius - Distance from `sensorPosition`
+   *   the ray origins may move within the batch
+   * @returns {{visibleMeshes: Array<THREE.Mesh>,
+   *   culledInstances: Map<THREE.Mesh, Set<Number>>, statistics: Object}} -
+   *   `culledInstances` lists the culled instances of visible instanced meshes
+   */
+  cullMeshes(meshes, sensorPosition, { sector = null, occluders = [], originRadius = 0 } = {}) {
     const startTime = performance.now();
     this.updateSensorPosition(sensorPosition);
     this.resetDistanceTracking();
 
-    const visibleMeshes = [];
+    const objects = this._collectObjects(meshes);
+    const keptObjects = [];
     let tooCloseCount = 0;
     let tooFarCount = 0;
+    let outsideFovCount = 0;
+    let occludedCount = 0;
 
-    for (const mesh of meshes) {
+    for (const object of objects) {
       // Get all culling status info in one call
-      const status = this._getCullingStatus(mesh);
+      const status = this._getCullingStatus(object.mesh, object.matrix, sector, originRadius);
 
       // Update overall min/max distance stats
       this.stats.minDistance = Math.min(
@@ -127,35 +368,93 @@ export class DistanceBasedCulling {
       );
 
       if (status.culled) {
+        object.culled = true;
         if (status.tooClose) {
           tooCloseCount++;
         } else if (status.tooFar) {
           tooFarCount++;
+        } else {
+          outsideFovCount++;
         }
       } else {
+        keptObjects.push(object);
+      }
+    }
+
+    // Occluders only hide what is behind them while rays can hit them
+    const occluderMeshes = new Set(occluders);
+    const activeOccluders = keptObjects
+      .filter((object) => occluderMeshes.has(object.mesh))
+      .map((object) => {
+        if (!object.mesh.geometry.boundingBox) object.mesh.geometry.computeBoundingBox();
+        return createOccluder(object, originRadius);
+      });
+
+    if (activeOccluders.length > 0) {
+      for (const object of keptObjects) {
+        if (!object.mesh.geometry.boundingBox) object.mesh.geometry.computeBoundingBox();
+        _objectBox
+          .copy(object.mesh.geometry.boundingBox)
+          .applyMatrix4(object.matrix)
+          .expandByScalar(originRadius);
+        const occluded = activeOccluders.some(
+          (occluder) =>
+            (occluder.mesh !== object.mesh || occluder.instanceId !== object.instanceId) &&
+            isOccludedBy(occluder, this.sensorPosition, _objectBox)
+        );
+        if (occluded) {
+          object.culled = true;
+          occludedCount++;
+        }
+      }
+    }
+
+    const visibleMeshes = [];
+    const culledInstances = new Map();
+    const seenMeshes = new Set();
+    for (const object of objects) {
+      const { mesh, instanceId, culled } = object;
+      if (culled) {
+        if (instanceId !== null) {
+          if (!culledInstances.has(mesh)) culledInstances.set(mesh, new Set());
+          culledInstances.get(mesh).add(instanceId);
+        }
+      } else if (!seenMeshes.has(mesh)) {
+        seenMeshes.add(mesh);
         visibleMeshes.push(mesh);
       }
     }
+    // Instanced meshes with no instance left are culled as a whole
+    culledInstances.forEach((_, mesh) => {
+      if (!seenMeshes.has(mesh)) culledInstances.delete(mesh);
+    });
+
+    const visibleCount = objects.length - tooCloseCount - tooFarCount - outsideFovCount - occludedCount;
 
     const endTime = performance.now();
     const processingTime = endTime - startTime;
 
     this.updateStats(
-      meshes.length,
-      visibleMeshes.length,
+      objects.length,
+      visibleCount,
       processingTime,
       tooCloseCount,
-      tooFarCount
+      tooFarCount,
+      outsideFovCount,
+      occludedCount
     );
 
     return {
       visibleMeshes: visibleMeshes,
+      culledInstances: culledInstances,
       statistics: {
-        total: meshes.length,
-        visible: visibleMeshes.length,
-        culled: meshes.length - visibleMeshes.length,
+        total: objects.length,
+        visible: visibleCount,
+        culled: objects.length - visibleCount,
         tooClose: tooCloseCount,
         tooFar: tooFarCount,
+        outsideFov: outsideFovCount,
+        occluded: occludedCount,
         processingTime: processingTime,
       },
     };
@@ -1,5 +1,168 @@
 import * as THREE from "three";
 import JSZip from "jszip";
+import { compressLZF } from "./LzfCompression.js";
+import { writeLas } from "./LasWriter.js";
+import { buildKittiSequence } from "./KittiWriter.js";
+import { buildNuScenesDataset } from "./NuScenesWriter.js";
+import { McapWriter } from "./McapWriter.js";
+import { writeLvx2 } from "./Lvx2Writer.js";
+import { writeVelodynePcap } from "./VelodyneWriter.js";
+import {
+  IMU_SCHEMA,
+  POINT_CLOUD2_SCHEMA,
+  TF_MESSAGE_SCHEMA,
+  encodeImu,
+  encodePointCloud2,
+  encodeTFMessage,
+} from "./RosMessages.js";
+import { writeImuCsv } from "../../imu/utils/ImuCsvWriter.js";
+import { buildPoseFiles } from "./PoseWriter.js";
+import { msToNs } from "./BinaryUtils.js";
+import { distortPoints } from "./SensorMotion.js";
+import {
+  POINT_FIELDS,
+  POINT_STRIDE,
+  copyPointsWithTimeOffset,
+} from "./PointLayout.js";
+
+/**
+ * Supported values for the PCD `DATA` line.
+ */
+export const PCD_ENCODINGS = ["ascii", "binary", "binary_compressed"];
+
+/**
+ * PCD fields written for every point and the point component each one holds.
+ * `time` is the offset from the frame start in nanoseconds.
+ */
+const PCD_FIELDS = [
+  { name: "x", size: 4, type: "F", component: POINT_FIELDS.X },
+  { name: "y", size: 4, type: "F", component: POINT_FIELDS.Y },
+  { name: "z", size: 4, type: "F", component: POINT_FIELDS.Z },
+  { name: "intensity", size: 4, type: "F", component: POINT_FIELDS.INTENSITY },
+  { name: "time", size: 4, type: "U", component: POINT_FIELDS.TIME },
+  { name: "line", size: 1, type: "U", component: POINT_FIELDS.LINE },
+  { name: "tag", size: 1, type: "U", component: POINT_FIELDS.TAG },
+  { name: "label", size: 4, type: "U", component: POINT_FIELDS.LABEL },
+  { name: "instance", size: 4, type: "U", component: POINT_FIELDS.INSTANCE },
+  { name: "return_index", size: 1, type: "U", component: POINT_FIELDS.RETURN_INDEX },
+  { name: "return_count", size: 1, type: "U", component: POINT_FIELDS.RETURN_COUNT },
+];
+const PCD_POINT_SIZE = PCD_FIELDS.reduce((sum, field) => sum + field.size, 0);
+
+/**
+ * Export formats understood by LidarFrameManager.exportFrames.
+ */
+export const EXPORT_FORMATS = {
+  PCD: "pcd",
+  LAS: "las",
+  KITTI: "kitti",
+  MCAP: "mcap",
+  LVX2: "lvx2",
+  VELODYNE_PCAP: "velodyne_pcap",
+  NUSCENES: "nuscenes",
+};
+
+// Entry name of formats written as a single file, see buildExportFiles
+const SINGLE_FILE_NAME = "lidar_capture";
+const SINGLE_FILE_MIME_TYPES = {
+  ".pcap": "application/vnd.tcpdump.pcap",
+};
+
+// Download name of the formats exported as a ZIP
+const ZIP_DOWNLOAD_NAMES = {
+  [EXPORT_FORMATS.PCD]: "lidar_frames",
+  [EXPORT_FORMATS.LAS]: "lidar_frames_las",
+  [EXPORT_FORMATS.KITTI]: "lidar_kitti",
+  [EXPORT_FORMATS.NUSCENES]: "lidar_nuscenes",
+};
+
+/**
+ * Default topics and frame ids for MCAP recordings.
+ */
+export const DEFAULT_MCAP_OPTIONS = {
+  pointCloudTopic: "/lidar/points",
+  tfTopic: "/tf",
+  imuTopic: "/imu",
+  frameId: "lidar",
+  parentFrameId: "map",
+};
+
+/**
+ * Prepend an ASCII PCD header to binary point data.
+ * @param {String} header - PCD header, ending with the DATA line and a newline
+ * @param {Uint8Array} data - Binary payload
+ * @returns {Uint8Array} - Complete file content
+ */
+function concatHeaderAndData(header, data) {
+  const headerBytes = new TextEncoder().encode(header);
+  const content = new Uint8Array(headerBytes.length + data.length);
+  content.set(headerBytes, 0);
+  content.set(data, headerBytes.length);
+  return content;
+}
+
+/**
+ * Write one PCD field value in its declared binary type.
+ * @param {DataView} view
+ * @param {Number} byteOffset
+ * @param {Object} field - Entry of PCD_FIELDS
+ * @param {Number} value
+ */
+function writePcdValue(view, byteOffset, field, value) {
+  if (field.type === "F") {
+    view.setFloat32(byteOffset, value, true);
+  } else if (field.size === 4) {
+    view.setUint32(byteOffset, Math.max(0, Math.round(value)), true);
+  } else {
+    view.setUint8(byteOffset, Math.max(0, Math.min(0xff, Math.round(value))));
+  }
+}
+
+/**
+ * Bundle files into a ZIP archive and trigger a browser download for it.
+ * @param {Object<String, String|Uint8Array>} files - File contents by path
+ * @param {String} filename - Suggested download filename
+ */
+async function downloadZip(files, filename) {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([path, content]) => {
+    zip.file(path, content);
+  });
+  downloadBlob(await zip.generateAsync({ type: "blob" }), filename);
+}
+
+/**
+ * Trigger a browser download for a Blob.
+ * @param {Blob} blob - File content
+ * @param {String} filename - Suggested download filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Add to each object the number of points whose instance id is its track id.
+ * @param {Array<Object>} objects - Object snapshots with a trackId
+ * @param {Float32Array} pointsData - Interleaved points, see POINT_FIELDS
+ * @returns {Array<Object>} - Copies of `objects` with `numPoints`
+ */
+function countObjectPoints(objects, pointsData) {
+  const counts = new Map();
+  for (let i = POINT_FIELDS.INSTANCE; i < pointsData.length; i += POINT_STRIDE) {
+    counts.set(pointsData[i], (counts.get(pointsData[i]) || 0) + 1);
+  }
+  return objects.map((object) => ({
+    ...object,
+    numPoints: counts.get(object.trackId) || 0,
+  }));
+}
 
 /**
  * Frame-based LiDAR point cloud management.
@@ -15,31 +178,52 @@ export class LidarFrameManager {
     this.frames = [];
     this.isCapturing = false;
     this.lastFrameTime = null;
+    this.lastSnapshotFrame = null; // Frame of the last snapshotObjectsForBatch
+
+    // Optional (sensorPose) => objects callback snapshotting the annotated
+    // objects' bounding boxes at the start of each frame
+    this.objectSnapshotProvider = null;
+
+    // IMU samples ({timestampMs, gyro, accel}) recorded during the capture
+    this.imuSamples = [];
 
     // The current frame being built.
-    // Instead of point objects, we will now store Float32Array segments directly.
+    // Instead of point objects, we will now store Float32Array segments directly,
+    // each with the time its batch was scanned.
     this.currentFrame = {
-      pointBuffers: [], // Array to store Float32Array segments
+      pointBuffers: [], // Array to store {pointsData, batchTime, motion} segments
       pointCountAccumulated: 0, // Total points accumulated in current frame
       startTime: 0,
       frameNumber: 0,
+      sensorPose: null,
+      endSensorPose: null,
+      endTime: 0,
+      objects: null,
     };
   }
 
   /**
    * Start capturing frames
+   * @param {Number} startTime - Unix time in milliseconds of the capture start,
+   *   on the same clock as the point batches
    */
-  startCapture() {
+  startCapture(startTime = Date.now()) {
     this.isCapturing = true;
-    const now = Date.now();
+    const now = startTime;
     this.frameStartTime = now;
     this.lastFrameTime = now;
+    this.lastSnapshotFrame = null;
     this.frames = []; // Clear existing frames on new capture
+    this.imuSamples = [];
     this.currentFrame = {
       pointBuffers: [],
       pointCountAccumulated: 0,
       startTime: now,
       frameNumber: 0,
+      sensorPose: null,
+      endSensorPose: null,
+      endTime: 0,
+      objects: null,
     };
   }
 
@@ -54,33 +238,109 @@ export class LidarFrameManager {
 
   /**
    * Add new points to the current frame
-   * @param {Float32Array} newPointsData - Float32Array of point components (x, y, z, intensity)
+   * @param {Float32Array} newPointsData - Interleaved point components, see POINT_FIELDS.
+   *   Point times are offsets from `batchTime`.
+   * @param {Object} sensorPose - Sensor world pose ({position, quaternion} arrays) when the points were scanned
+   * @param {Number} batchTime - Unix time in milliseconds at which the batch was scanned
+   * @param {SensorMotion} motion - Sensor motion during the batch, if the sensor moves
+   * @param {Float32Array} cleanPointsData - The batch's noise-free points, if noise was applied
+   * @param {Array<Object>} objects - Object snapshot taken when the batch was scanned,
+   *   see snapshotObjectsForBatch; taken now if the batch opens a frame without one
    */
-  addPointsToFrame(newPointsData) {
+  addPointsToFrame(
+    newPointsData,
+    sensorPose = null,
+    batchTime = Date.now(),
+    motion = null,
+    cleanPointsData = null,
+    objects = null
+  ) {
     if (!this.isCapturing || !newPointsData || newPointsData.length === 0)
       return;
 
-    const currentTime = Date.now();
-
-    // Store the new Float32Array segment and accumulate its point count
-    this.currentFrame.pointBuffers.push(newPointsData);
-    this.currentFrame.pointCountAccumulated += newPointsData.length / 4; // Assuming 4 components per point
-
+    const currentTime = batchTime;
     const timeSinceLastFrame = currentTime - this.lastFrameTime;
 
-    // If we've exceeded the frame interval, finalize the current frame and start a new one
+    // A batch scanned after the frame interval has elapsed opens a new frame.
+    // Frame boundaries stay on the nominal frame rate rather than drifting by
+    // the batch length each frame.
     if (timeSinceLastFrame >= this.frameInterval) {
       this._finalizeCurrentFrame();
 
       // Start a new frame
-      this.lastFrameTime = currentTime;
+      this.lastFrameTime +=
+        Math.floor(timeSinceLastFrame / this.frameInterval) * this.frameInterval;
       this.currentFrame = {
         pointBuffers: [],
         pointCountAccumulated: 0,
         startTime: currentTime,
         frameNumber: this.frames.length, // Frame number based on how many frames are finalized
+        sensorPose: null,
+        endSensorPose: null,
+        endTime: currentTime,
+        objects: null,
       };
     }
+
+    // The first pose seen in a frame is its start pose
+    if (!this.currentFrame.sensorPose) {
+      this.currentFrame.sensorPose = sensorPose;
+      this.currentFrame.objects = objects || this._snapshotObjects(sensorPose);
+    }
+
+    // The last batch scanned so far marks the frame end
+    this.currentFrame.endSensorPose = motion ? motion.endPose : sensorPose;
+    this.currentFrame.endTime = motion
+      ? batchTime + motion.durationNs / 1e6
+      : batchTime;
+
+    // Store the new Float32Array segment and accumulate its point count
+    this.currentFrame.pointBuffers.push({
+      pointsData: newPointsData,
+      cleanPointsData,
+      batchTime,
+      motion,
+    });
+    this.currentFrame.pointCountAccumulated += newPointsData.length / POINT_STRIDE;
+  }
+
+  /**
+   * Record IMU samples while capturing.
+   * @param {Array<{timestampMs: Number, gyro: Number[], accel: Number[]}>} samples -
+   *   Sensor frame samples on the same clock as the point batches
+   */
+  addImuSamples(samples) {
+    if (!this.isCapturing) return;
+    this.imuSamples.push(...samples);
+  }
+
+  /**
+   * Snapshot the annotated objects if a batch scanned at `batchTime` opens a
+   * frame. Batches added some time after they are scanned (see
+   * RaycastWorkerPool) take the snapshot when scanned and pass it to
+   * addPointsToFrame, so the frame's boxes match the scene its points saw.
+   * @param {Number} batchTime - Unix time in milliseconds the batch is scanned at
+   * @param {Object} sensorPose - Sensor world pose at that time
+   * @returns {Array<Object>|null} - Null if the batch does not open a frame
+   */
+  snapshotObjectsForBatch(batchTime, sensorPose) {
+    if (!this.isCapturing) return null;
+    // Frames start on the nominal frame interval, see addPointsToFrame
+    const frame = Math.floor((batchTime - this.frameStartTime) / this.frameInterval);
+    if (frame === this.lastSnapshotFrame) return null;
+    this.lastSnapshotFrame = frame;
+    return this._snapshotObjects(sensorPose);
+  }
+
+  /**
+   * Snapshot the annotated objects through `objectSnapshotProvider`, if any.
+   * @private
+   * @returns {Array<Object>|null}
+   */
+  _snapshotObjects(sensorPose) {
+    return this.objectSnapshotProvider
+      ? this.objectSnapshotProvider(sensorPose)
+      : null;
   }
 
   /**
@@ -94,12 +354,46 @@ export class LidarFrameManager {
       return; // Don't save empty frames
     }
 
-    // Combine all Float32Array segments into a single, contiguous Float32Array
-    const finalPointsData = new Float32Array(totalPointsInFrame * 4); // 4 components: x, y, z, intensity
+    // Combine all Float32Array segments into a single, contiguous Float32Array,
+    // rebasing point times from their batch to the frame start.
+    // Points scanned while moving are reported from the frame's start pose, as
+    // a real sensor would, and their true positions kept as ground truth.
+    // Batches scanned with noise also contribute their noise-free points to the
+    // clean cloud; batches without noise are clean already.
+    const { pointBuffers, sensorPose } = this.currentFrame;
+    const isMoving = pointBuffers.some((segment) => segment.motion);
+    const hasNoise = pointBuffers.some((segment) => segment.cleanPointsData);
+    const finalPointsData = new Float32Array(totalPointsInFrame * POINT_STRIDE);
+    const groundTruthPointsData = isMoving
+      ? new Float32Array(totalPointsInFrame * POINT_STRIDE)
+      : null;
+    const cleanPointsData = hasNoise
+      ? new Float32Array(
+          pointBuffers.reduce(
+            (length, segment) =>
+              length + (segment.cleanPointsData || segment.pointsData).length,
+            0
+          )
+        )
+      : null;
     let offset = 0;
-    for (const bufferSegment of this.currentFrame.pointBuffers) {
-      finalPointsData.set(bufferSegment, offset);
-      offset += bufferSegment.length;
+    let cleanOffset = 0;
+    for (const { pointsData, cleanPointsData: cleanSegment, batchTime, motion } of pointBuffers) {
+      const timeOffsetNs = (batchTime - this.currentFrame.startTime) * 1e6;
+      const reportPoints = (points) =>
+        motion
+          ? distortPoints(points, motion, sensorPose || motion.startPose)
+          : points;
+      copyPointsWithTimeOffset(reportPoints(pointsData), timeOffsetNs, finalPointsData, offset);
+      if (groundTruthPointsData) {
+        copyPointsWithTimeOffset(pointsData, timeOffsetNs, groundTruthPointsData, offset);
+      }
+      if (cleanPointsData) {
+        const cleanPoints = cleanSegment || pointsData;
+        copyPointsWithTimeOffset(reportPoints(cleanPoints), timeOffsetNs, cleanPointsData, cleanOffset);
+        cleanOffset += cleanPoints.length;
+      }
+      offset += pointsData.length;
     }
 
     // Create the final frame object with the typed array and metadata
@@ -108,6 +402,16 @@ export class LidarFrameManager {
       pointCount: totalPointsInFrame,
       startTime: this.currentFrame.startTime,
       frameNumber: this.currentFrame.frameNumber,
+      sensorPose: this.currentFrame.sensorPose,
+      endTime: this.currentFrame.endTime,
+      endSensorPose: this.currentFrame.endSensorPose, // Pose at the last ray
+      groundTruthPointsData, // Undistorted points, null for a static sensor
+      cleanPointsData, // Points before measurement noise, null if no noise was applied
+      cleanPointCount: cleanPointsData ? cleanPointsData.length / POINT_STRIDE : 0,
+      objects: countObjectPoints(
+        this.currentFrame.objects || [],
+        finalPointsData
+      ),
     };
 
     this.frames.push(finalFrame);
@@ -122,47 +426,100 @@ export class LidarFrameManager {
    */
   clearFrames() {
     this.frames = [];
+    this.imuSamples = [];
     this.currentFrame = {
       pointBuffers: [],
       pointCountAccumulated: 0,
       startTime: 0,
       frameNumber: 0,
+      sensorPose: null,
+      endSensorPose: null,
+      endTime: 0,
+      objects: null,
     };
     this.lastFrameTime = null;
   }
 
   /**
    * Generate a PCD file content for a frame from its typed array data.
+   * `binary` writes packed point records; `binary_compressed` stores the
+   * fields one after another and LZF-compresses them, as PCL expects.
    * @param {Object} frame - Frame object containing pointsData and pointCount.
-   * @returns {String} - PCD file content.
+   * @param {String} encoding - One of PCD_ENCODINGS ("ascii", "binary", "binary_compressed").
+   * @returns {String|Uint8Array} - PCD file content (a string for ascii, bytes otherwise).
    */
-  generatePCDForFrame(frame) {
+  generatePCDForFrame(frame, encoding = "ascii") {
     const { pointsData, pointCount } = frame;
 
+    if (!PCD_ENCODINGS.includes(encoding)) {
+      throw new Error(`Unsupported PCD encoding: ${encoding}`);
+    }
+
     // PCD header
     const header =
       [
         `# .PCD v0.7 - Point Cloud Data file format`,
         `VERSION 0.7`,
-        `FIELDS x y z intensity`,
-        `SIZE 4 4 4 4`,
-        `TYPE F F F F`,
-        `COUNT 1 1 1 1`,
+        `FIELDS ${PCD_FIELDS.map((field) => field.name).join(" ")}`,
+        `SIZE ${PCD_FIELDS.map((field) => field.size).join(" ")}`,
+        `TYPE ${PCD_FIELDS.map((field) => field.type).join(" ")}`,
+        `COUNT ${PCD_FIELDS.map(() => 1).join(" ")}`,
         `WIDTH ${pointCount}`,
         `HEIGHT 1`,
         `VIEWPOINT 0 0 0 1 0 0 0`,
         `POINTS ${pointCount}`,
-        `DATA ascii`,
+        `DATA ${encoding}`,
       ].join("\n") + "\n";
 
+    if (encoding === "binary") {
+      const data = new Uint8Array(pointCount * PCD_POINT_SIZE);
+      const view = new DataView(data.buffer);
+      let byteOffset = 0;
+      for (let i = 0; i < pointCount; i++) {
+        const offset = i * POINT_STRIDE;
+        for (const field of PCD_FIELDS) {
+          writePcdValue(view, byteOffset, field, pointsData[offset + field.component]);
+          byteOffset += field.size;
+        }
+      }
+      return concatHeaderAndData(header, data);
+    }
+
+    if (encoding === "binary_compressed") {
+      // PCL stores compressed data as structure-of-arrays: all x, then all y, ...
+      const uncompressed = new Uint8Array(pointCount * PCD_POINT_SIZE);
+      const view = new DataView(uncompressed.buffer);
+      let fieldStart = 0;
+      for (const field of PCD_FIELDS) {
+        for (let i = 0; i < pointCount; i++) {
+          writePcdValue(
+            view,
+            fieldStart + i * field.size,
+            field,
+            pointsData[i * POINT_STRIDE + field.component]
+          );
+        }
+        fieldStart += pointCount * field.size;
+      }
+      const compressed = compressLZF(uncompressed);
+
+      const data = new Uint8Array(8 + compressed.length);
+      const dataView = new DataView(data.buffer);
+      dataView.setUint32(0, compressed.length, true);
+      dataView.setUint32(4, uncompressed.length, true);
+      data.set(compressed, 8);
+      return concatHeaderAndData(header, data);
+    }
+
     // PCD data lines
     const lines = [];
     for (let i = 0; i < pointCount; i++) {
-      const offset = i * 4;
+      const offset = i * POINT_STRIDE;
       lines.push(
-        `${pointsData[offset]} ${pointsData[offset + 1]} ${
-          pointsData[offset + 2]
-        } ${pointsData[offset + 3]}`
+        PCD_FIELDS.map((field) => {
+          const value = pointsData[offset + field.component];
+          return field.type === "F" ? value : Math.round(value);
+        }).join(" ")
       );
     }
 
@@ -191,36 +548,241 @@ export class LidarFrameManager {
   }
 
   /**
-   * Export all frames as a ZIP file and trigger download
+   * PCD files of all frames, plus their undistorted clouds if the sensor
+   * moved and their noise-free clouds if noise was applied, the IMU samples
+   * and the ground truth trajectories (TUM and KITTI formats).
+   * @private
+   * @param {Object} options - See exportFrames
+   * @returns {Object<String, String|Uint8Array>} - File contents by path
    */
-  async exportFramesAsZip() {
-    if (this.frames.length === 0) {
-      console.warn("No frames to export");
-      return;
-    }
+  _buildPcdFiles({ pcdEncoding = "ascii" } = {}) {
+    const files = {};
+    this.frames.forEach((frame) => {
+      const filename = this.generateFrameFilename(frame);
+      files[`frames/${filename}`] = this.generatePCDForFrame(frame, pcdEncoding);
+
+      if (frame.groundTruthPointsData) {
+        files[`ground_truth/${filename}`] = this.generatePCDForFrame(
+          { ...frame, pointsData: frame.groundTruthPointsData },
+          pcdEncoding
+        );
+      }
+      if (frame.cleanPointsData) {
+        files[`clean/${filename}`] = this.generatePCDForFrame(
+          {
+            ...frame,
+            pointsData: frame.cleanPointsData,
+            pointCount: frame.cleanPointCount,
+          },
+          pcdEncoding
+        );
+      }
+    });
 
-    const zip = new JSZip();
-    const framesFolder = zip.folder("frames");
+    if (this.imuSamples.length > 0) {
+      files["imu.csv"] = writeImuCsv(this.imuSamples);
+    }
+    return { ...files, ...buildPoseFiles(this.frames) };
+  }
 
-    // Export each frame as a PCD file
+  /**
+   * One LAS file per frame plus the ground truth trajectories.
+   * @private
+   * @param {Object} options - See exportFrames
+   * @returns {Object<String, Uint8Array>} - File contents by path
+   */
+  _buildLasFiles({ pointFormat = 6 } = {}) {
+    const files = {};
     this.frames.forEach((frame) => {
-      const pcdContent = this.generatePCDForFrame(frame);
-      const filename = this.generateFrameFilename(frame);
-      framesFolder.file(filename, pcdContent);
+      const filename = this.generateFrameFilename(frame).replace(
+        /\.pcd$/,
+        ".las"
+      );
+      files[`frames/${filename}`] = writeLas([frame], { pointFormat });
+    });
+    return { ...files, ...buildPoseFiles(this.frames) };
+  }
+
+  /**
+   * KITTI odometry sequence plus the ground truth trajectories. Scans and
+   * poses are converted to the KITTI sensor frame (x forward, y left, z up),
+   * with SemanticKITTI point labels, KITTI object labels and the IMU samples
+   * alongside the scans.
+   * @private
+   * @param {Object} options - See exportFrames
+   * @returns {Object<String, String|Uint8Array>} - File contents by path
+   */
+  _buildKittiFiles({ sequence = "00" } = {}) {
+    const files = {};
+    Object.entries(buildKittiSequence(this.frames)).forEach(([path, content]) => {
+      files[`sequences/${sequence}/${path}`] = content;
+    });
+    if (this.imuSamples.length > 0) {
+      files[`sequences/${sequence}/imu.csv`] = writeImuCsv(this.imuSamples);
+    }
+    return { ...files, ...buildPoseFiles(this.frames) };
+  }
+
+  /**
+   * MCAP recording of all frames: each frame becomes a CDR-encoded
+   * sensor_msgs/msg/PointCloud2 in the sensor frame, accompanied by a
+   * tf2_msgs/msg/TFMessage carrying the sensor pose. IMU samples are written
+   * as sensor_msgs/msg/Imu in the same sensor frame.
+   * @private
+   * @returns {Uint8Array}
+   */
+  _buildMcap(options = {}) {
+    const { pointCloudTopic, tfTopic, imuTopic, frameId, parentFrameId } = {
+      ...DEFAULT_MCAP_OPTIONS,
+      ...options,
+    };
+
+    const writer = new McapWriter();
+    const pointCloudChannel = writer.registerChannel({
+      topic: pointCloudTopic,
+      schemaId: writer.registerSchema(POINT_CLOUD2_SCHEMA),
+      messageEncoding: "cdr",
     });
+    const tfChannel = writer.registerChannel({
+      topic: tfTopic,
+      schemaId: writer.registerSchema(TF_MESSAGE_SCHEMA),
+      messageEncoding: "cdr",
+    });
+    const imuChannel = writer.registerChannel({
+      topic: imuTopic,
+      schemaId: writer.registerSchema(IMU_SCHEMA),
+      messageEncoding: "cdr",
+    });
+
+    // IMU samples are interleaved with the frames in log time order
+    let imuIndex = 0;
+    const writeImuUntil = (timeMs) => {
+      while (
+        imuIndex < this.imuSamples.length &&
+        this.imuSamples[imuIndex].timestampMs < timeMs
+      ) {
+        const sample = this.imuSamples[imuIndex];
+        writer.addMessage({
+          channelId: imuChannel,
+          logTime: msToNs(sample.timestampMs),
+          sequence: imuIndex,
+          data: encodeImu(sample, { frameId }),
+        });
+        imuIndex++;
+      }
+    };
 
-    // Generate and download the zip file
-    const content = await zip.generateAsync({
-      type: "blob",
+    this.frames.forEach((frame, index) => {
+      writeImuUntil(frame.startTime);
+      const logTime = msToNs(frame.startTime);
+      writer.addMessage({
+        channelId: tfChannel,
+        logTime,
+        sequence: index,
+        data: encodeTFMessage(frame.sensorPose, frame.startTime, {
+          parentFrameId,
+          frameId,
+        }),
+      });
+      writer.addMessage({
+        channelId: pointCloudChannel,
+        logTime,
+        sequence: index,
+        data: encodePointCloud2(frame, { frameId }),
+      });
     });
-    const url = URL.createObjectURL(content);
-    const link = document.createElement("a");
-    link.href = url;
-    link.download = `lidar_frames_${new Date().toISOString()}.zip`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    writeImuUntil(Infinity);
+
+    return writer.finish();
+  }
+
+  /**
+   * Build every file of an export in the requested format without
+   * downloading it, e.g. to write a dataset to disk. Formats exported as a
+   * single file give one `lidar_capture.<ext>` entry, see SINGLE_FILE_NAME.
+   * @param {Object} options - Export options, as for exportFrames
+   * @param {String} options.format - One of EXPORT_FORMATS
+   * @returns {Object<String, String|Uint8Array>} - File contents by path
+   */
+  buildExportFiles({ format = EXPORT_FORMATS.PCD, ...options } = {}) {
+    switch (format) {
+      case EXPORT_FORMATS.LAS:
+        return options.merge
+          ? { [`${SINGLE_FILE_NAME}.las`]: writeLas(this.frames, options) }
+          : this._buildLasFiles(options);
+      case EXPORT_FORMATS.KITTI:
+        return this._buildKittiFiles(options);
+      case EXPORT_FORMATS.MCAP:
+        return { [`${SINGLE_FILE_NAME}.mcap`]: this._buildMcap(options) };
+      case EXPORT_FORMATS.LVX2:
+        return {
+          [`${SINGLE_FILE_NAME}.lvx2`]: writeLvx2(this.frames, {
+            ...options,
+            frameInterval: this.frameInterval,
+          }),
+        };
+      case EXPORT_FORMATS.VELODYNE_PCAP:
+        return {
+          [`${SINGLE_FILE_NAME}.pcap`]: writeVelodynePcap(this.frames, {
+            model: options.velodyneModel,
+            returnMode: options.velodyneReturnMode,
+          }),
+        };
+      case EXPORT_FORMATS.NUSCENES:
+        return buildNuScenesDataset(this.frames, options);
+      case EXPORT_FORMATS.PCD:
+        return this._buildPcdFiles(options);
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+  }
+
+  /**
+   * Export all frames as PCD files in a ZIP and trigger download.
+   * @param {Object} options - Export options, see exportFrames
+   */
+  async exportFramesAsZip(options = {}) {
+    return this.exportFrames({ ...options, format: EXPORT_FORMATS.PCD });
+  }
+
+  /**
+   * Export all frames in the requested format and trigger download: formats
+   * written as a single file download it named after the capture start,
+   * the others a ZIP of their files.
+   * @param {Object} options - Export options
+   * @param {String} options.format - One of EXPORT_FORMATS
+   * @param {String} options.pcdEncoding - PCD: DATA encoding, see PCD_ENCODINGS
+   * @param {Number} options.pointFormat - LAS: point data record format (1 or 6)
+   * @param {Boolean} options.merge - LAS: one file for the whole capture instead of one per frame
+   * @param {String} options.sequence - KITTI: sequence folder name
+   * @param {String} options.version - nuScenes: metadata folder name
+   * @param {String} options.sceneName - nuScenes: scene name
+   * @param {String} options.pointCloudTopic - MCAP: topics and frame ids, see DEFAULT_MCAP_OPTIONS
+   * @param {String} options.serialNumber - LVX2: device serial number, see DEFAULT_LVX2_DEVICE
+   * @param {String} options.lidarIp - LVX2: device IPv4 address
+   * @param {String} options.velodyneModel - Velodyne PCAP: one of VELODYNE_MODELS
+   * @param {String} options.velodyneReturnMode - Velodyne PCAP: strongest, last or dual, see RETURN_MODES
+   */
+  async exportFrames({ format = EXPORT_FORMATS.PCD, ...options } = {}) {
+    if (this.frames.length === 0) {
+      console.warn("No frames to export");
+      return;
+    }
+
+    const files = this.buildExportFiles({ format, ...options });
+    const paths = Object.keys(files);
+    if (paths.length === 1 && paths[0].startsWith(`${SINGLE_FILE_NAME}.`)) {
+      const extension = paths[0].slice(SINGLE_FILE_NAME.length);
+      downloadBlob(
+        new Blob([files[paths[0]]], {
+          type: SINGLE_FILE_MIME_TYPES[extension] ?? "application/octet-stream",
+        }),
+        `${SINGLE_FILE_NAME}_${this.formatTimestamp(this.frames[0].startTime)}${extension}`
+      );
+      return;
+    }
+
+    await downloadZip(files, `${ZIP_DOWNLOAD_NAMES[format]}_${new Date().toISOString()}.zip`);
   }
 
   /**
@@ -4,6 +4,7 @@ import { RangeCalculator } from "./RangeCalculator.js";
 export class IntensityCalculator {
   constructor(lidarConfig) {
     this.lidarConfig = lidarConfig;
+    this.rangeSpecs = RangeCalculator.getRangeSpecs(lidarConfig);
     this.atmosphereAttenuationRate = 0.1;
     this.channelWeighting = 0.5; // New configurable parameter
   }
@@ -18,7 +19,8 @@ export class IntensityCalculator {
       !RangeCalculator.isInRange(
         distance,
         materialReflectivity,
-        this.lidarConfig.maxRange
+        this.lidarConfig.maxRange,
+        this.rangeSpecs
       )
     ) {
       return null;
@@ -0,0 +1,211 @@
+import * as THREE from "three";
+import {
+  IDENTITY_POSE,
+  KITTI_VELO_TO_CAM,
+  formatMatrix3x4,
+  formatScientific,
+  poseToFluMatrix,
+  worldToSensorFluMatrix,
+} from "./CoordinateFrames.js";
+import { POINT_FIELDS, POINT_STRIDE, packPointReturns } from "./PointLayout.js";
+import { KITTI_OBJECT_TYPES } from "../config/ObjectClasses.js";
+
+/**
+ * KITTI occlusion state from the visible fraction of an object:
+ * 0 fully visible, 1 partly occluded, 2 largely occluded.
+ * @private
+ */
+function visibilityToOcclusion(visibility) {
+  if (visibility >= 0.8) return 0;
+  if (visibility >= 0.4) return 1;
+  return 2;
+}
+
+/**
+ * Wrap an angle to [-pi, pi].
+ * @private
+ */
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+/**
+ * Convert a frame's world-space points to a KITTI velodyne scan:
+ * float32 (x, y, z, reflectance) in the sensor frame (x forward, y left, z up).
+ * @param {Object} frame - Frame with pointsData, pointCount and sensorPose
+ * @returns {Float32Array}
+ */
+export function frameToVelodyneScan(frame) {
+  const { pointsData, pointCount } = frame;
+  const worldToSensor = worldToSensorFluMatrix(
+    frame.sensorPose || IDENTITY_POSE
+  );
+  const scan = new Float32Array(pointCount * 4);
+  const point = new THREE.Vector3();
+
+  for (let i = 0; i < pointCount; i++) {
+    const offset = i * POINT_STRIDE;
+    point
+      .set(pointsData[offset], pointsData[offset + 1], pointsData[offset + 2])
+      .applyMatrix4(worldToSensor);
+    scan[i * 4] = point.x;
+    scan[i * 4 + 1] = point.y;
+    scan[i * 4 + 2] = point.z;
+    scan[i * 4 + 3] = pointsData[offset + POINT_FIELDS.INTENSITY];
+  }
+
+  return scan;
+}
+
+/**
+ * Build a SemanticKITTI label file for a frame: one uint32 per scan point,
+ * semantic label in the lower 16 bits and instance id in the upper 16 bits.
+ * @param {Object} frame - Frame with pointsData and pointCount
+ * @returns {Uint32Array}
+ */
+export function frameToSemanticLabels(frame) {
+  const { pointsData, pointCount } = frame;
+  const labels = new Uint32Array(pointCount);
+  for (let i = 0; i < pointCount; i++) {
+    const offset = i * POINT_STRIDE;
+    const instance = pointsData[offset + POINT_FIELDS.INSTANCE] & 0xffff;
+    const label = pointsData[offset + POINT_FIELDS.LABEL] & 0xffff;
+    labels[i] = ((instance << 16) | label) >>> 0;
+  }
+  return labels;
+}
+
+/**
+ * Build a KITTI object label file for a frame's annotated objects.
+ * Boxes are expressed in the camera frame of `calib.txt` (co-located with the
+ * sensor): bottom-centre location, dimensions as height, width, length and
+ * rotation_y about the camera's down axis. There is no image, so objects are
+ * never truncated and their 2D boxes are left at zero.
+ * @param {Object} frame - Frame with objects and sensorPose
+ * @returns {String}
+ */
+export function frameToObjectLabels(frame) {
+  const worldToSensor = worldToSensorFluMatrix(
+    frame.sensorPose || IDENTITY_POSE
+  );
+  const center = new THREE.Vector3();
+  const forward = new THREE.Vector3();
+  const sensorRotation = new THREE.Quaternion();
+  worldToSensor.decompose(new THREE.Vector3(), sensorRotation, new THREE.Vector3());
+
+  const lines = (frame.objects || []).map((object) => {
+    const [length, width, height] = object.size;
+    center.fromArray(object.center).applyMatrix4(worldToSensor);
+    // The object's forward axis (local +Z) in the sensor frame
+    forward
+      .set(0, 0, 1)
+      .applyQuaternion(new THREE.Quaternion().fromArray(object.quaternion))
+      .applyQuaternion(sensorRotation);
+    const yaw = Math.atan2(forward.y, forward.x);
+
+    // Sensor (x forward, y left, z up) to camera (x right, y down, z forward)
+    const location = [-center.y, -(center.z - height / 2), center.x];
+    const rotationY = wrapAngle(-yaw - Math.PI / 2);
+    const alpha = wrapAngle(rotationY - Math.atan2(location[0], location[2]));
+
+    return [
+      KITTI_OBJECT_TYPES[object.objectClass] || "Misc",
+      "0.00",
+      visibilityToOcclusion(object.visibility),
+      alpha.toFixed(2),
+      "0.00 0.00 0.00 0.00",
+      ...[height, width, length, ...location, rotationY].map((value) =>
+        value.toFixed(2)
+      ),
+    ].join(" ");
+  });
+
+  return lines.length > 0 ? lines.join("\n") + "\n" : "";
+}
+
+/**
+ * Build the files of a KITTI odometry sequence folder.
+ *
+ * - `velodyne/NNNNNN.bin`: one scan per frame
+ * - `velodyne_undistorted/NNNNNN.bin`: motion-compensated scan, for frames
+ *   captured by a moving sensor
+ * - `velodyne_clean/NNNNNN.bin`: scan before measurement noise, for frames
+ *   captured with the noise model enabled
+ * - `labels/NNNNNN.label`: SemanticKITTI labels of each scan point
+ * - `returns/NNNNNN.bin`: return index and count of each scan point, uint8 each
+ * - `label_2/NNNNNN.txt`: KITTI object labels of the frame's annotated objects
+ * - `times.txt`: seconds since the first frame's start
+ * - `poses.txt`: 3x4 pose of each frame relative to the first, in KITTI's
+ *   camera convention (camera co-located with the sensor, see calib `Tr`)
+ * - `calib.txt`: identity projections and the velodyne-to-camera rotation
+ *
+ * @param {Array<Object>} frames - Frames with pointsData, pointCount, startTime and sensorPose
+ * @returns {Object<String, String|Uint8Array>} - File contents keyed by path inside the sequence folder
+ */
+export function buildKittiSequence(frames) {
+  const files = {};
+  if (frames.length === 0) {
+    return files;
+  }
+
+  const firstStartTime = frames[0].startTime;
+  const camToVelo = KITTI_VELO_TO_CAM.clone().invert();
+  const firstPoseInverse = poseToFluMatrix(
+    frames[0].sensorPose || IDENTITY_POSE
+  ).invert();
+  const relativePose = new THREE.Matrix4();
+
+  const times = [];
+  const poses = [];
+
+  frames.forEach((frame, index) => {
+    const scan = frameToVelodyneScan(frame);
+    const name = String(index).padStart(6, "0");
+    files[`velodyne/${name}.bin`] = new Uint8Array(scan.buffer);
+    if (frame.groundTruthPointsData) {
+      const undistortedScan = frameToVelodyneScan({
+        ...frame,
+        pointsData: frame.groundTruthPointsData,
+      });
+      files[`velodyne_undistorted/${name}.bin`] = new Uint8Array(
+        undistortedScan.buffer
+      );
+    }
+    if (frame.cleanPointsData) {
+      const cleanScan = frameToVelodyneScan({
+        ...frame,
+        pointsData: frame.cleanPointsData,
+        pointCount: frame.cleanPointCount,
+      });
+      files[`velodyne_clean/${name}.bin`] = new Uint8Array(cleanScan.buffer);
+    }
+    files[`labels/${name}.label`] = new Uint8Array(
+      frameToSemanticLabels(frame).buffer
+    );
+    files[`returns/${name}.bin`] = packPointReturns(frame.pointsData, frame.pointCount);
+    files[`label_2/${name}.txt`] = frameToObjectLabels(frame);
+
+    times.push(formatScientific((frame.startTime - firstStartTime) / 1000));
+
+    // T_cam = Tr * (T_first^-1 * T_i) * Tr^-1
+    poseToFluMatrix(frame.sensorPose || IDENTITY_POSE, relativePose)
+      .premultiply(firstPoseInverse)
+      .premultiply(KITTI_VELO_TO_CAM)
+      .multiply(camToVelo);
+    poses.push(formatMatrix3x4(relativePose));
+  });
+
+  const identityProjection = formatMatrix3x4(new THREE.Matrix4());
+  files["times.txt"] = times.join("\n") + "\n";
+  files["poses.txt"] = poses.join("\n") + "\n";
+  files["calib.txt"] =
+    [
+      `P0: ${identityProjection}`,
+      `P1: ${identityProjection}`,
+      `P2: ${identityProjection}`,
+      `P3: ${identityProjection}`,
+      `Tr: ${formatMatrix3x4(KITTI_VELO_TO_CAM)}`,
+    ].join("\n") + "\n";
+
+  return files;
+}
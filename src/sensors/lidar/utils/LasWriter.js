@@ -0,0 +1,326 @@
+// LAS 1.4 writer for captured LiDAR frames.
+// Supports point data record formats 1 (legacy-compatible) and 6 (native 1.4).
+
+import * as THREE from "three";
+import { writeFixedString } from "./BinaryUtils.js";
+import { THREE_TO_FLU } from "./CoordinateFrames.js";
+import { POINT_FIELDS, POINT_STRIDE } from "./PointLayout.js";
+import { SEMANTIC_TO_LAS_CLASSIFICATION } from "../config/SemanticClasses.js";
+
+export const LAS_POINT_FORMATS = [1, 6];
+
+const LAS_HEADER_SIZE = 375;
+const POINT_RECORD_LENGTHS = { 1: 28, 6: 30 };
+// Return number and count have 3 bits in legacy formats, 4 in formats 6-10
+const MAX_RETURNS = { 1: 7, 6: 15 };
+const LEGACY_POINTS_BY_RETURN = 5;
+
+// Scan line and Livox tag are appended to each record as "extra bytes",
+// described by a LASF_Spec record ID 4 VLR.
+const VLR_HEADER_SIZE = 54;
+const EXTRA_BYTES_DESCRIPTOR_SIZE = 192;
+const EXTRA_BYTES_TYPE_UCHAR = 1;
+const EXTRA_BYTES = [
+  { name: "line", description: "Scan line index", component: POINT_FIELDS.LINE },
+  { name: "tag", description: "Livox point tag", component: POINT_FIELDS.TAG },
+];
+const EXTRA_BYTES_VLR_SIZE =
+  VLR_HEADER_SIZE + EXTRA_BYTES.length * EXTRA_BYTES_DESCRIPTOR_SIZE;
+const POINT_DATA_OFFSET = LAS_HEADER_SIZE + EXTRA_BYTES_VLR_SIZE;
+
+// GPS epoch (1980-01-06) in Unix milliseconds and the current GPS-UTC offset
+const GPS_EPOCH_UNIX_MS = 315964800000;
+const GPS_LEAP_SECONDS = 18;
+// Adjusted Standard GPS Time = GPS seconds - 1e9
+const ADJUSTED_GPS_OFFSET = 1e9;
+
+const DEFAULT_SCALE = 0.001; // millimetre resolution
+const MAX_INT32 = 2147483647;
+
+const _point = new THREE.Vector3();
+
+/**
+ * Convert a Unix timestamp in milliseconds to Adjusted Standard GPS Time.
+ * @param {Number} unixMs - Unix timestamp in milliseconds
+ * @returns {Number} - Adjusted Standard GPS Time in seconds
+ */
+export function unixMsToAdjustedGpsTime(unixMs) {
+  return (
+    (unixMs - GPS_EPOCH_UNIX_MS) / 1000 + GPS_LEAP_SECONDS - ADJUSTED_GPS_OFFSET
+  );
+}
+
+/**
+ * Position of a point in the forward-left-up world frame of the exported
+ * poses (THREE_TO_FLU), so LAS clouds overlay the TUM and KITTI trajectories.
+ * @private
+ * @returns {THREE.Vector3} - Shared vector, valid until the next call
+ */
+function readFluPosition(pointsData, offset) {
+  return _point.fromArray(pointsData, offset + POINT_FIELDS.X).applyMatrix4(THREE_TO_FLU);
+}
+
+/**
+ * Compute z-up bounds of a set of frames, see readFluPosition.
+ * @param {Array<Object>} frames - Frames with pointsData and pointCount
+ * @returns {{min: Number[], max: Number[]}}
+ */
+function computeBounds(frames) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+
+  for (const frame of frames) {
+    const { pointsData, pointCount } = frame;
+    for (let i = 0; i < pointCount; i++) {
+      const { x, y, z } = readFluPosition(pointsData, i * POINT_STRIDE);
+      if (x < min[0]) min[0] = x;
+      if (x > max[0]) max[0] = x;
+      if (y < min[1]) min[1] = y;
+      if (y > max[1]) max[1] = y;
+      if (z < min[2]) min[2] = z;
+      if (z > max[2]) max[2] = z;
+    }
+  }
+
+  return { min, max };
+}
+
+/**
+ * Choose a per-axis scale and offset so every coordinate fits an int32.
+ * The offset is the bounds centre, the scale is millimetres unless the
+ * extent is too large for that.
+ * @param {{min: Number[], max: Number[]}} bounds
+ * @returns {{scale: Number[], offset: Number[]}}
+ */
+function computeScaleAndOffset(bounds) {
+  const scale = [];
+  const offset = [];
+  for (let axis = 0; axis < 3; axis++) {
+    const center = (bounds.min[axis] + bounds.max[axis]) / 2;
+    const halfExtent = (bounds.max[axis] - bounds.min[axis]) / 2;
+    offset.push(Math.round(center));
+    const halfExtentFromOffset = halfExtent + Math.abs(center - offset[axis]);
+    // Twice the minimum scale leaves headroom for rounding at the extremes
+    scale.push(
+      Math.max(DEFAULT_SCALE, (halfExtentFromOffset * 2) / MAX_INT32)
+    );
+  }
+  return { scale, offset };
+}
+
+/**
+ * Return number (1-based) and number of returns of a point, clamped to what
+ * the point format can hold.
+ * @private
+ */
+function getReturnNumbers(pointsData, offset, maxReturns) {
+  const returnNumber = Math.min(pointsData[offset + POINT_FIELDS.RETURN_INDEX] + 1, maxReturns);
+  const returnCount = Math.min(
+    Math.max(pointsData[offset + POINT_FIELDS.RETURN_COUNT], returnNumber),
+    maxReturns
+  );
+  return { returnNumber, returnCount };
+}
+
+/**
+ * Number of points by return number, index 0 for first returns.
+ * @private
+ */
+function countPointsByReturn(frames, maxReturns) {
+  const counts = new Array(maxReturns).fill(0);
+  for (const { pointsData, pointCount } of frames) {
+    for (let i = 0; i < pointCount; i++) {
+      counts[getReturnNumbers(pointsData, i * POINT_STRIDE, maxReturns).returnNumber - 1]++;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Write the 375-byte LAS 1.4 public header block.
+ * @private
+ */
+function writeHeader(
+  view,
+  { pointFormat, pointCount, pointsByReturn, bounds, scale, offset, creationTime }
+) {
+  const recordLength = POINT_RECORD_LENGTHS[pointFormat] + EXTRA_BYTES.length;
+  const creationDate = new Date(creationTime);
+  const startOfYear = Date.UTC(creationDate.getUTCFullYear(), 0, 1);
+  const dayOfYear = Math.floor((creationTime - startOfYear) / 86400000) + 1;
+
+  writeFixedString(view, 0, "LASF", 4);
+  view.setUint16(4, 0, true); // File source ID
+  // Bit 0: adjusted standard GPS time. Bit 4: WKT CRS, mandatory for formats 6-10.
+  view.setUint16(6, pointFormat >= 6 ? 0x11 : 0x01, true);
+  // Bytes 8-23: project GUID, left zeroed
+  view.setUint8(24, 1);
+  view.setUint8(25, 4);
+  writeFixedString(view, 26, "LidarSim", 32);
+  writeFixedString(view, 58, "LidarSim LAS writer", 32);
+  view.setUint16(90, dayOfYear, true);
+  view.setUint16(92, creationDate.getUTCFullYear(), true);
+  view.setUint16(94, LAS_HEADER_SIZE, true);
+  view.setUint32(96, POINT_DATA_OFFSET, true);
+  view.setUint32(100, 1, true); // Number of VLRs: extra bytes
+  view.setUint8(104, pointFormat);
+  view.setUint16(105, recordLength, true);
+
+  // Legacy counts must be zero for formats 6-10 or when they overflow 32 bits
+  const legacyCount =
+    pointFormat < 6 && pointCount <= 0xffffffff ? pointCount : 0;
+  view.setUint32(107, legacyCount, true);
+  for (let i = 0; i < LEGACY_POINTS_BY_RETURN; i++) {
+    view.setUint32(111 + i * 4, legacyCount > 0 ? pointsByReturn[i] : 0, true);
+  }
+
+  view.setFloat64(131, scale[0], true);
+  view.setFloat64(139, scale[1], true);
+  view.setFloat64(147, scale[2], true);
+  view.setFloat64(155, offset[0], true);
+  view.setFloat64(163, offset[1], true);
+  view.setFloat64(171, offset[2], true);
+  view.setFloat64(179, bounds.max[0], true);
+  view.setFloat64(187, bounds.min[0], true);
+  view.setFloat64(195, bounds.max[1], true);
+  view.setFloat64(203, bounds.min[1], true);
+  view.setFloat64(211, bounds.max[2], true);
+  view.setFloat64(219, bounds.min[2], true);
+
+  view.setBigUint64(227, 0n, true); // Start of waveform data packet record
+  view.setBigUint64(235, 0n, true); // Start of first EVLR
+  view.setUint32(243, 0, true); // Number of EVLRs
+  view.setBigUint64(247, BigInt(pointCount), true);
+  pointsByReturn.forEach((count, i) => {
+    view.setBigUint64(255 + i * 8, BigInt(count), true);
+  });
+}
+
+/**
+ * Write the extra bytes VLR describing the per-point line and tag bytes.
+ * @private
+ */
+function writeExtraBytesVlr(view, vlrOffset) {
+  view.setUint16(vlrOffset, 0, true); // Reserved
+  writeFixedString(view, vlrOffset + 2, "LASF_Spec", 16);
+  view.setUint16(vlrOffset + 18, 4, true); // Record ID: extra bytes
+  view.setUint16(
+    vlrOffset + 20,
+    EXTRA_BYTES.length * EXTRA_BYTES_DESCRIPTOR_SIZE,
+    true
+  );
+  writeFixedString(view, vlrOffset + 22, "Extra bytes", 32);
+
+  EXTRA_BYTES.forEach((extraByte, index) => {
+    const descriptorOffset =
+      vlrOffset + VLR_HEADER_SIZE + index * EXTRA_BYTES_DESCRIPTOR_SIZE;
+    view.setUint8(descriptorOffset + 2, EXTRA_BYTES_TYPE_UCHAR);
+    view.setUint8(descriptorOffset + 3, 0); // Options: no no_data, min, max, scale or offset
+    writeFixedString(view, descriptorOffset + 4, extraByte.name, 32);
+    writeFixedString(view, descriptorOffset + 160, extraByte.description, 32);
+  });
+}
+
+/**
+ * Write one or more frames into a single LAS 1.4 file.
+ * Coordinates are converted to the z-up world frame of the exported poses
+ * (x forward, y left, z up, see CoordinateFrames), intensity is scaled to 16 bits and
+ * each point's GPS time is its frame's start time plus its own time offset.
+ * The frame number is stored as the point source ID, line and tag as extra bytes,
+ * the semantic label is mapped to an ASPRS classification and the return
+ * index and count give the return number and number of returns.
+ * The header's creation date is the first frame's start time.
+ * @param {Array<Object>} frames - Frames with pointsData, pointCount, startTime and frameNumber
+ * @param {Object} options
+ * @param {Number} options.pointFormat - Point data record format, see LAS_POINT_FORMATS
+ * @returns {Uint8Array} - LAS file content
+ */
+export function writeLas(frames, { pointFormat = 6 } = {}) {
+  if (!LAS_POINT_FORMATS.includes(pointFormat)) {
+    throw new Error(`Unsupported LAS point data record format: ${pointFormat}`);
+  }
+
+  const recordLength = POINT_RECORD_LENGTHS[pointFormat] + EXTRA_BYTES.length;
+  const pointCount = frames.reduce((sum, frame) => sum + frame.pointCount, 0);
+  const bounds = computeBounds(frames);
+  if (pointCount === 0) {
+    bounds.min = [0, 0, 0];
+    bounds.max = [0, 0, 0];
+  }
+  const { scale, offset } = computeScaleAndOffset(bounds);
+  const maxReturns = MAX_RETURNS[pointFormat];
+  const pointsByReturn = countPointsByReturn(frames, maxReturns);
+
+  const content = new Uint8Array(POINT_DATA_OFFSET + pointCount * recordLength);
+  const view = new DataView(content.buffer);
+  const creationTime = frames[0]?.startTime ?? 0;
+  writeHeader(view, {
+    pointFormat,
+    pointCount,
+    pointsByReturn,
+    bounds,
+    scale,
+    offset,
+    creationTime,
+  });
+  writeExtraBytesVlr(view, LAS_HEADER_SIZE);
+
+  const baseRecordLength = POINT_RECORD_LENGTHS[pointFormat];
+  let recordOffset = POINT_DATA_OFFSET;
+  for (const frame of frames) {
+    const { pointsData } = frame;
+    const pointSourceId = frame.frameNumber & 0xffff;
+
+    for (let i = 0; i < frame.pointCount; i++) {
+      const offsetInFrame = i * POINT_STRIDE;
+      const gpsTime = unixMsToAdjustedGpsTime(
+        frame.startTime + pointsData[offsetInFrame + POINT_FIELDS.TIME] / 1e6
+      );
+      const { x, y, z } = readFluPosition(pointsData, offsetInFrame);
+      const intensity = Math.round(
+        Math.max(0, Math.min(1, pointsData[offsetInFrame + POINT_FIELDS.INTENSITY])) * 65535
+      );
+      const classification =
+        SEMANTIC_TO_LAS_CLASSIFICATION[pointsData[offsetInFrame + POINT_FIELDS.LABEL]] ?? 1;
+      const { returnNumber, returnCount } = getReturnNumbers(
+        pointsData,
+        offsetInFrame,
+        maxReturns
+      );
+
+      view.setInt32(recordOffset, Math.round((x - offset[0]) / scale[0]), true);
+      view.setInt32(recordOffset + 4, Math.round((y - offset[1]) / scale[1]), true);
+      view.setInt32(recordOffset + 8, Math.round((z - offset[2]) / scale[2]), true);
+      view.setUint16(recordOffset + 12, intensity, true);
+
+      if (pointFormat === 1) {
+        view.setUint8(recordOffset + 14, returnNumber | (returnCount << 3));
+        view.setUint8(recordOffset + 15, classification);
+        view.setInt8(recordOffset + 16, 0); // Scan angle rank
+        view.setUint8(recordOffset + 17, 0); // User data
+        view.setUint16(recordOffset + 18, pointSourceId, true);
+        view.setFloat64(recordOffset + 20, gpsTime, true);
+      } else {
+        view.setUint8(recordOffset + 14, returnNumber | (returnCount << 4));
+        view.setUint8(recordOffset + 15, 0); // Classification flags, channel, scan direction, edge
+        view.setUint8(recordOffset + 16, classification);
+        view.setUint8(recordOffset + 17, 0); // User data
+        view.setInt16(recordOffset + 18, 0, true); // Scan angle
+        view.setUint16(recordOffset + 20, pointSourceId, true);
+        view.setFloat64(recordOffset + 22, gpsTime, true);
+      }
+
+      EXTRA_BYTES.forEach((extraByte, index) => {
+        const value = pointsData[offsetInFrame + extraByte.component];
+        view.setUint8(
+          recordOffset + baseRecordLength + index,
+          Math.max(0, Math.min(0xff, Math.round(value)))
+        );
+      });
+
+      recordOffset += recordLength;
+    }
+  }
+
+  return content;
+}
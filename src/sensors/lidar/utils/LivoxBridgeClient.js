@@ -0,0 +1,98 @@
+import * as THREE from "three";
+import { worldToSensorFluMatrix } from "./CoordinateFrames.js";
+import { encodeImuMessage, encodePointsMessage } from "./BridgeMessages.js";
+import { POINT_STRIDE } from "./PointLayout.js";
+
+export const DEFAULT_BRIDGE_URL = "ws://localhost:8765";
+
+/**
+ * Streams scanned points to the local Livox bridge process over WebSocket.
+ * Points are converted from three.js world space to the sensor frame
+ * (x forward, y left, z up) before sending, as a real MID-360 reports them.
+ */
+export class LivoxBridgeClient {
+  constructor(url = DEFAULT_BRIDGE_URL) {
+    this.url = url;
+    this.socket = null;
+    this.worldToSensor = new THREE.Matrix4();
+    this.tempPoint = new THREE.Vector3();
+  }
+
+  get isConnected() {
+    return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Open the WebSocket connection.
+   * @param {Function} onClose - Called when the connection closes after opening
+   * @returns {Promise<void>} - Resolves once connected, rejects if the bridge is unreachable
+   */
+  connect(onClose = () => {}) {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.url);
+      socket.binaryType = "arraybuffer";
+      socket.onopen = () => {
+        this.socket = socket;
+        resolve();
+      };
+      socket.onerror = () => {
+        if (this.socket !== socket) {
+          reject(new Error(`Could not connect to Livox bridge at ${this.url}`));
+        }
+      };
+      socket.onclose = () => {
+        if (this.socket === socket) {
+          this.socket = null;
+          onClose();
+        }
+      };
+    });
+  }
+
+  /**
+   * Close the connection.
+   */
+  disconnect() {
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+  }
+
+  /**
+   * Send a batch of world-space points.
+   * @param {Float32Array} pointsData - Interleaved world-space points, see POINT_FIELDS
+   * @param {Object} sensorPose - Sensor world pose ({position, quaternion} arrays)
+   * @param {Number} timestampMs - Unix time the point time offsets are relative to
+   */
+  sendPoints(pointsData, sensorPose, timestampMs) {
+    if (!this.isConnected || pointsData.length === 0) return;
+
+    worldToSensorFluMatrix(sensorPose, this.worldToSensor);
+    const sensorPoints = Float32Array.from(pointsData);
+    for (let i = 0; i < sensorPoints.length; i += POINT_STRIDE) {
+      this.tempPoint
+        .set(pointsData[i], pointsData[i + 1], pointsData[i + 2])
+        .applyMatrix4(this.worldToSensor);
+      sensorPoints[i] = this.tempPoint.x;
+      sensorPoints[i + 1] = this.tempPoint.y;
+      sensorPoints[i + 2] = this.tempPoint.z;
+    }
+
+    this.socket.send(encodePointsMessage(sensorPoints, timestampMs));
+  }
+
+  /**
+   * Send IMU samples, already in the sensor frame. Once these arrive the
+   * bridge stops sending its stationary fallback IMU.
+   * @param {Array<{timestampMs: Number, gyro: Number[], accel: Number[]}>} samples
+   */
+  sendImu(samples) {
+    if (!this.isConnected) return;
+
+    for (const { timestampMs, gyro, accel } of samples) {
+      this.socket.send(encodeImuMessage(timestampMs, gyro, accel));
+    }
+  }
+}
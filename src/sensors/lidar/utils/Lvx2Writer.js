@@ -0,0 +1,219 @@
+import * as THREE from "three";
+import { IDENTITY_POSE, worldToSensorFluMatrix } from "./CoordinateFrames.js";
+import { ipToBytes, msToNs, writeFixedString } from "./BinaryUtils.js";
+import { POINT_FIELDS, POINT_STRIDE, getLivoxTag } from "./PointLayout.js";
+
+// Livox LVX2 file layout, as recorded by Livox Viewer 2 from a MID-360.
+const LVX2_SIGNATURE = "livox_tech";
+const LVX2_VERSION = [2, 0, 0, 0];
+const LVX2_MAGIC_CODE = 0xac0ea767;
+const LVX2_FRAME_DURATION_MS = 50;
+
+const PUBLIC_HEADER_SIZE = 24;
+const PRIVATE_HEADER_SIZE = 5;
+const DEVICE_INFO_SIZE = 63;
+const FRAME_HEADER_SIZE = 24;
+const PACKAGE_HEADER_SIZE = 27;
+
+const LIDAR_TYPE = 8; // Fixed value for SDK2-generation devices
+const DEVICE_TYPE_MID360 = 9;
+const DATA_TYPE_CARTESIAN_HIGH = 1; // int32 mm x/y/z, uint8 reflectivity, uint8 tag
+const CARTESIAN_HIGH_POINT_SIZE = 14;
+const POINTS_PER_PACKAGE = 96; // Points per UDP packet on a real MID-360
+
+export const DEFAULT_LVX2_DEVICE = {
+  serialNumber: "47MDL9A0000000",
+  lidarIp: "192.168.1.100",
+};
+
+/**
+ * Pack a dotted IPv4 address into the uint32 LiDAR ID used by LVX2.
+ * @param {String} ip
+ * @returns {Number}
+ */
+function ipToLidarId(ip) {
+  const bytes = ipToBytes(ip);
+  return (
+    (bytes[0] | (bytes[1] << 8) | (bytes[2] << 16) | (bytes[3] << 24)) >>> 0
+  );
+}
+
+/**
+ * Split captured frames into LVX2 frames of LVX2_FRAME_DURATION_MS, by point
+ * time, and packages of POINTS_PER_PACKAGE points, converted to the sensor frame.
+ * @private
+ * @returns {Array<{packages: Array<{timestampNs: BigInt, points: Int32Array, reflectivity: Uint8Array, tags: Uint8Array}>}>}
+ */
+function buildLvxFrames(frames, frameInterval) {
+  const lvxFrames = [];
+  const point = new THREE.Vector3();
+  const subFrameDurationNs = LVX2_FRAME_DURATION_MS * 1e6;
+
+  for (const frame of frames) {
+    const { pointsData, pointCount } = frame;
+    if (pointCount === 0) continue;
+
+    const worldToSensor = worldToSensorFluMatrix(
+      frame.sensorPose || IDENTITY_POSE
+    );
+    const subFrameCount = Math.max(
+      1,
+      Math.round(frameInterval / LVX2_FRAME_DURATION_MS)
+    );
+    const subFrameOf = (index) =>
+      Math.min(
+        subFrameCount - 1,
+        Math.max(
+          0,
+          Math.floor(
+            pointsData[index * POINT_STRIDE + POINT_FIELDS.TIME] /
+              subFrameDurationNs
+          )
+        )
+      );
+
+    // Points are stored in time order, so each sub-frame is a contiguous run
+    let first = 0;
+    while (first < pointCount) {
+      const subFrame = subFrameOf(first);
+      let last = first + 1;
+      while (last < pointCount && subFrameOf(last) === subFrame) last++;
+
+      const packages = [];
+      for (let start = first; start < last; start += POINTS_PER_PACKAGE) {
+        const count = Math.min(POINTS_PER_PACKAGE, last - start);
+        const points = new Int32Array(count * 3);
+        const reflectivity = new Uint8Array(count);
+        const tags = new Uint8Array(count);
+
+        for (let i = 0; i < count; i++) {
+          const offset = (start + i) * POINT_STRIDE;
+          point
+            .set(pointsData[offset], pointsData[offset + 1], pointsData[offset + 2])
+            .applyMatrix4(worldToSensor);
+          points[i * 3] = Math.round(point.x * 1000);
+          points[i * 3 + 1] = Math.round(point.y * 1000);
+          points[i * 3 + 2] = Math.round(point.z * 1000);
+          reflectivity[i] = Math.round(
+            Math.max(0, Math.min(1, pointsData[offset + POINT_FIELDS.INTENSITY])) * 255
+          );
+          tags[i] = getLivoxTag(pointsData, offset);
+        }
+
+        const timeMs =
+          frame.startTime +
+          pointsData[start * POINT_STRIDE + POINT_FIELDS.TIME] / 1e6;
+        packages.push({
+          timestampNs: msToNs(timeMs),
+          points,
+          reflectivity,
+          tags,
+        });
+      }
+
+      lvxFrames.push({ packages });
+      first = last;
+    }
+  }
+
+  return lvxFrames;
+}
+
+/**
+ * Write captured frames as a Livox LVX2 recording of a single MID-360.
+ * Points are written as Cartesian high-precision data (mm) in the sensor frame,
+ * with intensity mapped to 8-bit reflectivity and their Livox tag, which
+ * carries the return number, see getLivoxTag.
+ * @param {Array<Object>} frames - Frames with pointsData, pointCount, startTime and sensorPose
+ * @param {Object} options
+ * @param {Number} options.frameInterval - Capture frame interval in milliseconds
+ * @param {String} options.serialNumber - Device serial number written to the device info block
+ * @param {String} options.lidarIp - Device IPv4 address, used as the LiDAR ID
+ * @returns {Uint8Array} - LVX2 file content
+ */
+export function writeLvx2(frames, options = {}) {
+  const { frameInterval = 100, serialNumber, lidarIp } = {
+    ...DEFAULT_LVX2_DEVICE,
+    ...options,
+  };
+  const lidarId = ipToLidarId(lidarIp);
+  const lvxFrames = buildLvxFrames(frames, frameInterval);
+
+  const headerSize = PUBLIC_HEADER_SIZE + PRIVATE_HEADER_SIZE + DEVICE_INFO_SIZE;
+  let totalSize = headerSize;
+  for (const lvxFrame of lvxFrames) {
+    totalSize += FRAME_HEADER_SIZE;
+    for (const lvxPackage of lvxFrame.packages) {
+      totalSize +=
+        PACKAGE_HEADER_SIZE +
+        lvxPackage.reflectivity.length * CARTESIAN_HIGH_POINT_SIZE;
+    }
+  }
+
+  const content = new Uint8Array(totalSize);
+  const view = new DataView(content.buffer);
+
+  // Public header block
+  writeFixedString(view, 0, LVX2_SIGNATURE, 16);
+  LVX2_VERSION.forEach((part, i) => view.setUint8(16 + i, part));
+  view.setUint32(20, LVX2_MAGIC_CODE, true);
+
+  // Private header block
+  view.setUint32(24, LVX2_FRAME_DURATION_MS, true);
+  view.setUint8(28, 1); // Device count
+
+  // Device info block
+  const deviceOffset = PUBLIC_HEADER_SIZE + PRIVATE_HEADER_SIZE;
+  writeFixedString(view, deviceOffset, serialNumber, 16);
+  writeFixedString(view, deviceOffset + 16, "", 16); // Hub SN: none
+  view.setUint32(deviceOffset + 32, lidarId, true);
+  view.setUint8(deviceOffset + 36, LIDAR_TYPE);
+  view.setUint8(deviceOffset + 37, DEVICE_TYPE_MID360);
+  view.setUint8(deviceOffset + 38, 0); // Extrinsic disabled: points stay in the sensor frame
+  // Roll, pitch, yaw (deg) and x, y, z (m) extrinsic, left zeroed
+
+  // Point cloud data block
+  let offset = headerSize;
+  let udpCounter = 0;
+  lvxFrames.forEach((lvxFrame, frameIndex) => {
+    const frameOffset = offset;
+    let frameSize = FRAME_HEADER_SIZE;
+    for (const lvxPackage of lvxFrame.packages) {
+      frameSize +=
+        PACKAGE_HEADER_SIZE +
+        lvxPackage.reflectivity.length * CARTESIAN_HIGH_POINT_SIZE;
+    }
+
+    view.setBigUint64(offset, BigInt(frameOffset), true);
+    view.setBigUint64(offset + 8, BigInt(frameOffset + frameSize), true);
+    view.setBigUint64(offset + 16, BigInt(frameIndex), true);
+    offset += FRAME_HEADER_SIZE;
+
+    for (const lvxPackage of lvxFrame.packages) {
+      const pointCount = lvxPackage.reflectivity.length;
+      view.setUint8(offset, 0); // Version
+      view.setUint32(offset + 1, lidarId, true);
+      view.setUint8(offset + 5, LIDAR_TYPE);
+      view.setUint8(offset + 6, 0); // Timestamp type: no sync source
+      view.setBigUint64(offset + 7, lvxPackage.timestampNs, true);
+      view.setUint16(offset + 15, udpCounter, true);
+      view.setUint8(offset + 17, DATA_TYPE_CARTESIAN_HIGH);
+      view.setUint32(offset + 18, pointCount * CARTESIAN_HIGH_POINT_SIZE, true);
+      view.setUint8(offset + 22, frameIndex & 0xff);
+      // Bytes 23-26 reserved
+      offset += PACKAGE_HEADER_SIZE;
+      udpCounter = (udpCounter + 1) & 0xffff;
+
+      for (let i = 0; i < pointCount; i++) {
+        view.setInt32(offset, lvxPackage.points[i * 3], true);
+        view.setInt32(offset + 4, lvxPackage.points[i * 3 + 1], true);
+        view.setInt32(offset + 8, lvxPackage.points[i * 3 + 2], true);
+        view.setUint8(offset + 12, lvxPackage.reflectivity[i]);
+        view.setUint8(offset + 13, lvxPackage.tags[i]);
+        offset += CARTESIAN_HIGH_POINT_SIZE;
+      }
+    }
+  });
+
+  return content;
+}
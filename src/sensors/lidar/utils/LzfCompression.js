@@ -0,0 +1,113 @@
+// LZF compression compatible with liblzf, which PCL uses for
+// `DATA binary_compressed` PCD files.
+
+const HASH_LOG = 14;
+const HASH_SIZE = 1 << HASH_LOG;
+const MAX_LITERAL = 1 << 5; // 32 bytes per literal run
+const MAX_OFFSET = 1 << 13; // 8 KB back-reference window
+const MAX_REFERENCE = (1 << 8) + (1 << 3); // 264 bytes per back-reference
+
+/**
+ * Hashes the three bytes starting at `index` into the match table.
+ * @param {Uint8Array} input
+ * @param {number} index
+ * @returns {number}
+ */
+function hashAt(input, index) {
+  const value = (input[index] << 16) | (input[index + 1] << 8) | input[index + 2];
+  return Math.imul(value, 2654435761) >>> (32 - HASH_LOG);
+}
+
+/**
+ * Compresses a byte array with the LZF algorithm.
+ * The output can be decoded by liblzf's `lzf_decompress` (and therefore PCL).
+ * @param {Uint8Array} input - Uncompressed bytes
+ * @returns {Uint8Array} - Compressed bytes (a view on a right-sized buffer)
+ */
+export function compressLZF(input) {
+  const inputLength = input.length;
+  // Worst case is all literals: one control byte per 32 input bytes.
+  const output = new Uint8Array(
+    inputLength + Math.ceil(inputLength / MAX_LITERAL) + 1
+  );
+  if (inputLength === 0) {
+    return output.subarray(0, 0);
+  }
+
+  const hashTable = new Int32Array(HASH_SIZE).fill(-1);
+  let inputIndex = 0;
+  let outputIndex = 1; // Reserve the control byte of the first literal run
+  let literalCount = 0;
+
+  while (inputIndex < inputLength - 2) {
+    const hash = hashAt(input, inputIndex);
+    const reference = hashTable[hash];
+    hashTable[hash] = inputIndex;
+
+    const offset = inputIndex - reference - 1;
+    if (
+      reference >= 0 &&
+      offset < MAX_OFFSET &&
+      input[reference] === input[inputIndex] &&
+      input[reference + 1] === input[inputIndex + 1] &&
+      input[reference + 2] === input[inputIndex + 2]
+    ) {
+      // Close the pending literal run (or drop its reserved byte if empty)
+      if (literalCount > 0) {
+        output[outputIndex - literalCount - 1] = literalCount - 1;
+      } else {
+        outputIndex--;
+      }
+
+      const maxLength = Math.min(MAX_REFERENCE, inputLength - inputIndex - 2);
+      let matchLength = 3;
+      while (
+        matchLength < maxLength &&
+        input[reference + matchLength] === input[inputIndex + matchLength]
+      ) {
+        matchLength++;
+      }
+
+      const encodedLength = matchLength - 2;
+      if (encodedLength < 7) {
+        output[outputIndex++] = (offset >> 8) + (encodedLength << 5);
+      } else {
+        output[outputIndex++] = (offset >> 8) + (7 << 5);
+        output[outputIndex++] = encodedLength - 7;
+      }
+      output[outputIndex++] = offset & 0xff;
+
+      // Start a new literal run
+      literalCount = 0;
+      outputIndex++;
+      inputIndex += matchLength;
+    } else {
+      literalCount++;
+      output[outputIndex++] = input[inputIndex++];
+      if (literalCount === MAX_LITERAL) {
+        output[outputIndex - literalCount - 1] = literalCount - 1;
+        literalCount = 0;
+        outputIndex++;
+      }
+    }
+  }
+
+  // Flush the trailing bytes as literals
+  while (inputIndex < inputLength) {
+    literalCount++;
+    output[outputIndex++] = input[inputIndex++];
+    if (literalCount === MAX_LITERAL) {
+      output[outputIndex - literalCount - 1] = literalCount - 1;
+      literalCount = 0;
+      outputIndex++;
+    }
+  }
+
+  if (literalCount > 0) {
+    output[outputIndex - literalCount - 1] = literalCount - 1;
+  } else {
+    outputIndex--;
+  }
+
+  return output.subarray(0, outputIndex);
+}
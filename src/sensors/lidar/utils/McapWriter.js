@@ -0,0 +1,290 @@
+// Minimal unchunked MCAP writer (https://mcap.dev/spec).
+// Writes a data section of schemas, channels and messages followed by a
+// summary section with statistics, so Foxglove and the ROS 2 mcap storage
+// plugin can open the file directly.
+
+const MCAP_MAGIC = new Uint8Array([0x89, 0x4d, 0x43, 0x41, 0x50, 0x30, 0x0d, 0x0a]);
+
+const OPCODES = {
+  HEADER: 0x01,
+  FOOTER: 0x02,
+  SCHEMA: 0x03,
+  CHANNEL: 0x04,
+  MESSAGE: 0x05,
+  STATISTICS: 0x0b,
+  SUMMARY_OFFSET: 0x0e,
+  DATA_END: 0x0f,
+};
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Growable little-endian byte buffer used to build record payloads.
+ * @private
+ */
+class ByteWriter {
+  constructor(initialCapacity = 256) {
+    this.bytes = new Uint8Array(initialCapacity);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  _ensure(additional) {
+    if (this.length + additional <= this.bytes.length) return;
+    let capacity = this.bytes.length * 2;
+    while (capacity < this.length + additional) capacity *= 2;
+    const bytes = new Uint8Array(capacity);
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  uint8(value) {
+    this._ensure(1);
+    this.view.setUint8(this.length, value);
+    this.length += 1;
+  }
+
+  uint16(value) {
+    this._ensure(2);
+    this.view.setUint16(this.length, value, true);
+    this.length += 2;
+  }
+
+  uint32(value) {
+    this._ensure(4);
+    this.view.setUint32(this.length, value, true);
+    this.length += 4;
+  }
+
+  uint64(value) {
+    this._ensure(8);
+    this.view.setBigUint64(this.length, BigInt(value), true);
+    this.length += 8;
+  }
+
+  raw(bytes) {
+    this._ensure(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  string(text) {
+    const encoded = textEncoder.encode(text);
+    this.uint32(encoded.length);
+    this.raw(encoded);
+  }
+
+  prefixedBytes(bytes) {
+    this.uint32(bytes.length);
+    this.raw(bytes);
+  }
+
+  stringMap(entries) {
+    const map = new ByteWriter();
+    Object.entries(entries).forEach(([key, value]) => {
+      map.string(key);
+      map.string(value);
+    });
+    this.prefixedBytes(map.toBytes());
+  }
+
+  toBytes() {
+    return this.bytes.subarray(0, this.length);
+  }
+}
+
+/**
+ * Builds an MCAP file in memory.
+ * Timestamps are nanoseconds since the Unix epoch, as BigInt or Number.
+ */
+export class McapWriter {
+  constructor({ profile = "ros2", library = "LidarSim" } = {}) {
+    this.parts = [MCAP_MAGIC];
+    this.position = MCAP_MAGIC.length;
+    this.schemas = [];
+    this.channels = [];
+    this.channelMessageCounts = new Map();
+    this.messageCount = 0;
+    this.messageStartTime = null;
+    this.messageEndTime = null;
+
+    const header = new ByteWriter();
+    header.string(profile);
+    header.string(library);
+    this._writeRecord(OPCODES.HEADER, header.toBytes());
+  }
+
+  /**
+   * Append one record (opcode, uint64 length, content) to the file.
+   * @private
+   */
+  _writeRecord(opcode, content) {
+    const prefix = new ByteWriter(9);
+    prefix.uint8(opcode);
+    prefix.uint64(content.length);
+    this.parts.push(prefix.toBytes(), content);
+    this.position += 9 + content.length;
+  }
+
+  _schemaRecord(schema) {
+    const record = new ByteWriter();
+    record.uint16(schema.id);
+    record.string(schema.name);
+    record.string(schema.encoding);
+    record.prefixedBytes(schema.data);
+    return record.toBytes();
+  }
+
+  _channelRecord(channel) {
+    const record = new ByteWriter();
+    record.uint16(channel.id);
+    record.uint16(channel.schemaId);
+    record.string(channel.topic);
+    record.string(channel.messageEncoding);
+    record.stringMap(channel.metadata);
+    return record.toBytes();
+  }
+
+  /**
+   * Register a schema.
+   * @param {Object} schema
+   * @param {String} schema.name - Type name, e.g. "sensor_msgs/msg/PointCloud2"
+   * @param {String} schema.encoding - Schema encoding, e.g. "ros2msg"
+   * @param {String} schema.data - Schema definition text
+   * @returns {Number} - Schema id
+   */
+  registerSchema({ name, encoding, data }) {
+    const schema = {
+      id: this.schemas.length + 1, // 0 is reserved for "no schema"
+      name,
+      encoding,
+      data: textEncoder.encode(data),
+    };
+    this.schemas.push(schema);
+    this._writeRecord(OPCODES.SCHEMA, this._schemaRecord(schema));
+    return schema.id;
+  }
+
+  /**
+   * Register a channel.
+   * @param {Object} channel
+   * @param {String} channel.topic - Topic name
+   * @param {Number} channel.schemaId - Id returned by registerSchema
+   * @param {String} channel.messageEncoding - Message encoding, e.g. "cdr"
+   * @param {Object<String, String>} channel.metadata - Optional channel metadata
+   * @returns {Number} - Channel id
+   */
+  registerChannel({ topic, schemaId, messageEncoding, metadata = {} }) {
+    const channel = {
+      id: this.channels.length,
+      schemaId,
+      topic,
+      messageEncoding,
+      metadata,
+    };
+    this.channels.push(channel);
+    this.channelMessageCounts.set(channel.id, 0n);
+    this._writeRecord(OPCODES.CHANNEL, this._channelRecord(channel));
+    return channel.id;
+  }
+
+  /**
+   * Append a message.
+   * @param {Object} message
+   * @param {Number} message.channelId - Id returned by registerChannel
+   * @param {BigInt|Number} message.logTime - Log time in nanoseconds
+   * @param {BigInt|Number} message.publishTime - Publish time in nanoseconds (defaults to logTime)
+   * @param {Number} message.sequence - Optional sequence number
+   * @param {Uint8Array} message.data - Encoded message
+   */
+  addMessage({ channelId, logTime, publishTime = logTime, sequence = 0, data }) {
+    const logTimeNs = BigInt(logTime);
+    const record = new ByteWriter(22);
+    record.uint16(channelId);
+    record.uint32(sequence);
+    record.uint64(logTimeNs);
+    record.uint64(publishTime);
+
+    const content = new Uint8Array(record.length + data.length);
+    content.set(record.toBytes(), 0);
+    content.set(data, record.length);
+    this._writeRecord(OPCODES.MESSAGE, content);
+
+    this.messageCount++;
+    this.channelMessageCounts.set(
+      channelId,
+      this.channelMessageCounts.get(channelId) + 1n
+    );
+    if (this.messageStartTime === null || logTimeNs < this.messageStartTime) {
+      this.messageStartTime = logTimeNs;
+    }
+    if (this.messageEndTime === null || logTimeNs > this.messageEndTime) {
+      this.messageEndTime = logTimeNs;
+    }
+  }
+
+  /**
+   * Write the summary section and footer, then return the file content.
+   * @returns {Uint8Array}
+   */
+  finish() {
+    const dataEnd = new ByteWriter(4);
+    dataEnd.uint32(0); // Data section CRC not computed
+    this._writeRecord(OPCODES.DATA_END, dataEnd.toBytes());
+
+    const summaryStart = this.position;
+    const groups = [];
+    const writeGroup = (opcode, records) => {
+      if (records.length === 0) return;
+      const groupStart = this.position;
+      records.forEach((content) => this._writeRecord(opcode, content));
+      groups.push({ opcode, groupStart, groupLength: this.position - groupStart });
+    };
+
+    writeGroup(OPCODES.SCHEMA, this.schemas.map((schema) => this._schemaRecord(schema)));
+    writeGroup(OPCODES.CHANNEL, this.channels.map((channel) => this._channelRecord(channel)));
+
+    const statistics = new ByteWriter();
+    statistics.uint64(this.messageCount);
+    statistics.uint16(this.schemas.length);
+    statistics.uint32(this.channels.length);
+    statistics.uint32(0); // Attachments
+    statistics.uint32(0); // Metadata
+    statistics.uint32(0); // Chunks
+    statistics.uint64(this.messageStartTime ?? 0n);
+    statistics.uint64(this.messageEndTime ?? 0n);
+    const channelCounts = new ByteWriter();
+    this.channelMessageCounts.forEach((count, channelId) => {
+      channelCounts.uint16(channelId);
+      channelCounts.uint64(count);
+    });
+    statistics.prefixedBytes(channelCounts.toBytes());
+    writeGroup(OPCODES.STATISTICS, [statistics.toBytes()]);
+
+    const summaryOffsetStart = this.position;
+    groups.forEach(({ opcode, groupStart, groupLength }) => {
+      const offset = new ByteWriter(17);
+      offset.uint8(opcode);
+      offset.uint64(groupStart);
+      offset.uint64(groupLength);
+      this._writeRecord(OPCODES.SUMMARY_OFFSET, offset.toBytes());
+    });
+
+    const footer = new ByteWriter(20);
+    footer.uint64(summaryStart);
+    footer.uint64(summaryOffsetStart);
+    footer.uint32(0); // Summary CRC not computed
+    this._writeRecord(OPCODES.FOOTER, footer.toBytes());
+    this.parts.push(MCAP_MAGIC);
+    this.position += MCAP_MAGIC.length;
+
+    const file = new Uint8Array(this.position);
+    let offset = 0;
+    for (const part of this.parts) {
+      file.set(part, offset);
+      offset += part.length;
+    }
+    return file;
+  }
+}
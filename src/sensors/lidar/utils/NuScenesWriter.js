@@ -0,0 +1,298 @@
+import * as THREE from "three";
+import {
+  IDENTITY_POSE,
+  poseToFluMatrix,
+  worldToSensorFluMatrix,
+} from "./CoordinateFrames.js";
+import { POINT_FIELDS, POINT_STRIDE, packPointReturns } from "./PointLayout.js";
+import { NUSCENES_CATEGORIES, OBJECT_CLASSES } from "../config/ObjectClasses.js";
+import { SEMANTIC_CLASSES } from "../config/SemanticClasses.js";
+
+export const DEFAULT_NUSCENES_VERSION = "v1.0-sim";
+
+const LIDAR_CHANNEL = "LIDAR_TOP";
+const NUSCENES_POINT_COMPONENTS = 5; // x, y, z, intensity (0-255), ring
+
+// nuScenes visibility bins: fraction of the object visible
+const VISIBILITY_LEVELS = [
+  { token: "1", level: "v0-40", description: "visibility of whole object is between 0 and 40%" },
+  { token: "2", level: "v40-60", description: "visibility of whole object is between 40 and 60%" },
+  { token: "3", level: "v60-80", description: "visibility of whole object is between 60 and 80%" },
+  { token: "4", level: "v80-100", description: "visibility of whole object is between 80 and 100%" },
+];
+
+const ATTRIBUTES = {
+  MOVING: "vehicle.moving",
+  PARKED: "vehicle.parked",
+};
+
+/**
+ * Deterministic 32-hex-digit token, unique per table and record index.
+ * @private
+ */
+function makeToken(table, index) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < table.length; i++) {
+    hash = Math.imul(hash ^ table.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, "0") + index.toString(16).padStart(24, "0");
+}
+
+/**
+ * Convert a three.js world pose to a nuScenes global pose (x forward, y left,
+ * z up), with the rotation as a [w, x, y, z] quaternion.
+ * @private
+ */
+function toGlobalPose(pose) {
+  const translation = new THREE.Vector3();
+  const rotation = new THREE.Quaternion();
+  poseToFluMatrix(pose).decompose(translation, rotation, new THREE.Vector3());
+  return {
+    translation: translation.toArray(),
+    rotation: [rotation.w, rotation.x, rotation.y, rotation.z],
+  };
+}
+
+/**
+ * @private
+ */
+function visibilityToken(visibility) {
+  if (visibility >= 0.8) return "4";
+  if (visibility >= 0.6) return "3";
+  if (visibility >= 0.4) return "2";
+  return "1";
+}
+
+/**
+ * Convert a frame to a nuScenes lidar sweep: float32 (x, y, z, intensity, ring)
+ * in the sensor frame, intensity scaled to 0-255.
+ * @param {Object} frame - Frame with pointsData, pointCount and sensorPose
+ * @returns {Float32Array}
+ */
+export function frameToNuScenesSweep(frame) {
+  const { pointsData, pointCount } = frame;
+  const worldToSensor = worldToSensorFluMatrix(
+    frame.sensorPose || IDENTITY_POSE
+  );
+  const sweep = new Float32Array(pointCount * NUSCENES_POINT_COMPONENTS);
+  const point = new THREE.Vector3();
+
+  for (let i = 0; i < pointCount; i++) {
+    const offset = i * POINT_STRIDE;
+    const target = i * NUSCENES_POINT_COMPONENTS;
+    point
+      .set(pointsData[offset], pointsData[offset + 1], pointsData[offset + 2])
+      .applyMatrix4(worldToSensor);
+    sweep[target] = point.x;
+    sweep[target + 1] = point.y;
+    sweep[target + 2] = point.z;
+    sweep[target + 3] = pointsData[offset + POINT_FIELDS.INTENSITY] * 255;
+    sweep[target + 4] = pointsData[offset + POINT_FIELDS.LINE];
+  }
+
+  return sweep;
+}
+
+/**
+ * Build a nuScenes-style dataset from captured frames: one scene whose samples
+ * are the frames, a LIDAR_TOP sweep per sample and the frames' annotated
+ * objects as sample annotations tracked across samples by track id.
+ * The sensor is the ego vehicle, so the calibrated sensor is the identity and
+ * the ego poses are the sensor poses. The return index and count of each
+ * sweep point, which the sweep format has no room for, are written alongside
+ * as uint8 pairs in `returns/LIDAR_TOP/NNNNNN.bin`.
+ *
+ * @param {Array<Object>} frames - Frames with pointsData, pointCount, startTime, sensorPose and objects
+ * @param {Object} options
+ * @param {String} options.version - Name of the metadata folder
+ * @param {String} options.sceneName - Scene name
+ * @returns {Object<String, String|Uint8Array>} - File contents keyed by path inside the dataset root
+ */
+export function buildNuScenesDataset(
+  frames,
+  { version = DEFAULT_NUSCENES_VERSION, sceneName = "scene-0001" } = {}
+) {
+  const files = {};
+  if (frames.length === 0) {
+    return files;
+  }
+
+  const logToken = makeToken("log", 0);
+  const sceneToken = makeToken("scene", 0);
+  const sensorToken = makeToken("sensor", 0);
+  const calibratedSensorToken = makeToken("calibrated_sensor", 0);
+
+  const categories = Object.values(OBJECT_CLASSES).map((objectClass, index) => ({
+    token: makeToken("category", index),
+    name: NUSCENES_CATEGORIES[objectClass],
+    description: "",
+  }));
+  const categoryTokens = Object.fromEntries(
+    Object.values(OBJECT_CLASSES).map((objectClass, index) => [
+      objectClass,
+      categories[index].token,
+    ])
+  );
+  const attributes = Object.values(ATTRIBUTES).map((name, index) => ({
+    token: makeToken("attribute", index),
+    name,
+    description: "",
+  }));
+  const attributeTokens = Object.fromEntries(
+    attributes.map((attribute) => [attribute.name, attribute.token])
+  );
+
+  const samples = [];
+  const sampleData = [];
+  const egoPoses = [];
+  const annotations = [];
+  const instances = new Map(); // trackId -> instance record
+  const lastAnnotations = new Map(); // trackId -> latest sample annotation
+
+  frames.forEach((frame, index) => {
+    const timestamp = Math.round(frame.startTime * 1000); // microseconds
+    const sampleToken = makeToken("sample", index);
+    const egoPoseToken = makeToken("ego_pose", index);
+    const name = String(index).padStart(6, "0");
+    const filename = `samples/${LIDAR_CHANNEL}/${name}.pcd.bin`;
+
+    samples.push({
+      token: sampleToken,
+      timestamp,
+      prev: index > 0 ? makeToken("sample", index - 1) : "",
+      next: index < frames.length - 1 ? makeToken("sample", index + 1) : "",
+      scene_token: sceneToken,
+    });
+    egoPoses.push({
+      token: egoPoseToken,
+      timestamp,
+      ...toGlobalPose(frame.sensorPose || IDENTITY_POSE),
+    });
+    sampleData.push({
+      token: makeToken("sample_data", index),
+      sample_token: sampleToken,
+      ego_pose_token: egoPoseToken,
+      calibrated_sensor_token: calibratedSensorToken,
+      timestamp,
+      fileformat: "pcd",
+      is_key_frame: true,
+      height: 0,
+      width: 0,
+      filename,
+      prev: index > 0 ? makeToken("sample_data", index - 1) : "",
+      next: index < frames.length - 1 ? makeToken("sample_data", index + 1) : "",
+    });
+    files[filename] = new Uint8Array(frameToNuScenesSweep(frame).buffer);
+    files[`returns/${LIDAR_CHANNEL}/${name}.bin`] = packPointReturns(
+      frame.pointsData,
+      frame.pointCount
+    );
+
+    for (const object of frame.objects || []) {
+      const token = makeToken("sample_annotation", annotations.length);
+      let instance = instances.get(object.trackId);
+      if (!instance) {
+        instance = {
+          token: makeToken("instance", object.trackId),
+          category_token: categoryTokens[object.objectClass],
+          nbr_annotations: 0,
+          first_annotation_token: token,
+          last_annotation_token: "",
+        };
+        instances.set(object.trackId, instance);
+      }
+
+      const previous = lastAnnotations.get(object.trackId);
+      if (previous) {
+        previous.next = token;
+      }
+
+      const [length, width, height] = object.size;
+      const { translation, rotation } = toGlobalPose({
+        position: object.center,
+        quaternion: object.quaternion,
+      });
+      let attributeNames = [];
+      if (object.objectClass === OBJECT_CLASSES.CAR) {
+        attributeNames =
+          object.semanticClass === SEMANTIC_CLASSES.MOVING_CAR
+            ? [ATTRIBUTES.MOVING]
+            : [ATTRIBUTES.PARKED];
+      }
+
+      const annotation = {
+        token,
+        sample_token: sampleToken,
+        instance_token: instance.token,
+        visibility_token: visibilityToken(object.visibility),
+        attribute_tokens: attributeNames.map((name) => attributeTokens[name]),
+        translation,
+        size: [width, length, height],
+        rotation,
+        prev: previous ? previous.token : "",
+        next: "",
+        num_lidar_pts: object.numPoints || 0,
+        num_radar_pts: 0,
+      };
+      annotations.push(annotation);
+      lastAnnotations.set(object.trackId, annotation);
+      instance.nbr_annotations++;
+      instance.last_annotation_token = token;
+    }
+  });
+
+  const tables = {
+    attribute: attributes,
+    calibrated_sensor: [
+      {
+        token: calibratedSensorToken,
+        sensor_token: sensorToken,
+        translation: [0, 0, 0],
+        rotation: [1, 0, 0, 0],
+        camera_intrinsic: [],
+      },
+    ],
+    category: categories,
+    ego_pose: egoPoses,
+    instance: Array.from(instances.values()),
+    log: [
+      {
+        token: logToken,
+        logfile: "",
+        vehicle: "lidarsim",
+        date_captured: new Date(frames[0].startTime).toISOString().slice(0, 10),
+        location: "simulation",
+      },
+    ],
+    map: [
+      {
+        token: makeToken("map", 0),
+        log_tokens: [logToken],
+        category: "semantic_prior",
+        filename: "",
+      },
+    ],
+    sample: samples,
+    sample_annotation: annotations,
+    sample_data: sampleData,
+    scene: [
+      {
+        token: sceneToken,
+        log_token: logToken,
+        nbr_samples: samples.length,
+        first_sample_token: samples[0].token,
+        last_sample_token: samples[samples.length - 1].token,
+        name: sceneName,
+        description: "Simulated LiDAR capture",
+      },
+    ],
+    sensor: [{ token: sensorToken, channel: LIDAR_CHANNEL, modality: "lidar" }],
+    visibility: VISIBILITY_LEVELS,
+  };
+
+  Object.entries(tables).forEach(([table, records]) => {
+    files[`${version}/${table}.json`] = JSON.stringify(records, null, 2);
+  });
+
+  return files;
+}
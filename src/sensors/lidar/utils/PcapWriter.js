@@ -0,0 +1,120 @@
+import { ipToBytes } from "./BinaryUtils.js";
+
+// libpcap capture file with Ethernet framing, as written by tcpdump/Wireshark.
+const PCAP_MAGIC = 0xa1b2c3d4; // Microsecond timestamps
+const PCAP_VERSION = [2, 4];
+const PCAP_SNAPLEN = 65535;
+const LINKTYPE_ETHERNET = 1;
+
+const GLOBAL_HEADER_SIZE = 24;
+const RECORD_HEADER_SIZE = 16;
+const ETHERNET_HEADER_SIZE = 14;
+const IPV4_HEADER_SIZE = 20;
+const UDP_HEADER_SIZE = 8;
+const FRAME_OVERHEAD = ETHERNET_HEADER_SIZE + IPV4_HEADER_SIZE + UDP_HEADER_SIZE;
+
+const ETHERTYPE_IPV4 = 0x0800;
+const IP_PROTOCOL_UDP = 17;
+
+export const DEFAULT_UDP_ENDPOINTS = {
+  srcMac: [0x60, 0x76, 0x88, 0x00, 0x00, 0x01],
+  dstMac: [0xff, 0xff, 0xff, 0xff, 0xff, 0xff],
+  srcIp: "192.168.1.201",
+  dstIp: "255.255.255.255",
+  srcPort: 2368,
+  dstPort: 2368,
+};
+
+/**
+ * RFC 791 header checksum: one's complement of the one's complement sum of 16-bit words.
+ * @private
+ */
+function ipv4Checksum(bytes) {
+  let sum = 0;
+  for (let i = 0; i < bytes.length; i += 2) {
+    sum += (bytes[i] << 8) | bytes[i + 1];
+  }
+  while (sum > 0xffff) {
+    sum = (sum & 0xffff) + (sum >>> 16);
+  }
+  return ~sum & 0xffff;
+}
+
+/**
+ * Write UDP datagrams as a PCAP file, each wrapped in Ethernet/IPv4/UDP headers.
+ * @param {Array<{timestampMs: Number, payload: Uint8Array}>} datagrams - Datagrams in capture order
+ * @param {Object} endpoints - MAC/IP/port overrides, see DEFAULT_UDP_ENDPOINTS
+ * @returns {Uint8Array} - PCAP file content
+ */
+export function writePcap(datagrams, endpoints = {}) {
+  const { srcMac, dstMac, srcIp, dstIp, srcPort, dstPort } = {
+    ...DEFAULT_UDP_ENDPOINTS,
+    ...endpoints,
+  };
+  const srcIpBytes = ipToBytes(srcIp);
+  const dstIpBytes = ipToBytes(dstIp);
+
+  let totalSize = GLOBAL_HEADER_SIZE;
+  for (const { payload } of datagrams) {
+    totalSize += RECORD_HEADER_SIZE + FRAME_OVERHEAD + payload.length;
+  }
+
+  const content = new Uint8Array(totalSize);
+  const view = new DataView(content.buffer);
+
+  // Global header
+  view.setUint32(0, PCAP_MAGIC, true);
+  view.setUint16(4, PCAP_VERSION[0], true);
+  view.setUint16(6, PCAP_VERSION[1], true);
+  view.setInt32(8, 0, true); // UTC
+  view.setUint32(12, 0, true); // Timestamp accuracy
+  view.setUint32(16, PCAP_SNAPLEN, true);
+  view.setUint32(20, LINKTYPE_ETHERNET, true);
+
+  let offset = GLOBAL_HEADER_SIZE;
+  datagrams.forEach(({ timestampMs, payload }, index) => {
+    const frameLength = FRAME_OVERHEAD + payload.length;
+    const seconds = Math.floor(timestampMs / 1000);
+    const microseconds = Math.min(
+      999999,
+      Math.round((timestampMs - seconds * 1000) * 1000)
+    );
+
+    // Record header
+    view.setUint32(offset, seconds, true);
+    view.setUint32(offset + 4, microseconds, true);
+    view.setUint32(offset + 8, frameLength, true);
+    view.setUint32(offset + 12, frameLength, true);
+    offset += RECORD_HEADER_SIZE;
+
+    // Ethernet II (network byte order from here on)
+    content.set(dstMac, offset);
+    content.set(srcMac, offset + 6);
+    view.setUint16(offset + 12, ETHERTYPE_IPV4);
+    offset += ETHERNET_HEADER_SIZE;
+
+    // IPv4
+    const ipHeader = content.subarray(offset, offset + IPV4_HEADER_SIZE);
+    view.setUint8(offset, 0x45); // Version 4, 5-word header
+    view.setUint16(offset + 2, IPV4_HEADER_SIZE + UDP_HEADER_SIZE + payload.length);
+    view.setUint16(offset + 4, index & 0xffff); // Identification
+    view.setUint16(offset + 6, 0x4000); // Don't fragment
+    view.setUint8(offset + 8, 64); // TTL
+    view.setUint8(offset + 9, IP_PROTOCOL_UDP);
+    ipHeader.set(srcIpBytes, 12);
+    ipHeader.set(dstIpBytes, 16);
+    view.setUint16(offset + 10, ipv4Checksum(ipHeader));
+    offset += IPV4_HEADER_SIZE;
+
+    // UDP, checksum left at zero (optional over IPv4)
+    view.setUint16(offset, srcPort);
+    view.setUint16(offset + 2, dstPort);
+    view.setUint16(offset + 4, UDP_HEADER_SIZE + payload.length);
+    offset += UDP_HEADER_SIZE;
+
+    content.set(payload, offset);
+    offset += payload.length;
+  });
+
+  return content;
+}
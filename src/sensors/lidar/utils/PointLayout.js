@@ -0,0 +1,81 @@
+// Interleaved Float32Array layout of every point produced by the scanner and
+// stored by CircularPointBuffer, LidarFrameManager and the exporters.
+// Shared with the Node bridge, so this module must not depend on three.js.
+//
+//   x, y, z    world position (m)
+//   intensity  0-1
+//   time       offset from the start of its batch or frame (ns)
+//   line       scan line / ring index
+//   tag        Livox-style point tag (0 = normal return)
+//   label      SemanticKITTI class of the surface hit
+//   instance   track id of the annotated object hit (0 = none)
+//   return index  echo's position among its firing's echoes, in range order (0 = first)
+//   return count  number of echoes the firing detected
+
+export const POINT_FIELDS = {
+  X: 0,
+  Y: 1,
+  Z: 2,
+  INTENSITY: 3,
+  TIME: 4,
+  LINE: 5,
+  TAG: 6,
+  LABEL: 7,
+  INSTANCE: 8,
+  RETURN_INDEX: 9,
+  RETURN_COUNT: 10,
+};
+
+export const POINT_STRIDE = 11;
+
+/**
+ * Return index and count of each point as uint8 pairs, the per-point return
+ * file of exports whose point format has no room for them.
+ * @param {Float32Array} pointsData - Interleaved points, see POINT_FIELDS
+ * @param {Number} pointCount
+ * @returns {Uint8Array}
+ */
+export function packPointReturns(pointsData, pointCount) {
+  const returns = new Uint8Array(pointCount * 2);
+  for (let i = 0; i < pointCount; i++) {
+    returns[i * 2] = pointsData[i * POINT_STRIDE + POINT_FIELDS.RETURN_INDEX];
+    returns[i * 2 + 1] = pointsData[i * POINT_STRIDE + POINT_FIELDS.RETURN_COUNT];
+  }
+  return returns;
+}
+
+/**
+ * Livox point tag of a point: its TAG with the return number in bits 5-4,
+ * as Livox sensors report it in multi-return modes.
+ * @param {Float32Array} pointsData - Interleaved points, see POINT_FIELDS
+ * @param {Number} offset - Component offset of the point
+ * @returns {Number} - Tag byte
+ */
+export function getLivoxTag(pointsData, offset) {
+  const returnNumber = Math.min(pointsData[offset + POINT_FIELDS.RETURN_INDEX], 3);
+  return (pointsData[offset + POINT_FIELDS.TAG] & 0xcf) | (returnNumber << 4);
+}
+
+/**
+ * Copy points into a new array, shifting each point's time offset.
+ * @param {Float32Array} pointsData - Interleaved points, see POINT_FIELDS
+ * @param {Number} timeOffsetNs - Added to every point's time
+ * @param {Float32Array} target - Optional destination
+ * @param {Number} targetOffset - Component offset into `target`
+ * @returns {Float32Array} - `target`
+ */
+export function copyPointsWithTimeOffset(
+  pointsData,
+  timeOffsetNs,
+  target = new Float32Array(pointsData.length),
+  targetOffset = 0
+) {
+  target.set(pointsData, targetOffset);
+  if (timeOffsetNs !== 0) {
+    const end = targetOffset + pointsData.length;
+    for (let i = targetOffset + POINT_FIELDS.TIME; i < end; i += POINT_STRIDE) {
+      target[i] += timeOffsetNs;
+    }
+  }
+  return target;
+}
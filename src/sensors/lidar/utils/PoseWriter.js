@@ -0,0 +1,107 @@
+import * as THREE from "three";
+import {
+  IDENTITY_POSE,
+  formatMatrix3x4,
+  poseToFluMatrix,
+} from "./CoordinateFrames.js";
+
+/**
+ * Frame poses that can be written: the sensor pose when the frame's first
+ * ray was cast, or when its last ray was.
+ */
+export const FRAME_POSE_KEYS = {
+  START: "start",
+  END: "end",
+};
+
+/**
+ * Pose and Unix time (ms) of a frame at its start or end.
+ * @private
+ */
+function getFramePose(frame, which) {
+  if (which === FRAME_POSE_KEYS.END) {
+    return {
+      pose: frame.endSensorPose || frame.sensorPose || IDENTITY_POSE,
+      timeMs: frame.endTime ?? frame.startTime,
+    };
+  }
+  return { pose: frame.sensorPose || IDENTITY_POSE, timeMs: frame.startTime };
+}
+
+/**
+ * Write frame poses as a TUM trajectory: one
+ * `timestamp tx ty tz qx qy qz qw` line per frame, with the Unix timestamp in
+ * seconds and the sensor pose in a world frame with x forward, y left and z up.
+ * @param {Array<Object>} frames - Frames with sensorPose, startTime, endSensorPose and endTime
+ * @param {String} which - One of FRAME_POSE_KEYS
+ * @returns {String}
+ */
+export function writeTumTrajectory(frames, which = FRAME_POSE_KEYS.START) {
+  const matrix = new THREE.Matrix4();
+  const translation = new THREE.Vector3();
+  const rotation = new THREE.Quaternion();
+
+  const lines = frames.map((frame) => {
+    const { pose, timeMs } = getFramePose(frame, which);
+    poseToFluMatrix(pose, matrix).decompose(
+      translation,
+      rotation,
+      new THREE.Vector3()
+    );
+    return [
+      (timeMs / 1000).toFixed(6),
+      ...translation.toArray().map((value) => value.toFixed(6)),
+      ...rotation.toArray().map((value) => value.toFixed(9)),
+    ].join(" ");
+  });
+
+  return ["# timestamp tx ty tz qx qy qz qw", ...lines].join("\n") + "\n";
+}
+
+/**
+ * Write frame poses in the KITTI odometry format: one row-major 3x4 matrix per
+ * frame giving the sensor pose (x forward, y left, z up) relative to the first
+ * frame's start pose, so the trajectory begins at the identity like odometry
+ * output does.
+ * @param {Array<Object>} frames - Frames with sensorPose, endSensorPose
+ * @param {String} which - One of FRAME_POSE_KEYS
+ * @returns {String}
+ */
+export function writeKittiTrajectory(frames, which = FRAME_POSE_KEYS.START) {
+  if (frames.length === 0) {
+    return "";
+  }
+
+  const firstPoseInverse = poseToFluMatrix(
+    frames[0].sensorPose || IDENTITY_POSE
+  ).invert();
+  const relativePose = new THREE.Matrix4();
+
+  const lines = frames.map((frame) => {
+    poseToFluMatrix(getFramePose(frame, which).pose, relativePose).premultiply(
+      firstPoseInverse
+    );
+    return formatMatrix3x4(relativePose);
+  });
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Build the ground truth trajectory files bundled with exported captures:
+ * TUM and KITTI trajectories of the frame start and end poses, ready to be
+ * compared against odometry or SLAM output (e.g. with evo).
+ * @param {Array<Object>} frames - Captured frames
+ * @returns {Object<String, String>} - File contents keyed by path
+ */
+export function buildPoseFiles(frames) {
+  const files = {};
+  Object.values(FRAME_POSE_KEYS).forEach((which) => {
+    files[`poses/frame_${which}_tum.txt`] = writeTumTrajectory(frames, which);
+    files[`poses/frame_${which}_kitti.txt`] = writeKittiTrajectory(
+      frames,
+      which
+    );
+  });
+  return files;
+}
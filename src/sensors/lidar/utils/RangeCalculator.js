@@ -1,5 +1,6 @@
 import * as THREE from "three";
 
+// Livox MID-360 datasheet values, used when a config does not describe the sensor
 export const LIDAR_SPECS = {
   BLIND_ZONE: 0.1,
   MAX_RANGE_LOW_REFLECTIVITY: 40,
@@ -10,26 +11,51 @@ export const LIDAR_SPECS = {
 };
 
 export class RangeCalculator {
-  static calculateMaxRange(materialReflectivity, configMaxRange = null) {
-    const maxRangeHigh =
-      configMaxRange || LIDAR_SPECS.MAX_RANGE_HIGH_REFLECTIVITY;
+  /**
+   * Range specs of the sensor described by a LidarConfig, in the shape of
+   * LIDAR_SPECS. Fields the config does not set keep the LIDAR_SPECS value.
+   * @param {Object} lidarConfig - See createLidarConfig
+   * @returns {Object}
+   */
+  static getRangeSpecs(lidarConfig = {}) {
+    return {
+      BLIND_ZONE: lidarConfig.minRange ?? LIDAR_SPECS.BLIND_ZONE,
+      MAX_RANGE_LOW_REFLECTIVITY:
+        lidarConfig.maxRangeLowReflectivity ??
+        LIDAR_SPECS.MAX_RANGE_LOW_REFLECTIVITY,
+      MAX_RANGE_HIGH_REFLECTIVITY:
+        lidarConfig.maxRange ?? LIDAR_SPECS.MAX_RANGE_HIGH_REFLECTIVITY,
+      LOW_REFLECTIVITY:
+        lidarConfig.lowReflectivity ?? LIDAR_SPECS.LOW_REFLECTIVITY,
+      HIGH_REFLECTIVITY:
+        lidarConfig.highReflectivity ?? LIDAR_SPECS.HIGH_REFLECTIVITY,
+      WAVELENGTH: lidarConfig.wavelength ?? LIDAR_SPECS.WAVELENGTH,
+    };
+  }
+
+  static calculateMaxRange(
+    materialReflectivity,
+    configMaxRange = null,
+    specs = LIDAR_SPECS
+  ) {
+    const maxRangeHigh = configMaxRange || specs.MAX_RANGE_HIGH_REFLECTIVITY;
     const maxRangeLow = Math.min(
-      LIDAR_SPECS.MAX_RANGE_LOW_REFLECTIVITY,
+      specs.MAX_RANGE_LOW_REFLECTIVITY,
       maxRangeHigh
     );
 
-    if (materialReflectivity <= LIDAR_SPECS.LOW_REFLECTIVITY) {
+    if (materialReflectivity <= specs.LOW_REFLECTIVITY) {
       return maxRangeLow;
     }
 
-    if (materialReflectivity >= LIDAR_SPECS.HIGH_REFLECTIVITY) {
+    if (materialReflectivity >= specs.HIGH_REFLECTIVITY) {
       return maxRangeHigh;
     }
 
     const rangeDiff = maxRangeHigh - maxRangeLow;
     const reflectivityFactor =
-      (materialReflectivity - LIDAR_SPECS.LOW_REFLECTIVITY) /
-      (LIDAR_SPECS.HIGH_REFLECTIVITY - LIDAR_SPECS.LOW_REFLECTIVITY);
+      (materialReflectivity - specs.LOW_REFLECTIVITY) /
+      (specs.HIGH_REFLECTIVITY - specs.LOW_REFLECTIVITY);
     return maxRangeLow + rangeDiff * reflectivityFactor;
   }
 
@@ -40,13 +66,19 @@ export class RangeCalculator {
     return (material.color.r + material.color.g + material.color.b) / 3;
   }
 
-  static isInRange(distance, materialReflectivity, configMaxRange = null) {
-    if (distance < LIDAR_SPECS.BLIND_ZONE) {
+  static isInRange(
+    distance,
+    materialReflectivity,
+    configMaxRange = null,
+    specs = LIDAR_SPECS
+  ) {
+    if (distance < specs.BLIND_ZONE) {
       return false;
     }
     const maxRange = this.calculateMaxRange(
       materialReflectivity,
-      configMaxRange
+      configMaxRange,
+      specs
     );
     return distance <= maxRange;
   }
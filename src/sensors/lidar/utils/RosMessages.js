@@ -0,0 +1,339 @@
+import * as THREE from "three";
+import {
+  IDENTITY_POSE,
+  poseToFluMatrix,
+  worldToSensorFluMatrix,
+} from "./CoordinateFrames.js";
+import { msToNs } from "./BinaryUtils.js";
+import { POINT_FIELDS, POINT_STRIDE, getLivoxTag } from "./PointLayout.js";
+
+// ROS 2 message definitions (ros2msg), including every dependency, as
+// expected in MCAP schema records.
+const MESSAGE_SEPARATOR =
+  "\n================================================================================\n";
+
+const TIME_DEFINITION = `MSG: builtin_interfaces/Time
+int32 sec
+uint32 nanosec`;
+
+const HEADER_DEFINITION = `MSG: std_msgs/Header
+builtin_interfaces/Time stamp
+string frame_id`;
+
+const VECTOR3_DEFINITION = `MSG: geometry_msgs/Vector3
+float64 x
+float64 y
+float64 z`;
+
+export const POINT_CLOUD2_SCHEMA = {
+  name: "sensor_msgs/msg/PointCloud2",
+  encoding: "ros2msg",
+  data: [
+    `std_msgs/Header header
+uint32 height
+uint32 width
+PointField[] fields
+bool is_bigendian
+uint32 point_step
+uint32 row_step
+uint8[] data
+bool is_dense`,
+    HEADER_DEFINITION,
+    TIME_DEFINITION,
+    `MSG: sensor_msgs/PointField
+uint8 INT8=1
+uint8 UINT8=2
+uint8 INT16=3
+uint8 UINT16=4
+uint8 INT32=5
+uint8 UINT32=6
+uint8 FLOAT32=7
+uint8 FLOAT64=8
+string name
+uint32 offset
+uint8 datatype
+uint32 count`,
+  ].join(MESSAGE_SEPARATOR),
+};
+
+export const TF_MESSAGE_SCHEMA = {
+  name: "tf2_msgs/msg/TFMessage",
+  encoding: "ros2msg",
+  data: [
+    `geometry_msgs/TransformStamped[] transforms`,
+    `MSG: geometry_msgs/TransformStamped
+std_msgs/Header header
+string child_frame_id
+Transform transform`,
+    HEADER_DEFINITION,
+    TIME_DEFINITION,
+    `MSG: geometry_msgs/Transform
+Vector3 translation
+Quaternion rotation`,
+    VECTOR3_DEFINITION,
+    `MSG: geometry_msgs/Quaternion
+float64 x 0
+float64 y 0
+float64 z 0
+float64 w 1`,
+  ].join(MESSAGE_SEPARATOR),
+};
+
+export const IMU_SCHEMA = {
+  name: "sensor_msgs/msg/Imu",
+  encoding: "ros2msg",
+  data: [
+    `std_msgs/Header header
+geometry_msgs/Quaternion orientation
+float64[9] orientation_covariance
+geometry_msgs/Vector3 angular_velocity
+float64[9] angular_velocity_covariance
+geometry_msgs/Vector3 linear_acceleration
+float64[9] linear_acceleration_covariance`,
+    HEADER_DEFINITION,
+    TIME_DEFINITION,
+    `MSG: geometry_msgs/Quaternion
+float64 x 0
+float64 y 0
+float64 z 0
+float64 w 1`,
+    VECTOR3_DEFINITION,
+  ].join(MESSAGE_SEPARATOR),
+};
+
+// sensor_msgs/PointField datatypes
+const POINT_FIELD_TYPES = {
+  UINT8: 2,
+  UINT16: 4,
+  FLOAT32: 7,
+  FLOAT64: 8,
+};
+
+// Point layout: x, y, z, intensity (float32), absolute timestamp (float64
+// seconds), ring (uint16), Livox tag (uint8), SemanticKITTI label (uint16),
+// instance id (uint16), return index and count (uint8), 40 bytes so every
+// float64 stays aligned.
+const POINT_CLOUD2_FIELDS = [
+  { name: "x", offset: 0, datatype: POINT_FIELD_TYPES.FLOAT32 },
+  { name: "y", offset: 4, datatype: POINT_FIELD_TYPES.FLOAT32 },
+  { name: "z", offset: 8, datatype: POINT_FIELD_TYPES.FLOAT32 },
+  { name: "intensity", offset: 12, datatype: POINT_FIELD_TYPES.FLOAT32 },
+  { name: "timestamp", offset: 16, datatype: POINT_FIELD_TYPES.FLOAT64 },
+  { name: "ring", offset: 24, datatype: POINT_FIELD_TYPES.UINT16 },
+  { name: "tag", offset: 26, datatype: POINT_FIELD_TYPES.UINT8 },
+  { name: "label", offset: 28, datatype: POINT_FIELD_TYPES.UINT16 },
+  { name: "instance", offset: 30, datatype: POINT_FIELD_TYPES.UINT16 },
+  { name: "return_index", offset: 32, datatype: POINT_FIELD_TYPES.UINT8 },
+  { name: "return_count", offset: 33, datatype: POINT_FIELD_TYPES.UINT8 },
+];
+const POINT_STEP = 40;
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Serializer for little-endian plain CDR (XCDR1), the ROS 2 wire format.
+ * Alignment is relative to the end of the 4-byte encapsulation header.
+ */
+export class CdrWriter {
+  constructor(initialCapacity = 256) {
+    this.bytes = new Uint8Array(Math.max(initialCapacity, 8));
+    this.view = new DataView(this.bytes.buffer);
+    // Encapsulation header: CDR_LE, no options
+    this.bytes.set([0x00, 0x01, 0x00, 0x00], 0);
+    this.length = 4;
+  }
+
+  _ensure(additional) {
+    if (this.length + additional <= this.bytes.length) return;
+    let capacity = this.bytes.length * 2;
+    while (capacity < this.length + additional) capacity *= 2;
+    const bytes = new Uint8Array(capacity);
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  align(size) {
+    const padding = (size - ((this.length - 4) % size)) % size;
+    this._ensure(padding);
+    this.bytes.fill(0, this.length, this.length + padding);
+    this.length += padding;
+  }
+
+  uint8(value) {
+    this._ensure(1);
+    this.view.setUint8(this.length, value);
+    this.length += 1;
+  }
+
+  bool(value) {
+    this.uint8(value ? 1 : 0);
+  }
+
+  int32(value) {
+    this.align(4);
+    this._ensure(4);
+    this.view.setInt32(this.length, value, true);
+    this.length += 4;
+  }
+
+  uint32(value) {
+    this.align(4);
+    this._ensure(4);
+    this.view.setUint32(this.length, value, true);
+    this.length += 4;
+  }
+
+  float64(value) {
+    this.align(8);
+    this._ensure(8);
+    this.view.setFloat64(this.length, value, true);
+    this.length += 8;
+  }
+
+  string(text) {
+    const encoded = textEncoder.encode(text);
+    this.uint32(encoded.length + 1); // Length includes the NUL terminator
+    this._ensure(encoded.length + 1);
+    this.bytes.set(encoded, this.length);
+    this.bytes[this.length + encoded.length] = 0;
+    this.length += encoded.length + 1;
+  }
+
+  uint8Array(bytes) {
+    this.uint32(bytes.length);
+    this._ensure(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  time(timeNs) {
+    const ns = BigInt(timeNs);
+    this.int32(Number(ns / 1000000000n));
+    this.uint32(Number(ns % 1000000000n));
+  }
+
+  header(timeNs, frameId) {
+    this.time(timeNs);
+    this.string(frameId);
+  }
+
+  toBytes() {
+    return this.bytes.subarray(0, this.length);
+  }
+}
+
+/**
+ * Encode a captured frame as a CDR-serialized sensor_msgs/msg/PointCloud2.
+ * Points are expressed in the sensor frame (x forward, y left, z up).
+ * @param {Object} frame - Frame with pointsData, pointCount, startTime and sensorPose
+ * @param {Object} options
+ * @param {String} options.frameId - header.frame_id of the cloud
+ * @returns {Uint8Array}
+ */
+export function encodePointCloud2(frame, { frameId }) {
+  const { pointsData, pointCount } = frame;
+  const worldToSensor = worldToSensorFluMatrix(frame.sensorPose || IDENTITY_POSE);
+  const point = new THREE.Vector3();
+
+  const data = new Uint8Array(pointCount * POINT_STEP);
+  const dataView = new DataView(data.buffer);
+  const frameStartSeconds = frame.startTime / 1000;
+
+  for (let i = 0; i < pointCount; i++) {
+    const offset = i * POINT_STRIDE;
+    const byteOffset = i * POINT_STEP;
+    point
+      .set(pointsData[offset], pointsData[offset + 1], pointsData[offset + 2])
+      .applyMatrix4(worldToSensor);
+    dataView.setFloat32(byteOffset, point.x, true);
+    dataView.setFloat32(byteOffset + 4, point.y, true);
+    dataView.setFloat32(byteOffset + 8, point.z, true);
+    dataView.setFloat32(byteOffset + 12, pointsData[offset + POINT_FIELDS.INTENSITY], true);
+    dataView.setFloat64(
+      byteOffset + 16,
+      frameStartSeconds + pointsData[offset + POINT_FIELDS.TIME] / 1e9,
+      true
+    );
+    dataView.setUint16(byteOffset + 24, pointsData[offset + POINT_FIELDS.LINE], true);
+    dataView.setUint8(byteOffset + 26, getLivoxTag(pointsData, offset));
+    dataView.setUint16(byteOffset + 28, pointsData[offset + POINT_FIELDS.LABEL], true);
+    dataView.setUint16(byteOffset + 30, pointsData[offset + POINT_FIELDS.INSTANCE], true);
+    dataView.setUint8(byteOffset + 32, pointsData[offset + POINT_FIELDS.RETURN_INDEX]);
+    dataView.setUint8(byteOffset + 33, pointsData[offset + POINT_FIELDS.RETURN_COUNT]);
+  }
+
+  const writer = new CdrWriter(data.length + 256);
+  writer.header(msToNs(frame.startTime), frameId);
+  writer.uint32(1); // height
+  writer.uint32(pointCount); // width
+  writer.uint32(POINT_CLOUD2_FIELDS.length);
+  for (const field of POINT_CLOUD2_FIELDS) {
+    writer.string(field.name);
+    writer.uint32(field.offset);
+    writer.uint8(field.datatype);
+    writer.uint32(1);
+  }
+  writer.bool(false); // is_bigendian
+  writer.uint32(POINT_STEP);
+  writer.uint32(POINT_STEP * pointCount); // row_step
+  writer.uint8Array(data);
+  writer.bool(true); // is_dense
+  return writer.toBytes();
+}
+
+/**
+ * Encode a sensor pose as a CDR-serialized tf2_msgs/msg/TFMessage with a
+ * single transform from the world frame to the sensor frame.
+ * @param {Object} pose - Sensor world pose ({position, quaternion} arrays, three.js frame)
+ * @param {Number} timeMs - Unix timestamp in milliseconds
+ * @param {Object} options
+ * @param {String} options.parentFrameId - World frame id
+ * @param {String} options.frameId - Sensor frame id
+ * @returns {Uint8Array}
+ */
+export function encodeTFMessage(pose, timeMs, { parentFrameId, frameId }) {
+  const translation = new THREE.Vector3();
+  const rotation = new THREE.Quaternion();
+  poseToFluMatrix(pose || IDENTITY_POSE).decompose(
+    translation,
+    rotation,
+    new THREE.Vector3()
+  );
+
+  const writer = new CdrWriter();
+  writer.uint32(1); // transforms length
+  writer.header(msToNs(timeMs), parentFrameId);
+  writer.string(frameId);
+  writer.float64(translation.x);
+  writer.float64(translation.y);
+  writer.float64(translation.z);
+  writer.float64(rotation.x);
+  writer.float64(rotation.y);
+  writer.float64(rotation.z);
+  writer.float64(rotation.w);
+  return writer.toBytes();
+}
+
+/**
+ * Encode an IMU sample as a CDR-serialized sensor_msgs/msg/Imu. There is no
+ * orientation estimate, flagged by orientation_covariance[0] = -1; the other
+ * covariances are left as zero ("unknown").
+ * @param {{timestampMs: Number, gyro: Number[], accel: Number[]}} sample - Angular
+ *   velocity (rad/s) and specific force (m/s^2) in the sensor frame
+ * @param {Object} options
+ * @param {String} options.frameId - header.frame_id of the sample
+ * @returns {Uint8Array}
+ */
+export function encodeImu(sample, { frameId }) {
+  const writer = new CdrWriter();
+  writer.header(msToNs(sample.timestampMs), frameId);
+  [0, 0, 0, 1].forEach((value) => writer.float64(value)); // orientation
+  writer.float64(-1); // orientation_covariance
+  for (let i = 1; i < 9; i++) writer.float64(0);
+  sample.gyro.forEach((value) => writer.float64(value));
+  for (let i = 0; i < 9; i++) writer.float64(0); // angular_velocity_covariance
+  sample.accel.forEach((value) => writer.float64(value));
+  for (let i = 0; i < 9; i++) writer.float64(0); // linear_acceleration_covariance
+  return writer.toBytes();
+}
@@ -0,0 +1,209 @@
+import * as THREE from "three";
+import { MeshBVH } from "three-mesh-bvh";
+import { InstancedMesh2 } from "@three.ez/instanced-mesh";
+
+// Copies of the intersectable meshes for scanning in another thread. A
+// snapshot keeps what raycasting and the point attributes depend on:
+// geometry with its serialized BVH, world transform, material colour and side,
+// the semantic userData and, for instanced meshes, the instance transforms.
+// Once a copy exists only transform changes are sent, see
+// collectTransformUpdates.
+
+/**
+ * The mesh's semantic userData, with the class and track id it inherits from
+ * its ancestors resolved, since the copy is not parented.
+ * @private
+ */
+function resolveUserData(mesh) {
+  const userData = {
+    semanticClass: mesh.userData.semanticClass,
+    trackId: mesh.userData.trackId,
+    trackIdBase: mesh.userData.trackIdBase,
+    instanceSemanticClasses: mesh.userData.instanceSemanticClasses,
+    objectClass: mesh.userData.objectClass,
+    transmittance: mesh.userData.transmittance,
+  };
+  for (let parent = mesh.parent; parent; parent = parent.parent) {
+    userData.semanticClass ??= parent.userData.semanticClass;
+    userData.trackId ??= parent.userData.trackId;
+  }
+  return userData;
+}
+
+/**
+ * Instance transforms of an instanced mesh, 16 matrix elements per instance.
+ * @private
+ */
+function getInstanceMatrices(mesh) {
+  const matrices = new Float32Array(mesh.instancesCount * 16);
+  const matrix = new THREE.Matrix4();
+  for (let i = 0; i < mesh.instancesCount; i++) {
+    mesh.getMatrixAt(i, matrix).toArray(matrices, i * 16);
+  }
+  return matrices;
+}
+
+/**
+ * @private
+ */
+function serializeGeometry(geometry) {
+  return {
+    position: geometry.attributes.position.array,
+    index: geometry.index ? geometry.index.array : null,
+    bvh: geometry.boundsTree ? MeshBVH.serialize(geometry.boundsTree) : null,
+    userData: { semanticRanges: geometry.userData.semanticRanges },
+  };
+}
+
+/**
+ * Identifies a set of meshes: a snapshot has to be resent when it changes.
+ * @param {Array<THREE.Mesh>} meshes
+ * @returns {String}
+ */
+export function getSceneSignature(meshes) {
+  return meshes
+    .map((mesh) => `${mesh.uuid}:${mesh.isInstancedMesh2 ? mesh.instancesCount : 0}`)
+    .join(",");
+}
+
+/**
+ * Structured-clonable copy of `meshes`.
+ * @param {Array<THREE.Mesh>} meshes - Meshes to raycast, e.g. from collectIntersectableMeshes
+ * @param {LidarMeshRegistry|null} meshRegistry - Registry of `meshes`, whose
+ *   layer, tags and occluder flag go along as `registration`
+ * @returns {Array<Object>}
+ */
+export function serializeScene(meshes, meshRegistry = null) {
+  return meshes.map((mesh) => {
+    const material = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
+    const record = meshRegistry?.getRecord(mesh);
+    return {
+      name: mesh.name,
+      geometry: serializeGeometry(mesh.geometry),
+      matrixWorld: mesh.matrixWorld.toArray(),
+      material: {
+        color: material?.color ? material.color.toArray() : null,
+        side: material?.side ?? THREE.FrontSide,
+      },
+      userData: resolveUserData(mesh),
+      instanceMatrices: mesh.isInstancedMesh2 ? getInstanceMatrices(mesh) : null,
+      registration: record
+        ? { layer: record.layer, tags: record.tags, occluder: record.occluder }
+        : null,
+    };
+  });
+}
+
+/**
+ * Rebuild a snapshot as meshes in a new scene.
+ * @param {Array<Object>} snapshot - See serializeScene
+ * @returns {{scene: THREE.Scene, meshes: Array<THREE.Mesh>}} - `meshes` in snapshot order
+ */
+export function buildSceneFromSnapshot(snapshot) {
+  const scene = new THREE.Scene();
+  const matrix = new THREE.Matrix4();
+  const meshes = snapshot.map((data) => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
+      "position",
+      new THREE.BufferAttribute(data.geometry.position, 3)
+    );
+    if (data.geometry.index) {
+      geometry.setIndex(new THREE.BufferAttribute(data.geometry.index, 1));
+    }
+    if (data.geometry.bvh) {
+      geometry.boundsTree = MeshBVH.deserialize(data.geometry.bvh, geometry);
+    }
+    geometry.userData = data.geometry.userData;
+    geometry.computeBoundingSphere();
+
+    const material = new THREE.MeshBasicMaterial({ side: data.material.side });
+    if (data.material.color) {
+      material.color.fromArray(data.material.color);
+    } else {
+      material.color = null;
+    }
+
+    let mesh;
+    if (data.instanceMatrices) {
+      const count = data.instanceMatrices.length / 16;
+      mesh = new InstancedMesh2(geometry, material, { capacity: count });
+      mesh.addInstances(count, () => {});
+      for (let i = 0; i < count; i++) {
+        mesh.setMatrixAt(i, matrix.fromArray(data.instanceMatrices, i * 16));
+      }
+      mesh.computeBVH({ margin: 1 });
+    } else {
+      mesh = new THREE.Mesh(geometry, material);
+    }
+    mesh.name = data.name;
+    mesh.userData = data.userData;
+    mesh.matrixAutoUpdate = false;
+    mesh.matrix.fromArray(data.matrixWorld);
+    scene.add(mesh);
+    return mesh;
+  });
+  scene.updateMatrixWorld(true);
+  return { scene, meshes };
+}
+
+/**
+ * Transforms that changed since the last call, as updates for
+ * applyTransformUpdates: moved meshes and moved instances.
+ * @param {Array<THREE.Mesh>} meshes - Same meshes, in the same order, as the snapshot
+ * @param {Array<Float32Array|Float64Array>} sent - Transforms last sent per mesh;
+ *   updated in place, start with [] after sending a snapshot
+ * @returns {Array<Object>} - Empty if nothing moved
+ */
+export function collectTransformUpdates(meshes, sent) {
+  const updates = [];
+  meshes.forEach((mesh, meshIndex) => {
+    const current = mesh.isInstancedMesh2
+      ? getInstanceMatrices(mesh)
+      : Float64Array.from(mesh.matrixWorld.elements);
+    const previous = sent[meshIndex];
+    sent[meshIndex] = current;
+    if (!previous) return;
+
+    if (!mesh.isInstancedMesh2) {
+      if (current.some((value, i) => value !== previous[i])) {
+        updates.push({ meshIndex, matrixWorld: Array.from(current) });
+      }
+      return;
+    }
+    const instances = [];
+    for (let offset = 0; offset < current.length; offset += 16) {
+      for (let i = offset; i < offset + 16; i++) {
+        if (current[i] !== previous[i]) {
+          instances.push(offset / 16, ...current.subarray(offset, offset + 16));
+          break;
+        }
+      }
+    }
+    if (instances.length > 0) {
+      updates.push({ meshIndex, instances: Float32Array.from(instances) });
+    }
+  });
+  return updates;
+}
+
+/**
+ * Apply transform updates to meshes rebuilt by buildSceneFromSnapshot.
+ * @param {Array<THREE.Mesh>} meshes
+ * @param {Array<Object>} updates - See collectTransformUpdates
+ */
+export function applyTransformUpdates(meshes, updates) {
+  const matrix = new THREE.Matrix4();
+  updates.forEach(({ meshIndex, matrixWorld, instances }) => {
+    const mesh = meshes[meshIndex];
+    if (matrixWorld) {
+      mesh.matrix.fromArray(matrixWorld);
+      mesh.updateMatrixWorld(true);
+      return;
+    }
+    // 17 values per instance: its id, then its matrix
+    for (let offset = 0; offset < instances.length; offset += 17) {
+      mesh.setMatrixAt(instances[offset], matrix.fromArray(instances, offset + 1));
+    }
+  });
+}
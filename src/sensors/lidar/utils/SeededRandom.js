@@ -0,0 +1,71 @@
+// Every consumer of randomness draws from its own stream, derived from the
+// global seed and the stream name, so adding draws to one stream never shifts
+// the numbers another one sees.
+export const RANDOM_STREAMS = {
+  SCAN_PATTERN: "scanPattern",
+  NOISE: "noise",
+  IMU: "imu",
+  ACTORS: "actors",
+};
+
+export const DEFAULT_SEED = 1;
+
+/**
+ * 32-bit FNV-1a hash of a string, continuing from `hash`.
+ * @private
+ */
+function hashString(text, hash = 0x811c9dc5) {
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Small, fast seeded PRNG (mulberry32). Not for cryptography; it only has to
+ * make simulation runs repeatable.
+ */
+export class SeededRandom {
+  /**
+   * @param {Number} seed - 32-bit integer seed
+   */
+  constructor(seed = DEFAULT_SEED) {
+    this.state = seed >>> 0;
+  }
+
+  /**
+   * Uniform sample in [0, 1).
+   * @returns {Number}
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Standard normal sample (Box-Muller).
+   * @returns {Number}
+   */
+  gaussian() {
+    const u = 1 - this.next();
+    const v = this.next();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+}
+
+/**
+ * Random stream for one consumer of a seeded run.
+ * @param {Number} seed - Global seed, see LidarConfig `seed`
+ * @param {String} stream - One of RANDOM_STREAMS
+ * @param {Number} index - Optional sub-stream, e.g. the first firing of a batch
+ * @returns {SeededRandom}
+ */
+export function createRandom(seed = DEFAULT_SEED, stream = "", index = 0) {
+  return new SeededRandom(
+    hashString(`${stream}:${index}`, hashString(String(seed)))
+  );
+}
@@ -0,0 +1,91 @@
+import { SEMANTIC_CLASSES } from "../config/SemanticClasses.js";
+
+/**
+ * Semantic range of `geometry.userData.semanticRanges` holding a triangle.
+ * @private
+ * @returns {Object|null}
+ */
+function findSemanticRange(object, faceIndex) {
+  const ranges = object.geometry?.userData.semanticRanges;
+  if (!ranges || faceIndex === undefined || faceIndex === null) return null;
+  return (
+    ranges.find(
+      (range) => faceIndex >= range.start && faceIndex < range.start + range.count
+    ) ?? null
+  );
+}
+
+/**
+ * Resolve the semantic class of a raycast hit. Scene objects declare their
+ * class through userData, from most to least specific:
+ *
+ * - `object.userData.instanceSemanticClasses[instanceId]` for instanced meshes
+ * - `geometry.userData.semanticRanges`, a list of `{start, count, semanticClass}`
+ *   triangle ranges, for merged geometries made of several parts
+ * - `object.userData.semanticClass`, inherited from the nearest labelled ancestor
+ *
+ * @param {THREE.Intersection} intersection - Raycaster intersection
+ * @returns {Number} - SemanticKITTI label id, SEMANTIC_CLASSES.UNLABELED if unknown
+ */
+export function getSemanticClass(intersection) {
+  const { object, instanceId, faceIndex } = intersection;
+
+  const instanceClasses = object.userData.instanceSemanticClasses;
+  if (instanceClasses && instanceId !== undefined && instanceClasses[instanceId] !== undefined) {
+    return instanceClasses[instanceId];
+  }
+
+  const range = findSemanticRange(object, faceIndex);
+  if (range) {
+    return range.semanticClass;
+  }
+
+  for (let current = object; current; current = current.parent) {
+    if (current.userData.semanticClass !== undefined) {
+      return current.userData.semanticClass;
+    }
+  }
+
+  return SEMANTIC_CLASSES.UNLABELED;
+}
+
+/**
+ * Resolve the track id of the annotated object behind a raycast hit:
+ *
+ * - `object.userData.trackIdBase + instanceId` for instanced meshes
+ * - `object.userData.trackId`, inherited from the nearest tracked ancestor
+ *
+ * @param {THREE.Intersection} intersection - Raycaster intersection
+ * @returns {Number} - Track id, 0 when the surface belongs to no annotated object
+ */
+export function getInstanceId(intersection) {
+  const { object, instanceId } = intersection;
+
+  if (object.userData.trackIdBase !== undefined && instanceId !== undefined) {
+    return object.userData.trackIdBase + instanceId;
+  }
+
+  for (let current = object; current; current = current.parent) {
+    if (current.userData.trackId !== undefined) {
+      return current.userData.trackId;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Fraction of a beam that passes through the surface behind a raycast hit,
+ * e.g. the gaps of foliage or a fence. Declared as `transmittance` on a
+ * semantic range or in the object's userData; surfaces are opaque otherwise.
+ * @param {THREE.Intersection} intersection - Raycaster intersection
+ * @returns {Number} - 0 (opaque) to 1
+ */
+export function getTransmittance(intersection) {
+  const { object, faceIndex } = intersection;
+  return (
+    findSemanticRange(object, faceIndex)?.transmittance ??
+    object.userData.transmittance ??
+    0
+  );
+}
@@ -0,0 +1,98 @@
+import * as THREE from "three";
+import { poseToMatrix } from "./CoordinateFrames.js";
+import { POINT_FIELDS, POINT_STRIDE } from "./PointLayout.js";
+
+/**
+ * Sensor motion over one scan batch: the poses at the batch's first ray and
+ * one batch duration later. Rays in between are cast from the pose
+ * interpolated at their own time offset.
+ * @typedef {Object} SensorMotion
+ * @property {{position: Number[], quaternion: Number[]}} startPose
+ * @property {{position: Number[], quaternion: Number[]}} endPose
+ * @property {Number} durationNs - Time between startPose and endPose
+ */
+
+/**
+ * Compose a vehicle pose with a sensor mounted at a fixed offset in the
+ * vehicle's frame.
+ * @param {{position: Number[], quaternion: Number[]}} vehiclePose - three.js world pose
+ * @param {Number[]} mountPosition - Sensor position in the vehicle frame
+ * @returns {{position: Number[], quaternion: Number[]}}
+ */
+export function mountSensorPose(vehiclePose, mountPosition) {
+  const quaternion = new THREE.Quaternion().fromArray(vehiclePose.quaternion);
+  const position = new THREE.Vector3()
+    .fromArray(mountPosition)
+    .applyQuaternion(quaternion)
+    .add(new THREE.Vector3().fromArray(vehiclePose.position));
+  return {
+    position: position.toArray(),
+    quaternion: quaternion.toArray(),
+  };
+}
+
+const _endPosition = new THREE.Vector3();
+const _endQuaternion = new THREE.Quaternion();
+
+/**
+ * Interpolate the sensor pose at a time offset into a batch.
+ * @param {SensorMotion} motion
+ * @param {Number} timeNs - Offset from the batch start
+ * @param {THREE.Vector3} position - Receives the position
+ * @param {THREE.Quaternion} quaternion - Receives the rotation
+ */
+export function interpolateSensorPose(motion, timeNs, position, quaternion) {
+  const alpha =
+    motion.durationNs > 0
+      ? Math.min(Math.max(timeNs / motion.durationNs, 0), 1)
+      : 0;
+  position
+    .fromArray(motion.startPose.position)
+    .lerp(_endPosition.fromArray(motion.endPose.position), alpha);
+  quaternion
+    .fromArray(motion.startPose.quaternion)
+    .slerp(_endQuaternion.fromArray(motion.endPose.quaternion), alpha);
+}
+
+/**
+ * Re-express world points the way a sensor unaware of its own motion reports
+ * them: each point is taken into the sensor frame at its own time, then placed
+ * in the world with the single `referencePose`. Transforming the result with
+ * `referencePose` gives the raw, motion-distorted scan.
+ * @param {Float32Array} pointsData - Interleaved world points, times relative to the motion start
+ * @param {SensorMotion} motion - Sensor motion the points were scanned with
+ * @param {{position: Number[], quaternion: Number[]}} referencePose - Pose the scan is reported in
+ * @returns {Float32Array} - Copy of `pointsData` with distorted positions
+ */
+export function distortPoints(pointsData, motion, referencePose) {
+  const distorted = new Float32Array(pointsData);
+  const referenceMatrix = poseToMatrix(referencePose);
+  const sensorMatrix = new THREE.Matrix4();
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  const unitScale = new THREE.Vector3(1, 1, 1);
+  const point = new THREE.Vector3();
+
+  for (let offset = 0; offset < distorted.length; offset += POINT_STRIDE) {
+    interpolateSensorPose(
+      motion,
+      distorted[offset + POINT_FIELDS.TIME],
+      position,
+      quaternion
+    );
+    sensorMatrix.compose(position, quaternion, unitScale).invert();
+    point
+      .set(
+        distorted[offset + POINT_FIELDS.X],
+        distorted[offset + POINT_FIELDS.Y],
+        distorted[offset + POINT_FIELDS.Z]
+      )
+      .applyMatrix4(sensorMatrix)
+      .applyMatrix4(referenceMatrix);
+    distorted[offset + POINT_FIELDS.X] = point.x;
+    distorted[offset + POINT_FIELDS.Y] = point.y;
+    distorted[offset + POINT_FIELDS.Z] = point.z;
+  }
+
+  return distorted;
+}
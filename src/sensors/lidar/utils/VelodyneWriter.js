@@ -0,0 +1,236 @@
+import * as THREE from "three";
+import { IDENTITY_POSE, worldToSensorFluMatrix } from "./CoordinateFrames.js";
+import { getVelodyneProfile, VELODYNE_MODELS } from "../config/VelodyneProfiles.js";
+import { RETURN_MODES } from "../config/ReturnConfig.js";
+import { writePcap } from "./PcapWriter.js";
+import { POINT_FIELDS, POINT_STRIDE } from "./PointLayout.js";
+
+// Velodyne data packet: 12 blocks of 32 channels, then timestamp and factory bytes.
+export const VELODYNE_PACKET_SIZE = 1206;
+const BLOCKS_PER_PACKET = 12;
+const CHANNELS_PER_BLOCK = 32;
+const BLOCK_SIZE = 4 + CHANNELS_PER_BLOCK * 3;
+const BLOCK_FLAG = 0xeeff; // Bytes 0xFF 0xEE, little-endian
+const TIMESTAMP_OFFSET = BLOCKS_PER_PACKET * BLOCK_SIZE;
+const DISTANCE_UNIT = 0.002; // 2 mm
+// Return mode factory byte, by the return mode packets are encoded in
+const RETURN_MODE_BYTES = {
+  [RETURN_MODES.STRONGEST]: 0x37,
+  [RETURN_MODES.LAST]: 0x38,
+  [RETURN_MODES.DUAL]: 0x39,
+};
+const MS_PER_HOUR = 3600000;
+
+/**
+ * Find the laser whose elevation is closest to `elevationDeg`, or -1 when the
+ * elevation lies outside every laser's half-spacing window.
+ * @private
+ */
+function createLaserLookup(laserElevations) {
+  const sorted = laserElevations
+    .map((elevation, laser) => ({ elevation, laser }))
+    .sort((a, b) => a.elevation - b.elevation);
+
+  let minSpacing = Infinity;
+  for (let i = 1; i < sorted.length; i++) {
+    minSpacing = Math.min(minSpacing, sorted[i].elevation - sorted[i - 1].elevation);
+  }
+  const tolerance = minSpacing / 2;
+
+  return (elevationDeg) => {
+    let best = -1;
+    let bestError = tolerance;
+    for (const { elevation, laser } of sorted) {
+      const error = Math.abs(elevationDeg - elevation);
+      if (error <= bestError) {
+        best = laser;
+        bestError = error;
+      }
+    }
+    return best;
+  };
+}
+
+/**
+ * Resample one captured frame onto the firing grid of a spinning sensor.
+ * Each point goes to the laser nearest its elevation and the firing nearest
+ * its azimuth. When several points land in one slot, the strongest is kept,
+ * and in last and dual return modes the farthest as the last return too.
+ * @private
+ * @returns {{strongest: Object, last: Object, sequenceCount: Number, azimuthStep: Number}} -
+ *   `distances` (Uint16Array) and `reflectivity` (Uint8Array) per slot of
+ *   each return; in dual mode `strongest` skips the slot's last return
+ */
+function rasterizeFrame(frame, profile, findLaser, returnMode) {
+  const laserCount = profile.laserElevations.length;
+  const degreesPerUs = (profile.rpm * 360) / 60 / 1e6;
+  const azimuthStep = profile.firingSequenceUs * degreesPerUs;
+  const sequenceCount = Math.floor(360 / azimuthStep);
+  const slotCount = sequenceCount * laserCount;
+
+  // Two strongest and the farthest point per slot, as range and intensity
+  const strongestRange = new Float32Array(slotCount);
+  const strongestIntensity = new Float32Array(slotCount).fill(-1);
+  const secondRange = new Float32Array(slotCount);
+  const secondIntensity = new Float32Array(slotCount).fill(-1);
+  const lastRange = new Float32Array(slotCount).fill(-1);
+  const lastIntensity = new Float32Array(slotCount);
+
+  const worldToSensor = worldToSensorFluMatrix(frame.sensorPose || IDENTITY_POSE);
+  const point = new THREE.Vector3();
+  const { pointsData, pointCount } = frame;
+
+  for (let i = 0; i < pointCount; i++) {
+    const offset = i * POINT_STRIDE;
+    point
+      .set(pointsData[offset], pointsData[offset + 1], pointsData[offset + 2])
+      .applyMatrix4(worldToSensor);
+
+    const range = point.length();
+    if (range < profile.minRange || range > profile.maxRange) continue;
+
+    const elevation = THREE.MathUtils.radToDeg(Math.asin(point.z / range));
+    const laser = findLaser(elevation);
+    if (laser < 0) continue;
+
+    // Velodyne azimuth runs clockwise from the forward axis, seen from above
+    let azimuth = THREE.MathUtils.radToDeg(Math.atan2(-point.y, point.x));
+    if (azimuth < 0) azimuth += 360;
+    const sequence = Math.round(azimuth / azimuthStep) % sequenceCount;
+
+    const slot = sequence * laserCount + laser;
+    const intensity = pointsData[offset + POINT_FIELDS.INTENSITY];
+    if (range > lastRange[slot]) {
+      lastRange[slot] = range;
+      lastIntensity[slot] = intensity;
+    }
+    if (intensity > strongestIntensity[slot]) {
+      secondRange[slot] = strongestRange[slot];
+      secondIntensity[slot] = strongestIntensity[slot];
+      strongestRange[slot] = range;
+      strongestIntensity[slot] = intensity;
+    } else if (intensity > secondIntensity[slot]) {
+      secondRange[slot] = range;
+      secondIntensity[slot] = intensity;
+    }
+  }
+
+  const createReturn = () => ({
+    distances: new Uint16Array(slotCount),
+    reflectivity: new Uint8Array(slotCount),
+  });
+  const setReturn = (target, slot, range, intensity) => {
+    target.distances[slot] = Math.min(0xffff, Math.round(range / DISTANCE_UNIT));
+    // Calibrated reflectivity: 0-100 for diffuse targets
+    target.reflectivity[slot] = Math.round(Math.max(0, Math.min(1, intensity)) * 100);
+  };
+
+  const strongest = createReturn();
+  const last = createReturn();
+  for (let slot = 0; slot < slotCount; slot++) {
+    if (lastRange[slot] < 0) continue; // No return
+    setReturn(last, slot, lastRange[slot], lastIntensity[slot]);
+
+    // Dual return reports the second strongest when the strongest is the last;
+    // with a single return both blocks hold it
+    const skipLast =
+      returnMode === RETURN_MODES.DUAL &&
+      strongestRange[slot] === lastRange[slot] &&
+      secondIntensity[slot] >= 0;
+    if (skipLast) {
+      setReturn(strongest, slot, secondRange[slot], secondIntensity[slot]);
+    } else {
+      setReturn(strongest, slot, strongestRange[slot], strongestIntensity[slot]);
+    }
+  }
+
+  return { strongest, last, sequenceCount, azimuthStep };
+}
+
+/**
+ * Encode captured frames as Velodyne data packets. Each frame is treated as
+ * one revolution starting at the frame's start time. In dual return mode each
+ * firing takes two blocks at the same azimuth, the last return then the
+ * strongest, so a packet holds half as many firings.
+ * @param {Array<Object>} frames - Frames with pointsData, pointCount, startTime and sensorPose
+ * @param {Object} options
+ * @param {String} options.model - One of VELODYNE_MODELS
+ * @param {String} options.returnMode - Strongest, last or dual, see RETURN_MODES
+ * @returns {Array<{timestampMs: Number, payload: Uint8Array}>} - 1206-byte packets with their send time
+ */
+export function encodeVelodynePackets(
+  frames,
+  { model = VELODYNE_MODELS.VLP_16, returnMode = RETURN_MODES.STRONGEST } = {}
+) {
+  const returnModeByte = RETURN_MODE_BYTES[returnMode];
+  if (returnModeByte === undefined) {
+    throw new Error(`Unsupported Velodyne return mode: ${returnMode}`);
+  }
+  const profile = getVelodyneProfile(model);
+  const findLaser = createLaserLookup(profile.laserElevations);
+  const laserCount = profile.laserElevations.length;
+  const blocksPerReturn = returnMode === RETURN_MODES.DUAL ? 2 : 1;
+  const sequencesPerPacket = (BLOCKS_PER_PACKET / blocksPerReturn) * profile.firingsPerBlock;
+  const packets = [];
+
+  for (const frame of frames) {
+    const { strongest, last, sequenceCount, azimuthStep } = rasterizeFrame(
+      frame,
+      profile,
+      findLaser,
+      returnMode
+    );
+    const blockReturns =
+      returnMode === RETURN_MODES.DUAL
+        ? [last, strongest]
+        : [returnMode === RETURN_MODES.LAST ? last : strongest];
+
+    for (let first = 0; first < sequenceCount; first += sequencesPerPacket) {
+      const payload = new Uint8Array(VELODYNE_PACKET_SIZE);
+      const view = new DataView(payload.buffer);
+      const timestampMs = frame.startTime + (first * profile.firingSequenceUs) / 1000;
+
+      for (let block = 0; block < BLOCKS_PER_PACKET; block++) {
+        const blockOffset = block * BLOCK_SIZE;
+        const { distances, reflectivity } = blockReturns[block % blocksPerReturn];
+        const blockSequence =
+          first + Math.floor(block / blocksPerReturn) * profile.firingsPerBlock;
+        const azimuth = Math.round((blockSequence % sequenceCount) * azimuthStep * 100) % 36000;
+        view.setUint16(blockOffset, BLOCK_FLAG, true);
+        view.setUint16(blockOffset + 2, azimuth, true);
+
+        for (let firing = 0; firing < profile.firingsPerBlock; firing++) {
+          const sequence = blockSequence + firing;
+          if (sequence >= sequenceCount) break; // Past the revolution: no return
+          for (let laser = 0; laser < laserCount; laser++) {
+            const slot = sequence * laserCount + laser;
+            const channelOffset = blockOffset + 4 + (firing * laserCount + laser) * 3;
+            view.setUint16(channelOffset, distances[slot], true);
+            view.setUint8(channelOffset + 2, reflectivity[slot]);
+          }
+        }
+      }
+
+      // Microseconds past the top of the hour
+      const usPastHour = Math.floor((timestampMs % MS_PER_HOUR) * 1000);
+      view.setUint32(TIMESTAMP_OFFSET, usPastHour, true);
+      view.setUint8(TIMESTAMP_OFFSET + 4, returnModeByte);
+      view.setUint8(TIMESTAMP_OFFSET + 5, profile.productId);
+
+      packets.push({ timestampMs, payload });
+    }
+  }
+
+  return packets;
+}
+
+/**
+ * Write captured frames as a PCAP of Velodyne data packets broadcast to UDP port 2368,
+ * replayable by VeloView and velodyne_driver.
+ * @param {Array<Object>} frames - Frames with pointsData, pointCount, startTime and sensorPose
+ * @param {Object} options - See encodeVelodynePackets
+ * @returns {Uint8Array} - PCAP file content
+ */
+export function writeVelodynePcap(frames, options = {}) {
+  return writePcap(encodeVelodynePackets(frames, options));
+}
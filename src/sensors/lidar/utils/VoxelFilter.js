@@ -1,86 +1,108 @@
-import * as THREE from "three";
+import { POINT_FIELDS, POINT_STRIDE } from "./PointLayout.js";
 
+/**
+ * Downsample interleaved points with a voxel grid.
+ * @param {Float32Array} pointsData - Interleaved points, see POINT_FIELDS
+ * @param {Number} voxelSize - Voxel edge length (m)
+ * @param {String} method - "centroid", "first" or "random" representative per voxel
+ * @returns {Float32Array} - Filtered points in the same layout
+ */
 export function applyVoxelFilter(
-  pointCloudData,
+  pointsData,
   voxelSize = 0.1,
   method = "centroid"
 ) {
-  if (!pointCloudData || pointCloudData.length === 0) {
-    return [];
+  if (!pointsData || pointsData.length === 0) {
+    return new Float32Array(0);
   }
 
   const voxelMap = new Map();
+  const pointCount = pointsData.length / POINT_STRIDE;
 
-  pointCloudData.forEach((point) => {
-    const voxelX = Math.floor(point.x / voxelSize);
-    const voxelY = Math.floor(point.y / voxelSize);
-    const voxelZ = Math.floor(point.z / voxelSize);
+  for (let i = 0; i < pointCount; i++) {
+    const offset = i * POINT_STRIDE;
+    const voxelX = Math.floor(pointsData[offset + POINT_FIELDS.X] / voxelSize);
+    const voxelY = Math.floor(pointsData[offset + POINT_FIELDS.Y] / voxelSize);
+    const voxelZ = Math.floor(pointsData[offset + POINT_FIELDS.Z] / voxelSize);
     const voxelKey = `${voxelX},${voxelY},${voxelZ}`;
 
     if (!voxelMap.has(voxelKey)) {
       voxelMap.set(voxelKey, []);
     }
-    voxelMap.get(voxelKey).push(point);
-  });
+    voxelMap.get(voxelKey).push(i);
+  }
 
-  const filteredPoints = [];
+  const filteredPoints = new Float32Array(voxelMap.size * POINT_STRIDE);
+  let writeOffset = 0;
   voxelMap.forEach((pointsInVoxel) => {
-    if (pointsInVoxel.length > 0) {
-      let representativePoint;
-
-      switch (method) {
-        case "random":
-          representativePoint =
-            pointsInVoxel[Math.floor(Math.random() * pointsInVoxel.length)];
-          break;
-        case "first":
-          representativePoint = pointsInVoxel[0];
-          break;
-        case "centroid":
-        default:
-          representativePoint = calculateCentroid(pointsInVoxel);
-          break;
-      }
-
-      filteredPoints.push(representativePoint);
+    switch (method) {
+      case "random":
+        copyPoint(
+          pointsData,
+          pointsInVoxel[Math.floor(Math.random() * pointsInVoxel.length)],
+          filteredPoints,
+          writeOffset
+        );
+        break;
+      case "first":
+        copyPoint(pointsData, pointsInVoxel[0], filteredPoints, writeOffset);
+        break;
+      case "centroid":
+      default:
+        writeCentroid(pointsData, pointsInVoxel, filteredPoints, writeOffset);
+        break;
     }
+    writeOffset += POINT_STRIDE;
   });
 
   return filteredPoints;
 }
 
-function calculateCentroid(points) {
+function copyPoint(pointsData, index, target, targetOffset) {
+  const offset = index * POINT_STRIDE;
+  target.set(pointsData.subarray(offset, offset + POINT_STRIDE), targetOffset);
+}
+
+function writeCentroid(pointsData, indices, target, targetOffset) {
   let sumX = 0,
     sumY = 0,
     sumZ = 0;
   let sumIntensity = 0,
     sumTime = 0;
   let tags = [],
-    lines = [];
+    lines = [],
+    labels = [],
+    instances = [],
+    returnIndices = [],
+    returnCounts = [];
 
-  points.forEach((point) => {
-    sumX += point.x;
-    sumY += point.y;
-    sumZ += point.z;
-    sumIntensity += point.intensity;
-    sumTime += point.time;
-    tags.push(point.tag);
-    lines.push(point.line);
+  indices.forEach((index) => {
+    const offset = index * POINT_STRIDE;
+    sumX += pointsData[offset + POINT_FIELDS.X];
+    sumY += pointsData[offset + POINT_FIELDS.Y];
+    sumZ += pointsData[offset + POINT_FIELDS.Z];
+    sumIntensity += pointsData[offset + POINT_FIELDS.INTENSITY];
+    sumTime += pointsData[offset + POINT_FIELDS.TIME];
+    tags.push(pointsData[offset + POINT_FIELDS.TAG]);
+    lines.push(pointsData[offset + POINT_FIELDS.LINE]);
+    labels.push(pointsData[offset + POINT_FIELDS.LABEL]);
+    instances.push(pointsData[offset + POINT_FIELDS.INSTANCE]);
+    returnIndices.push(pointsData[offset + POINT_FIELDS.RETURN_INDEX]);
+    returnCounts.push(pointsData[offset + POINT_FIELDS.RETURN_COUNT]);
   });
 
-  const numPoints = points.length;
-  const mostCommonTag = findMostCommon(tags);
-  const mostCommonLine = findMostCommon(lines);
-
-  return {
-    x: sumX / numPoints,
-    y: sumY / numPoints,
-    z: sumZ / numPoints,
-    intensity: sumIntensity / numPoints,
-    time: sumTime / numPoints,
-    tag: mostCommonTag,
-    line: mostCommonLine,
-  };
+  const numPoints = indices.length;
+  target[targetOffset + POINT_FIELDS.X] = sumX / numPoints;
+  target[targetOffset + POINT_FIELDS.Y] = sumY / numPoints;
+  target[targetOffset + POINT_FIELDS.Z] = sumZ / numPoints;
+  target[targetOffset + POINT_FIELDS.INTENSITY] = sumIntensity / numPoints;
+  target[targetOffset + POINT_FIELDS.TIME] = sumTime / numPoints;
+  target[targetOffset + POINT_FIELDS.TAG] = findMostCommon(tags);
+  target[targetOffset + POINT_FIELDS.LINE] = findMostCommon(lines);
+  target[targetOffset + POINT_FIELDS.LABEL] = findMostCommon(labels);
+  target[targetOffset + POINT_FIELDS.INSTANCE] = findMostCommon(instances);
+  target[targetOffset + POINT_FIELDS.RETURN_INDEX] = findMostCommon(returnIndices);
+  target[targetOffset + POINT_FIELDS.RETURN_COUNT] = findMostCommon(returnCounts);
 }
 
 function findMostCommon(array) {
@@ -0,0 +1,93 @@
+// Raycast worker of RaycastWorkerPool: scans batches against its copy of the
+// scene with the same ScanningLogic as the main thread.
+
+import * as THREE from "three";
+import { installMeshBvh } from "../../../scene/MeshBvh.js";
+import { LidarMeshRegistry } from "../logic/LidarMeshRegistry.js";
+import { castRaysForFrame } from "../logic/ScanningLogic.js";
+import { createScanPattern } from "../logic/ScanPattern.js";
+import { RAYCAST_MESSAGE_TYPES } from "../logic/RaycastWorkerPool.js";
+import {
+  applyTransformUpdates,
+  buildSceneFromSnapshot,
+} from "../utils/SceneSnapshot.js";
+
+installMeshBvh();
+
+const raycaster = new THREE.Raycaster();
+const sensorPosition = new THREE.Vector3();
+
+let world = null; // {scene, meshes}, see buildSceneFromSnapshot
+let meshRegistry = null; // The copies, registered as on the main thread, which sends only enabled meshes
+let meshIndices = null; // Map of copy to its index in the snapshot
+let lidarConfig = null;
+let scanPattern = null;
+
+function scan({ firingIndex, sensorPosition: origin, motion }) {
+  const scanState = { scanPattern, firingIndex };
+  const { points, cleanPoints } = castRaysForFrame(
+    sensorPosition.fromArray(origin),
+    meshRegistry,
+    scanState,
+    raycaster,
+    lidarConfig,
+    true,
+    motion
+  );
+  return { points, cleanPoints, culling: serializeCulling(meshRegistry.lastCulling) };
+}
+
+// Culling of the last scan by snapshot index, as the copies mean nothing on
+// the main thread
+function serializeCulling({ visibleMeshes, culledInstances, statistics }) {
+  return {
+    visibleMeshes: [...visibleMeshes].map((mesh) => meshIndices.get(mesh)),
+    culledInstances: [...culledInstances].map(([mesh, instances]) => [
+      meshIndices.get(mesh),
+      [...instances],
+    ]),
+    statistics,
+  };
+}
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case RAYCAST_MESSAGE_TYPES.SCENE:
+      world = buildSceneFromSnapshot(data.snapshot);
+      meshRegistry = new LidarMeshRegistry();
+      meshIndices = new Map();
+      world.meshes.forEach((mesh, i) => {
+        meshRegistry.register(mesh, data.snapshot[i].registration ?? {});
+        meshIndices.set(mesh, i);
+      });
+      break;
+    case RAYCAST_MESSAGE_TYPES.TRANSFORMS:
+      applyTransformUpdates(world.meshes, data.updates);
+      break;
+    case RAYCAST_MESSAGE_TYPES.CONFIG:
+      lidarConfig = data.lidarConfig;
+      scanPattern = createScanPattern(lidarConfig);
+      break;
+    case RAYCAST_MESSAGE_TYPES.SCAN: {
+      try {
+        const { points, cleanPoints, culling } = scan(data);
+        const transfer = cleanPoints
+          ? [points.buffer, cleanPoints.buffer]
+          : [points.buffer];
+        self.postMessage(
+          { type: RAYCAST_MESSAGE_TYPES.RESULT, jobId: data.jobId, points, cleanPoints, culling },
+          transfer
+        );
+      } catch (error) {
+        self.postMessage({
+          type: RAYCAST_MESSAGE_TYPES.RESULT,
+          jobId: data.jobId,
+          error: error.message,
+        });
+      }
+      break;
+    }
+    default:
+      console.warn(`Unknown raycast message: ${data.type}`);
+  }
+};
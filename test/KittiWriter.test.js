@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { OBJECT_CLASSES } from "../src/sensors/lidar/config/ObjectClasses.js";
+import { SEMANTIC_CLASSES } from "../src/sensors/lidar/config/SemanticClasses.js";
+import { buildKittiSequence } from "../src/sensors/lidar/utils/KittiWriter.js";
+import { POINT_FIELDS, POINT_STRIDE } from "../src/sensors/lidar/utils/PointLayout.js";
+
+const START_TIME = Date.UTC(2024, 0, 1);
+
+const parseRows = (text) =>
+  text
+    .trim()
+    .split("\n")
+    .map((line) => line.split(" "));
+
+const parseNumbers = (line) => line.split(" ").map(Number);
+
+// One labelled point at three.js (1, 2, 3), which is 3 m ahead, 1 m left and
+// 2 m up of a sensor at the origin, and a car 10 m ahead facing the same way
+const pointsData = new Float32Array(POINT_STRIDE);
+pointsData.set([1, 2, 3, 0.25]);
+pointsData[POINT_FIELDS.LABEL] = SEMANTIC_CLASSES.CAR;
+pointsData[POINT_FIELDS.INSTANCE] = 3;
+pointsData[POINT_FIELDS.RETURN_COUNT] = 1;
+
+const car = {
+  objectClass: OBJECT_CLASSES.CAR,
+  center: [0, 1, 10],
+  quaternion: [0, 0, 0, 1],
+  size: [4, 2, 1.5],
+  visibility: 0.5,
+};
+
+// The sensor drives 5 m forward between the two frames
+const files = buildKittiSequence([
+  { pointsData, pointCount: 1, startTime: START_TIME, objects: [car] },
+  {
+    pointsData,
+    pointCount: 1,
+    startTime: START_TIME + 100,
+    sensorPose: { position: [0, 0, 5], quaternion: [0, 0, 0, 1] },
+    objects: [],
+  },
+]);
+
+test("calib.txt maps velodyne axes onto the camera's", () => {
+  const rows = Object.fromEntries(
+    files["calib.txt"]
+      .trim()
+      .split("\n")
+      .map((line) => {
+        const [key, values] = line.split(": ");
+        return [key, parseNumbers(values)];
+      })
+  );
+
+  assert.deepEqual(Object.keys(rows), ["P0", "P1", "P2", "P3", "Tr"]);
+  assert.deepEqual(rows.P2, [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0]);
+  assert.deepEqual(rows.Tr, [0, -1, 0, 0, 0, 0, -1, 0, 1, 0, 0, 0]);
+});
+
+test("times.txt and poses.txt are relative to the first frame", () => {
+  assert.equal(files["times.txt"], "0.000000e+00\n1.000000e-01\n");
+
+  const poses = files["poses.txt"].trim().split("\n").map(parseNumbers);
+  assert.deepEqual(poses[0], [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0]);
+  // Forward is the camera's +z
+  assert.deepEqual(poses[1], [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 5]);
+  assert.match(files["poses.txt"], /^1\.000000e\+00 0\.000000e\+00 /);
+});
+
+test("velodyne scans and SemanticKITTI labels hold one entry per point", () => {
+  const scan = new Float32Array(files["velodyne/000000.bin"].buffer);
+  assert.deepEqual(Array.from(scan), [3, 1, 2, 0.25]);
+
+  const labels = new Uint32Array(files["labels/000001.label"].buffer);
+  assert.deepEqual(Array.from(labels), [(3 << 16) | SEMANTIC_CLASSES.CAR]);
+});
+
+test("label_2 writes objects as camera-frame KITTI boxes", () => {
+  const [row] = parseRows(files["label_2/000000.txt"]);
+
+  assert.equal(row[0], "Car");
+  assert.deepEqual(row.slice(1, 3), ["0.00", "1"]); // Not truncated, partly occluded
+  assert.deepEqual(row.slice(4, 8), ["0.00", "0.00", "0.00", "0.00"]);
+  // Height, width, length, then the bottom centre in camera coordinates
+  assert.deepEqual(row.slice(8, 14).map(Number), [1.5, 2, 4, 0, -0.25, 10]);
+  // Facing forward is a rotation of -pi/2 about the camera's y axis
+  assert.equal(row[14], "-1.57");
+  assert.equal(row[3], "-1.57");
+
+  assert.equal(files["label_2/000001.txt"], "");
+});
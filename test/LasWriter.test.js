@@ -0,0 +1,103 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { SEMANTIC_CLASSES } from "../src/sensors/lidar/config/SemanticClasses.js";
+import { unixMsToAdjustedGpsTime, writeLas } from "../src/sensors/lidar/utils/LasWriter.js";
+import { POINT_FIELDS, POINT_STRIDE } from "../src/sensors/lidar/utils/PointLayout.js";
+
+const HEADER_SIZE = 375;
+const VLR_HEADER_SIZE = 54;
+const EXTRA_BYTES_DESCRIPTOR_SIZE = 192;
+const START_TIME = Date.UTC(2024, 0, 1);
+
+function readString(bytes, offset, length) {
+  return new TextDecoder().decode(bytes.subarray(offset, offset + length)).replace(/\0+$/, "");
+}
+
+function createFrame(points, frameNumber = 3) {
+  const pointsData = new Float32Array(points.length * POINT_STRIDE);
+  points.forEach((point, i) => {
+    Object.entries(point).forEach(([field, value]) => {
+      pointsData[i * POINT_STRIDE + POINT_FIELDS[field]] = value;
+    });
+  });
+  return { pointsData, pointCount: points.length, startTime: START_TIME, frameNumber };
+}
+
+const FRAME = createFrame([
+  { X: 1, Y: 2, Z: 3, INTENSITY: 0.5, TIME: 2e6, LINE: 4, TAG: 16, LABEL: SEMANTIC_CLASSES.BUILDING },
+  { X: -4, Y: 5, Z: -6, INTENSITY: 1, LINE: 7, RETURN_INDEX: 1, RETURN_COUNT: 2 },
+]);
+
+test("writes the LAS 1.4 header and the extra bytes VLR", () => {
+  const content = writeLas([FRAME]);
+  const view = new DataView(content.buffer);
+  const pointDataOffset = HEADER_SIZE + VLR_HEADER_SIZE + 2 * EXTRA_BYTES_DESCRIPTOR_SIZE;
+
+  assert.equal(readString(content, 0, 4), "LASF");
+  assert.equal(view.getUint16(6, true), 0x11); // Adjusted GPS time, WKT
+  assert.deepEqual([view.getUint8(24), view.getUint8(25)], [1, 4]);
+  assert.deepEqual([view.getUint16(90, true), view.getUint16(92, true)], [1, 2024]);
+  assert.equal(view.getUint16(94, true), HEADER_SIZE);
+  assert.equal(view.getUint32(96, true), pointDataOffset);
+  assert.equal(view.getUint32(100, true), 1);
+  assert.equal(view.getUint8(104), 6);
+  assert.equal(view.getUint16(105, true), 32);
+  assert.equal(view.getUint32(107, true), 0); // Legacy count unused by format 6
+  assert.equal(view.getBigUint64(247, true), 2n);
+  assert.deepEqual([view.getBigUint64(255, true), view.getBigUint64(263, true)], [1n, 1n]);
+  assert.equal(content.length, pointDataOffset + 2 * 32);
+
+  assert.equal(readString(content, HEADER_SIZE + 2, 16), "LASF_Spec");
+  assert.equal(view.getUint16(HEADER_SIZE + 18, true), 4);
+  assert.equal(view.getUint16(HEADER_SIZE + 20, true), 2 * EXTRA_BYTES_DESCRIPTOR_SIZE);
+  ["line", "tag"].forEach((name, i) => {
+    const descriptor = HEADER_SIZE + VLR_HEADER_SIZE + i * EXTRA_BYTES_DESCRIPTOR_SIZE;
+    assert.equal(view.getUint8(descriptor + 2), 1); // unsigned char
+    assert.equal(readString(content, descriptor + 4, 32), name);
+  });
+});
+
+test("writes format 6 point records in the forward-left-up frame", () => {
+  const content = writeLas([FRAME]);
+  const view = new DataView(content.buffer);
+  const scale = [131, 139, 147].map((offset) => view.getFloat64(offset, true));
+  const offset = [155, 163, 171].map((at) => view.getFloat64(at, true));
+  const readPosition = (record) =>
+    [0, 4, 8].map((at, axis) => view.getInt32(record + at, true) * scale[axis] + offset[axis]);
+
+  const first = view.getUint32(96, true);
+  assert.deepEqual(readPosition(first), [3, 1, 2]);
+  assert.equal(view.getUint16(first + 12, true), 32768);
+  assert.equal(view.getUint8(first + 14), 1 | (1 << 4));
+  assert.equal(view.getUint8(first + 16), 6); // Building
+  assert.equal(view.getUint16(first + 20, true), 3);
+  assert.equal(view.getFloat64(first + 22, true), unixMsToAdjustedGpsTime(START_TIME + 2));
+  assert.deepEqual([view.getUint8(first + 30), view.getUint8(first + 31)], [4, 16]);
+
+  const second = first + 32;
+  assert.deepEqual(readPosition(second), [-6, -4, 5]);
+  assert.equal(view.getUint8(second + 14), 2 | (2 << 4));
+
+  // Bounds: max then min per axis
+  assert.deepEqual(
+    [179, 187, 195, 203, 211, 219].map((at) => view.getFloat64(at, true)),
+    [3, -6, 1, -4, 5, 2]
+  );
+});
+
+test("writes legacy counts and 3-bit returns in format 1", () => {
+  const content = writeLas([FRAME], { pointFormat: 1 });
+  const view = new DataView(content.buffer);
+  assert.equal(view.getUint16(6, true), 0x01);
+  assert.equal(view.getUint8(104), 1);
+  assert.equal(view.getUint16(105, true), 30);
+  assert.equal(view.getUint32(107, true), 2);
+  assert.deepEqual([view.getUint32(111, true), view.getUint32(115, true)], [1, 1]);
+
+  const second = view.getUint32(96, true) + 30;
+  assert.equal(view.getUint8(second + 14), 2 | (2 << 3));
+});
+
+test("rejects unsupported point formats", () => {
+  assert.throws(() => writeLas([FRAME], { pointFormat: 3 }), /Unsupported LAS point data record format/);
+});
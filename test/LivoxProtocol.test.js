@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  COMMAND_IDS,
+  DATA_TYPES,
+  PARAM_KEYS,
+  buildControlFrame,
+  buildImuPacket,
+  buildPointPacket,
+  crc16,
+  crc32,
+  encodeKeyValues,
+  parseControlFrame,
+  parseKeyValueList,
+} from "../bridge/livox/protocol.js";
+import { POINT_FIELDS, POINT_STRIDE } from "../src/sensors/lidar/utils/PointLayout.js";
+
+const CHECK_INPUT = Buffer.from("123456789", "ascii");
+
+test("CRC16 and CRC32 match the CCITT-FALSE and IEEE check values", () => {
+  assert.equal(crc16(CHECK_INPUT), 0x29b1);
+  assert.equal(crc32(CHECK_INPUT), 0xcbf43926);
+});
+
+test("control frames carry header and data CRCs and parse back", () => {
+  const data = encodeKeyValues([{ key: PARAM_KEYS.WORK_MODE, value: Buffer.from([1]) }]);
+  const frame = buildControlFrame(COMMAND_IDS.GET_PARAMS, 0x01020304, data);
+
+  assert.equal(frame[0], 0xaa);
+  assert.equal(frame.readUInt16LE(2), 24 + data.length);
+  assert.equal(frame.readUInt16LE(18), crc16(frame.subarray(0, 18)));
+  assert.equal(frame.readUInt32LE(20), crc32(data));
+
+  const parsed = parseControlFrame(frame);
+  assert.equal(parsed.seqNum, 0x01020304);
+  assert.equal(parsed.cmdId, COMMAND_IDS.GET_PARAMS);
+  assert.equal(parsed.cmdType, 1);
+  assert.deepEqual(parsed.data, data);
+
+  // Key/value lists in requests are prefixed with key_num and a reserved u16
+  const request = Buffer.concat([Buffer.from([1, 0, 0, 0]), data]);
+  assert.deepEqual(parseKeyValueList(request), [
+    { key: PARAM_KEYS.WORK_MODE, value: Buffer.from([1]) },
+  ]);
+
+  frame[8] ^= 0xff;
+  assert.equal(parseControlFrame(frame), null);
+});
+
+test("point packets hold a 36-byte header and 14-byte Cartesian points", () => {
+  const points = new Float32Array(2 * POINT_STRIDE);
+  points.set([1.5, -0.25, 0.001], POINT_STRIDE);
+  points[POINT_STRIDE + POINT_FIELDS.INTENSITY] = 1;
+  points[POINT_STRIDE + POINT_FIELDS.RETURN_COUNT] = 1;
+
+  const packet = buildPointPacket({
+    points,
+    componentsPerPoint: POINT_STRIDE,
+    start: 1,
+    count: 1,
+    udpCounter: 0x10005,
+    frameCounter: 258,
+    timestampNs: 1700000000123456789n,
+    timeIntervalUs: 12.34,
+  });
+
+  assert.equal(packet.length, 36 + 14);
+  assert.equal(packet.readUInt16LE(1), packet.length);
+  assert.equal(packet.readUInt16LE(3), 123); // 0.1 us units
+  assert.equal(packet.readUInt16LE(5), 1);
+  assert.equal(packet.readUInt16LE(7), 5);
+  assert.equal(packet[9], 2);
+  assert.equal(packet[10], DATA_TYPES.CARTESIAN_HIGH);
+  assert.equal(packet.readBigUInt64LE(28), 1700000000123456789n);
+  assert.equal(packet.readUInt32LE(24), crc32(packet.subarray(28)));
+
+  assert.deepEqual(
+    [packet.readInt32LE(36), packet.readInt32LE(40), packet.readInt32LE(44)],
+    [1500, -250, 1]
+  );
+  assert.equal(packet[48], 255);
+});
+
+test("IMU packets send acceleration in g", () => {
+  const packet = buildImuPacket({
+    gyro: [0.5, 0, -0.5],
+    accel: [0, 0, 9.80665],
+    udpCounter: 7,
+    timestampNs: 1000n,
+  });
+
+  assert.equal(packet.length, 36 + 24);
+  assert.equal(packet[10], DATA_TYPES.IMU);
+  assert.equal(packet.readFloatLE(36), 0.5);
+  assert.equal(packet.readFloatLE(44), -0.5);
+  assert.equal(packet.readFloatLE(56), 1);
+  assert.equal(packet.readUInt32LE(24), crc32(packet.subarray(28)));
+});
@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { POINT_FIELDS, POINT_STRIDE } from "../src/sensors/lidar/utils/PointLayout.js";
+import { writeLvx2 } from "../src/sensors/lidar/utils/Lvx2Writer.js";
+
+const START_TIME = Date.UTC(2024, 0, 1);
+const HEADER_SIZE = 24 + 5 + 63; // Public header, private header, one device
+const FRAME_HEADER_SIZE = 24;
+const PACKAGE_HEADER_SIZE = 27;
+const POINT_SIZE = 14;
+
+// 100 points in the first 50 ms of a 100 ms frame and 30 in the second,
+// 2 m straight ahead of a sensor at the origin looking along three.js +Z
+const FIRST_SUB_FRAME_POINTS = 100;
+const SECOND_SUB_FRAME_POINTS = 30;
+
+function createFrame() {
+  const pointCount = FIRST_SUB_FRAME_POINTS + SECOND_SUB_FRAME_POINTS;
+  const pointsData = new Float32Array(pointCount * POINT_STRIDE);
+  for (let i = 0; i < pointCount; i++) {
+    const offset = i * POINT_STRIDE;
+    const timeMs = i < FIRST_SUB_FRAME_POINTS ? i * 0.1 : 60 + (i - FIRST_SUB_FRAME_POINTS) * 0.1;
+    pointsData[offset + POINT_FIELDS.Z] = 2;
+    pointsData[offset + POINT_FIELDS.INTENSITY] = 0.5;
+    pointsData[offset + POINT_FIELDS.TIME] = timeMs * 1e6;
+    pointsData[offset + POINT_FIELDS.RETURN_COUNT] = 1;
+  }
+  return { pointsData, pointCount, startTime: START_TIME };
+}
+
+describe("writeLvx2", () => {
+  const content = writeLvx2([createFrame()], {
+    frameInterval: 100,
+    serialNumber: "47MDL9A0000001",
+    lidarIp: "192.168.1.100",
+  });
+  const view = new DataView(content.buffer);
+  const text = (offset, length) =>
+    new TextDecoder().decode(content.subarray(offset, offset + length)).replace(/\0+$/, "");
+
+  it("writes the public, private and device info headers", () => {
+    assert.equal(text(0, 16), "livox_tech");
+    assert.deepEqual(Array.from(content.subarray(16, 20)), [2, 0, 0, 0]);
+    assert.equal(view.getUint32(20, true), 0xac0ea767);
+    assert.equal(view.getUint32(24, true), 50); // Frame duration (ms)
+    assert.equal(view.getUint8(28), 1);
+
+    assert.equal(text(29, 16), "47MDL9A0000001");
+    assert.equal(view.getUint32(29 + 32, true), 0x6401a8c0); // 192.168.1.100
+    assert.deepEqual([view.getUint8(29 + 36), view.getUint8(29 + 37)], [8, 9]);
+  });
+
+  it("chains frame headers by their current and next offsets", () => {
+    const firstFrameSize =
+      FRAME_HEADER_SIZE + 2 * PACKAGE_HEADER_SIZE + FIRST_SUB_FRAME_POINTS * POINT_SIZE;
+    const secondFrameSize =
+      FRAME_HEADER_SIZE + PACKAGE_HEADER_SIZE + SECOND_SUB_FRAME_POINTS * POINT_SIZE;
+    const secondFrame = HEADER_SIZE + firstFrameSize;
+
+    assert.equal(view.getBigUint64(HEADER_SIZE, true), BigInt(HEADER_SIZE));
+    assert.equal(view.getBigUint64(HEADER_SIZE + 8, true), BigInt(secondFrame));
+    assert.equal(view.getBigUint64(HEADER_SIZE + 16, true), 0n);
+    assert.equal(view.getBigUint64(secondFrame, true), BigInt(secondFrame));
+    assert.equal(view.getBigUint64(secondFrame + 8, true), BigInt(content.length));
+    assert.equal(view.getBigUint64(secondFrame + 16, true), 1n);
+    assert.equal(content.length, secondFrame + secondFrameSize);
+  });
+
+  it("splits sub-frames into packages of at most 96 points", () => {
+    const firstPackage = HEADER_SIZE + FRAME_HEADER_SIZE;
+    const secondPackage = firstPackage + PACKAGE_HEADER_SIZE + 96 * POINT_SIZE;
+
+    assert.equal(view.getUint32(firstPackage + 1, true), 0x6401a8c0);
+    assert.equal(view.getBigUint64(firstPackage + 7, true), BigInt(START_TIME) * 1000000n);
+    assert.equal(view.getUint16(firstPackage + 15, true), 0);
+    assert.equal(view.getUint8(firstPackage + 17), 1); // Cartesian high precision
+    assert.equal(view.getUint32(firstPackage + 18, true), 96 * POINT_SIZE);
+
+    assert.equal(view.getUint16(secondPackage + 15, true), 1);
+    assert.equal(view.getUint32(secondPackage + 18, true), 4 * POINT_SIZE);
+  });
+
+  it("stores points in millimetres in the sensor frame", () => {
+    const firstPoint = HEADER_SIZE + FRAME_HEADER_SIZE + PACKAGE_HEADER_SIZE;
+    assert.deepEqual(
+      [
+        view.getInt32(firstPoint, true),
+        view.getInt32(firstPoint + 4, true),
+        view.getInt32(firstPoint + 8, true),
+      ],
+      [2000, 0, 0]
+    );
+    assert.equal(view.getUint8(firstPoint + 12), 128);
+  });
+});
@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { compressLZF } from "../src/sensors/lidar/utils/LzfCompression.js";
+import { createRandom } from "../src/sensors/lidar/utils/SeededRandom.js";
+
+// liblzf's lzf_decompress: literal runs (control < 32) and back-references
+function decompressLZF(input, outputLength) {
+  const output = new Uint8Array(outputLength);
+  let inputIndex = 0;
+  let outputIndex = 0;
+  while (inputIndex < input.length) {
+    const control = input[inputIndex++];
+    if (control < 1 << 5) {
+      for (let i = 0; i <= control; i++) output[outputIndex++] = input[inputIndex++];
+      continue;
+    }
+
+    let length = control >> 5;
+    if (length === 7) length += input[inputIndex++];
+    let reference = outputIndex - ((control & 0x1f) << 8) - input[inputIndex++] - 1;
+    assert.ok(reference >= 0, "back-reference before the start of the output");
+    for (let i = 0; i < length + 2; i++) output[outputIndex++] = output[reference++];
+  }
+  assert.equal(outputIndex, outputLength);
+  return output;
+}
+
+function randomBytes(length, seed) {
+  const random = createRandom(seed, "test");
+  return Uint8Array.from({ length }, () => Math.floor(random.next() * 256));
+}
+
+function assertRoundTrip(input) {
+  const compressed = compressLZF(input);
+  assert.deepEqual(decompressLZF(compressed, input.length), input);
+  return compressed;
+}
+
+test("compresses empty input to nothing", () => {
+  assert.equal(compressLZF(new Uint8Array(0)).length, 0);
+});
+
+test("round-trips inputs shorter than a match", () => {
+  for (let length = 1; length < 5; length++) {
+    assertRoundTrip(randomBytes(length, length));
+  }
+});
+
+test("round-trips incompressible data within the worst-case size", () => {
+  const input = randomBytes(10000, 1);
+  const compressed = assertRoundTrip(input);
+  assert.ok(compressed.length <= input.length + Math.ceil(input.length / 32) + 1);
+});
+
+test("round-trips long runs with the longest back-references", () => {
+  const compressed = assertRoundTrip(new Uint8Array(5000).fill(7));
+  assert.ok(compressed.length < 100);
+});
+
+test("round-trips repeats further apart than the back-reference window", () => {
+  const block = randomBytes(9000, 2);
+  const input = new Uint8Array(block.length * 3);
+  input.set(block, 0);
+  input.set(block, block.length);
+  input.set(block.subarray(0, 100), 2 * block.length + 50);
+  assertRoundTrip(input);
+});
+
+test("round-trips point data", () => {
+  const points = new Float32Array(4000);
+  points.forEach((_, i) => {
+    points[i] = i % 11 < 3 ? Math.sin(i) * 20 : i % 11;
+  });
+  const input = new Uint8Array(points.buffer);
+  const compressed = assertRoundTrip(input);
+  assert.ok(compressed.length < input.length);
+});
@@ -0,0 +1,124 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { McapWriter } from "../src/sensors/lidar/utils/McapWriter.js";
+
+const MAGIC = [0x89, 0x4d, 0x43, 0x41, 0x50, 0x30, 0x0d, 0x0a];
+const OPCODES = {
+  HEADER: 0x01,
+  FOOTER: 0x02,
+  SCHEMA: 0x03,
+  CHANNEL: 0x04,
+  MESSAGE: 0x05,
+  STATISTICS: 0x0b,
+  SUMMARY_OFFSET: 0x0e,
+  DATA_END: 0x0f,
+};
+
+// Records between the leading and trailing magic, with their file offsets
+function readRecords(file) {
+  const view = new DataView(file.buffer, file.byteOffset, file.byteLength);
+  const records = [];
+  let offset = MAGIC.length;
+  while (offset < file.length - MAGIC.length) {
+    const length = Number(view.getBigUint64(offset + 1, true));
+    records.push({
+      offset,
+      opcode: file[offset],
+      content: new DataView(file.buffer, file.byteOffset + offset + 9, length),
+    });
+    offset += 9 + length;
+  }
+  assert.equal(offset, file.length - MAGIC.length, "records overrun the trailing magic");
+  return records;
+}
+
+function readString(content, offset) {
+  const length = content.getUint32(offset, true);
+  const bytes = new Uint8Array(content.buffer, content.byteOffset + offset + 4, length);
+  return new TextDecoder().decode(bytes);
+}
+
+function writeRecording() {
+  const writer = new McapWriter();
+  const schemaId = writer.registerSchema({
+    name: "std_msgs/msg/String",
+    encoding: "ros2msg",
+    data: "string data",
+  });
+  const channelId = writer.registerChannel({ topic: "/chatter", schemaId, messageEncoding: "cdr" });
+  writer.addMessage({ channelId, logTime: 2000, sequence: 1, data: new Uint8Array([1, 2, 3]) });
+  writer.addMessage({ channelId, logTime: 1000n, sequence: 2, data: new Uint8Array([4]) });
+  return { file: writer.finish(), schemaId, channelId };
+}
+
+test("frames the file with magic and length-prefixed records", () => {
+  const { file } = writeRecording();
+  assert.deepEqual([...file.subarray(0, 8)], MAGIC);
+  assert.deepEqual([...file.subarray(-8)], MAGIC);
+
+  const opcodes = readRecords(file).map(({ opcode }) => opcode);
+  assert.deepEqual(opcodes, [
+    OPCODES.HEADER,
+    OPCODES.SCHEMA,
+    OPCODES.CHANNEL,
+    OPCODES.MESSAGE,
+    OPCODES.MESSAGE,
+    OPCODES.DATA_END,
+    OPCODES.SCHEMA,
+    OPCODES.CHANNEL,
+    OPCODES.STATISTICS,
+    OPCODES.SUMMARY_OFFSET,
+    OPCODES.SUMMARY_OFFSET,
+    OPCODES.SUMMARY_OFFSET,
+    OPCODES.FOOTER,
+  ]);
+});
+
+test("writes the header, schema, channel and message records", () => {
+  const { file, schemaId, channelId } = writeRecording();
+  const [header, schema, channel, message] = readRecords(file).map(({ content }) => content);
+
+  assert.equal(readString(header, 0), "ros2");
+  assert.equal(schema.getUint16(0, true), schemaId);
+  assert.equal(readString(schema, 2), "std_msgs/msg/String");
+  assert.equal(channel.getUint16(0, true), channelId);
+  assert.equal(channel.getUint16(2, true), schemaId);
+  assert.equal(readString(channel, 4), "/chatter");
+
+  assert.equal(message.getUint16(0, true), channelId);
+  assert.equal(message.getUint32(2, true), 1);
+  assert.equal(message.getBigUint64(6, true), 2000n);
+  assert.equal(message.getBigUint64(14, true), 2000n); // Publish time defaults to log time
+  assert.deepEqual([...new Uint8Array(message.buffer, message.byteOffset + 22, 3)], [1, 2, 3]);
+});
+
+test("points the footer and summary offsets at the summary records", () => {
+  const { file } = writeRecording();
+  const records = readRecords(file);
+  const recordAt = new Map(records.map((record) => [record.offset, record]));
+  const footer = records.at(-1).content;
+
+  const summaryStart = Number(footer.getBigUint64(0, true));
+  const summaryOffsetStart = Number(footer.getBigUint64(8, true));
+  assert.equal(recordAt.get(summaryStart).opcode, OPCODES.SCHEMA);
+  assert.equal(recordAt.get(summaryOffsetStart).opcode, OPCODES.SUMMARY_OFFSET);
+
+  records
+    .filter(({ opcode }) => opcode === OPCODES.SUMMARY_OFFSET)
+    .forEach(({ content }) => {
+      const groupStart = Number(content.getBigUint64(1, true));
+      const group = records.filter(
+        ({ offset }) =>
+          offset >= groupStart && offset < groupStart + Number(content.getBigUint64(9, true))
+      );
+      assert.equal(group[0].offset, groupStart);
+      assert.ok(group.every(({ opcode }) => opcode === content.getUint8(0)));
+    });
+
+  const statistics = records.find(({ opcode }) => opcode === OPCODES.STATISTICS).content;
+  assert.equal(statistics.getBigUint64(0, true), 2n); // Messages
+  assert.equal(statistics.getUint16(8, true), 1); // Schemas
+  assert.equal(statistics.getUint32(10, true), 1); // Channels
+  assert.equal(statistics.getBigUint64(26, true), 1000n); // Message start time
+  assert.equal(statistics.getBigUint64(34, true), 2000n); // Message end time
+});
@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import * as THREE from "three";
+import { createLidarConfig } from "../src/sensors/lidar/config/LidarConfig.js";
+import { createNoiseConfig } from "../src/sensors/lidar/config/NoiseConfig.js";
+import { NoiseModel } from "../src/sensors/lidar/logic/NoiseModel.js";
+
+const ORIGIN = new THREE.Vector3(0, 0, 0);
+const SAMPLES = 4000;
+
+function createModel(noise, { seed = 1, firstFiringIndex = 0 } = {}) {
+  return new NoiseModel(
+    createLidarConfig({ seed, noise: createNoiseConfig(noise) }),
+    firstFiringIndex
+  );
+}
+
+// Echo straight ahead of the origin, highly reflective so dropouts stay rare
+const createHit = (range, incidenceCos = 1) => ({
+  x: 0,
+  y: 0,
+  z: range,
+  intensity: 0.5,
+  reflectivity: 0.8,
+  incidenceCos,
+});
+
+// Ranges of the returns kept out of SAMPLES noisy copies of a hit
+function measureRanges(model, range, incidenceCos) {
+  const ranges = [];
+  for (let i = 0; i < SAMPLES; i++) {
+    const point = createHit(range, incidenceCos);
+    if (model.apply(point, ORIGIN)) {
+      ranges.push(Math.hypot(point.x, point.y, point.z));
+    }
+  }
+  return ranges;
+}
+
+function standardDeviation(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance =
+    values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return { mean, sigma: Math.sqrt(variance) };
+}
+
+test("range noise grows with distance and grazing incidence", () => {
+  const model = createModel({ dropoutRate: 0, dropoutRangeExponent: 100, rangeResolution: 0 });
+
+  const near = standardDeviation(measureRanges(model, 10, 1));
+  assert.ok(Math.abs(near.mean - 10) < 0.002, `mean ${near.mean}`);
+  // 0.02 m + 0.0002 m per m
+  assert.ok(Math.abs(near.sigma - 0.022) < 0.0015, `sigma ${near.sigma}`);
+
+  const far = standardDeviation(measureRanges(model, 40, 1));
+  assert.ok(Math.abs(far.sigma - 0.028) < 0.002, `sigma ${far.sigma}`);
+
+  // cos 60 degrees: 1 + 0.5 * (2 - 1)
+  const grazing = standardDeviation(measureRanges(model, 10, 0.5));
+  assert.ok(Math.abs(grazing.sigma - 0.033) < 0.0025, `sigma ${grazing.sigma}`);
+});
+
+test("ranges are reported in steps of the range resolution", () => {
+  const model = createModel({ angularSigma: 0, rangeResolution: 0.01 });
+  for (const range of measureRanges(model, 5.123, 1).slice(0, 100)) {
+    const steps = range / 0.01;
+    assert.ok(Math.abs(steps - Math.round(steps)) < 1e-6, `range ${range}`);
+  }
+});
+
+test("dropouts rise from the base rate to every return at the max range", () => {
+  const model = createModel({ dropoutRate: 0.1, dropoutRangeExponent: 4 });
+
+  const kept = measureRanges(model, 1, 1).length / SAMPLES;
+  assert.ok(Math.abs(kept - 0.9) < 0.02, `kept ${kept}`);
+  // 70 m is the max range of a 0.8 reflectivity surface
+  assert.equal(measureRanges(model, 70, 1).length, 0);
+  assert.equal(model.apply(createHit(0), ORIGIN), false);
+});
+
+test("noise is drawn from the seed and the batch's first firing", () => {
+  const sample = (options) => {
+    const point = createHit(20);
+    createModel({}, options).apply(point, ORIGIN);
+    return point;
+  };
+
+  assert.deepEqual(sample({ seed: 7, firstFiringIndex: 100 }), sample({ seed: 7, firstFiringIndex: 100 }));
+  assert.notDeepEqual(sample({ seed: 7, firstFiringIndex: 100 }), sample({ seed: 8, firstFiringIndex: 100 }));
+  assert.notDeepEqual(sample({ seed: 7, firstFiringIndex: 100 }), sample({ seed: 7, firstFiringIndex: 101 }));
+});
@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { RETURN_MODES } from "../src/sensors/lidar/config/ReturnConfig.js";
+import { renumberReturns, selectReturns } from "../src/sensors/lidar/logic/ScanningLogic.js";
+
+// Echoes of one firing in range order, numbered as castBeam numbers them
+function createEchoes(...intensities) {
+  return intensities.map((intensity, returnIndex) => ({
+    range: returnIndex + 1,
+    intensity,
+    returnIndex,
+    returnCount: intensities.length,
+  }));
+}
+
+const ranges = (points) => points.map(({ range }) => range);
+
+test("each return mode reports its echoes in range order", () => {
+  const echoes = createEchoes(0.3, 0.9, 0.5, 0.2);
+
+  assert.deepEqual(ranges(selectReturns(echoes, RETURN_MODES.FIRST)), [1]);
+  assert.deepEqual(ranges(selectReturns(echoes, RETURN_MODES.STRONGEST)), [2]);
+  assert.deepEqual(ranges(selectReturns(echoes, RETURN_MODES.LAST)), [4]);
+  assert.deepEqual(ranges(selectReturns(echoes, RETURN_MODES.DUAL)), [2, 4]);
+});
+
+test("dual return falls back to the second strongest when the last is strongest", () => {
+  const echoes = createEchoes(0.2, 0.5, 0.9);
+  assert.deepEqual(ranges(selectReturns(echoes, RETURN_MODES.DUAL)), [2, 3]);
+});
+
+test("a single echo is reported in every mode", () => {
+  const echoes = createEchoes(0.4);
+  for (const mode of Object.values(RETURN_MODES)) {
+    assert.deepEqual(selectReturns(echoes, mode), echoes, mode);
+  }
+});
+
+test("an echo whose predecessor dropped out becomes the first of one", () => {
+  const reported = selectReturns(createEchoes(0.8, 0.6), RETURN_MODES.DUAL);
+  const [, survivor] = reported;
+
+  renumberReturns(reported, [survivor]);
+
+  assert.deepEqual([survivor.returnIndex, survivor.returnCount], [0, 1]);
+});
+
+test("dropouts only shift the echoes behind them", () => {
+  const echoes = createEchoes(0.5, 0.4, 0.3, 0.2);
+  const [first, , third, fourth] = echoes;
+
+  renumberReturns(echoes, [first, third, fourth]);
+
+  assert.deepEqual(
+    [first, third, fourth].map(({ returnIndex, returnCount }) => [returnIndex, returnCount]),
+    [
+      [0, 3],
+      [1, 3],
+      [2, 3],
+    ]
+  );
+});
+
+test("nothing is renumbered when every echo survives", () => {
+  const echoes = createEchoes(0.5, 0.4);
+  renumberReturns(echoes, [...echoes]);
+  assert.deepEqual(echoes, createEchoes(0.5, 0.4));
+});
@@ -0,0 +1,123 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createLidarConfig } from "../src/sensors/lidar/config/LidarConfig.js";
+import { SCAN_PATTERNS } from "../src/sensors/lidar/config/ScanPatterns.js";
+import { getSensorPreset } from "../src/sensors/lidar/config/SensorPresets.js";
+import {
+  Mid360ScanPattern,
+  RosetteScanPattern,
+  SpinningScanPattern,
+  TableScanPattern,
+  createScanPattern,
+} from "../src/sensors/lidar/logic/ScanPattern.js";
+
+const DEG = Math.PI / 180;
+
+function assertClose(actual, expected, tolerance = 1e-6) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`
+  );
+}
+
+test("createScanPattern picks the class named by the config", () => {
+  const presetPatterns = {
+    "livox-mid360": Mid360ScanPattern,
+    "livox-avia": RosetteScanPattern,
+    "velodyne-vlp16": SpinningScanPattern,
+  };
+  for (const [id, PatternClass] of Object.entries(presetPatterns)) {
+    const lidarConfig = createLidarConfig({}, getSensorPreset(id));
+    assert.ok(createScanPattern(lidarConfig) instanceof PatternClass, id);
+  }
+
+  assert.throws(
+    () => createScanPattern(createLidarConfig({ scanPattern: "raster" })),
+    /Unknown scan pattern: raster/
+  );
+});
+
+test("a spinning sensor fires its lasers in order as the head turns", () => {
+  const lidarConfig = createLidarConfig({}, getSensorPreset("velodyne-vlp16"));
+  const pattern = createScanPattern(lidarConfig);
+  const firingsPerRevolution = lidarConfig.pointRate / 10;
+
+  const elevations = [];
+  for (let i = 0; i < 16; i++) {
+    const firing = pattern.getFiring(i);
+    assert.equal(firing.channel, i);
+    elevations.push(Math.round(firing.elevation / DEG));
+  }
+  assert.deepEqual(elevations, lidarConfig.channelElevations);
+
+  // Second laser of the sequence starting just past a quarter turn
+  const index = 16 * Math.ceil(firingsPerRevolution / 64) + 1;
+  const firing = pattern.getFiring(index);
+  assert.equal(firing.channel, 1);
+  assertClose(firing.azimuth, (2 * Math.PI * index) / firingsPerRevolution);
+  assertClose(firing.timeOffsetNs, (index * 1e9) / lidarConfig.pointRate, 1e-3);
+
+  // The head wraps around after a full revolution
+  assertClose(pattern.getFiring(firingsPerRevolution + index).azimuth, firing.azimuth, 1e-5);
+});
+
+test("rosette lasers fire together and stay inside the FOV", () => {
+  const lidarConfig = createLidarConfig({}, getSensorPreset("livox-avia"));
+  const pattern = createScanPattern(lidarConfig);
+  const halfWidth = (lidarConfig.horizontalFOV / 2) * DEG;
+  const halfHeight = (lidarConfig.verticalFOVMax + 0.75) * DEG;
+
+  for (let i = 0; i < 6000; i += 6) {
+    const first = { ...pattern.getFiring(i) };
+    const last = pattern.getFiring(i + 5);
+    assert.equal(last.timeOffsetNs, first.timeOffsetNs);
+    assert.equal(last.channel, 5);
+    assertClose(last.elevation - first.elevation, 1.5 * DEG, 1e-5);
+    assert.ok(Math.abs(first.azimuth) <= halfWidth + 1e-6);
+    assert.ok(Math.abs(last.elevation) <= halfHeight + 1e-6);
+  }
+});
+
+test("table patterns replay CSV firings cycle after cycle", () => {
+  const firings = TableScanPattern.parseCsv(
+    ["# recorded firings", "time_ns,Elevation,azimuth,channel", "100,-1,10,0", "300,1,20,1", ""].join("\n")
+  );
+  assert.deepEqual(firings[1], { azimuth: 20, elevation: 1, channel: 1, timeOffsetNs: 300 });
+
+  const pattern = createScanPattern(
+    createLidarConfig({ scanPattern: SCAN_PATTERNS.TABLE, scanPatternTable: firings })
+  );
+  const firing = pattern.getFiring(3);
+  assertClose(firing.azimuth, 20 * DEG);
+  assertClose(firing.elevation, 1 * DEG);
+  assert.equal(firing.channel, 1);
+  // Two firings 200 ns apart make a 400 ns cycle
+  assert.equal(firing.timeOffsetNs, 600);
+
+  assert.throws(() => TableScanPattern.parseCsv("azimuth,channel\n1,0"), /azimuth and elevation/);
+  assert.throws(() => TableScanPattern.parseCsv("azimuth,elevation\n1,x"), /Invalid scan pattern line/);
+});
+
+test("the MID-360 pattern covers its vertical FOV and is offset per sensor", () => {
+  const lidarConfig = createLidarConfig();
+  const pattern = new Mid360ScanPattern(lidarConfig, { indexOffset: 0 });
+  const shifted = new Mid360ScanPattern(lidarConfig, { indexOffset: 250 });
+
+  let lowest = Infinity;
+  let highest = -Infinity;
+  for (let i = 0; i < 5000; i++) {
+    const { elevation, channel } = pattern.getFiring(i);
+    lowest = Math.min(lowest, elevation);
+    highest = Math.max(highest, elevation);
+    assert.ok(channel >= 0 && channel < lidarConfig.numChannels);
+  }
+  assert.ok(lowest >= lidarConfig.verticalFOVMin * DEG && lowest < -6 * DEG);
+  assert.ok(highest <= lidarConfig.verticalFOVMax * DEG && highest > 50 * DEG);
+
+  assert.deepEqual(shifted.getFiring(0).elevation, pattern.getFiring(250).elevation);
+  assert.notDeepEqual(shifted.getFiring(0), pattern.getFiring(0));
+  assert.deepEqual(
+    new Mid360ScanPattern(lidarConfig).getFiring(42),
+    new Mid360ScanPattern(lidarConfig).getFiring(42)
+  );
+});
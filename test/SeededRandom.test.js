@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import * as THREE from "three";
+import { installMeshBvh } from "../src/scene/MeshBvh.js";
+import { createLidarConfig } from "../src/sensors/lidar/config/LidarConfig.js";
+import { LidarMeshRegistry } from "../src/sensors/lidar/logic/LidarMeshRegistry.js";
+import { LidarScanner } from "../src/sensors/lidar/logic/LidarScanner.js";
+import { RANDOM_STREAMS, createRandom } from "../src/sensors/lidar/utils/SeededRandom.js";
+
+installMeshBvh();
+
+const draw = (random, count = 8) => Array.from({ length: count }, () => random.next());
+
+test("streams depend only on the seed, stream name and index", () => {
+  const noise = draw(createRandom(5, RANDOM_STREAMS.NOISE, 3));
+
+  assert.deepEqual(draw(createRandom(5, RANDOM_STREAMS.NOISE, 3)), noise);
+  assert.notDeepEqual(draw(createRandom(6, RANDOM_STREAMS.NOISE, 3)), noise);
+  assert.notDeepEqual(draw(createRandom(5, RANDOM_STREAMS.IMU, 3)), noise);
+  assert.notDeepEqual(draw(createRandom(5, RANDOM_STREAMS.NOISE, 4)), noise);
+  assert.ok(noise.every((value) => value >= 0 && value < 1));
+});
+
+// Three batches of a noisy MID-360 in a 20 m room, with its IMU samples
+function scanRoom(seed) {
+  const room = new THREE.Mesh(
+    new THREE.BoxGeometry(20, 20, 20),
+    new THREE.MeshStandardMaterial({ side: THREE.BackSide })
+  );
+  room.updateMatrixWorld(true);
+  const meshRegistry = new LidarMeshRegistry();
+  meshRegistry.register(room);
+
+  const scanner = new LidarScanner({
+    meshRegistry,
+    sensorRef: { current: new THREE.Object3D() },
+  });
+  scanner.setLidarConfig(createLidarConfig({ seed, pointsPerFrame: 500 }));
+  scanner.setImuConfig({}, seed);
+  scanner.setTrajectory(null, 0, [0, 1, 0]);
+
+  const batches = [];
+  for (let step = 0; step < 3; step++) {
+    const { points, imuSamples } = scanner.scan({
+      unixTimeMs: step * scanner.batchDurationMs,
+    });
+    batches.push({ points: Array.from(points), imuSamples });
+  }
+  return batches;
+}
+
+test("a scan repeats exactly with the same seed and changes with another", () => {
+  const first = scanRoom(1);
+
+  assert.ok(first.every(({ points }) => points.length > 0));
+  assert.deepEqual(scanRoom(1), first);
+
+  const reseeded = scanRoom(2);
+  for (const [index, batch] of reseeded.entries()) {
+    assert.notDeepEqual(batch.points, first[index].points);
+  }
+  assert.notDeepEqual(
+    reseeded.map(({ imuSamples }) => imuSamples),
+    first.map(({ imuSamples }) => imuSamples)
+  );
+});
@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import {
+  CLOCK_PRIORITIES,
+  MAX_STEPS_PER_TICK,
+  SimulationClock,
+} from "../src/sensors/lidar/logic/SimulationClock.js";
+
+describe("SimulationClock", () => {
+  let clock;
+  let steps;
+
+  beforeEach(() => {
+    clock = new SimulationClock({ stepMs: 10, epochMs: 1000 });
+    steps = [];
+    clock.subscribe((step) => steps.push(step));
+  });
+
+  it("runs actors before sensors with the step's start time", () => {
+    const order = [];
+    clock.subscribe(() => order.push("sensor"), CLOCK_PRIORITIES.SENSORS);
+    clock.subscribe(() => order.push("actor"), CLOCK_PRIORITIES.ACTORS);
+
+    clock.step();
+    clock.step();
+
+    assert.deepEqual(order, ["actor", "sensor", "actor", "sensor"]);
+    assert.deepEqual(steps[1], { timeMs: 10, unixTimeMs: 1010, stepMs: 10, stepIndex: 1 });
+    assert.equal(clock.timeMs, 20);
+  });
+
+  it("steps in fixed increments of real time times the time scale", () => {
+    assert.equal(clock.tick(0.025), 2);
+    assert.equal(clock.tick(0.005), 1); // 5 ms left over from the last tick
+    assert.equal(clock.timeMs, 30);
+
+    clock.setTimeScale(0.5);
+    assert.equal(clock.tick(0.01), 0);
+    assert.equal(clock.tick(0.01), 1);
+
+    clock.setTimeScale(3);
+    assert.equal(clock.tick(0.01), 3);
+    assert.equal(clock.timeMs, 70);
+  });
+
+  it("drops the backlog it cannot run in one tick", () => {
+    assert.equal(clock.tick(1), MAX_STEPS_PER_TICK);
+    assert.equal(clock.tick(0), 1);
+    assert.equal(clock.tick(0), 0);
+  });
+
+  it("only runs requested steps while paused", () => {
+    clock.tick(0.005);
+    clock.pause();
+    assert.equal(clock.tick(1), 0);
+
+    clock.requestSteps(2);
+    assert.equal(clock.tick(0), 2);
+    assert.equal(clock.tick(0), 0);
+
+    // Time spent paused is not caught up on resume
+    clock.resume();
+    assert.equal(clock.tick(0.005), 0);
+    assert.equal(clock.tick(0.005), 1);
+    assert.equal(steps.length, 3);
+  });
+
+  it("holds steps while a gate is closed", () => {
+    let ready = false;
+    const removeGate = clock.addGate(() => ready);
+
+    assert.equal(clock.tick(0.05), 0);
+    ready = true;
+    assert.equal(clock.tick(0), 1);
+
+    ready = false;
+    removeGate();
+    assert.equal(clock.tick(0.01), 1);
+  });
+
+  it("restarts from time 0 at a new epoch", () => {
+    clock.tick(0.035);
+    clock.reset(5000);
+    clock.setStepMs(20);
+    clock.step();
+
+    assert.deepEqual(steps.at(-1), { timeMs: 0, unixTimeMs: 5000, stepMs: 20, stepIndex: 0 });
+    assert.equal(clock.unixTimeMs, 5020);
+    assert.equal(clock.tick(0.015), 0); // The 5 ms left before the reset is gone
+  });
+});
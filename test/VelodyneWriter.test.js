@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { RETURN_MODES } from "../src/sensors/lidar/config/ReturnConfig.js";
+import { VELODYNE_MODELS } from "../src/sensors/lidar/config/VelodyneProfiles.js";
+import { POINT_FIELDS, POINT_STRIDE } from "../src/sensors/lidar/utils/PointLayout.js";
+import {
+  VELODYNE_PACKET_SIZE,
+  encodeVelodynePackets,
+  writeVelodynePcap,
+} from "../src/sensors/lidar/utils/VelodyneWriter.js";
+
+const START_TIME = Date.UTC(2024, 0, 1, 5, 0, 1, 500);
+const ELEVATION = (1 * Math.PI) / 180; // Second VLP-16 laser
+const BLOCK_SIZE = 100;
+const FRAME_OVERHEAD = 14 + 20 + 8; // Ethernet, IPv4 and UDP headers
+
+// Points straight ahead of a sensor at the origin looking along three.js +Z
+function createFrame(returns) {
+  const pointsData = new Float32Array(returns.length * POINT_STRIDE);
+  returns.forEach(({ range, intensity }, i) => {
+    const offset = i * POINT_STRIDE;
+    pointsData[offset + POINT_FIELDS.Y] = range * Math.sin(ELEVATION);
+    pointsData[offset + POINT_FIELDS.Z] = range * Math.cos(ELEVATION);
+    pointsData[offset + POINT_FIELDS.INTENSITY] = intensity;
+  });
+  return { pointsData, pointCount: returns.length, startTime: START_TIME };
+}
+
+// Distance (2 mm units) and reflectivity of laser 1 in the first firing of a block
+function readChannel(payload, block) {
+  const view = new DataView(payload.buffer);
+  const offset = block * BLOCK_SIZE + 4 + 3;
+  return [view.getUint16(offset, true), view.getUint8(offset + 2)];
+}
+
+test("encodes a VLP-16 revolution as 1206-byte data packets", () => {
+  const packets = encodeVelodynePackets([createFrame([{ range: 10, intensity: 0.5 }])], {
+    model: VELODYNE_MODELS.VLP_16,
+  });
+  // 1808 firing sequences per revolution, 24 per packet
+  assert.equal(packets.length, 76);
+  assert.equal(packets[0].timestampMs, START_TIME);
+
+  const { payload } = packets[0];
+  const view = new DataView(payload.buffer);
+  assert.equal(payload.length, VELODYNE_PACKET_SIZE);
+  for (let block = 0; block < 12; block++) {
+    assert.deepEqual([payload[block * BLOCK_SIZE], payload[block * BLOCK_SIZE + 1]], [0xff, 0xee]);
+  }
+  assert.equal(view.getUint16(2, true), 0); // Azimuth of the first block
+  assert.deepEqual(readChannel(payload, 0), [5000, 50]);
+  assert.equal(view.getUint32(1200, true), 1.5e6); // Microseconds past the hour
+  assert.deepEqual([payload[1204], payload[1205]], [0x37, 0x22]);
+});
+
+test("puts the last then the strongest return in dual return blocks", () => {
+  const frame = createFrame([
+    { range: 10, intensity: 0.8 },
+    { range: 20, intensity: 0.3 },
+  ]);
+  const [{ payload }] = encodeVelodynePackets([frame], { returnMode: RETURN_MODES.DUAL });
+  const view = new DataView(payload.buffer);
+  assert.equal(view.getUint16(2, true), view.getUint16(BLOCK_SIZE + 2, true));
+  assert.deepEqual(readChannel(payload, 0), [10000, 30]);
+  assert.deepEqual(readChannel(payload, 1), [5000, 80]);
+  assert.equal(payload[1204], 0x39);
+});
+
+test("wraps the packets in a PCAP of Ethernet, IPv4 and UDP frames", () => {
+  const frame = createFrame([{ range: 10, intensity: 0.5 }]);
+  const packets = encodeVelodynePackets([frame]);
+  const file = writeVelodynePcap([frame]);
+  const view = new DataView(file.buffer);
+  const frameLength = FRAME_OVERHEAD + VELODYNE_PACKET_SIZE;
+
+  assert.equal(view.getUint32(0, true), 0xa1b2c3d4);
+  assert.deepEqual([view.getUint16(4, true), view.getUint16(6, true)], [2, 4]);
+  assert.equal(view.getUint32(20, true), 1); // Ethernet
+  assert.equal(file.length, 24 + packets.length * (16 + frameLength));
+
+  const record = 24;
+  assert.equal(view.getUint32(record, true), Math.floor(START_TIME / 1000));
+  assert.equal(view.getUint32(record + 4, true), 500000);
+  assert.equal(view.getUint32(record + 8, true), frameLength);
+  assert.equal(view.getUint32(record + 12, true), frameLength);
+
+  const ip = record + 16 + 14;
+  assert.equal(view.getUint16(ip - 2), 0x0800);
+  assert.equal(view.getUint16(ip + 2), 20 + 8 + VELODYNE_PACKET_SIZE);
+  assert.equal(file[ip + 9], 17); // UDP
+  let sum = 0;
+  for (let i = 0; i < 20; i += 2) sum += view.getUint16(ip + i);
+  while (sum > 0xffff) sum = (sum & 0xffff) + (sum >>> 16);
+  assert.equal(sum, 0xffff, "IPv4 header checksum");
+
+  const udp = ip + 20;
+  assert.deepEqual([view.getUint16(udp), view.getUint16(udp + 2)], [2368, 2368]);
+  assert.equal(view.getUint16(udp + 4), 8 + VELODYNE_PACKET_SIZE);
+  assert.deepEqual(file.subarray(udp + 8, udp + 8 + VELODYNE_PACKET_SIZE), packets[0].payload);
+});